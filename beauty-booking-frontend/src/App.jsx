@@ -6,6 +6,8 @@ import {
   Navigate,
 } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext";
+import { NotificationProvider } from "./context/NotificationContext";
+import { CartProvider } from "./context/CartContext";
 
 // Componentes comunes
 import Header from "./components/common/Header";
@@ -15,25 +17,41 @@ import Loading from "./components/common/Loading";
 // Páginas públicas
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import Services from "./pages/Services";
+import ServiceDetail from "./pages/ServiceDetail";
 import Incidencias from "./pages/Incidencias";
+import MyIncidencias from "./pages/MyIncidencias";
 
 // Páginas autenticadas - Cliente
 import Booking from "./pages/Booking";
 import BookingConfirm from "./pages/BookingConfirm";
+import BookingCart from "./pages/BookingCart";
 import MyReservations from "./pages/MyReservations";
+import Profile from "./pages/Profile";
 
 // Páginas autenticadas - Admin
 import Dashboard from "./pages/admin/Dashboard";
 import ReservationsManagement from "./pages/admin/ReservationsManagement";
+import ReceptionConsole from "./pages/admin/ReceptionConsole";
 import ServicesManagement from "./pages/admin/ServicesManagement";
 import TimeSlotManagement from "./pages/admin/TimeSlotManagement";
+import ClosuresManagement from "./pages/admin/ClosuresManagement";
+import StaffManagement from "./pages/admin/StaffManagement";
 import UsersManagement from "./pages/admin/UsersManagement";
+import UserDetail from "./pages/admin/UserDetail";
+import IncidenciasManagement from "./pages/admin/IncidenciasManagement";
 import Reports from "./pages/admin/Reports";
 
 // Componentes de rutas protegidas
 import PrivateRoute from "./components/PrivateRoute";
 import AdminRoute from "./components/AdminRoute";
+import SessionExpiryWarning from "./components/SessionExpiryWarning";
+import WaitlistNotifier from "./components/WaitlistNotifier";
+
+// Permisos de cada sección del panel
+import { PERMISOS } from "./utils/permisos";
 
 /**
  * App Component
@@ -43,23 +61,38 @@ import AdminRoute from "./components/AdminRoute";
  * - Sistema de rutas de la aplicación
  * - Layout base con header
  * - Rutas públicas y protegidas
+ * - Aviso de expiración de sesión
+ * - Notificaciones globales (plazas libres de la lista de espera)
+ * - Carrito para reservar varios servicios en una misma visita
  */
 
 function App() {
   return (
     <Router>
       <AuthProvider>
-        <div className="min-h-screen bg-gray-50">
-          {/* Header global */}
-          <Routes>
-            {/* Rutas sin header (login/register) */}
-            <Route path="/login" element={<Login />} />
-            <Route path="/register" element={<Register />} />
-
-            {/* Rutas con header */}
-            <Route path="/*" element={<AppWithHeader />} />
-          </Routes>
-        </div>
+        <NotificationProvider>
+          <CartProvider>
+            <div className="min-h-screen bg-gray-50">
+              {/* Header global */}
+              <Routes>
+                {/* Rutas sin header (login/register/recuperación) */}
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+
+                {/* Rutas con header */}
+                <Route path="/*" element={<AppWithHeader />} />
+              </Routes>
+
+              {/* Aviso antes de que caduque el token */}
+              <SessionExpiryWarning />
+
+              {/* Aviso de plazas libres en la lista de espera */}
+              <WaitlistNotifier />
+            </div>
+          </CartProvider>
+        </NotificationProvider>
       </AuthProvider>
     </Router>
   );
@@ -67,7 +100,7 @@ function App() {
 
 /**
  * Componente con Header y Footer
- * Todas las páginas excepto login/register tienen header y footer
+ * Todas las páginas excepto login/register/recuperación tienen header y footer
  */
 function AppWithHeader() {
   return (
@@ -80,27 +113,57 @@ function AppWithHeader() {
 
           {/* Rutas públicas */}
           <Route path="/servicios" element={<Services />} />
+          <Route path="/servicios/:id" element={<ServiceDetail />} />
           <Route path="/incidencias" element={<Incidencias />} />
 
           {/* Rutas protegidas - Requieren autenticación */}
           <Route element={<PrivateRoute />}>
             {/* Booking flow */}
             <Route path="/booking/:servicioId" element={<Booking />} />
+            <Route path="/booking/cita" element={<BookingCart />} />
             <Route path="/booking/confirm" element={<BookingConfirm />} />
 
             {/* Área de cliente */}
             <Route path="/mis-reservas" element={<MyReservations />} />
-            <Route path="/perfil" element={<UserProfile />} />
+            <Route path="/perfil" element={<Profile />} />
+            <Route path="/mis-incidencias" element={<MyIncidencias />} />
           </Route>
 
-          {/* Rutas de administración - Requieren rol ADMIN */}
+          {/* Rutas de administración - Requieren permisos (utils/permisos) */}
           <Route path="/admin" element={<AdminRoute />}>
             <Route index element={<Dashboard />} />
-            <Route path="reservas" element={<ReservationsManagement />} />
-            <Route path="servicios" element={<ServicesManagement />} />
-            <Route path="franjas" element={<TimeSlotManagement />} />
-            <Route path="usuarios" element={<UsersManagement />} />
-            <Route path="reportes" element={<Reports />} />
+            <Route element={<AdminRoute permisos={PERMISOS.RESERVAS_VER} />}>
+              <Route path="reservas" element={<ReservationsManagement />} />
+            </Route>
+            <Route
+              element={
+                <AdminRoute
+                  permisos={[PERMISOS.RESERVAS_GESTIONAR, PERMISOS.CLIENTES]}
+                />
+              }
+            >
+              <Route path="recepcion" element={<ReceptionConsole />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.SERVICIOS} />}>
+              <Route path="servicios" element={<ServicesManagement />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.HORARIOS} />}>
+              <Route path="franjas" element={<TimeSlotManagement />} />
+              <Route path="cierres" element={<ClosuresManagement />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.PROFESIONALES} />}>
+              <Route path="profesionales" element={<StaffManagement />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.CLIENTES} />}>
+              <Route path="usuarios" element={<UsersManagement />} />
+              <Route path="usuarios/:id" element={<UserDetail />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.INCIDENCIAS} />}>
+              <Route path="incidencias" element={<IncidenciasManagement />} />
+            </Route>
+            <Route element={<AdminRoute permisos={PERMISOS.REPORTES} />}>
+              <Route path="reportes" element={<Reports />} />
+            </Route>
           </Route>
 
           {/* Página 404 */}
@@ -112,20 +175,6 @@ function AppWithHeader() {
   );
 }
 
-/**
- * Página de perfil de usuario (placeholder)
- */
-function UserProfile() {
-  return (
-    <div className="max-w-7xl mx-auto px-4 py-8">
-      <h1 className="text-3xl font-bold mb-4">Mi Perfil</h1>
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <p className="text-gray-600">Página de perfil en construcción...</p>
-      </div>
-    </div>
-  );
-}
-
 /**
  * Página 404 - No encontrado
  */
@@ -1,17 +1,20 @@
 import React from "react";
 import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { PERMISOS } from "../utils/permisos";
 import Loading from "./common/Loading";
 
 /**
  * AdminRoute Component
  *
- * Protege rutas que requieren rol de administrador
- * Si el usuario no es admin, redirige con mensaje de error
- * Solo usuarios con rol ADMIN pueden acceder
+ * Protege rutas del panel de administración por permisos
+ * Si el rol del usuario no tiene los permisos, muestra acceso denegado
+ * Sin permisos indicados basta con poder entrar al panel (personal)
+ *
+ * @param {string|Array<string>} permisos - Permisos requeridos (todos)
  */
-const AdminRoute = () => {
-  const { isAuthenticated, isAdmin, loading } = useAuth();
+const AdminRoute = ({ permisos = PERMISOS.PANEL }) => {
+  const { isAuthenticated, hasPermission, loading } = useAuth();
   const location = useLocation();
 
   // Mostrar loading mientras verifica autenticación
@@ -24,8 +27,8 @@ const AdminRoute = () => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  // Si está autenticado pero no es admin, mostrar mensaje de acceso denegado
-  if (!isAdmin()) {
+  // Si está autenticado pero le faltan permisos, mostrar acceso denegado
+  if (!hasPermission(permisos)) {
     return (
       <div className="min-h-screen flex items-center justify-center px-4 bg-gray-50">
         <div className="text-center max-w-md">
@@ -50,7 +53,7 @@ const AdminRoute = () => {
           <p className="text-gray-600 mb-6">
             No tienes permisos para acceder a esta sección.
             <br />
-            Esta área es exclusiva para administradores.
+            Tu rol no incluye esta área del panel.
           </p>
           <a href="/servicios" className="btn-primary inline-block">
             Volver a servicios
@@ -60,7 +63,7 @@ const AdminRoute = () => {
     );
   }
 
-  // Si es admin, renderizar las rutas hijas
+  // Si tiene los permisos, renderizar las rutas hijas
   return <Outlet />;
 };
 
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { Clock } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import authService from "../services/authService";
+import Modal from "./common/Modal";
+
+// Antelación con la que avisamos antes de que caduque el token
+const WARNING_BEFORE_MS = 2 * 60 * 1000; // 2 minutos
+
+/**
+ * SessionExpiryWarning Component
+ *
+ * Lee el claim exp del token y, poco antes de que caduque, muestra un
+ * diálogo para renovar la sesión o cerrarla. Si el usuario no responde,
+ * la sesión expira y AuthContext redirige a login.
+ */
+const SessionExpiryWarning = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
+  // Milisegundos restantes mientras el aviso está visible (null = oculto)
+  const [remaining, setRemaining] = useState(null);
+  const [renewing, setRenewing] = useState(false);
+  const [renewError, setRenewError] = useState("");
+
+  // Versión del token: cambia al renovarlo para reprogramar el aviso
+  const [tokenVersion, setTokenVersion] = useState(0);
+
+  useEffect(() => {
+    return authService.on("refreshed", () => setTokenVersion((v) => v + 1));
+  }, []);
+
+  /**
+   * Programa el aviso según el tiempo que le queda al token
+   */
+  useEffect(() => {
+    setRemaining(null);
+    if (!user) return;
+
+    const timeLeft = authService.getTimeUntilExpiration();
+    if (timeLeft === null) return; // Token sin exp: nada que avisar
+
+    const timeout = setTimeout(() => {
+      setRenewError("");
+      setRemaining(authService.getTimeUntilExpiration());
+    }, Math.max(timeLeft - WARNING_BEFORE_MS, 0));
+
+    return () => clearTimeout(timeout);
+  }, [user, tokenVersion]);
+
+  /**
+   * Cuenta atrás mientras el aviso está abierto
+   */
+  const isOpen = remaining !== null;
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const interval = setInterval(() => {
+      const timeLeft = authService.getTimeUntilExpiration();
+      if (timeLeft === null || timeLeft <= 0) {
+        clearInterval(interval);
+        setRemaining(null);
+        // Sin renovar a tiempo: la sesión termina
+        if (authService.getToken()) authService.expireSession();
+        return;
+      }
+      setRemaining(timeLeft);
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [isOpen]);
+
+  /**
+   * Renueva el token con el refresh token
+   */
+  const handleRenew = useCallback(async () => {
+    try {
+      setRenewing(true);
+      setRenewError("");
+      await authService.refreshSession();
+      setRemaining(null);
+    } catch (err) {
+      console.error("Error renovando sesión:", err);
+      setRenewError(
+        "No se ha podido renovar la sesión. Guarda tu trabajo e inicia sesión de nuevo."
+      );
+    } finally {
+      setRenewing(false);
+    }
+  }, []);
+
+  /**
+   * Cierra la sesión voluntariamente
+   */
+  const handleLogout = useCallback(() => {
+    setRemaining(null);
+    logout();
+    navigate("/login");
+  }, [logout, navigate]);
+
+  if (!isOpen) return null;
+
+  const minutes = Math.floor(remaining / 60000);
+  const seconds = Math.floor((remaining % 60000) / 1000);
+  const canRenew = !!authService.getRefreshToken();
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={() => setRemaining(null)}
+      title="Tu sesión está a punto de expirar"
+      size="sm"
+      closeOnOverlay={false}
+      footer={
+        <div className="flex justify-end gap-3">
+          <button onClick={handleLogout} className="btn-secondary">
+            Cerrar sesión
+          </button>
+          {canRenew && (
+            <button
+              onClick={handleRenew}
+              disabled={renewing}
+              className="btn-primary"
+            >
+              {renewing ? "Renovando..." : "Seguir conectado"}
+            </button>
+          )}
+        </div>
+      }
+    >
+      <div className="flex items-start gap-4">
+        <Clock className="w-8 h-8 text-yellow-500 flex-shrink-0" />
+        <div className="space-y-2">
+          <p className="text-gray-700">
+            Por seguridad, tu sesión se cerrará en{" "}
+            <span className="font-semibold">
+              {minutes}:{String(seconds).padStart(2, "0")}
+            </span>
+            .
+          </p>
+          {!canRenew && (
+            <p className="text-sm text-gray-600">
+              Tendrás que volver a iniciar sesión para continuar.
+            </p>
+          )}
+          {renewError && <p className="text-sm text-red-600">{renewError}</p>}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default SessionExpiryWarning;
@@ -0,0 +1,84 @@
+import { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import { useAuth } from "../context/AuthContext";
+import { useNotification } from "../context/NotificationContext";
+import bookingService from "../services/bookingService";
+
+// Cada cuánto consultamos si se ha liberado alguna plaza
+const POLL_INTERVAL_MS = 60 * 1000; // 1 minuto
+
+// Entradas ya avisadas (para no repetir el aviso al recargar)
+const AVISADAS_KEY = "listaEsperaAvisadas";
+
+/**
+ * WaitlistNotifier Component
+ *
+ * Mientras hay un cliente conectado, consulta periódicamente su lista de
+ * espera y muestra una notificación cuando se le ofrece una plaza, con
+ * acceso directo a la pestaña "En espera" de Mis Reservas para reservarla
+ * antes de que caduque. No renderiza nada.
+ */
+const WaitlistNotifier = () => {
+  const { user } = useAuth();
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+
+  const esCliente = user?.rol === "CLIENTE";
+
+  useEffect(() => {
+    if (!esCliente) return;
+
+    const comprobar = async () => {
+      if (document.hidden) return;
+
+      try {
+        const entradas = await bookingService.getMiListaEspera();
+        const avisadas = JSON.parse(
+          sessionStorage.getItem(AVISADAS_KEY) || "[]"
+        );
+
+        entradas
+          .filter(
+            (e) => e.estado === "PLAZA_DISPONIBLE" && !avisadas.includes(e.id)
+          )
+          .forEach((entrada) => {
+            const fecha = format(parseISO(entrada.fecha), "EEEE d 'de' MMMM", {
+              locale: es,
+            });
+            const hora = bookingService.formatearHora(entrada.horaInicio);
+            const limite = format(
+              parseISO(entrada.plazaDisponibleHasta),
+              "HH:mm"
+            );
+
+            showNotification(
+              `Se ha liberado una plaza de ${entrada.servicioNombre} el ${fecha} a las ${hora}. Resérvala antes de las ${limite}.`,
+              "success",
+              0,
+              {
+                label: "Reservar ahora",
+                onClick: () =>
+                  navigate("/mis-reservas", { state: { tab: "espera" } }),
+              }
+            );
+            avisadas.push(entrada.id);
+          });
+
+        sessionStorage.setItem(AVISADAS_KEY, JSON.stringify(avisadas));
+      } catch (err) {
+        // Un fallo puntual no debe molestar: se reintenta en la siguiente
+        console.error("Error consultando la lista de espera:", err);
+      }
+    };
+
+    comprobar();
+    const interval = setInterval(comprobar, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [esCliente, showNotification, navigate]);
+
+  return null;
+};
+
+export default WaitlistNotifier;
@@ -0,0 +1,185 @@
+import React, { useState, useRef } from "react";
+import { ZoomIn, Move } from "lucide-react";
+import { recortarImagen } from "../../utils/imagenes";
+import Modal from "../common/Modal";
+import { LoadingButton } from "../common/Loading";
+
+// Marco de recorte en pantalla (4:3) y tamaño de la imagen guardada
+const MARCO = { ancho: 400, alto: 300 };
+const SALIDA = { ancho: 640, alto: 480 };
+const ZOOM_MAXIMO = 3;
+
+/**
+ * Mantiene la imagen cubriendo todo el marco al arrastrar o hacer zoom
+ */
+const limitarPosicion = (posicion, anchoImagen, altoImagen) => ({
+  x: Math.min(0, Math.max(MARCO.ancho - anchoImagen, posicion.x)),
+  y: Math.min(0, Math.max(MARCO.alto - altoImagen, posicion.y)),
+});
+
+/**
+ * ImageCropModal Component
+ *
+ * Recorte de una foto al formato 4:3 de la galería de servicios:
+ * se arrastra la imagen para encuadrarla y se ajusta el zoom.
+ *
+ * @param {HTMLImageElement} imagen - Imagen ya cargada (ver leerImagen)
+ * @param {Function} onConfirm - Callback (async) con el JPEG recortado;
+ *   el botón queda cargando mientras se sube
+ * @param {Function} onClose - Cerrar sin recortar
+ */
+const ImageCropModal = ({ imagen, onConfirm, onClose }) => {
+  // Escala mínima para que la imagen cubra el marco completo
+  const escalaBase = Math.max(
+    MARCO.ancho / imagen.naturalWidth,
+    MARCO.alto / imagen.naturalHeight
+  );
+
+  const [zoom, setZoom] = useState(1);
+  const [posicion, setPosicion] = useState(() => ({
+    x: (MARCO.ancho - imagen.naturalWidth * escalaBase) / 2,
+    y: (MARCO.alto - imagen.naturalHeight * escalaBase) / 2,
+  }));
+  const arrastre = useRef(null);
+  const [subiendo, setSubiendo] = useState(false);
+
+  const escala = escalaBase * zoom;
+  const anchoImagen = imagen.naturalWidth * escala;
+  const altoImagen = imagen.naturalHeight * escala;
+
+  /**
+   * Zoom manteniendo fijo el centro del marco
+   */
+  const handleZoom = (nuevoZoom) => {
+    const factor = nuevoZoom / zoom;
+    const centroX = MARCO.ancho / 2;
+    const centroY = MARCO.alto / 2;
+    setZoom(nuevoZoom);
+    setPosicion(
+      limitarPosicion(
+        {
+          x: centroX - (centroX - posicion.x) * factor,
+          y: centroY - (centroY - posicion.y) * factor,
+        },
+        anchoImagen * factor,
+        altoImagen * factor
+      )
+    );
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    arrastre.current = {
+      x: e.clientX - posicion.x,
+      y: e.clientY - posicion.y,
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!arrastre.current) return;
+    setPosicion(
+      limitarPosicion(
+        {
+          x: e.clientX - arrastre.current.x,
+          y: e.clientY - arrastre.current.y,
+        },
+        anchoImagen,
+        altoImagen
+      )
+    );
+  };
+
+  const handleConfirm = async () => {
+    try {
+      setSubiendo(true);
+      const recorte = await recortarImagen(
+        imagen,
+        {
+          x: -posicion.x / escala,
+          y: -posicion.y / escala,
+          ancho: MARCO.ancho / escala,
+          alto: MARCO.alto / escala,
+        },
+        SALIDA.ancho,
+        SALIDA.alto
+      );
+      await onConfirm(recorte);
+    } finally {
+      setSubiendo(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Recortar imagen"
+      size="lg"
+      closeOnOverlay={false}
+      footer={
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={subiendo}
+            className="btn-secondary"
+          >
+            Cancelar
+          </button>
+          <LoadingButton
+            type="button"
+            onClick={handleConfirm}
+            loading={subiendo}
+            className="btn-primary"
+          >
+            Usar imagen
+          </LoadingButton>
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 flex items-center gap-2">
+          <Move className="w-4 h-4" />
+          Arrastra la imagen para encuadrarla
+        </p>
+
+        <div
+          className="relative mx-auto overflow-hidden rounded-lg bg-gray-100 cursor-move touch-none select-none"
+          style={{ width: MARCO.ancho, height: MARCO.alto }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => (arrastre.current = null)}
+          onPointerCancel={() => (arrastre.current = null)}
+        >
+          <img
+            src={imagen.src}
+            alt=""
+            draggable={false}
+            className="absolute max-w-none pointer-events-none"
+            style={{
+              left: posicion.x,
+              top: posicion.y,
+              width: anchoImagen,
+              height: altoImagen,
+            }}
+          />
+        </div>
+
+        <label className="flex items-center gap-3 max-w-sm mx-auto">
+          <ZoomIn className="w-4 h-4 text-gray-500" />
+          <input
+            type="range"
+            min="1"
+            max={ZOOM_MAXIMO}
+            step="0.05"
+            value={zoom}
+            onChange={(e) => handleZoom(Number(e.target.value))}
+            className="flex-1"
+          />
+        </label>
+      </div>
+    </Modal>
+  );
+};
+
+export default ImageCropModal;
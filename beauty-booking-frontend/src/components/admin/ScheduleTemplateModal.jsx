@@ -0,0 +1,511 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Trash2, Save, Eye, AlertCircle } from "lucide-react";
+import { format, addDays, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import adminService from "../../services/adminService";
+import Modal from "../common/Modal";
+import { InlineAlert } from "../common/Alert";
+import { LoadingButton } from "../common/Loading";
+import WeeklyHoursEditor from "./WeeklyHoursEditor";
+
+const plantillaVacia = (servicioId = "") => ({
+  nombre: "",
+  servicioId,
+  profesionalId: "",
+  horario: {},
+  intervaloMinutos: 60,
+  plazas: 1,
+});
+
+// Formulario -> datos de la plantilla (los selects guardan texto)
+const aPlantilla = (form) => ({
+  ...form,
+  servicioId: parseInt(form.servicioId),
+  profesionalId: parseInt(form.profesionalId) || null,
+});
+
+/**
+ * ScheduleTemplateModal Component
+ *
+ * Plantillas de horario semanal por servicio (tramos de apertura por día,
+ * intervalo y plazas, opcionalmente de un profesional) y generación de
+ * franjas a partir de ellas:
+ * previsualiza las franjas de un rango de fechas marcando las que chocan
+ * con otras y las crea en lote informando del progreso y de las que fallen.
+ *
+ * @param {boolean} isOpen - Si el modal está abierto
+ * @param {Array} servicios - Servicios (para elegir y conocer su duración)
+ * @param {Array} profesionales - Profesionales a los que asignar las franjas
+ * @param {Function} onClose - Cerrar el modal
+ * @param {Function} onGenerated - Callback tras crear franjas (recargar)
+ */
+const ScheduleTemplateModal = ({
+  isOpen,
+  servicios,
+  profesionales = [],
+  onClose,
+  onGenerated,
+}) => {
+  const hoy = format(new Date(), "yyyy-MM-dd");
+
+  const [plantillas, setPlantillas] = useState([]);
+  const [plantillaId, setPlantillaId] = useState("nueva");
+  const [form, setForm] = useState(plantillaVacia());
+  const [rango, setRango] = useState({
+    desde: hoy,
+    hasta: format(addDays(new Date(), 27), "yyyy-MM-dd"),
+  });
+  const [preview, setPreview] = useState(null);
+  const [progreso, setProgreso] = useState(null);
+  const [resultado, setResultado] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+
+  const seleccionarPlantilla = useCallback(
+    (plantilla) => {
+      setPlantillaId(plantilla ? plantilla.id : "nueva");
+      setForm(
+        plantilla
+          ? {
+              ...plantilla,
+              servicioId: String(plantilla.servicioId),
+              profesionalId: plantilla.profesionalId
+                ? String(plantilla.profesionalId)
+                : "",
+            }
+          : plantillaVacia(String(servicios.find((s) => s.activo)?.id || ""))
+      );
+      setPreview(null);
+      setResultado(null);
+    },
+    [servicios]
+  );
+
+  const loadPlantillas = useCallback(
+    async (seleccionarId) => {
+      try {
+        const data = await adminService.getPlantillasHorario();
+        setPlantillas(data);
+        const seleccionada =
+          data.find((p) => p.id === seleccionarId) || data[0] || null;
+        seleccionarPlantilla(seleccionada);
+      } catch (err) {
+        setError(err.message || "Error al cargar las plantillas");
+      }
+    },
+    [seleccionarPlantilla]
+  );
+
+  /**
+   * Cargar plantillas al abrir
+   */
+  useEffect(() => {
+    if (isOpen) loadPlantillas();
+  }, [isOpen, loadPlantillas]);
+
+  /**
+   * Cualquier cambio invalida la previsualización
+   */
+  const updateForm = (cambios) => {
+    setForm((prev) => ({ ...prev, ...cambios }));
+    setPreview(null);
+  };
+
+  /**
+   * Guardar la plantilla (nueva o existente)
+   */
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      const datos = aPlantilla(form);
+      const guardada =
+        plantillaId === "nueva"
+          ? await adminService.crearPlantillaHorario(datos)
+          : await adminService.actualizarPlantillaHorario(plantillaId, datos);
+      await loadPlantillas(guardada.id);
+    } catch (err) {
+      setError(err.message || "Error al guardar la plantilla");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setError(null);
+      await adminService.eliminarPlantillaHorario(plantillaId);
+      await loadPlantillas();
+    } catch (err) {
+      setError(err.message || "Error al eliminar la plantilla");
+    }
+  };
+
+  const servicio = servicios.find((s) => s.id === parseInt(form.servicioId));
+  const capacitados = profesionales.filter(
+    (p) => p.activo && p.servicioIds.includes(servicio?.id)
+  );
+
+  /**
+   * Calcular las franjas del rango y marcar los conflictos
+   */
+  const handlePreview = async () => {
+    try {
+      setIsLoadingPreview(true);
+      setError(null);
+      setResultado(null);
+
+      if (!servicio) throw new Error("Elige un servicio");
+      if (rango.hasta < rango.desde) {
+        throw new Error("La fecha final es anterior a la inicial");
+      }
+
+      const propuestas = adminService.generarFranjasDesdePlantilla(
+        aPlantilla(form),
+        rango.desde,
+        rango.hasta,
+        servicio.duracionMinutos
+      );
+      const [existentes, cierres] = await Promise.all([
+        adminService.getFranjasPorRango(rango.desde, rango.hasta),
+        adminService.getCierres(rango.desde, rango.hasta),
+      ]);
+      setPreview(
+        adminService.detectarConflictosFranjas(
+          propuestas,
+          existentes,
+          servicio.duracionMinutos,
+          cierres
+        )
+      );
+    } catch (err) {
+      setError(err.message || "Error al calcular las franjas");
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  const nuevas = preview ? preview.filter((f) => !f.conflicto) : [];
+
+  /**
+   * Crear en lote las franjas sin conflicto
+   */
+  const handleGenerate = async () => {
+    setError(null);
+    setProgreso({ procesadas: 0, total: nuevas.length });
+
+    const { creadas, errores } = await adminService.crearFranjasLote(
+      nuevas,
+      setProgreso
+    );
+
+    setProgreso(null);
+    setPreview(null);
+    setResultado({ creadas: creadas.length, errores });
+    if (creadas.length > 0) onGenerated();
+  };
+
+  // Previsualización agrupada por día
+  const porDia = (preview || []).reduce((grupos, franja) => {
+    (grupos[franja.fecha] = grupos[franja.fecha] || []).push(franja);
+    return grupos;
+  }, {});
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={progreso ? () => {} : onClose}
+      title="Generar franjas desde plantilla"
+      size="xl"
+      closeOnOverlay={!progreso}
+      footer={
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="btn-secondary"
+            disabled={!!progreso}
+          >
+            Cerrar
+          </button>
+          <LoadingButton
+            onClick={handleGenerate}
+            loading={!!progreso}
+            disabled={!!progreso || nuevas.length === 0}
+          >
+            {nuevas.length > 0
+              ? `Generar ${nuevas.length} franjas`
+              : "Generar franjas"}
+          </LoadingButton>
+        </div>
+      }
+    >
+      <div className="space-y-6">
+        {error && <InlineAlert type="error" message={error} />}
+
+        {/* Plantilla */}
+        <section className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Plantilla</label>
+            <select
+              value={plantillaId}
+              onChange={(e) =>
+                seleccionarPlantilla(
+                  plantillas.find((p) => p.id === parseInt(e.target.value))
+                )
+              }
+              className="form-input"
+            >
+              {plantillas.map((plantilla) => (
+                <option key={plantilla.id} value={plantilla.id}>
+                  {plantilla.nombre}
+                </option>
+              ))}
+              <option value="nueva">+ Nueva plantilla</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Nombre *</label>
+            <input
+              type="text"
+              value={form.nombre}
+              onChange={(e) => updateForm({ nombre: e.target.value })}
+              placeholder="Horario de invierno"
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">Servicio *</label>
+            <select
+              value={form.servicioId}
+              onChange={(e) =>
+                updateForm({ servicioId: e.target.value, profesionalId: "" })
+              }
+              className="form-input"
+            >
+              <option value="">Seleccionar servicio...</option>
+              {servicios
+                .filter((s) => s.activo)
+                .map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.nombre} ({s.duracionMinutos} min)
+                  </option>
+                ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Profesional</label>
+            <select
+              value={form.profesionalId}
+              onChange={(e) => updateForm({ profesionalId: e.target.value })}
+              className="form-input"
+              disabled={!servicio}
+            >
+              <option value="">Sin asignar</option>
+              {capacitados.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.nombre}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Cada (min) *</label>
+              <input
+                type="number"
+                min="5"
+                step="5"
+                value={form.intervaloMinutos}
+                onChange={(e) =>
+                  updateForm({ intervaloMinutos: e.target.value })
+                }
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Plazas *</label>
+              <input
+                type="number"
+                min="1"
+                value={form.plazas}
+                onChange={(e) => updateForm({ plazas: e.target.value })}
+                className="form-input"
+              />
+            </div>
+          </div>
+        </section>
+
+        {/* Horario semanal */}
+        <section>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">
+            Horario de apertura
+          </h3>
+          <WeeklyHoursEditor
+            horario={form.horario}
+            onChange={(horario) => updateForm({ horario })}
+          />
+          <div className="mt-3 flex justify-end gap-2">
+            {plantillaId !== "nueva" && (
+              <button
+                onClick={handleDelete}
+                className="text-sm px-3 py-1.5 text-red-600 hover:bg-red-50 rounded-lg flex items-center gap-1"
+              >
+                <Trash2 className="w-4 h-4" />
+                Eliminar plantilla
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="btn-secondary text-sm flex items-center gap-1"
+            >
+              <Save className="w-4 h-4" />
+              {isSaving ? "Guardando..." : "Guardar plantilla"}
+            </button>
+          </div>
+        </section>
+
+        {/* Rango y previsualización */}
+        <section className="border-t pt-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="form-label">Desde</label>
+              <input
+                type="date"
+                value={rango.desde}
+                min={hoy}
+                onChange={(e) => {
+                  setRango({ ...rango, desde: e.target.value });
+                  setPreview(null);
+                }}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Hasta</label>
+              <input
+                type="date"
+                value={rango.hasta}
+                min={rango.desde}
+                onChange={(e) => {
+                  setRango({ ...rango, hasta: e.target.value });
+                  setPreview(null);
+                }}
+                className="form-input"
+              />
+            </div>
+            <button
+              onClick={handlePreview}
+              disabled={isLoadingPreview || !!progreso}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <Eye className="w-4 h-4" />
+              {isLoadingPreview ? "Calculando..." : "Previsualizar"}
+            </button>
+          </div>
+
+          {/* Progreso del lote */}
+          {progreso && (
+            <div className="mt-4">
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>Creando franjas...</span>
+                <span>
+                  {progreso.procesadas} / {progreso.total}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-beauty-500 transition-all"
+                  style={{
+                    width: `${(progreso.procesadas / progreso.total) * 100}%`,
+                  }}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Resultado */}
+          {resultado && (
+            <div className="mt-4 space-y-2">
+              <InlineAlert
+                type={resultado.errores.length > 0 ? "warning" : "success"}
+                message={`${resultado.creadas} franjas creadas${
+                  resultado.errores.length > 0
+                    ? `, ${resultado.errores.length} no se pudieron crear`
+                    : ""
+                }`}
+              />
+              {resultado.errores.length > 0 && (
+                <ul className="text-sm text-gray-700 max-h-40 overflow-y-auto border rounded-lg divide-y">
+                  {resultado.errores.map(({ franja, motivo }, index) => (
+                    <li key={index} className="px-3 py-1.5 flex gap-2">
+                      <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+                      <span>
+                        {format(parseISO(franja.fecha), "dd/MM/yyyy")}{" "}
+                        {franja.horaInicio.slice(0, 5)} · {motivo}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Previsualización */}
+          {preview && !progreso && (
+            <div className="mt-4">
+              <p className="text-sm text-gray-600 mb-2">
+                <span className="font-semibold text-gray-900">
+                  {nuevas.length}
+                </span>{" "}
+                franjas nuevas
+                {preview.length > nuevas.length && (
+                  <>
+                    {" · "}
+                    <span className="font-semibold text-red-600">
+                      {preview.length - nuevas.length}
+                    </span>{" "}
+                    con conflicto (no se crearán)
+                  </>
+                )}
+              </p>
+              {preview.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  La plantilla no genera franjas en estas fechas
+                </p>
+              ) : (
+                <div className="max-h-72 overflow-y-auto border rounded-lg divide-y">
+                  {Object.entries(porDia).map(([fecha, franjas]) => (
+                    <div key={fecha} className="flex gap-3 px-3 py-2">
+                      <span className="w-28 flex-shrink-0 text-sm font-medium text-gray-700 capitalize">
+                        {format(parseISO(fecha), "EEE d MMM", { locale: es })}
+                      </span>
+                      <div className="flex flex-wrap gap-1">
+                        {franjas.map((franja) => (
+                          <span
+                            key={franja.horaInicio}
+                            title={franja.conflicto || "Se creará"}
+                            className={`px-2 py-0.5 rounded border text-xs ${
+                              franja.conflicto
+                                ? "bg-red-50 text-red-600 border-red-200 line-through"
+                                : "bg-green-50 text-green-700 border-green-200"
+                            }`}
+                          >
+                            {franja.horaInicio.slice(0, 5)}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+      </div>
+    </Modal>
+  );
+};
+
+export default ScheduleTemplateModal;
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { ImagePlus, Star, Trash2 } from "lucide-react";
+import adminService from "../../services/adminService";
+import { leerImagen, TIPOS_IMAGEN } from "../../utils/imagenes";
+import { InlineAlert } from "../common/Alert";
+import ImageCropModal from "./ImageCropModal";
+
+// Mismo límite que valida el backend
+const MAX_IMAGENES = 4;
+
+/**
+ * ServiceGalleryEditor Component
+ *
+ * Galería de un servicio en el formulario de administración. La primera
+ * imagen es la portada (la que se ve en el catálogo); cada foto nueva pasa
+ * por el recorte y se sube antes de añadirse, así el servicio solo guarda
+ * las URLs.
+ *
+ * @param {Array<string>} imagenes - URLs de la galería
+ * @param {Function} onChange - Callback con la galería actualizada
+ */
+const ServiceGalleryEditor = ({ imagenes, onChange }) => {
+  const [recortando, setRecortando] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleArchivo = async (e) => {
+    const archivo = e.target.files[0];
+    e.target.value = "";
+    if (!archivo) return;
+    try {
+      setError("");
+      setRecortando(await leerImagen(archivo));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRecorte = async (recorte) => {
+    try {
+      setError("");
+      const url = await adminService.subirImagenServicio(recorte);
+      onChange([...imagenes, url]);
+    } catch (err) {
+      setError(err.message || "No se ha podido subir la imagen");
+    } finally {
+      setRecortando(null);
+    }
+  };
+
+  const hacerPortada = (index) =>
+    onChange([imagenes[index], ...imagenes.filter((_, i) => i !== index)]);
+
+  return (
+    <div className="space-y-3">
+      {error && <InlineAlert type="error" message={error} />}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {imagenes.map((imagen, index) => (
+          <div
+            key={index}
+            className="relative group rounded-lg overflow-hidden border aspect-[4/3]"
+          >
+            <img src={imagen} alt="" className="w-full h-full object-cover" />
+            {index === 0 && (
+              <span className="absolute top-1 left-1 badge badge-info">
+                Portada
+              </span>
+            )}
+            <div className="absolute bottom-1 right-1 flex gap-1">
+              {index > 0 && (
+                <button
+                  type="button"
+                  onClick={() => hacerPortada(index)}
+                  className="p-1 bg-white/90 rounded hover:bg-white"
+                  title="Usar como portada"
+                >
+                  <Star className="w-4 h-4 text-gray-700" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onChange(imagenes.filter((_, i) => i !== index))}
+                className="p-1 bg-white/90 rounded hover:bg-white"
+                title="Quitar imagen"
+              >
+                <Trash2 className="w-4 h-4 text-red-600" />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {imagenes.length < MAX_IMAGENES && (
+          <label className="aspect-[4/3] border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center gap-1 text-sm text-gray-500 cursor-pointer hover:border-beauty-400 hover:text-beauty-600">
+            <ImagePlus className="w-6 h-6" />
+            Añadir imagen
+            <input
+              type="file"
+              accept={TIPOS_IMAGEN.join(",")}
+              onChange={handleArchivo}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Hasta {MAX_IMAGENES} imágenes. La primera es la portada del catálogo.
+      </p>
+
+      {recortando && (
+        <ImageCropModal
+          imagen={recortando}
+          onConfirm={handleRecorte}
+          onClose={() => setRecortando(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ServiceGalleryEditor;
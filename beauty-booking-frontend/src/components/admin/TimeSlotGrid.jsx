@@ -0,0 +1,361 @@
+import React, { useState, useEffect } from "react";
+import { format, isBefore, isToday, startOfDay } from "date-fns";
+import { es } from "date-fns/locale";
+import { getInitials } from "../../utils/helpers";
+
+// Colores de ocupación de una franja (o de un día entero en la vista mes)
+const OCUPACION_STYLES = {
+  libre: "bg-green-50 text-green-800 border-green-300",
+  parcial: "bg-yellow-50 text-yellow-800 border-yellow-300",
+  completa: "bg-red-50 text-red-700 border-red-300",
+};
+
+/**
+ * Nivel de ocupación a partir de las plazas libres
+ * @returns {string} libre, parcial o completa
+ */
+const getOcupacion = (plazasDisponibles, plazasTotales) => {
+  if (plazasDisponibles <= 0) return "completa";
+  if (plazasDisponibles < plazasTotales) return "parcial";
+  return "libre";
+};
+
+// Una franja con reservas no cambia de día ni de servicio (igual que al
+// editarla desde el formulario)
+const tieneReservas = (franja) =>
+  franja.plazasDisponibles < franja.plazasTotales;
+
+/**
+ * TimeSlotGrid Component
+ *
+ * Rejilla de franjas con una fila por servicio y una columna por día.
+ * - Semana: cada celda lista sus franjas, que se pueden arrastrar a otro
+ *   día o servicio
+ * - Mes: cada celda resume las franjas del día y su ocupación
+ * En ambas vistas, arrastrar sobre las celdas vacías de una fila
+ * selecciona varios días para crear franjas en todos ellos. Los días
+ * cerrados (cierres de día completo) no admiten franjas nuevas.
+ *
+ * @param {string} vista - "semana" o "mes"
+ * @param {Date[]} dias - Días de las columnas
+ * @param {Array} servicios - Servicios de las filas
+ * @param {Array} franjas - Franjas del rango visible
+ * @param {Array} cierres - Cierres y festivos del rango visible
+ * @param {Function} onCreate - Callback (servicio, fechas[]) al soltar una selección
+ * @param {Function} onMove - Callback (franja, servicioId, fecha) al soltar una franja
+ * @param {Function} onEdit - Callback con la franja pulsada
+ * @param {Function} onSelectDay - Callback con el día cuya cabecera se pulsa
+ */
+const TimeSlotGrid = ({
+  vista,
+  dias,
+  servicios,
+  franjas,
+  cierres = [],
+  onCreate,
+  onMove,
+  onEdit,
+  onSelectDay,
+}) => {
+  // Selección en curso: { servicioId, inicio, fin } (índices de columna)
+  const [seleccion, setSeleccion] = useState(null);
+  // Celda sobre la que se arrastra una franja: "servicioId|fecha"
+  const [destino, setDestino] = useState(null);
+
+  const today = startOfDay(new Date());
+  const fechas = dias.map((dia) => format(dia, "yyyy-MM-dd"));
+  const esPasado = (index) => isBefore(dias[index], today);
+
+  // Cierres de una celda: los de todo el salón y los de su servicio
+  const cierresDe = (servicioId, fecha) =>
+    cierres.filter(
+      (c) =>
+        fecha >= c.fechaInicio &&
+        fecha <= c.fechaFin &&
+        (c.servicioId == null || c.servicioId === servicioId)
+    );
+  const estaCerrada = (servicioId, index) =>
+    cierresDe(servicioId, fechas[index]).some((c) => !c.desde);
+
+  // Franjas agrupadas por celda
+  const porCelda = {};
+  franjas.forEach((franja) => {
+    const clave = `${franja.servicioId}|${franja.fecha}`;
+    (porCelda[clave] = porCelda[clave] || []).push(franja);
+  });
+  Object.values(porCelda).forEach((lista) =>
+    lista.sort((a, b) => a.horaInicio.localeCompare(b.horaInicio))
+  );
+
+  /**
+   * Al soltar el ratón (aunque sea fuera de la rejilla) se crea la selección
+   */
+  useEffect(() => {
+    if (!seleccion) return;
+
+    const handleMouseUp = () => {
+      const servicio = servicios.find((s) => s.id === seleccion.servicioId);
+      const desde = Math.min(seleccion.inicio, seleccion.fin);
+      const hasta = Math.max(seleccion.inicio, seleccion.fin);
+      setSeleccion(null);
+      onCreate(
+        servicio,
+        fechas
+          .slice(desde, hasta + 1)
+          .filter(
+            (_, i) =>
+              !esPasado(desde + i) &&
+              !estaCerrada(seleccion.servicioId, desde + i)
+          )
+      );
+    };
+
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => window.removeEventListener("mouseup", handleMouseUp);
+  });
+
+  const estaSeleccionada = (servicioId, index) =>
+    seleccion?.servicioId === servicioId &&
+    index >= Math.min(seleccion.inicio, seleccion.fin) &&
+    index <= Math.max(seleccion.inicio, seleccion.fin);
+
+  /**
+   * Soltar una franja en otra celda
+   */
+  const handleDrop = (e, servicioId, fecha) => {
+    e.preventDefault();
+    setDestino(null);
+    const franja = franjas.find(
+      (f) => String(f.id) === e.dataTransfer.getData("text/plain")
+    );
+    if (
+      franja &&
+      (franja.servicioId !== servicioId || franja.fecha !== fecha)
+    ) {
+      onMove(franja, servicioId, fecha);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-x-auto select-none">
+      <table className="w-full border-collapse table-fixed">
+        <thead>
+          <tr className="bg-gray-50">
+            <th className="w-40 px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase border-b">
+              Servicio
+            </th>
+            {dias.map((dia) => (
+              <th
+                key={dia.toISOString()}
+                className={`px-1 py-2 border-b border-l text-xs font-medium ${
+                  vista === "mes" ? "w-9" : "w-32"
+                } ${isToday(dia) ? "text-beauty-600" : "text-gray-500"}`}
+              >
+                <button
+                  onClick={() => onSelectDay(dia)}
+                  className="w-full hover:text-beauty-700"
+                  title="Ver el día"
+                >
+                  <span className="block capitalize">
+                    {format(dia, vista === "mes" ? "EEEEE" : "EEE", {
+                      locale: es,
+                    })}
+                  </span>
+                  <span className="block text-sm font-bold">
+                    {format(dia, "d")}
+                  </span>
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {servicios.map((servicio) => (
+            <tr key={servicio.id}>
+              <td className="px-3 py-2 border-b text-sm font-medium text-gray-900 truncate">
+                {servicio.nombre}
+              </td>
+              {fechas.map((fecha, index) => {
+                const clave = `${servicio.id}|${fecha}`;
+                const lista = porCelda[clave] || [];
+                const pasado = esPasado(index);
+                const cierresCelda = cierresDe(servicio.id, fecha);
+                const cerrada = cierresCelda.some((c) => !c.desde);
+
+                return (
+                  <td
+                    key={fecha}
+                    title={
+                      cierresCelda.map(describirCierre).join("\n") || undefined
+                    }
+                    onMouseDown={(e) => {
+                      if (pasado || cerrada || e.button !== 0) return;
+                      setSeleccion({
+                        servicioId: servicio.id,
+                        inicio: index,
+                        fin: index,
+                      });
+                    }}
+                    onMouseEnter={() => {
+                      if (seleccion?.servicioId === servicio.id) {
+                        setSeleccion({ ...seleccion, fin: index });
+                      }
+                    }}
+                    onDragOver={(e) => {
+                      if (pasado || cerrada) return;
+                      e.preventDefault();
+                      setDestino(clave);
+                    }}
+                    onDragLeave={(e) => {
+                      if (!e.currentTarget.contains(e.relatedTarget)) {
+                        setDestino(null);
+                      }
+                    }}
+                    onDrop={(e) => handleDrop(e, servicio.id, fecha)}
+                    className={`border-b border-l align-top p-1 ${
+                      vista === "mes" ? "h-12" : "h-24"
+                    } ${
+                      pasado
+                        ? "bg-gray-50"
+                        : cerrada
+                        ? "bg-gray-100"
+                        : estaSeleccionada(servicio.id, index)
+                        ? "bg-beauty-100"
+                        : destino === clave
+                        ? "bg-blue-50 ring-2 ring-inset ring-blue-300"
+                        : "cursor-crosshair hover:bg-gray-50"
+                    }`}
+                  >
+                    {vista === "mes" ? (
+                      <ResumenDia franjas={lista} cerrada={cerrada} />
+                    ) : (
+                      <div className="space-y-1">
+                        {cierresCelda.map((cierre) => (
+                          <div
+                            key={cierre.id}
+                            className="px-1.5 py-0.5 rounded bg-gray-200 text-gray-700 text-xs truncate"
+                          >
+                            {cierre.desde
+                              ? `Cerrado ${cierre.desde} - ${cierre.hasta}`
+                              : cierre.motivo}
+                          </div>
+                        ))}
+                        {lista.map((franja) => (
+                          <FranjaChip
+                            key={franja.id}
+                            franja={franja}
+                            movible={!pasado && !tieneReservas(franja)}
+                            onEdit={() => onEdit(franja)}
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Leyenda */}
+      <div className="px-4 py-3 border-t flex flex-wrap gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded border bg-green-50 border-green-300" />
+          Libre
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded border bg-yellow-50 border-yellow-300" />
+          Con reservas
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded border bg-red-50 border-red-300" />
+          Completa
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded border bg-gray-100 border-gray-300" />
+          Cerrado
+        </span>
+        <span className="ml-auto text-gray-500">
+          Arrastra sobre una fila para crear franjas
+          {vista === "semana" && " · arrastra una franja para moverla"}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Texto de un cierre para el título de la celda
+ */
+const describirCierre = (cierre) =>
+  cierre.desde
+    ? `${cierre.motivo} (cerrado de ${cierre.desde} a ${cierre.hasta})`
+    : `${cierre.motivo} (cerrado)`;
+
+/**
+ * Franja de la vista semana (arrastrable si no tiene reservas), con las
+ * iniciales de su profesional si lo tiene
+ */
+const FranjaChip = ({ franja, movible, onEdit }) => {
+  const horas = `${franja.horaInicio} - ${franja.horaFin}${
+    franja.profesionalNombre ? ` · ${franja.profesionalNombre}` : ""
+  }`;
+
+  return (
+    <button
+      draggable={movible}
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", String(franja.id));
+        e.dataTransfer.effectAllowed = "move";
+      }}
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={onEdit}
+      title={movible ? `${horas} · arrastra para mover` : horas}
+      className={`w-full px-1.5 py-0.5 rounded border text-xs text-left ${
+        OCUPACION_STYLES[
+          getOcupacion(franja.plazasDisponibles, franja.plazasTotales)
+        ]
+      } ${movible ? "cursor-grab" : "cursor-pointer"}`}
+    >
+      <span className="font-semibold">{franja.horaInicio.substring(0, 5)}</span>{" "}
+      <span className="opacity-75">
+        {franja.plazasDisponibles}/{franja.plazasTotales}
+      </span>
+      {franja.profesionalNombre && (
+        <span className="float-right font-semibold opacity-75">
+          {getInitials(franja.profesionalNombre)}
+        </span>
+      )}
+    </button>
+  );
+};
+
+/**
+ * Resumen de un día en la vista mes: número de franjas y ocupación total
+ */
+const ResumenDia = ({ franjas, cerrada }) => {
+  if (franjas.length === 0) {
+    return cerrada ? (
+      <div className="h-full flex items-center justify-center text-xs text-gray-400">
+        ✕
+      </div>
+    ) : null;
+  }
+
+  const libres = franjas.reduce((total, f) => total + f.plazasDisponibles, 0);
+  const totales = franjas.reduce((total, f) => total + f.plazasTotales, 0);
+
+  return (
+    <div
+      className={`h-full rounded border text-xs font-semibold flex items-center justify-center ${
+        OCUPACION_STYLES[getOcupacion(libres, totales)]
+      }`}
+      title={`${franjas.length} franjas · ${libres}/${totales} plazas libres`}
+    >
+      {franjas.length}
+    </div>
+  );
+};
+
+export default TimeSlotGrid;
@@ -0,0 +1,131 @@
+import React from "react";
+import { Plus, Trash2, Copy } from "lucide-react";
+
+// Días en el orden del formulario (getDay: 0 = domingo)
+const DIAS_SEMANA = [
+  { value: 1, label: "Lunes" },
+  { value: 2, label: "Martes" },
+  { value: 3, label: "Miércoles" },
+  { value: 4, label: "Jueves" },
+  { value: 5, label: "Viernes" },
+  { value: 6, label: "Sábado" },
+  { value: 0, label: "Domingo" },
+];
+
+// Tramo que se añade al pulsar "+" en un día sin tramos
+const TRAMO_POR_DEFECTO = { desde: "10:00", hasta: "14:00" };
+
+/**
+ * WeeklyHoursEditor Component
+ *
+ * Editor de un horario semanal: tramos "desde - hasta" por día, con
+ * botones para añadir, quitar y copiar los tramos de un día al resto.
+ * Lo usan las plantillas de horario y el horario de los profesionales.
+ *
+ * @param {Object} horario - { [díaSemana 0-6]: [{ desde, hasta }] }
+ * @param {Function} onChange - Callback con el horario completo actualizado
+ * @param {string} sinTramos - Texto de los días sin tramos
+ */
+const WeeklyHoursEditor = ({ horario, onChange, sinTramos = "Cerrado" }) => {
+  const setTramos = (dia, tramos) => onChange({ ...horario, [dia]: tramos });
+
+  const updateTramo = (dia, index, campo, valor) =>
+    setTramos(
+      dia,
+      (horario[dia] || []).map((tramo, i) =>
+        i === index ? { ...tramo, [campo]: valor } : tramo
+      )
+    );
+
+  /**
+   * Copiar los tramos de un día al resto de la semana
+   */
+  const copiarATodos = (dia) => {
+    const tramos = horario[dia] || [];
+    onChange(
+      Object.fromEntries(
+        DIAS_SEMANA.map(({ value }) => [value, tramos.map((t) => ({ ...t }))])
+      )
+    );
+  };
+
+  return (
+    <div className="border rounded-lg divide-y">
+      {DIAS_SEMANA.map(({ value, label }) => {
+        const tramos = horario[value] || [];
+        return (
+          <div
+            key={value}
+            className="flex flex-wrap items-center gap-2 px-3 py-2"
+          >
+            <span className="w-24 text-sm font-medium text-gray-700">
+              {label}
+            </span>
+            {tramos.length === 0 && (
+              <span className="text-sm text-gray-400">{sinTramos}</span>
+            )}
+            {tramos.map((tramo, index) => (
+              <span
+                key={index}
+                className="flex items-center gap-1 bg-gray-50 rounded px-2 py-1"
+              >
+                <input
+                  type="time"
+                  value={tramo.desde}
+                  onChange={(e) =>
+                    updateTramo(value, index, "desde", e.target.value)
+                  }
+                  className="text-sm bg-transparent border-none p-0"
+                />
+                -
+                <input
+                  type="time"
+                  value={tramo.hasta}
+                  onChange={(e) =>
+                    updateTramo(value, index, "hasta", e.target.value)
+                  }
+                  className="text-sm bg-transparent border-none p-0"
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    setTramos(
+                      value,
+                      tramos.filter((_, i) => i !== index)
+                    )
+                  }
+                  className="p-0.5 hover:bg-gray-200 rounded"
+                  title="Quitar tramo"
+                >
+                  <Trash2 className="w-3 h-3 text-gray-500" />
+                </button>
+              </span>
+            ))}
+            <div className="ml-auto flex gap-1">
+              <button
+                type="button"
+                onClick={() =>
+                  setTramos(value, [...tramos, { ...TRAMO_POR_DEFECTO }])
+                }
+                className="p-1 hover:bg-gray-100 rounded"
+                title="Añadir tramo"
+              >
+                <Plus className="w-4 h-4 text-gray-600" />
+              </button>
+              <button
+                type="button"
+                onClick={() => copiarATodos(value)}
+                className="p-1 hover:bg-gray-100 rounded"
+                title="Copiar a todos los días"
+              >
+                <Copy className="w-4 h-4 text-gray-600" />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WeeklyHoursEditor;
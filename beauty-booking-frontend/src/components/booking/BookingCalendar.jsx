@@ -0,0 +1,180 @@
+import React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import {
+  format,
+  startOfMonth,
+  endOfMonth,
+  startOfDay,
+  eachDayOfInterval,
+  isSameDay,
+  isBefore,
+  isToday,
+  getDay,
+} from "date-fns";
+import { es } from "date-fns/locale";
+import bookingService from "../../services/bookingService";
+import { LoadingSpinner } from "../common/Loading";
+
+// Estilos de cada día del calendario según su nivel de disponibilidad
+const NIVEL_STYLES = {
+  muchas: "bg-green-50 text-green-700 hover:bg-green-100 cursor-pointer",
+  pocas: "bg-yellow-50 text-yellow-700 hover:bg-yellow-100 cursor-pointer",
+  completo: "bg-red-50 text-red-400 line-through cursor-not-allowed",
+  "sin-franjas": "text-gray-300 cursor-not-allowed",
+};
+
+// Día completo que se puede abrir para apuntarse a la lista de espera
+const COMPLETO_CON_ESPERA_STYLE =
+  "bg-red-50 text-red-500 hover:bg-red-100 cursor-pointer";
+
+/**
+ * BookingCalendar Component
+ *
+ * Calendario mensual de reserva: colorea cada día según las franjas
+ * libres que le quedan y solo deja elegir días con hueco.
+ * Se usa en la página de reserva y al cambiar la fecha de una cita.
+ *
+ * @param {Date} currentMonth - Mes visible
+ * @param {Date} selectedDate - Día seleccionado
+ * @param {Object} disponibilidad - Mapa de bookingService.getDisponibilidadMensual
+ * @param {boolean} loading - Disponibilidad del mes cargando
+ * @param {Function} onDateSelect - Callback al elegir día
+ * @param {Function} onMonthChange - Callback con +1 / -1 al cambiar de mes
+ * @param {boolean} allowFull - Permite elegir días completos (lista de espera)
+ */
+const BookingCalendar = ({
+  currentMonth,
+  selectedDate,
+  disponibilidad,
+  loading,
+  onDateSelect,
+  onMonthChange,
+  allowFull = false,
+}) => {
+  const monthStart = startOfMonth(currentMonth);
+  const monthEnd = endOfMonth(currentMonth);
+  const monthDays = eachDayOfInterval({ start: monthStart, end: monthEnd });
+
+  // Hueco inicial: la semana empieza en lunes (getDay devuelve 0 = domingo)
+  const startPadding = (getDay(monthStart) + 6) % 7;
+  const paddingDays = Array(startPadding).fill(null);
+
+  const today = startOfDay(new Date());
+
+  return (
+    <div>
+      {/* Header del calendario */}
+      <div className="flex items-center justify-between mb-4">
+        <button
+          onClick={() => onMonthChange(-1)}
+          className="p-2 hover:bg-gray-100 rounded-lg"
+          disabled={isSameDay(monthStart, startOfMonth(today))}
+        >
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-lg font-semibold capitalize flex items-center gap-2">
+          {format(currentMonth, "MMMM yyyy", { locale: es })}
+          {loading && <LoadingSpinner size="small" />}
+        </h3>
+
+        <button
+          onClick={() => onMonthChange(1)}
+          className="p-2 hover:bg-gray-100 rounded-lg"
+        >
+          <ChevronRight className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Días de la semana */}
+      <div className="grid grid-cols-7 mb-2">
+        {["L", "M", "X", "J", "V", "S", "D"].map((day) => (
+          <div
+            key={day}
+            className="text-center text-sm font-medium text-gray-600 py-2"
+          >
+            {day}
+          </div>
+        ))}
+      </div>
+
+      {/* Días del mes */}
+      <div className="grid grid-cols-7 gap-1">
+        {/* Padding inicial */}
+        {paddingDays.map((_, index) => (
+          <div key={`pad-${index}`} />
+        ))}
+
+        {/* Días reales */}
+        {monthDays.map((day) => {
+          const dateStr = format(day, "yyyy-MM-dd");
+          const dia = disponibilidad[dateStr];
+          const nivel = isBefore(day, today)
+            ? "sin-franjas"
+            : bookingService.getNivelDisponibilidad(dia);
+          const isSelectable =
+            !loading &&
+            (nivel === "muchas" ||
+              nivel === "pocas" ||
+              (allowFull && nivel === "completo"));
+          const isSelected = selectedDate && isSameDay(day, selectedDate);
+          const isCurrentDay = isToday(day);
+
+          return (
+            <button
+              key={dateStr}
+              onClick={() => isSelectable && onDateSelect(day)}
+              disabled={!isSelectable}
+              title={
+                dia && nivel !== "sin-franjas"
+                  ? `${dia.franjasLibres} de ${dia.franjasTotales} horarios libres`
+                  : undefined
+              }
+              className={`
+                p-2 rounded-lg text-sm font-medium transition-all
+                ${
+                  isSelected
+                    ? "bg-beauty-500 text-white"
+                    : loading
+                    ? "text-gray-400"
+                    : allowFull && nivel === "completo"
+                    ? COMPLETO_CON_ESPERA_STYLE
+                    : NIVEL_STYLES[nivel]
+                }
+                ${isCurrentDay && !isSelected ? "ring-2 ring-beauty-300" : ""}
+              `}
+            >
+              {format(day, "d")}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Leyenda */}
+      <div className="mt-4 flex flex-wrap gap-4 text-xs">
+        <div className="flex items-center gap-1">
+          <div className="w-4 h-4 bg-green-50 border border-green-200 rounded"></div>
+          <span>Disponible</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-4 h-4 bg-yellow-50 border border-yellow-200 rounded"></div>
+          <span>Últimos huecos</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-4 h-4 bg-red-50 border border-red-200 rounded"></div>
+          <span>{allowFull ? "Completo (lista de espera)" : "Completo"}</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-4 h-4 bg-gray-100 rounded"></div>
+          <span>Sin citas</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <div className="w-4 h-4 bg-beauty-500 rounded"></div>
+          <span>Seleccionado</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingCalendar;
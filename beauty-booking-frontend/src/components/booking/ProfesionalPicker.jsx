@@ -0,0 +1,59 @@
+import React from "react";
+import { Users } from "lucide-react";
+import { getInitials } from "../../utils/helpers";
+
+/**
+ * ProfesionalPicker Component
+ *
+ * Paso opcional de la reserva: elegir quién realiza el servicio.
+ * "Cualquiera" (por defecto) muestra todas las horas libres del servicio
+ * sin importar el profesional.
+ *
+ * @param {Array} profesionales - Profesionales del servicio ({ id, nombre, foto })
+ * @param {number|null} selectedId - Profesional elegido (null = cualquiera)
+ * @param {Function} onSelect - Callback con el id elegido (o null)
+ */
+const ProfesionalPicker = ({ profesionales, selectedId, onSelect }) => {
+  const opciones = [{ id: null, nombre: "Cualquiera" }, ...profesionales];
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      {opciones.map((profesional) => {
+        const seleccionado = profesional.id === selectedId;
+        return (
+          <button
+            key={profesional.id ?? "cualquiera"}
+            type="button"
+            onClick={() => onSelect(profesional.id)}
+            className={`p-3 rounded-lg border-2 flex flex-col items-center gap-2 transition-colors ${
+              seleccionado
+                ? "border-beauty-500 bg-beauty-50"
+                : "border-gray-200 hover:border-beauty-300"
+            }`}
+          >
+            {profesional.foto ? (
+              <img
+                src={profesional.foto}
+                alt=""
+                className="w-12 h-12 rounded-full object-cover"
+              />
+            ) : (
+              <span className="w-12 h-12 rounded-full bg-beauty-100 text-beauty-700 font-semibold flex items-center justify-center">
+                {profesional.id ? (
+                  getInitials(profesional.nombre)
+                ) : (
+                  <Users className="w-5 h-5" />
+                )}
+              </span>
+            )}
+            <span className="text-sm font-medium text-gray-900 text-center">
+              {profesional.nombre}
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ProfesionalPicker;
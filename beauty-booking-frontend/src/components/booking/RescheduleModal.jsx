@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from "react";
+import { ArrowRight } from "lucide-react";
+import { format, addMonths, startOfMonth, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import bookingService from "../../services/bookingService";
+import { useDisponibilidadMensual } from "../../hooks";
+import Modal from "../common/Modal";
+import Loading from "../common/Loading";
+import { InlineAlert } from "../common/Alert";
+import BookingCalendar from "./BookingCalendar";
+import TimeSlotPicker from "./TimeSlotPicker";
+
+/**
+ * RescheduleModal Component
+ *
+ * Cambio de fecha de una reserva con el mismo calendario y selector de
+ * horarios que la página de reserva. El cambio es atómico: la cita
+ * original no se pierde hasta que la nueva franja queda reservada.
+ *
+ * @param {Object} reserva - Reserva a cambiar (null = cerrado)
+ * @param {Function} onClose - Cerrar sin cambios
+ * @param {Function} onRescheduled - Callback con la reserva actualizada
+ */
+const RescheduleModal = ({ reserva, onClose, onRescheduled }) => {
+  const [servicio, setServicio] = useState(null);
+  const [currentMonth, setCurrentMonth] = useState(() =>
+    parseISO(reserva.fecha)
+  );
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [franjas, setFranjas] = useState({ manana: [], tarde: [] });
+  const [selectedFranja, setSelectedFranja] = useState(null);
+  const [loadingFranjas, setLoadingFranjas] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const { disponibilidad, loading: loadingDisponibilidad } =
+    useDisponibilidadMensual(servicio?.id, currentMonth);
+
+  /**
+   * Cargar el servicio (duración y aforo para el selector de horarios)
+   */
+  useEffect(() => {
+    bookingService
+      .getServicioById(reserva.servicioId)
+      .then(setServicio)
+      .catch(() => setError("No se ha podido cargar el servicio"));
+  }, [reserva.servicioId]);
+
+  /**
+   * Cargar franjas del día elegido
+   */
+  const handleDateSelect = async (date) => {
+    if (!bookingService.esFechaValida(date)) {
+      setError("Esta fecha no está disponible para reservas");
+      return;
+    }
+
+    setSelectedDate(date);
+    setSelectedFranja(null);
+    setError("");
+
+    try {
+      setLoadingFranjas(true);
+      const data = await bookingService.getFranjasDisponibles(
+        reserva.servicioId,
+        format(date, "yyyy-MM-dd")
+      );
+      setFranjas(bookingService.agruparFranjasPorPeriodo(data));
+    } catch (err) {
+      console.error("Error cargando franjas:", err);
+      setError("Error al cargar los horarios disponibles.");
+      setFranjas({ manana: [], tarde: [] });
+    } finally {
+      setLoadingFranjas(false);
+    }
+  };
+
+  /**
+   * Confirmar el cambio
+   */
+  const handleConfirm = async () => {
+    try {
+      setSaving(true);
+      setError("");
+      const actualizada = await bookingService.reprogramarReserva(
+        reserva,
+        selectedFranja.id
+      );
+      onRescheduled(actualizada);
+    } catch (err) {
+      // Si la franja se ha llenado mientras tanto, refrescamos el día
+      if (err.status === 409 && selectedDate) {
+        handleDateSelect(selectedDate);
+      }
+      setError(err.message || "No se ha podido cambiar la fecha");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatFechaHora = (fecha, hora) =>
+    `${format(parseISO(fecha), "EEE d MMM", {
+      locale: es,
+    })}, ${bookingService.formatearHora(hora)}`;
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Cambiar fecha · ${reserva.servicioNombre}`}
+      size="xl"
+      footer={
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          {/* Resumen del cambio */}
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <span className="line-through text-gray-400">
+              {formatFechaHora(reserva.fecha, reserva.horaInicio)}
+            </span>
+            {selectedFranja && (
+              <>
+                <ArrowRight className="w-4 h-4" />
+                <span className="font-semibold text-beauty-600">
+                  {formatFechaHora(
+                    selectedFranja.fecha || format(selectedDate, "yyyy-MM-dd"),
+                    selectedFranja.horaInicio
+                  )}
+                </span>
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button onClick={onClose} className="btn-secondary">
+              Cancelar
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={!selectedFranja || saving}
+              className="btn-primary"
+            >
+              {saving ? "Cambiando..." : "Confirmar cambio"}
+            </button>
+          </div>
+        </div>
+      }
+    >
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      {!servicio ? (
+        <Loading message="Cargando calendario..." />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <BookingCalendar
+            currentMonth={currentMonth}
+            selectedDate={selectedDate}
+            disponibilidad={disponibilidad}
+            loading={loadingDisponibilidad}
+            onDateSelect={handleDateSelect}
+            onMonthChange={(increment) =>
+              setCurrentMonth(startOfMonth(addMonths(currentMonth, increment)))
+            }
+          />
+
+          <div>
+            {!selectedDate ? (
+              <p className="text-gray-500 text-center py-8">
+                Selecciona un nuevo día para ver los horarios
+              </p>
+            ) : loadingFranjas ? (
+              <div className="py-8">
+                <Loading message="Cargando horarios..." />
+              </div>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 pb-2 mb-4 border-b">
+                  {format(selectedDate, "EEEE, d 'de' MMMM", { locale: es })}
+                </p>
+                <TimeSlotPicker
+                  franjas={franjas}
+                  servicio={servicio}
+                  selectedFranjaId={selectedFranja?.id}
+                  currentFranjaId={reserva.franjaId}
+                  onSelect={(franja) =>
+                    franja.plazasDisponibles > 0 && setSelectedFranja(franja)
+                  }
+                />
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default RescheduleModal;
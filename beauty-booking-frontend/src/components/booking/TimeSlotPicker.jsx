@@ -0,0 +1,119 @@
+import React from "react";
+import bookingService from "../../services/bookingService";
+
+/**
+ * TimeSlotPicker Component
+ *
+ * Rejilla de franjas de un día agrupadas en mañana y tarde.
+ * Se usa en la página de reserva y al cambiar la fecha de una cita.
+ *
+ * @param {Object} franjas - { manana: [], tarde: [] } (agruparFranjasPorPeriodo)
+ * @param {Object} servicio - Servicio (duración y aforo)
+ * @param {number} selectedFranjaId - Franja seleccionada
+ * @param {number} currentFranjaId - Franja que ya tiene la reserva (opcional)
+ * @param {Function} onSelect - Callback con la franja elegida
+ * @param {boolean} allowFull - Permite elegir franjas completas (lista de espera)
+ */
+const TimeSlotPicker = ({
+  franjas,
+  servicio,
+  selectedFranjaId,
+  currentFranjaId = null,
+  onSelect,
+  allowFull = false,
+}) => {
+  const periodos = [
+    { key: "manana", label: "🌅 Mañana" },
+    { key: "tarde", label: "🌆 Tarde" },
+  ];
+
+  return (
+    <div className="space-y-4">
+      {periodos.map(
+        ({ key, label }) =>
+          franjas[key] &&
+          franjas[key].length > 0 && (
+            <div key={key}>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                {label}
+              </h3>
+              <div className="grid grid-cols-3 gap-2">
+                {franjas[key].map((franja) => (
+                  <TimeSlot
+                    key={franja.id}
+                    franja={franja}
+                    servicio={servicio}
+                    selected={selectedFranjaId === franja.id}
+                    current={currentFranjaId === franja.id}
+                    allowFull={allowFull}
+                    onSelect={() => onSelect(franja)}
+                  />
+                ))}
+              </div>
+            </div>
+          )
+      )}
+    </div>
+  );
+};
+
+/**
+ * Componente de slot de tiempo
+ */
+const TimeSlot = ({
+  franja,
+  servicio,
+  selected,
+  current,
+  allowFull,
+  onSelect,
+}) => {
+  const horaInicio = bookingService.formatearHora(franja.horaInicio);
+  const horaFin = bookingService.calcularHoraFin(
+    franja.horaInicio,
+    servicio.duracionMinutos
+  );
+
+  const isLimited = franja.plazasDisponibles === 1;
+  const isFull = franja.plazasDisponibles === 0;
+
+  return (
+    <button
+      onClick={onSelect}
+      disabled={(isFull && !allowFull) || current}
+      title={`${horaInicio} - ${horaFin}`}
+      className={`
+        p-3 rounded-lg text-sm font-medium transition-all
+        ${
+          selected
+            ? "bg-beauty-500 text-white border-2 border-beauty-600"
+            : current
+            ? "bg-gray-100 text-gray-500 cursor-not-allowed border border-dashed border-gray-400"
+            : isFull && allowFull
+            ? "bg-red-50 text-red-500 hover:bg-red-100 border border-red-200"
+            : isFull
+            ? "bg-red-50 text-red-400 cursor-not-allowed border border-red-200"
+            : isLimited
+            ? "bg-yellow-50 text-yellow-700 hover:bg-yellow-100 border border-yellow-300"
+            : "bg-green-50 text-green-700 hover:bg-green-100 border border-green-300"
+        }
+      `}
+    >
+      <div className="text-xs">{horaInicio}</div>
+      {current ? (
+        <div className="text-xs mt-1 opacity-75">Actual</div>
+      ) : isFull && allowFull ? (
+        <div className="text-xs mt-1 opacity-75">Completo</div>
+      ) : (
+        servicio.aforoMaximo > 1 && (
+          <div className="text-xs mt-1 opacity-75">
+            {franja.plazasDisponibles} plaza
+            {franja.plazasDisponibles !== 1 && "s"}
+          </div>
+        )
+      )}
+    </button>
+  );
+};
+
+export default TimeSlotPicker;
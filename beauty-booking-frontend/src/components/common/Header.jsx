@@ -3,6 +3,9 @@ import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Menu, X, User, LogOut, Calendar, Scissors } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { usePermission } from '../../hooks';
+import configService from '../../services/configService';
+import { PERMISOS } from '../../utils/permisos';
 
 /**
  * Header Component
@@ -15,10 +18,14 @@ import { useAuth } from '../../context/AuthContext';
  */
 
 const Header = () => {
-  const { user, logout, isAdmin, isCliente } = useAuth();
+  const { user, logout, isStaff, isCliente } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
+  // Secciones del panel que se enlazan según los permisos del rol
+  const puedeVerReservas = usePermission(PERMISOS.RESERVAS_VER);
+  const puedeGestionarServicios = usePermission(PERMISOS.SERVICIOS);
+  
   // Estado para el menú móvil
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   
@@ -66,10 +73,21 @@ const Header = () => {
               <span>BeautyBooking</span>
             </Link>
             
-            {/* Badge de admin si es necesario */}
-            {isAdmin() && (
+            {/* Badge con el rol del personal (ADMIN, RECEPCION, ESTILISTA) */}
+            {isStaff() && (
               <span className="ml-3 px-2 py-1 text-xs font-semibold bg-red-500 text-white rounded">
-                ADMIN
+                {user.rol}
+              </span>
+            )}
+
+            {/* Badge de entorno (QA, staging, desarrollo o backend simulado) */}
+            {(!configService.isProduction() || configService.get().useMock) && (
+              <span
+                className="ml-3 px-2 py-1 text-xs font-semibold bg-yellow-400 text-gray-900 rounded uppercase"
+                title={`API: ${configService.get().useMock ? 'simulada' : configService.get().apiUrl}`}
+              >
+                {configService.get().environment}
+                {configService.get().useMock && ' · mock'}
               </span>
             )}
           </div>
@@ -105,8 +123,8 @@ const Header = () => {
                   </>
                 )}
                 
-                {/* Enlaces para admin */}
-                {isAdmin() && (
+                {/* Enlaces para el personal, según sus permisos */}
+                {isStaff() && (
                   <>
                     <Link
                       to="/admin"
@@ -114,18 +132,22 @@ const Header = () => {
                     >
                       Dashboard
                     </Link>
-                    <Link
-                      to="/admin/reservas"
-                      className={getLinkClasses('/admin/reservas')}
-                    >
-                      Reservas
-                    </Link>
-                    <Link
-                      to="/admin/servicios"
-                      className={getLinkClasses('/admin/servicios')}
-                    >
-                      Gestión Servicios
-                    </Link>
+                    {puedeVerReservas && (
+                      <Link
+                        to="/admin/reservas"
+                        className={getLinkClasses('/admin/reservas')}
+                      >
+                        Reservas
+                      </Link>
+                    )}
+                    {puedeGestionarServicios && (
+                      <Link
+                        to="/admin/servicios"
+                        className={getLinkClasses('/admin/servicios')}
+                      >
+                        Gestión Servicios
+                      </Link>
+                    )}
                   </>
                 )}
                 
@@ -159,7 +181,7 @@ const Header = () => {
                           <p className="text-xs text-gray-500">{user.email}</p>
                         </div>
                         
-                        {isAdmin() && (
+                        {isStaff() && (
                           <Link
                             to="/admin"
                             className="block px-4 py-2 text-sm text-gray-700 
@@ -181,6 +203,15 @@ const Header = () => {
                           </Link>
                         )}
                         
+                        <Link
+                          to="/mis-incidencias"
+                          className="block px-4 py-2 text-sm text-gray-700 
+                                   hover:bg-gray-100"
+                          onClick={() => setUserMenuOpen(false)}
+                        >
+                          Mis Incidencias
+                        </Link>
+                        
                         <button
                           onClick={handleLogout}
                           className="w-full text-left px-4 py-2 text-sm text-red-600 
@@ -266,7 +297,7 @@ const Header = () => {
                     </>
                   )}
                   
-                  {isAdmin() && (
+                  {isStaff() && (
                     <>
                       <Link
                         to="/admin"
@@ -275,23 +306,35 @@ const Header = () => {
                       >
                         Dashboard Admin
                       </Link>
-                      <Link
-                        to="/admin/reservas"
-                        className={`block ${getLinkClasses('/admin/reservas')}`}
-                        onClick={() => setMobileMenuOpen(false)}
-                      >
-                        Gestión Reservas
-                      </Link>
-                      <Link
-                        to="/admin/servicios"
-                        className={`block ${getLinkClasses('/admin/servicios')}`}
-                        onClick={() => setMobileMenuOpen(false)}
-                      >
-                        Gestión Servicios
-                      </Link>
+                      {puedeVerReservas && (
+                        <Link
+                          to="/admin/reservas"
+                          className={`block ${getLinkClasses('/admin/reservas')}`}
+                          onClick={() => setMobileMenuOpen(false)}
+                        >
+                          Gestión Reservas
+                        </Link>
+                      )}
+                      {puedeGestionarServicios && (
+                        <Link
+                          to="/admin/servicios"
+                          className={`block ${getLinkClasses('/admin/servicios')}`}
+                          onClick={() => setMobileMenuOpen(false)}
+                        >
+                          Gestión Servicios
+                        </Link>
+                      )}
                     </>
                   )}
                   
+                  <Link
+                    to="/mis-incidencias"
+                    className={`block ${getLinkClasses('/mis-incidencias')}`}
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    Mis Incidencias
+                  </Link>
+                  
                   {/* Información del usuario */}
                   <div className="border-t border-gray-200 pt-3 mt-3">
                     <div className="px-3 py-2">
@@ -0,0 +1,44 @@
+import React from "react";
+import { getPasswordStrength } from "../../utils/helpers";
+
+// Color de la barra según el nivel que devuelve getPasswordStrength
+const STRENGTH_COLORS = {
+  red: "bg-red-500",
+  orange: "bg-orange-500",
+  yellow: "bg-yellow-500",
+  green: "bg-green-500",
+};
+
+/**
+ * PasswordStrength Component
+ *
+ * Barra de fortaleza de una contraseña (no se muestra si está vacía)
+ *
+ * @param {string} password - Contraseña a evaluar
+ */
+const PasswordStrength = ({ password }) => {
+  if (!password) return null;
+
+  const strength = getPasswordStrength(password);
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs text-gray-600">Fortaleza:</span>
+        <span className="text-xs font-medium text-gray-700">
+          {strength.message}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-1.5">
+        <div
+          className={`${
+            STRENGTH_COLORS[strength.color]
+          } h-1.5 rounded-full transition-all`}
+          style={{ width: `${strength.percentage}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -1,5 +1,7 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import authService from "../services/authService";
+import { esPersonal, tienePermiso } from "../utils/permisos";
 
 /**
  * AuthContext - Contexto de autenticación
@@ -10,6 +12,7 @@ import authService from "../services/authService";
  * - Estado de carga inicial
  * - Funciones de login/logout/registro
  * - Verificación de roles
+ * - Redirección a login cuando la sesión expira
  */
 
 // Creamos el contexto
@@ -45,27 +48,54 @@ export const AuthProvider = ({ children }) => {
   // Estado de error (para mostrar mensajes)
   const [error, setError] = useState(null);
 
+  const navigate = useNavigate();
+
   /**
    * useEffect - Se ejecuta al montar el componente
-   * Verifica si hay una sesión guardada en localStorage
+   * Verifica si hay una sesión guardada (localStorage o sessionStorage)
    */
   useEffect(() => {
     console.log("🔍 Verificando sesión existente...");
     checkAuth();
   }, []);
 
+  /**
+   * Cuando la sesión expira (401 sin renovación posible) limpiamos el
+   * usuario y vamos a login recordando la ruta actual, sin recargar la página
+   */
+  useEffect(() => {
+    return authService.on("expired", () => {
+      setUser(null);
+
+      const { pathname, search } = window.location;
+      if (pathname !== "/login") {
+        navigate("/login", {
+          replace: true,
+          state: { from: { pathname, search }, sessionExpired: true },
+        });
+      }
+    });
+  }, [navigate]);
+
   /**
    * Verifica si hay un usuario autenticado al cargar la app
    */
   const checkAuth = () => {
     try {
-      // Intentamos obtener el usuario del localStorage
+      // Intentamos obtener el usuario guardado
       const savedUser = authService.getUser();
       const token = authService.getToken();
 
-      if (savedUser && token) {
+      // Un token caducado solo sirve si se puede renovar
+      const canRestore =
+        authService.isTokenValid() || !!authService.getRefreshToken();
+
+      if (savedUser && token && canRestore) {
         console.log("✅ Sesión encontrada:", savedUser.email);
         setUser(savedUser);
+      } else if (token) {
+        console.log("⌛ Sesión guardada expirada");
+        authService.clearSession();
       } else {
         console.log("❌ No hay sesión guardada");
       }
@@ -78,19 +108,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Logout hecho en otra pestaña: limpiamos el estado y vamos a login
+   */
+  useEffect(() => {
+    return authService.on("logout", () => {
+      setUser(null);
+      if (window.location.pathname !== "/login") {
+        navigate("/login", { replace: true, state: { loggedOut: true } });
+      }
+    });
+  }, [navigate]);
+
   /**
    * Función de login
    * @param {string} email - Email del usuario
    * @param {string} password - Contraseña
+   * @param {boolean} rememberMe - Mantener la sesión al cerrar el navegador
    * @returns {Promise<Object>} Usuario autenticado
    */
-  const login = async (email, password) => {
+  const login = async (email, password, rememberMe = false) => {
     try {
       setError(null);
       setLoading(true);
 
       // Llamamos al servicio de autenticación
-      const response = await authService.login(email, password);
+      const response = await authService.login(email, password, rememberMe);
 
       // El backend puede devolver: { usuario: {...} } o { id, email, nombre, rol }
       // Manejar ambas estructuras
@@ -164,7 +207,7 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
     setError(null);
 
-    // Llamamos al servicio para limpiar localStorage
+    // Llamamos al servicio para limpiar la sesión (y avisar a otras pestañas)
     authService.logout();
   };
 
@@ -196,6 +239,23 @@ export const AuthProvider = ({ children }) => {
     return user?.rol === "ADMIN";
   };
 
+  /**
+   * Verifica si el rol del usuario tiene uno o varios permisos
+   * @param {string|Array<string>} permisos - Permisos requeridos (todos)
+   * @returns {boolean} true si los tiene todos
+   */
+  const hasPermission = (permisos) => {
+    return tienePermiso(user?.rol, permisos);
+  };
+
+  /**
+   * Verifica si el usuario es del personal del centro (entra al panel)
+   * @returns {boolean} true si es personal
+   */
+  const isStaff = () => {
+    return esPersonal(user?.rol);
+  };
+
   /**
    * Verifica si el usuario es cliente
    * @returns {boolean} true si es cliente
@@ -236,7 +296,9 @@ export const AuthProvider = ({ children }) => {
     // Funciones de verificación
     isAuthenticated,
     isAdmin,
+    isStaff,
     isCliente,
+    hasPermission,
     getUserName,
 
     // Utilidades
@@ -0,0 +1,116 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useRef,
+} from "react";
+import { useAuth } from "./AuthContext";
+
+/**
+ * CartContext
+ *
+ * Carrito de servicios para reservar varios en una misma visita
+ * (p. ej. corte + color). Guarda los servicios en el orden en que se
+ * harán y se conserva en sessionStorage mientras la pestaña esté abierta.
+ */
+
+const CartContext = createContext(null);
+
+// Clave de persistencia en sessionStorage
+const STORAGE_KEY = "carritoCita";
+
+// Hook para usar el carrito
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error("useCart debe usarse dentro de CartProvider");
+  }
+  return context;
+};
+
+// Provider del carrito
+export const CartProvider = ({ children }) => {
+  const { user } = useAuth();
+  const usuarioId = user?.id ?? null;
+  const usuarioAnterior = useRef(usuarioId);
+
+  const [servicios, setServicios] = useState(() => {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  // Persistir cada cambio
+  useEffect(() => {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(servicios));
+  }, [servicios]);
+
+  // El carrito es de quien lo ha llenado: se vacía cuando su sesión se
+  // cierra (logout en esta u otra pestaña o sesión expirada) o cambia de
+  // cuenta. El de un invitado se conserva al iniciar sesión
+  useEffect(() => {
+    if (
+      usuarioAnterior.current !== null &&
+      usuarioAnterior.current !== usuarioId
+    ) {
+      setServicios([]);
+    }
+    usuarioAnterior.current = usuarioId;
+  }, [usuarioId]);
+
+  /**
+   * Añade un servicio al final de la cita (sin repetir)
+   * @param {Object} servicio - Servicio del catálogo
+   */
+  const agregarServicio = (servicio) => {
+    setServicios((prev) =>
+      prev.some((s) => s.id === servicio.id) ? prev : [...prev, servicio]
+    );
+  };
+
+  /**
+   * Quita un servicio de la cita
+   * @param {number} servicioId - ID del servicio
+   */
+  const quitarServicio = (servicioId) => {
+    setServicios((prev) => prev.filter((s) => s.id !== servicioId));
+  };
+
+  /**
+   * Cambia el orden de un servicio dentro de la cita
+   * @param {number} index - Posición actual
+   * @param {number} delta - -1 para subirlo, +1 para bajarlo
+   */
+  const moverServicio = (index, delta) => {
+    setServicios((prev) => {
+      const destino = index + delta;
+      if (destino < 0 || destino >= prev.length) return prev;
+      const copia = [...prev];
+      [copia[index], copia[destino]] = [copia[destino], copia[index]];
+      return copia;
+    });
+  };
+
+  const vaciarCarrito = () => setServicios([]);
+
+  const estaEnCarrito = (servicioId) =>
+    servicios.some((s) => s.id === servicioId);
+
+  const value = {
+    servicios,
+    agregarServicio,
+    quitarServicio,
+    moverServicio,
+    vaciarCarrito,
+    estaEnCarrito,
+    duracionTotal: servicios.reduce((t, s) => t + s.duracionMinutos, 0),
+    precioTotal: servicios.reduce((t, s) => t + Number(s.precio), 0),
+  };
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export default CartContext;
@@ -11,6 +11,9 @@ import { CheckCircle, XCircle, AlertTriangle, Info, X } from "lucide-react";
 
 const NotificationContext = createContext(null);
 
+// Contador para que dos avisos en el mismo milisegundo no compartan ID
+let nextNotificationId = 0;
+
 // Hook para usar las notificaciones
 export const useNotification = () => {
   const context = useContext(NotificationContext);
@@ -31,16 +34,18 @@ export const NotificationProvider = ({ children }) => {
    * @param {string} message - Mensaje a mostrar
    * @param {string} type - Tipo: success, error, warning, info
    * @param {number} duration - Duración en ms (0 = permanente)
+   * @param {Object} action - Botón opcional { label, onClick }
    */
   const showNotification = useCallback(
-    (message, type = "info", duration = 5000) => {
-      const id = Date.now(); // ID único basado en timestamp
+    (message, type = "info", duration = 5000, action = null) => {
+      const id = `${Date.now()}-${nextNotificationId++}`;
 
       const notification = {
         id,
         message,
         type,
         duration,
+        action,
       };
 
       // Añadir notificación
@@ -143,7 +148,7 @@ const NotificationContainer = ({ notifications, onRemove }) => {
  * Componente de notificación individual
  */
 const Notification = ({ notification, onRemove }) => {
-  const { message, type } = notification;
+  const { message, type, action } = notification;
 
   // Configuración según tipo
   const configs = {
@@ -183,7 +188,20 @@ const Notification = ({ notification, onRemove }) => {
     `}
     >
       <Icon className="w-5 h-5 flex-shrink-0 mt-0.5" />
-      <span className="flex-1 text-sm font-medium">{message}</span>
+      <div className="flex-1">
+        <span className="text-sm font-medium">{message}</span>
+        {action && (
+          <button
+            onClick={() => {
+              action.onClick();
+              onRemove();
+            }}
+            className="block mt-2 text-sm font-semibold underline hover:opacity-80"
+          >
+            {action.label}
+          </button>
+        )}
+      </div>
       <button
         onClick={onRemove}
         className="flex-shrink-0 hover:opacity-80 transition-opacity"
@@ -1,7 +1,9 @@
 // Hooks personalizados
 import { useState, useEffect, useCallback, useRef } from "react";
 import { useNavigate } from "react-router-dom";
+import { format, addMonths, parseISO } from "date-fns";
 import { useAuth } from "../context/AuthContext";
+import bookingService from "../services/bookingService";
 
 /**
  * useLoading - Hook para manejar estados de carga
@@ -278,10 +280,13 @@ export const useLocalStorage = (key, initialValue) => {
 
 /**
  * useProtectedRoute - Hook para rutas protegidas
- * Redirige si no hay autenticación o permisos
+ * Redirige si no hay autenticación, rol o permisos
+ * @param {string} requiredRole - Rol exacto requerido (ADMIN/CLIENTE)
+ * @param {string|Array<string>} permisos - Permisos requeridos (ver utils/permisos)
  */
-export const useProtectedRoute = (requiredRole = null) => {
-  const { user, isAuthenticated, isAdmin, isCliente } = useAuth();
+export const useProtectedRoute = (requiredRole = null, permisos = null) => {
+  const { user, isAuthenticated, isAdmin, isCliente, hasPermission } =
+    useAuth();
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -306,11 +311,86 @@ export const useProtectedRoute = (requiredRole = null) => {
         return;
       }
     }
-  }, [user, isAuthenticated, isAdmin, isCliente, requiredRole, navigate]);
+
+    // Si se requieren permisos concretos
+    if (permisos && !hasPermission(permisos)) {
+      console.log("🔒 Faltan permisos - Redirigiendo", permisos);
+      navigate("/");
+    }
+  }, [
+    user,
+    isAuthenticated,
+    isAdmin,
+    isCliente,
+    hasPermission,
+    requiredRole,
+    permisos,
+    navigate,
+  ]);
 
   return { user, isAuthenticated: isAuthenticated() };
 };
 
+/**
+ * usePermission - Comprueba permisos del usuario actual
+ * Útil para ocultar menús y acciones según el rol
+ * @param {string|Array<string>} permisos - Permisos requeridos (todos)
+ * @returns {boolean} true si el usuario los tiene todos
+ */
+export const usePermission = (permisos) => {
+  const { hasPermission } = useAuth();
+  return hasPermission(permisos);
+};
+
+/**
+ * useDisponibilidadMensual - Disponibilidad por día de un servicio
+ * (de un profesional concreto si se indica)
+ * Carga el mes visible del calendario y precarga el siguiente
+ * (bookingService cachea los meses ya consultados)
+ */
+export const useDisponibilidadMensual = (
+  servicioId,
+  month,
+  profesionalId = null
+) => {
+  const [disponibilidad, setDisponibilidad] = useState({});
+  const [loading, setLoading] = useState(false);
+  const mes = format(month, "yyyy-MM");
+
+  useEffect(() => {
+    if (!servicioId) return;
+
+    // Si se cambia de mes antes de que llegue la respuesta,
+    // descartamos la del mes anterior
+    let cancelado = false;
+    setLoading(true);
+
+    bookingService
+      .getDisponibilidadMensual(servicioId, mes, { profesionalId })
+      .then((data) => !cancelado && setDisponibilidad(data))
+      .catch((err) => {
+        console.error("Error cargando días disponibles:", err);
+        if (!cancelado) setDisponibilidad({});
+      })
+      .finally(() => !cancelado && setLoading(false));
+
+    // Precarga: al pasar de mes los colores aparecen al instante
+    bookingService
+      .getDisponibilidadMensual(
+        servicioId,
+        addMonths(parseISO(`${mes}-01`), 1),
+        { profesionalId }
+      )
+      .catch(() => {});
+
+    return () => {
+      cancelado = true;
+    };
+  }, [servicioId, mes, profesionalId]);
+
+  return { disponibilidad, loading };
+};
+
 /**
  * useToggle - Hook para manejar estados booleanos
  * Útil para modales, menús desplegables, etc.
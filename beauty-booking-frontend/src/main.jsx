@@ -1,6 +1,15 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import configService from "./services/configService";
+import { applyConfig } from "./services/api";
 import "./index.css";
 
-createRoot(document.getElementById("root")).render(<App />);
+// Cargamos el config.json de runtime antes de montar la app
+// para que la primera petición ya use el backend correcto
+configService
+  .load()
+  .then(applyConfig)
+  .then(() => {
+    createRoot(document.getElementById("root")).render(<App />);
+  });
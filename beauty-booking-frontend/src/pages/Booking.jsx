@@ -1,40 +1,43 @@
 import React, { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, Link } from "react-router-dom";
 import {
   Calendar,
   Clock,
-  ChevronLeft,
-  ChevronRight,
   ArrowLeft,
   AlertCircle,
   Users,
+  Hourglass,
+  UserCheck,
 } from "lucide-react";
-import {
-  format,
-  addDays,
-  startOfMonth,
-  endOfMonth,
-  eachDayOfInterval,
-  isSameDay,
-  isBefore,
-  isToday,
-  getDay,
-} from "date-fns";
+import { format, addMonths, startOfMonth } from "date-fns";
 import { es } from "date-fns/locale";
 import bookingService from "../services/bookingService";
 import { useAuth } from "../context/AuthContext";
-import { useLoading, useError, useProtectedRoute } from "../hooks";
+import {
+  useLoading,
+  useError,
+  useProtectedRoute,
+  useDisponibilidadMensual,
+} from "../hooks";
 import Loading from "../components/common/Loading";
 import { InlineAlert } from "../components/common/Alert";
+import BookingCalendar from "../components/booking/BookingCalendar";
+import TimeSlotPicker from "../components/booking/TimeSlotPicker";
+import ProfesionalPicker from "../components/booking/ProfesionalPicker";
 
 /**
  * Booking Page
  *
  * Flujo de reserva paso a paso:
  * 1. Muestra información del servicio seleccionado
+ *    (y, si tiene profesionales, permite elegir uno; por defecto cualquiera)
  * 2. Calendario para seleccionar fecha
  * 3. Franjas horarias disponibles para esa fecha
  * 4. Botón para continuar con la confirmación
+ *    (o para apuntarse a la lista de espera si la franja está completa)
+ *
+ * Si el cliente acumula ausencias recientes se le avisa de que sus
+ * reservas quedarán marcadas para el salón
  */
 
 const Booking = () => {
@@ -51,9 +54,21 @@ const Booking = () => {
   const [selectedFranja, setSelectedFranja] = useState(null);
   const [loadingFranjas, setLoadingFranjas] = useState(false);
 
+  // Profesional elegido (null = cualquiera)
+  const [profesionales, setProfesionales] = useState([]);
+  const [profesionalId, setProfesionalId] = useState(null);
+
+  // Lista de espera de la franja completa seleccionada
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [waitlistEntrada, setWaitlistEntrada] = useState(null);
+
+  // Política de ausencias del cliente ({ ausencias, limite, marcado, ... })
+  const [ausencias, setAusencias] = useState(null);
+
   // Estado del calendario
   const [currentMonth, setCurrentMonth] = useState(new Date());
-  const [diasConDisponibilidad, setDiasConDisponibilidad] = useState(new Set());
+  const { disponibilidad, loading: loadingDisponibilidad } =
+    useDisponibilidadMensual(servicio?.id, currentMonth, profesionalId);
 
   /**
    * Cargar información del servicio al montar
@@ -63,13 +78,13 @@ const Booking = () => {
   }, [servicioId]);
 
   /**
-   * Cargar franjas cuando se selecciona una fecha
+   * Cargar franjas cuando se selecciona una fecha o cambia el profesional
    */
   useEffect(() => {
     if (selectedDate) {
       loadFranjas(selectedDate);
     }
-  }, [selectedDate]);
+  }, [selectedDate, profesionalId]);
 
   /**
    * Cargar información del servicio
@@ -82,41 +97,23 @@ const Booking = () => {
       setServicio(data);
       console.log("✅ Servicio cargado:", data.nombre);
 
-      // Cargar días con disponibilidad para el mes actual
-      await loadDiasDisponibles(currentMonth);
+      // Sin profesionales (o si fallan) se reserva como siempre
+      bookingService
+        .getProfesionales(data.id)
+        .then(setProfesionales)
+        .catch(() => setProfesionales([]));
+
+      // El aviso de ausencias es informativo: si falla se reserva igual
+      bookingService
+        .getMisAusencias()
+        .then(setAusencias)
+        .catch(() => setAusencias(null));
     } catch (err) {
       console.error("Error cargando servicio:", err);
       setError("Error al cargar el servicio. Por favor, intenta de nuevo.");
     }
   };
 
-  /**
-   * Cargar días con franjas disponibles para un mes
-   * Esto es para marcar en verde los días con disponibilidad
-   */
-  const loadDiasDisponibles = async (month) => {
-    try {
-      const dias = new Set();
-
-      // Simulacion disponibilidad en días laborables futuros
-      const start = startOfMonth(month);
-      const end = endOfMonth(month);
-      const allDays = eachDayOfInterval({ start, end });
-
-      allDays.forEach((day) => {
-        const dayOfWeek = getDay(day);
-        // Lunes a Sábado (1-6), no domingos (0)
-        if (dayOfWeek !== 0 && !isBefore(day, new Date())) {
-          dias.add(format(day, "yyyy-MM-dd"));
-        }
-      });
-
-      setDiasConDisponibilidad(dias);
-    } catch (err) {
-      console.error("Error cargando días disponibles:", err);
-    }
-  };
-
   /**
    * Cargar franjas horarias para una fecha específica
    */
@@ -128,7 +125,8 @@ const Booking = () => {
       const fechaFormateada = format(date, "yyyy-MM-dd");
       const data = await bookingService.getFranjasDisponibles(
         servicioId,
-        fechaFormateada
+        fechaFormateada,
+        profesionalId
       );
 
       // Agrupar franjas por periodo (mañana/tarde)
@@ -170,9 +168,27 @@ const Booking = () => {
    * Manejar selección de franja horaria
    */
   const handleFranjaSelect = (franja) => {
-    if (franja.plazasDisponibles > 0) {
-      setSelectedFranja(franja);
+    // Las franjas completas también se pueden elegir: dan acceso a la lista
+    setSelectedFranja(franja);
+    setWaitlistEntrada(null);
+    clearError();
+  };
+
+  /**
+   * Apuntarse a la lista de espera de la franja completa seleccionada
+   */
+  const handleUnirseListaEspera = async () => {
+    try {
+      setJoiningWaitlist(true);
       clearError();
+      const entrada = await bookingService.unirseListaEspera(selectedFranja.id);
+      setWaitlistEntrada(entrada);
+    } catch (err) {
+      setError(err.message || "No se ha podido entrar en la lista de espera");
+      // Si se ha liberado una plaza mientras tanto, refrescamos el día
+      if (err.status === 409) loadFranjas(selectedDate);
+    } finally {
+      setJoiningWaitlist(false);
     }
   };
 
@@ -199,13 +215,7 @@ const Booking = () => {
    * Cambiar mes del calendario
    */
   const changeMonth = (increment) => {
-    const newMonth =
-      increment > 0
-        ? addDays(endOfMonth(currentMonth), 1)
-        : addDays(startOfMonth(currentMonth), -1);
-
-    setCurrentMonth(newMonth);
-    loadDiasDisponibles(newMonth);
+    setCurrentMonth(startOfMonth(addMonths(currentMonth, increment)));
   };
 
   // Loading inicial
@@ -270,8 +280,46 @@ const Booking = () => {
                   <span>Aforo máximo: {servicio.aforoMaximo} persona(s)</span>
                 </div>
               </div>
+
+              {ausencias?.marcado && (
+                <InlineAlert
+                  type="warning"
+                  className="mt-4"
+                  message={
+                    <>
+                      No has acudido a {ausencias.ausencias} citas en los
+                      últimos {ausencias.ventanaDias} días. Puedes reservar,
+                      pero el salón verá este aviso en tu reserva. Si no puedes
+                      venir, cancela desde{" "}
+                      <Link
+                        to="/mis-reservas"
+                        className="underline font-medium"
+                      >
+                        Mis Reservas
+                      </Link>{" "}
+                      para liberar la plaza.
+                    </>
+                  }
+                />
+              )}
             </div>
 
+            {/* Profesional (opcional) */}
+            {profesionales.length > 0 && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                  <UserCheck className="w-5 h-5" />
+                  Elige profesional
+                </h2>
+
+                <ProfesionalPicker
+                  profesionales={profesionales}
+                  selectedId={profesionalId}
+                  onSelect={setProfesionalId}
+                />
+              </div>
+            )}
+
             {/* Calendario */}
             <div className="bg-white rounded-lg shadow-md p-6">
               <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
@@ -279,12 +327,14 @@ const Booking = () => {
                 Selecciona una fecha
               </h2>
 
-              <CalendarComponent
+              <BookingCalendar
                 currentMonth={currentMonth}
                 selectedDate={selectedDate}
-                diasConDisponibilidad={diasConDisponibilidad}
+                disponibilidad={disponibilidad}
+                loading={loadingDisponibilidad}
                 onDateSelect={handleDateSelect}
                 onMonthChange={changeMonth}
+                allowFull
               />
             </div>
           </div>
@@ -317,51 +367,67 @@ const Booking = () => {
                   {/* Mensajes de error */}
                   {error && <InlineAlert type="error" message={error} />}
 
-                  {/* Franjas de la mañana */}
-                  {franjas.manana && franjas.manana.length > 0 && (
-                    <div>
-                      <h3 className="text-sm font-medium text-gray-700 mb-2">
-                        🌅 Mañana
-                      </h3>
-                      <div className="grid grid-cols-3 gap-2">
-                        {franjas.manana.map((franja) => (
-                          <TimeSlot
-                            key={franja.id}
-                            franja={franja}
-                            servicio={servicio}
-                            selected={selectedFranja?.id === franja.id}
-                            onSelect={() => handleFranjaSelect(franja)}
-                          />
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Franjas de la tarde */}
-                  {franjas.tarde && franjas.tarde.length > 0 && (
-                    <div>
-                      <h3 className="text-sm font-medium text-gray-700 mb-2">
-                        🌆 Tarde
-                      </h3>
-                      <div className="grid grid-cols-3 gap-2">
-                        {franjas.tarde.map((franja) => (
-                          <TimeSlot
-                            key={franja.id}
-                            franja={franja}
-                            servicio={servicio}
-                            selected={selectedFranja?.id === franja.id}
-                            onSelect={() => handleFranjaSelect(franja)}
-                          />
-                        ))}
-                      </div>
-                    </div>
-                  )}
+                  <TimeSlotPicker
+                    franjas={franjas}
+                    servicio={servicio}
+                    selectedFranjaId={selectedFranja?.id}
+                    onSelect={handleFranjaSelect}
+                    allowFull
+                  />
                 </div>
               )}
             </div>
 
+            {/* Lista de espera (franja completa) */}
+            {selectedFranja?.completo && (
+              <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+                <div className="flex items-start gap-3">
+                  <Hourglass className="w-5 h-5 text-beauty-500 mt-0.5" />
+                  <div className="text-sm text-gray-700">
+                    <p className="font-semibold text-gray-900">
+                      Este horario está completo
+                    </p>
+                    <p>
+                      Apúntate a la lista de espera: si alguien cancela te
+                      avisaremos y tendrás un tiempo limitado para reservar
+                      la plaza.
+                    </p>
+                  </div>
+                </div>
+
+                {waitlistEntrada ? (
+                  <InlineAlert
+                    type="success"
+                    message={
+                      <>
+                        Estás en la posición {waitlistEntrada.posicion} de la
+                        lista de espera.{" "}
+                        <Link
+                          to="/mis-reservas"
+                          state={{ tab: "espera" }}
+                          className="underline font-medium"
+                        >
+                          Ver mi lista de espera
+                        </Link>
+                      </>
+                    }
+                  />
+                ) : (
+                  <button
+                    onClick={handleUnirseListaEspera}
+                    disabled={joiningWaitlist}
+                    className="btn-secondary w-full py-3"
+                  >
+                    {joiningWaitlist
+                      ? "Apuntando..."
+                      : "APUNTARME A LA LISTA DE ESPERA"}
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Botón continuar */}
-            {selectedFranja && (
+            {selectedFranja && !selectedFranja.completo && (
               <div className="bg-white rounded-lg shadow-md p-6">
                 <button
                   onClick={handleContinuar}
@@ -378,161 +444,4 @@ const Booking = () => {
   );
 };
 
-/**
- * Componente del calendario
- */
-const CalendarComponent = ({
-  currentMonth,
-  selectedDate,
-  diasConDisponibilidad,
-  onDateSelect,
-  onMonthChange,
-}) => {
-  const monthStart = startOfMonth(currentMonth);
-  const monthEnd = endOfMonth(currentMonth);
-  const monthDays = eachDayOfInterval({ start: monthStart, end: monthEnd });
-
-  // Obtener el primer día de la semana (padding)
-  const startPadding = getDay(monthStart);
-  const paddingDays = Array(startPadding).fill(null);
-
-  const today = new Date();
-
-  return (
-    <div>
-      {/* Header del calendario */}
-      <div className="flex items-center justify-between mb-4">
-        <button
-          onClick={() => onMonthChange(-1)}
-          className="p-2 hover:bg-gray-100 rounded-lg"
-          disabled={isSameDay(monthStart, startOfMonth(today))}
-        >
-          <ChevronLeft className="w-5 h-5" />
-        </button>
-
-        <h3 className="text-lg font-semibold capitalize">
-          {format(currentMonth, "MMMM yyyy", { locale: es })}
-        </h3>
-
-        <button
-          onClick={() => onMonthChange(1)}
-          className="p-2 hover:bg-gray-100 rounded-lg"
-        >
-          <ChevronRight className="w-5 h-5" />
-        </button>
-      </div>
-
-      {/* Días de la semana */}
-      <div className="grid grid-cols-7 mb-2">
-        {["L", "M", "X", "J", "V", "S", "D"].map((day) => (
-          <div
-            key={day}
-            className="text-center text-sm font-medium text-gray-600 py-2"
-          >
-            {day}
-          </div>
-        ))}
-      </div>
-
-      {/* Días del mes */}
-      <div className="grid grid-cols-7 gap-1">
-        {/* Padding inicial */}
-        {paddingDays.map((_, index) => (
-          <div key={`pad-${index}`} />
-        ))}
-
-        {/* Días reales */}
-        {monthDays.map((day) => {
-          const dateStr = format(day, "yyyy-MM-dd");
-          const isSelectable = !isBefore(day, today) && getDay(day) !== 0;
-          const isSelected = selectedDate && isSameDay(day, selectedDate);
-          const hasAvailability = diasConDisponibilidad.has(dateStr);
-          const isCurrentDay = isToday(day);
-
-          return (
-            <button
-              key={dateStr}
-              onClick={() => isSelectable && onDateSelect(day)}
-              disabled={!isSelectable}
-              className={`
-                p-2 rounded-lg text-sm font-medium transition-all
-                ${
-                  isSelected
-                    ? "bg-beauty-500 text-white"
-                    : isSelectable
-                    ? hasAvailability
-                      ? "bg-green-50 text-green-700 hover:bg-green-100 cursor-pointer"
-                      : "bg-white hover:bg-gray-50 cursor-pointer"
-                    : "text-gray-300 cursor-not-allowed"
-                }
-                ${isCurrentDay && !isSelected ? "ring-2 ring-beauty-300" : ""}
-              `}
-            >
-              {format(day, "d")}
-            </button>
-          );
-        })}
-      </div>
-
-      {/* Leyenda */}
-      <div className="mt-4 flex flex-wrap gap-4 text-xs">
-        <div className="flex items-center gap-1">
-          <div className="w-4 h-4 bg-green-50 border border-green-200 rounded"></div>
-          <span>Disponible</span>
-        </div>
-        <div className="flex items-center gap-1">
-          <div className="w-4 h-4 bg-gray-100 rounded"></div>
-          <span>Sin citas</span>
-        </div>
-        <div className="flex items-center gap-1">
-          <div className="w-4 h-4 bg-beauty-500 rounded"></div>
-          <span>Seleccionado</span>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-/**
- * Componente de slot de tiempo
- */
-const TimeSlot = ({ franja, servicio, selected, onSelect }) => {
-  const horaInicio = bookingService.formatearHora(franja.horaInicio);
-  const horaFin = bookingService.calcularHoraFin(
-    franja.horaInicio,
-    servicio.duracionMinutos
-  );
-
-  const isAvailable = franja.plazasDisponibles > 0;
-  const isLimited = franja.plazasDisponibles === 1;
-  const isFull = franja.plazasDisponibles === 0;
-
-  return (
-    <button
-      onClick={onSelect}
-      disabled={isFull}
-      className={`
-        p-3 rounded-lg text-sm font-medium transition-all
-        ${
-          selected
-            ? "bg-beauty-500 text-white border-2 border-beauty-600"
-            : isFull
-            ? "bg-red-50 text-red-400 cursor-not-allowed border border-red-200"
-            : isLimited
-            ? "bg-yellow-50 text-yellow-700 hover:bg-yellow-100 border border-yellow-300"
-            : "bg-green-50 text-green-700 hover:bg-green-100 border border-green-300"
-        }
-      `}
-    >
-      <div className="text-xs">{horaInicio}</div>
-      {servicio.aforoMaximo > 1 && (
-        <div className="text-xs mt-1 opacity-75">
-          {franja.plazasDisponibles} plaza
-          {franja.plazasDisponibles !== 1 && "s"}
-        </div>
-      )}
-    </button>
-  );
-};
-
 export default Booking;
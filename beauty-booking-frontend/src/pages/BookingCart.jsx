@@ -0,0 +1,321 @@
+import React, { useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import {
+  Calendar,
+  Clock,
+  ArrowLeft,
+  ArrowUp,
+  ArrowDown,
+  X,
+  ShoppingBag,
+} from "lucide-react";
+import { format, addMonths, startOfMonth } from "date-fns";
+import { es } from "date-fns/locale";
+import bookingService from "../services/bookingService";
+import { useCart } from "../context/CartContext";
+import { useProtectedRoute, useDisponibilidadMensual } from "../hooks";
+import Loading from "../components/common/Loading";
+import { InlineAlert } from "../components/common/Alert";
+import BookingCalendar from "../components/booking/BookingCalendar";
+
+/**
+ * BookingCart Page
+ *
+ * Reserva de varios servicios en una misma visita (carrito):
+ * 1. Ordena los servicios tal y como se harán
+ * 2. Elige el día en el calendario
+ * 3. Elige una de las horas en las que todos encajan seguidos
+ * 4. Continúa a la confirmación con el total de la cita
+ */
+
+const BookingCart = () => {
+  const navigate = useNavigate();
+  useProtectedRoute(); // Requiere autenticación
+  const cart = useCart();
+  const { servicios } = cart;
+
+  const [currentMonth, setCurrentMonth] = useState(new Date());
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [citas, setCitas] = useState([]);
+  const [selectedCita, setSelectedCita] = useState(null);
+  const [loadingCitas, setLoadingCitas] = useState(false);
+  const [error, setError] = useState("");
+
+  // El calendario se colorea con el primer servicio: es el que fija
+  // el inicio de la cita (el resto se comprueba al elegir el día)
+  const { disponibilidad, loading: loadingDisponibilidad } =
+    useDisponibilidadMensual(servicios[0]?.id, currentMonth);
+
+  /**
+   * Buscar las horas en las que encajan todos los servicios ese día
+   */
+  const buscarCitas = async (date, lista = servicios) => {
+    setSelectedCita(null);
+    setError("");
+    if (!date || lista.length === 0) {
+      setCitas([]);
+      return;
+    }
+
+    try {
+      setLoadingCitas(true);
+      const data = await bookingService.buscarCitasEncadenadas(
+        lista,
+        format(date, "yyyy-MM-dd")
+      );
+      setCitas(data);
+      if (data.length === 0) {
+        setError(
+          "Ese día no hay huecos seguidos para todos los servicios. Prueba otro día o cambia el orden."
+        );
+      }
+    } catch (err) {
+      console.error("Error buscando huecos:", err);
+      setError("Error al cargar los horarios disponibles.");
+      setCitas([]);
+    } finally {
+      setLoadingCitas(false);
+    }
+  };
+
+  /**
+   * Manejar selección de fecha
+   */
+  const handleDateSelect = (date) => {
+    if (!bookingService.esFechaValida(date)) {
+      setError("Esta fecha no está disponible para reservas");
+      return;
+    }
+    setSelectedDate(date);
+    buscarCitas(date);
+  };
+
+  /**
+   * Reordenar o quitar servicios invalida las horas calculadas
+   */
+  const handleMover = (index, delta) => {
+    const destino = index + delta;
+    const nuevaLista = [...servicios];
+    [nuevaLista[index], nuevaLista[destino]] = [
+      nuevaLista[destino],
+      nuevaLista[index],
+    ];
+    cart.moverServicio(index, delta);
+    buscarCitas(selectedDate, nuevaLista);
+  };
+
+  const handleQuitar = (servicioId) => {
+    const nuevaLista = servicios.filter((s) => s.id !== servicioId);
+    cart.quitarServicio(servicioId);
+    buscarCitas(selectedDate, nuevaLista);
+  };
+
+  /**
+   * Continuar con la confirmación
+   */
+  const handleContinuar = () => {
+    navigate("/booking/confirm", {
+      state: {
+        fecha: format(selectedDate, "yyyy-MM-dd"),
+        cita: { lineas: selectedCita.lineas },
+      },
+    });
+  };
+
+  // Carrito vacío
+  if (servicios.length === 0) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center px-4">
+        <div className="text-center">
+          <ShoppingBag className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold mb-2">Tu cita está vacía</h2>
+          <p className="text-gray-600 mb-6">
+            Añade los servicios que quieras hacerte en la misma visita
+          </p>
+          <Link to="/servicios" className="btn-primary">
+            Ver servicios
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Botón volver */}
+        <button
+          onClick={() => navigate("/servicios")}
+          className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          Seguir añadiendo servicios
+        </button>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Columna izquierda - Servicios y calendario */}
+          <div className="lg:col-span-2 space-y-6">
+            {/* Servicios de la cita */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h1 className="text-2xl font-bold text-gray-900 mb-1">
+                Tu cita
+              </h1>
+              <p className="text-gray-600 mb-4 text-sm">
+                Los servicios se harán seguidos en este orden
+              </p>
+
+              <ol className="divide-y">
+                {servicios.map((servicio, index) => (
+                  <li
+                    key={servicio.id}
+                    className="flex items-center gap-3 py-3"
+                  >
+                    <span className="w-6 h-6 rounded-full bg-beauty-100 text-beauty-700 text-xs font-bold flex items-center justify-center">
+                      {index + 1}
+                    </span>
+                    <div className="flex-1">
+                      <p className="font-medium">{servicio.nombre}</p>
+                      <p className="text-xs text-gray-500">
+                        {servicio.duracionMinutos} min · {servicio.precio} €
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleMover(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                      aria-label="Subir"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleMover(index, 1)}
+                      disabled={index === servicios.length - 1}
+                      className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                      aria-label="Bajar"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleQuitar(servicio.id)}
+                      className="p-1 text-red-500 hover:text-red-700"
+                      aria-label={`Quitar ${servicio.nombre}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+
+              <div className="flex justify-between pt-4 border-t text-sm">
+                <span className="text-gray-600">
+                  {cart.duracionTotal} minutos de servicio
+                </span>
+                <span className="text-lg font-semibold text-beauty-600">
+                  {cart.precioTotal} €
+                </span>
+              </div>
+            </div>
+
+            {/* Calendario */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <Calendar className="w-5 h-5" />
+                Selecciona una fecha
+              </h2>
+
+              <BookingCalendar
+                currentMonth={currentMonth}
+                selectedDate={selectedDate}
+                disponibilidad={disponibilidad}
+                loading={loadingDisponibilidad}
+                onDateSelect={handleDateSelect}
+                onMonthChange={(increment) =>
+                  setCurrentMonth(
+                    startOfMonth(addMonths(currentMonth, increment))
+                  )
+                }
+              />
+            </div>
+          </div>
+
+          {/* Columna derecha - Horas posibles y resumen */}
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-lg font-semibold mb-4">
+                Horarios disponibles
+              </h2>
+
+              {!selectedDate ? (
+                <p className="text-gray-500 text-center py-8">
+                  Selecciona una fecha para ver a qué hora puedes venir
+                </p>
+              ) : loadingCitas ? (
+                <div className="py-8">
+                  <Loading message="Buscando huecos seguidos..." />
+                </div>
+              ) : (
+                <div className="space-y-4">
+                  <div className="text-sm text-gray-600 pb-2 border-b">
+                    {format(selectedDate, "EEEE, d 'de' MMMM 'de' yyyy", {
+                      locale: es,
+                    })}
+                  </div>
+
+                  {error && <InlineAlert type="error" message={error} />}
+
+                  <div className="grid grid-cols-2 gap-2">
+                    {citas.map((cita) => (
+                      <button
+                        key={cita.horaInicio}
+                        onClick={() => setSelectedCita(cita)}
+                        className={`p-3 rounded-lg text-sm font-medium transition-all ${
+                          selectedCita?.horaInicio === cita.horaInicio
+                            ? "bg-beauty-500 text-white border-2 border-beauty-600"
+                            : "bg-green-50 text-green-700 hover:bg-green-100 border border-green-300"
+                        }`}
+                      >
+                        {bookingService.formatearHora(cita.horaInicio)} –{" "}
+                        {cita.horaFin}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Detalle de la cita elegida */}
+            {selectedCita && (
+              <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+                <ul className="space-y-2">
+                  {selectedCita.lineas.map((linea) => (
+                    <li
+                      key={linea.servicio.id}
+                      className="flex items-center gap-2 text-sm"
+                    >
+                      <Clock className="w-4 h-4 text-gray-400" />
+                      <span className="font-medium">
+                        {bookingService.formatearHora(linea.horaInicio)} –{" "}
+                        {linea.horaFin}
+                      </span>
+                      <span className="text-gray-600">
+                        {linea.servicio.nombre}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  onClick={handleContinuar}
+                  className="btn-primary w-full text-lg py-3"
+                >
+                  CONTINUAR CON ESTA CITA →
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingCart;
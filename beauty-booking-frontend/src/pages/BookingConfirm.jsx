@@ -10,20 +10,24 @@ import {
   AlertTriangle,
   FileText,
   ArrowLeft,
+  CalendarPlus,
 } from "lucide-react";
 import { format } from "date-fns";
 import { es } from "date-fns/locale";
 import bookingService from "../services/bookingService";
 import { useAuth } from "../context/AuthContext";
+import { useCart } from "../context/CartContext";
 import { useProtectedRoute, useForm } from "../hooks";
 import { LoadingButton } from "../components/common/Loading";
 import { InlineAlert, Toast } from "../components/common/Alert";
+import { descargarIcs } from "../utils/calendario";
 
 /**
  * BookingConfirm Page
  *
  * Última página del flujo de reserva:
- * - Muestra resumen de la reserva
+ * - Muestra resumen de la reserva (o de la cita con varios servicios
+ *   del carrito, con el total combinado)
  * - Permite añadir notas/comentarios
  * - Confirma los datos del cliente
  * - Procesa la reserva
@@ -34,15 +38,44 @@ const BookingConfirm = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { user } = useProtectedRoute(); // Requiere autenticación
+  const { vaciarCarrito } = useCart();
 
   // Estados
   const [error, setError] = useState("");
   const [success, setSuccess] = useState(false);
-  const [reservaCreada, setReservaCreada] = useState(null);
+  const [reservasCreadas, setReservasCreadas] = useState([]);
   const [showToast, setShowToast] = useState(false);
 
-  // Obtener datos de la navegación
-  const { servicio, fecha, franja } = location.state || {};
+  // Obtener datos de la navegación: un servicio suelto (servicio + franja)
+  // o una cita del carrito con una línea por servicio
+  const { servicio, fecha, franja, cita } = location.state || {};
+  const lineas =
+    cita?.lineas ||
+    (servicio && franja
+      ? [
+          {
+            servicio,
+            franja,
+            horaInicio: franja.horaInicio,
+            horaFin: bookingService.calcularHoraFin(
+              franja.horaInicio,
+              servicio.duracionMinutos
+            ),
+          },
+        ]
+      : []);
+  const esCitaAgrupada = lineas.length > 1;
+
+  // Totales de la visita
+  const nombreServicios = lineas.map((l) => l.servicio.nombre).join(" + ");
+  const duracionTotal = lineas.reduce(
+    (total, l) => total + l.servicio.duracionMinutos,
+    0
+  );
+  const precioTotal = lineas.reduce(
+    (total, l) => total + Number(l.servicio.precio),
+    0
+  );
 
   // Formulario para notas adicionales
   const form = useForm({
@@ -52,21 +85,18 @@ const BookingConfirm = () => {
   });
 
   useEffect(() => {
-    if (!servicio || !fecha || !franja) {
+    if (!fecha || lineas.length === 0) {
       console.error("Faltan datos para la confirmación");
       navigate("/servicios");
     }
-  }, [servicio, fecha, franja, navigate]);
+  }, [fecha, lineas.length, navigate]);
 
   /**
-   * Calcular hora de fin
+   * Calcular hora de fin (la del último servicio de la cita)
    */
   const calcularHoraFin = () => {
-    if (!franja || !servicio) return "";
-    return bookingService.calcularHoraFin(
-      franja.horaInicio,
-      servicio.duracionMinutos
-    );
+    if (lineas.length === 0) return "";
+    return lineas[lineas.length - 1].horaFin;
   };
 
   /**
@@ -95,35 +125,42 @@ const BookingConfirm = () => {
     form.setIsSubmitting(true);
 
     try {
-      // Preparar datos de la reserva
-      const reservaData = {
-        franjaHorariaId: franja.id,
-        notas: form.values.notas.trim(),
-      };
+      const notas = form.values.notas.trim();
+      let nuevas;
+
+      if (esCitaAgrupada) {
+        // Varios servicios: se reservan todos juntos o ninguno
+        const franjaIds = lineas.map((l) => l.franja.id);
+        console.log("📤 Creando cita agrupada:", franjaIds);
+        const resultado = await bookingService.crearReservaAgrupada({
+          franjaIds,
+          notas,
+        });
+        nuevas = resultado.reservas;
+      } else {
+        // Preparar datos de la reserva
+        const reservaData = {
+          franjaHorariaId: lineas[0].franja.id,
+          notas,
+        };
 
-      console.log("📤 Creando reserva:", reservaData);
+        console.log("📤 Creando reserva:", reservaData);
 
-      // Crear la reserva
-      const nuevaReserva = await bookingService.crearReserva(reservaData);
+        // Crear la reserva
+        nuevas = [await bookingService.crearReserva(reservaData)];
+      }
 
-      console.log("✅ Reserva creada:", nuevaReserva);
+      console.log("✅ Reserva creada:", nuevas);
 
-      // Guardar la reserva creada
-      setReservaCreada(nuevaReserva);
+      // La cita del carrito ya está reservada
+      if (cita) vaciarCarrito();
+
+      // Guardar las reservas creadas
+      setReservasCreadas(nuevas);
       setSuccess(true);
 
       // Mostrar toast de éxito
       setShowToast(true);
-
-      // Esperar un poco y redirigir a mis reservas
-      setTimeout(() => {
-        navigate("/mis-reservas", {
-          state: {
-            nuevaReserva: true,
-            reservaId: nuevaReserva.id,
-          },
-        });
-      }, 3000);
     } catch (err) {
       console.error("❌ Error creando reserva:", err);
 
@@ -146,12 +183,12 @@ const BookingConfirm = () => {
   };
 
   // Si no hay datos, no renderizar nada
-  if (!servicio || !fecha || !franja) {
+  if (!fecha || lineas.length === 0) {
     return null;
   }
 
   // Vista de éxito después de confirmar
-  if (success && reservaCreada) {
+  if (success && reservasCreadas.length > 0) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
         <div className="max-w-md w-full">
@@ -174,10 +211,17 @@ const BookingConfirm = () => {
 
             {/* Código de reserva */}
             <div className="bg-gray-50 rounded-lg p-4 mb-6">
-              <p className="text-sm text-gray-600 mb-1">Código de reserva:</p>
-              <p className="text-xl font-mono font-bold text-beauty-600">
-                #BK{String(reservaCreada.id).padStart(5, "0")}
+              <p className="text-sm text-gray-600 mb-1">
+                {esCitaAgrupada ? "Códigos de reserva:" : "Código de reserva:"}
               </p>
+              {reservasCreadas.map((reserva) => (
+                <p
+                  key={reserva.id}
+                  className="text-xl font-mono font-bold text-beauty-600"
+                >
+                  #BK{String(reserva.id).padStart(5, "0")}
+                </p>
+              ))}
             </div>
 
             {/* Resumen */}
@@ -192,15 +236,17 @@ const BookingConfirm = () => {
                 <Clock className="w-4 h-4 text-gray-400 mt-0.5" />
                 <div className="text-sm">
                   <span className="font-medium">Hora:</span>{" "}
-                  {bookingService.formatearHora(franja.horaInicio)} -{" "}
+                  {bookingService.formatearHora(lineas[0].horaInicio)} -{" "}
                   {calcularHoraFin()}
                 </div>
               </div>
               <div className="flex items-start gap-2">
                 <FileText className="w-4 h-4 text-gray-400 mt-0.5" />
                 <div className="text-sm">
-                  <span className="font-medium">Servicio:</span>{" "}
-                  {servicio.nombre}
+                  <span className="font-medium">
+                    {esCitaAgrupada ? "Servicios:" : "Servicio:"}
+                  </span>{" "}
+                  {nombreServicios}
                 </div>
               </div>
             </div>
@@ -216,7 +262,26 @@ const BookingConfirm = () => {
             {/* Botones */}
             <div className="space-y-3">
               <button
-                onClick={() => navigate("/mis-reservas")}
+                onClick={() =>
+                  descargarIcs(
+                    reservasCreadas,
+                    `cita-${String(reservasCreadas[0].id).padStart(5, "0")}`
+                  )
+                }
+                className="btn-secondary w-full flex items-center justify-center gap-2"
+              >
+                <CalendarPlus className="w-4 h-4" />
+                Añadir a mi calendario
+              </button>
+              <button
+                onClick={() =>
+                  navigate("/mis-reservas", {
+                    state: {
+                      nuevaReserva: true,
+                      reservaId: reservasCreadas[0].id,
+                    },
+                  })
+                }
                 className="btn-primary w-full"
               >
                 Ver mis reservas
@@ -283,10 +348,22 @@ const BookingConfirm = () => {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {/* Servicio */}
                 <div>
-                  <p className="text-sm text-gray-600 mb-1">Servicio:</p>
-                  <p className="font-medium">{servicio.nombre}</p>
+                  <p className="text-sm text-gray-600 mb-1">
+                    {esCitaAgrupada ? "Servicios:" : "Servicio:"}
+                  </p>
+                  <p className="font-medium">{nombreServicios}</p>
                 </div>
 
+                {/* Profesional */}
+                {!esCitaAgrupada && lineas[0].franja.profesionalNombre && (
+                  <div>
+                    <p className="text-sm text-gray-600 mb-1">Profesional:</p>
+                    <p className="font-medium">
+                      {lineas[0].franja.profesionalNombre}
+                    </p>
+                  </div>
+                )}
+
                 {/* Fecha */}
                 <div>
                   <p className="text-sm text-gray-600 mb-1">Fecha:</p>
@@ -297,7 +374,7 @@ const BookingConfirm = () => {
                 <div>
                   <p className="text-sm text-gray-600 mb-1">Hora de inicio:</p>
                   <p className="font-medium">
-                    {bookingService.formatearHora(franja.horaInicio)}
+                    {bookingService.formatearHora(lineas[0].horaInicio)}
                   </p>
                 </div>
 
@@ -310,19 +387,46 @@ const BookingConfirm = () => {
                 {/* Duración */}
                 <div>
                   <p className="text-sm text-gray-600 mb-1">Duración:</p>
-                  <p className="font-medium">
-                    {servicio.duracionMinutos} minutos
-                  </p>
+                  <p className="font-medium">{duracionTotal} minutos</p>
                 </div>
 
                 {/* Precio */}
                 <div>
                   <p className="text-sm text-gray-600 mb-1">Precio Total:</p>
                   <p className="text-xl font-bold text-beauty-600">
-                    {servicio.precio} €
+                    {precioTotal} €
                   </p>
                 </div>
               </div>
+
+              {/* Desglose de la cita con varios servicios */}
+              {esCitaAgrupada && (
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <p className="text-sm text-gray-600 mb-2">
+                    Tu cita paso a paso:
+                  </p>
+                  <ul className="space-y-2">
+                    {lineas.map((linea) => (
+                      <li
+                        key={linea.servicio.id}
+                        className="flex items-center justify-between text-sm"
+                      >
+                        <span className="flex items-center gap-2">
+                          <Clock className="w-4 h-4 text-gray-400" />
+                          <span className="font-medium">
+                            {bookingService.formatearHora(linea.horaInicio)} -{" "}
+                            {linea.horaFin}
+                          </span>
+                          {linea.servicio.nombre}
+                        </span>
+                        <span className="text-gray-700">
+                          {linea.servicio.precio} €
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
             {/* Datos del cliente */}
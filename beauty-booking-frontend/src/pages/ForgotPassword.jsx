@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Mail, KeyRound, ArrowLeft, MailCheck } from "lucide-react";
+import authService from "../services/authService";
+import { useForm } from "../hooks";
+import { InlineAlert } from "../components/common/Alert";
+import { LoadingButton } from "../components/common/Loading";
+
+/**
+ * ForgotPassword Page
+ *
+ * Primer paso de la recuperación de contraseña:
+ * - El usuario introduce su email
+ * - El backend envía un enlace con un token a /reset-password
+ * - Mostramos siempre el mismo mensaje, exista o no la cuenta
+ */
+
+const ForgotPassword = () => {
+  // Email al que se ha enviado el enlace (null = formulario visible)
+  const [sentTo, setSentTo] = useState(null);
+  const [error, setError] = useState("");
+
+  const form = useForm(
+    { email: "" },
+    {
+      email: {
+        required: true,
+        email: true,
+        message: "Email válido requerido",
+      },
+    }
+  );
+
+  /**
+   * Maneja el submit del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!form.validate()) {
+      setError("Por favor, introduce un email válido");
+      return;
+    }
+
+    form.setIsSubmitting(true);
+
+    try {
+      await authService.requestPasswordReset(form.values.email);
+      setSentTo(form.values.email);
+    } catch (error) {
+      setError(
+        error.message || "No se ha podido enviar el enlace. Intenta de nuevo."
+      );
+    } finally {
+      form.setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md mx-auto">
+        {/* Logo y título */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="bg-beauty-100 p-3 rounded-full">
+              <KeyRound className="w-8 h-8 text-beauty-500" />
+            </div>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">
+            ¿Olvidaste tu contraseña?
+          </h1>
+          <p className="mt-2 text-gray-600">
+            Te enviaremos un enlace para crear una nueva
+          </p>
+        </div>
+
+        {sentTo ? (
+          // Confirmación de envío
+          <div className="bg-white p-8 rounded-lg shadow-md text-center space-y-4">
+            <div className="flex justify-center">
+              <MailCheck className="w-12 h-12 text-green-500" />
+            </div>
+            <p className="text-gray-700">
+              Si existe una cuenta asociada a{" "}
+              <span className="font-semibold">{sentTo}</span>, recibirás un
+              email con las instrucciones en unos minutos.
+            </p>
+            <p className="text-sm text-gray-500">
+              El enlace caduca al cabo de un rato. Revisa también la carpeta de
+              spam.
+            </p>
+            <button
+              type="button"
+              onClick={() => setSentTo(null)}
+              className="text-sm text-beauty-500 hover:text-beauty-600"
+            >
+              ¿No te ha llegado? Enviar de nuevo
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* Alertas */}
+            {error && (
+              <InlineAlert type="error" message={error} className="mb-4" />
+            )}
+
+            {/* Formulario */}
+            <form
+              onSubmit={handleSubmit}
+              className="bg-white p-8 rounded-lg shadow-md space-y-6"
+            >
+              <div>
+                <label htmlFor="email" className="form-label">
+                  Correo Electrónico
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={form.values.email}
+                    onChange={form.handleChange}
+                    onBlur={form.handleBlur}
+                    className={`
+                      form-input pl-10
+                      ${
+                        form.errors.email && form.touched.email
+                          ? "border-red-500 focus:ring-red-500"
+                          : ""
+                      }
+                    `}
+                    placeholder="usuario@ejemplo.com"
+                  />
+                </div>
+                {form.errors.email && form.touched.email && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {form.errors.email}
+                  </p>
+                )}
+              </div>
+
+              <LoadingButton
+                type="submit"
+                loading={form.isSubmitting}
+                className="w-full"
+              >
+                ENVIAR ENLACE
+              </LoadingButton>
+            </form>
+          </>
+        )}
+
+        {/* Volver a login */}
+        <div className="mt-6 text-center">
+          <Link
+            to="/login"
+            className="inline-flex items-center gap-1 text-sm font-medium text-beauty-500 hover:text-beauty-600"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Volver a iniciar sesión
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import {
   AlertCircle,
   Upload,
@@ -8,28 +8,38 @@ import {
   ArrowLeft,
   User,
   FileText,
+  ClipboardList,
 } from "lucide-react";
 import { useForm } from "../hooks";
+import { useAuth } from "../context/AuthContext";
+import incidenciasService from "../services/incidenciasService";
+import { InlineAlert } from "../components/common/Alert";
+import { LoadingButton } from "../components/common/Loading";
 
 /**
  * Página de Incidencias
  *
  * Formulario para reportar problemas y bugs de la aplicación.
- *
+ * La incidencia se envía con sus capturas adjuntas y el usuario recibe
+ * un código de ticket; con sesión iniciada puede seguirla en
+ * "Mis incidencias".
  */
 
 const Incidencias = () => {
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [files, setFiles] = useState([]);
   const [submitted, setSubmitted] = useState(false);
   const [ticketId, setTicketId] = useState("");
+  const [error, setError] = useState("");
 
   // Formulario con custom hook
+  // (con sesión iniciada los datos del reportante vienen rellenos)
   const form = useForm({
     // Datos del reportante
-    nombre: "",
-    email: "",
-    telefono: "",
+    nombre: user?.nombre || "",
+    email: user?.email || "",
+    telefono: user?.telefono || "",
     rol: "cliente",
 
     // Información de la incidencia
@@ -84,8 +94,9 @@ const Incidencias = () => {
   /**
    * Enviar formulario
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    setError("");
 
     // Validar campos requeridos
     if (
@@ -99,24 +110,22 @@ const Incidencias = () => {
       return;
     }
 
-    // Generar ID de ticket
-    const id =
-      "INC-" +
-      new Date().toISOString().slice(0, 10).replace(/-/g, "") +
-      "-" +
-      Math.floor(Math.random() * 1000)
-        .toString()
-        .padStart(3, "0");
-
-    setTicketId(id);
-    setSubmitted(true);
-
-    // Simular logging
-    console.log("📋 Incidencia reportada:", {
-      ...form.values,
-      archivos: files.length,
-      ticketId: id,
-    });
+    form.setIsSubmitting(true);
+
+    try {
+      const incidencia = await incidenciasService.crearIncidencia(
+        form.values,
+        files
+      );
+      setTicketId(incidencia.codigo);
+      setSubmitted(true);
+    } catch (err) {
+      setError(
+        err.message || "No se ha podido enviar la incidencia. Intenta de nuevo."
+      );
+    } finally {
+      form.setIsSubmitting(false);
+    }
   };
 
   // Vista de éxito después de enviar
@@ -181,13 +190,21 @@ const Incidencias = () => {
 
             {/* Botones */}
             <div className="space-y-3">
+              {user && (
+                <button
+                  onClick={() => navigate("/mis-incidencias")}
+                  className="btn-primary w-full"
+                >
+                  Ver Mis Incidencias
+                </button>
+              )}
               <button
                 onClick={() => {
                   setSubmitted(false);
                   setFiles([]);
                   form.reset();
                 }}
-                className="btn-primary w-full"
+                className={user ? "btn-secondary w-full" : "btn-primary w-full"}
               >
                 Reportar Otra Incidencia
               </button>
@@ -219,15 +236,28 @@ const Incidencias = () => {
         </button>
 
         {/* Header */}
-        <div className="mb-6">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Reportar Incidencia
-          </h1>
-          <p className="text-gray-600">
-            ¿Encontraste algún problema? Ayúdanos a mejorar reportándolo aquí.
-          </p>
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Reportar Incidencia
+            </h1>
+            <p className="text-gray-600">
+              ¿Encontraste algún problema? Ayúdanos a mejorar reportándolo aquí.
+            </p>
+          </div>
+          {user && (
+            <Link
+              to="/mis-incidencias"
+              className="btn-secondary flex items-center gap-2 self-start"
+            >
+              <ClipboardList className="w-5 h-5" />
+              Mis incidencias
+            </Link>
+          )}
         </div>
 
+        {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
         <div className="bg-white rounded-lg shadow-md overflow-hidden">
           {/* Formulario */}
           <form onSubmit={handleSubmit} className="p-6 space-y-8">
@@ -557,9 +587,13 @@ const Incidencias = () => {
               >
                 Cancelar
               </button>
-              <button type="submit" className="btn-primary px-6">
+              <LoadingButton
+                type="submit"
+                loading={form.isSubmitting}
+                className="px-6"
+              >
                 Enviar Incidencia
-              </button>
+              </LoadingButton>
             </div>
           </form>
 
@@ -2,7 +2,10 @@ import React, { useState, useEffect } from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { Mail, Lock, Eye, EyeOff, Scissors, Check } from "lucide-react";
 import { useAuth } from "../context/AuthContext";
+import authService from "../services/authService";
+import configService from "../services/configService";
 import { useForm } from "../hooks";
+import { esPersonal } from "../utils/permisos";
 import { InlineAlert } from "../components/common/Alert";
 import { LoadingButton } from "../components/common/Loading";
 
@@ -12,7 +15,7 @@ import { LoadingButton } from "../components/common/Loading";
  * Página de inicio de sesión con:
  * - Formulario de email y contraseña
  * - Validación de campos
- * - Recordar sesión
+ * - Recordar sesión (localStorage con caducidad o solo esta pestaña)
  * - Enlaces a registro y recuperación
  * - Información lateral sobre el servicio
  */
@@ -32,8 +35,12 @@ const Login = () => {
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
 
-  // Obtener redirect URL si existe
-  const from = location.state?.from?.pathname || "/";
+  // Obtener redirect URL si existe (ruta + query de la página de origen)
+  const fromLocation = location.state?.from;
+  const from =
+    fromLocation && fromLocation.pathname !== "/login"
+      ? `${fromLocation.pathname}${fromLocation.search || ""}`
+      : null;
 
   // Hook de formulario con validaciones
   const form = useForm(
@@ -59,19 +66,11 @@ const Login = () => {
   // Solo se ejecuta una vez al montar el componente
   useEffect(() => {
     const checkAuthAndRedirect = () => {
-      const savedUser = localStorage.getItem("user");
-      if (savedUser) {
-        try {
-          const user = JSON.parse(savedUser);
-          const destination = user.rol === "ADMIN" ? "/admin" : "/servicios";
-          console.log(
-            "👤 Usuario ya autenticado, redirigiendo a:",
-            destination
-          );
-          navigate(destination, { replace: true });
-        } catch (error) {
-          console.error("Error parseando usuario:", error);
-        }
+      if (authService.isAuthenticated()) {
+        const user = authService.getUser();
+        const destination = esPersonal(user.rol) ? "/admin" : "/servicios";
+        console.log("👤 Usuario ya autenticado, redirigiendo a:", destination);
+        navigate(destination, { replace: true });
       }
     };
 
@@ -82,6 +81,18 @@ const Login = () => {
     if (location.state?.registered) {
       setSuccess("¡Registro exitoso! Ahora puedes iniciar sesión.");
     }
+    if (location.state?.sessionExpired) {
+      setError("Tu sesión ha expirado. Inicia sesión de nuevo para continuar.");
+    }
+    if (location.state?.passwordReset) {
+      setSuccess("Contraseña actualizada. Ya puedes iniciar sesión.");
+    }
+    if (location.state?.accountDeleted) {
+      setSuccess("Tu cuenta se ha eliminado. ¡Esperamos volver a verte!");
+    }
+    if (location.state?.loggedOut) {
+      setSuccess("Has cerrado sesión en otra pestaña.");
+    }
   }, [location.state]);
 
   /**
@@ -105,7 +116,11 @@ const Login = () => {
 
     try {
       // Intentar login -  actualiza el estado del usuario en el contexto
-      const response = await login(form.values.email, form.values.password);
+      const response = await login(
+        form.values.email,
+        form.values.password,
+        rememberMe
+      );
 
       // Si llegamos aquí, login exitoso
       console.log("✅ Login exitoso");
@@ -114,13 +129,16 @@ const Login = () => {
 
       const userRole = response.usuario?.rol || response.rol;
 
-      if (userRole === "ADMIN") {
-        console.log("👤 Redirigiendo admin a /admin");
+      // Si hay una página de origen (p. ej. la sesión expiró), volver ahí
+      if (from) {
+        console.log(`↩️ Redirigiendo a ${from}`);
+        navigate(from, { replace: true });
+      } else if (esPersonal(userRole)) {
+        console.log("👤 Redirigiendo personal a /admin");
         navigate("/admin", { replace: true });
       } else {
-        console.log("�� Redirigiendo cliente a /servicios");
-        // Si hay una página de origen, volver ahí
-        navigate(from !== "/login" ? from : "/servicios", { replace: true });
+        console.log("👤 Redirigiendo cliente a /");
+        navigate("/", { replace: true });
       }
     } catch (error) {
       // Manejar errores específicos del backend
@@ -261,6 +279,9 @@ const Login = () => {
                 <label
                   htmlFor="remember-me"
                   className="ml-2 block text-sm text-gray-700"
+                  title={`Mantener la sesión iniciada durante ${
+                    configService.get().rememberMeDays
+                  } días en este dispositivo`}
                 >
                   Recordarme
                 </label>
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  ClipboardList,
+  ChevronDown,
+  ChevronUp,
+  Paperclip,
+  MessageSquare,
+  Plus,
+} from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import incidenciasService from "../services/incidenciasService";
+import { useProtectedRoute, useLoading, useError } from "../hooks";
+import Loading from "../components/common/Loading";
+import { InlineAlert } from "../components/common/Alert";
+
+/**
+ * MyIncidencias Page
+ *
+ * Seguimiento de las incidencias enviadas por el usuario:
+ * - Estado y prioridad actuales de cada ticket
+ * - Historial de cambios y respuestas del equipo
+ */
+
+const MyIncidencias = () => {
+  useProtectedRoute();
+  const { isLoading, executeWithLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [incidencias, setIncidencias] = useState([]);
+  const [expandida, setExpandida] = useState(null);
+
+  /**
+   * Cargar incidencias al montar
+   */
+  useEffect(() => {
+    executeWithLoading(async () => {
+      try {
+        const data = await incidenciasService.getMisIncidencias();
+        setIncidencias(data);
+        // La más reciente se muestra desplegada
+        setExpandida(data[0]?.id ?? null);
+      } catch (err) {
+        console.error("Error cargando incidencias:", err);
+        setError("No se han podido cargar tus incidencias");
+      }
+    });
+  }, [executeWithLoading, setError]);
+
+  if (isLoading) {
+    return <Loading fullScreen message="Cargando tus incidencias..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Mis Incidencias
+            </h1>
+            <p className="text-gray-600">
+              Consulta el estado de los problemas que nos has reportado
+            </p>
+          </div>
+          <Link
+            to="/incidencias"
+            className="btn-primary flex items-center gap-2 self-start"
+          >
+            <Plus className="w-5 h-5" />
+            Reportar incidencia
+          </Link>
+        </div>
+
+        {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+        {incidencias.length === 0 ? (
+          <div className="card text-center py-12">
+            <ClipboardList className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No has reportado ninguna incidencia</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {incidencias.map((incidencia) => (
+              <IncidenciaCard
+                key={incidencia.id}
+                incidencia={incidencia}
+                expandida={expandida === incidencia.id}
+                onToggle={() =>
+                  setExpandida(
+                    expandida === incidencia.id ? null : incidencia.id
+                  )
+                }
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Tarjeta de una incidencia con su historial desplegable
+ */
+const IncidenciaCard = ({ incidencia, expandida, onToggle }) => {
+  const estado = incidenciasService.getEstado(incidencia.estado);
+  const prioridad = incidenciasService.getPrioridad(incidencia.prioridad);
+
+  return (
+    <div className="card">
+      <button
+        onClick={onToggle}
+        className="w-full flex justify-between items-start gap-4 text-left"
+      >
+        <div>
+          <p className="font-mono text-sm font-bold text-beauty-600">
+            {incidencia.codigo}
+          </p>
+          <h3 className="text-lg font-semibold text-gray-900 mt-1">
+            {incidenciasService.getTipoLabel(incidencia.tipo)}
+          </h3>
+          <p className="text-sm text-gray-600 mt-1 line-clamp-2">
+            {incidencia.descripcion}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <span className={`badge ${estado.badge}`}>{estado.label}</span>
+          {expandida ? (
+            <ChevronUp className="w-5 h-5 text-gray-400" />
+          ) : (
+            <ChevronDown className="w-5 h-5 text-gray-400" />
+          )}
+        </div>
+      </button>
+
+      {expandida && (
+        <div className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+            <div>
+              <p className="text-gray-500">Prioridad</p>
+              <p className="font-medium text-gray-900">
+                {prioridad.emoji} {prioridad.label}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500">Enviada</p>
+              <p className="font-medium text-gray-900">
+                {format(parseISO(incidencia.creadoEn), "d MMM yyyy, HH:mm", {
+                  locale: es,
+                })}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500">Adjuntos</p>
+              <p className="font-medium text-gray-900 flex items-center gap-1">
+                <Paperclip className="w-4 h-4" />
+                {incidencia.adjuntos.length}
+              </p>
+            </div>
+          </div>
+
+          <HistorialIncidencia historial={incidencia.historial} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Línea de tiempo con los cambios de estado y las respuestas
+ */
+export const HistorialIncidencia = ({ historial }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-900 mb-3">Historial</h4>
+    <ol className="relative border-l-2 border-beauty-100 ml-2 space-y-4">
+      {historial.map((cambio, index) => (
+        <li key={index} className="ml-4">
+          <span className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full bg-beauty-400" />
+          <p className="text-xs text-gray-500">
+            {format(parseISO(cambio.fecha), "d MMM yyyy, HH:mm", {
+              locale: es,
+            })}{" "}
+            · {cambio.autor}
+          </p>
+          <p className="text-sm font-medium text-gray-900">
+            {incidenciasService.describirCambio(cambio)}
+          </p>
+          {cambio.mensaje && (
+            <div className="mt-2 flex items-start gap-2 bg-beauty-50 border border-beauty-200 rounded-lg p-3 text-sm text-gray-800">
+              <MessageSquare className="w-4 h-4 text-beauty-500 flex-shrink-0 mt-0.5" />
+              <p className="whitespace-pre-line">{cambio.mensaje}</p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+export default MyIncidencias;
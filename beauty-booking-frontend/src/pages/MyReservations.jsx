@@ -12,6 +12,10 @@ import {
   X,
   Plus,
   AlertCircle,
+  CalendarClock,
+  Hourglass,
+  Download,
+  CalendarPlus,
 } from "lucide-react";
 import { format, parseISO, isPast, isToday, isFuture } from "date-fns";
 import { es } from "date-fns/locale";
@@ -19,6 +23,12 @@ import bookingService from "../services/bookingService";
 import { useProtectedRoute, useLoading, useError, useDebounce } from "../hooks";
 import Loading, { LoadingCard } from "../components/common/Loading";
 import { InlineAlert, ConfirmDialog, Toast } from "../components/common/Alert";
+import RescheduleModal from "../components/booking/RescheduleModal";
+import { imprimirRecibo } from "../utils/recibo";
+import {
+  descargarIcs,
+  getReservasParaFeed,
+} from "../utils/calendario";
 
 /**
  * MyReservations Page
@@ -27,8 +37,10 @@ import { InlineAlert, ConfirmDialog, Toast } from "../components/common/Alert";
  * - Ver todas sus reservas (próximas, completadas, canceladas)
  * - Filtrar y buscar reservas
  * - Ver detalles de cada reserva
- * - Cancelar reservas próximas
- * - Reenviar email de confirmación
+ * - Cambiar de fecha o cancelar reservas próximas (hasta el plazo límite)
+ * - Reenviar email de confirmación y descargar el recibo
+ * - Añadir citas al calendario (.ics) o exportar todas las próximas
+ * - Seguir su lista de espera y reservar las plazas que se liberen
  */
 
 const MyReservations = () => {
@@ -41,13 +53,28 @@ const MyReservations = () => {
   // Estados principales
   const [reservas, setReservas] = useState([]);
   const [reservasFiltradas, setReservasFiltradas] = useState([]);
-  const [activeTab, setActiveTab] = useState("proximas"); // proximas, completadas, canceladas
+  const [listaEspera, setListaEspera] = useState([]);
+  // proximas, completadas, canceladas, espera
+  const [activeTab, setActiveTab] = useState(
+    location.state?.tab || "proximas"
+  );
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedReserva, setSelectedReserva] = useState(null);
   const [showCancelDialog, setShowCancelDialog] = useState(false);
   const [reservaToCancel, setReservaToCancel] = useState(null);
+  const [reservaToReschedule, setReservaToReschedule] = useState(null);
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
+  const [toastType, setToastType] = useState("success");
+
+  /**
+   * Mostrar un toast (éxito por defecto)
+   */
+  const mostrarToast = (message, type = "success") => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
 
   // Debounce para búsqueda
   const debouncedSearch = useDebounce(searchTerm, 300);
@@ -57,16 +84,27 @@ const MyReservations = () => {
    */
   useEffect(() => {
     loadReservas();
+    loadListaEspera();
 
     // Verificar si venimos de crear una nueva reserva
     if (location.state?.nuevaReserva) {
-      setToastMessage("¡Nueva reserva creada con éxito!");
-      setShowToast(true);
+      mostrarToast("¡Nueva reserva creada con éxito!");
       // Limpiar el state
       window.history.replaceState({}, document.title);
     }
   }, []);
 
+  /**
+   * Abrir una pestaña al llegar desde un enlace (p. ej. el aviso de plaza
+   * libre de la lista de espera estando ya en esta página)
+   */
+  useEffect(() => {
+    if (location.state?.tab) {
+      setActiveTab(location.state.tab);
+      if (location.state.tab === "espera") loadListaEspera();
+    }
+  }, [location.state]);
+
   /**
    * Filtrar reservas cuando cambia el tab o búsqueda
    */
@@ -84,13 +122,7 @@ const MyReservations = () => {
       });
 
       // Enriquecer reservas con información adicional
-      const reservasEnriquecidas = data.map((reserva) => ({
-        ...reserva,
-        fechaObj: parseISO(reserva.fecha || reserva.creadoEn),
-        isPast: isPast(parseISO(reserva.fecha || reserva.creadoEn)),
-        isToday: isToday(parseISO(reserva.fecha || reserva.creadoEn)),
-        isFuture: isFuture(parseISO(reserva.fecha || reserva.creadoEn)),
-      }));
+      const reservasEnriquecidas = data.map(enriquecerReserva);
 
       setReservas(reservasEnriquecidas);
       console.log(`✅ ${reservasEnriquecidas.length} reservas cargadas`);
@@ -100,6 +132,28 @@ const MyReservations = () => {
     }
   };
 
+  /**
+   * Cargar la lista de espera del usuario
+   */
+  const loadListaEspera = async () => {
+    try {
+      setListaEspera(await bookingService.getMiListaEspera());
+    } catch (err) {
+      console.error("Error cargando lista de espera:", err);
+    }
+  };
+
+  /**
+   * Añade a una reserva las propiedades de fecha que usa la vista
+   */
+  const enriquecerReserva = (reserva) => ({
+    ...reserva,
+    fechaObj: parseISO(reserva.fecha || reserva.creadoEn),
+    isPast: isPast(parseISO(reserva.fecha || reserva.creadoEn)),
+    isToday: isToday(parseISO(reserva.fecha || reserva.creadoEn)),
+    isFuture: isFuture(parseISO(reserva.fecha || reserva.creadoEn)),
+  });
+
   /**
    * Filtrar reservas según tab activo y búsqueda
    */
@@ -144,6 +198,16 @@ const MyReservations = () => {
   const handleCancelReserva = async () => {
     if (!reservaToCancel) return;
 
+    // El plazo puede haber vencido con la página abierta
+    if (!bookingService.puedeModificarse(reservaToCancel)) {
+      setShowCancelDialog(false);
+      setReservaToCancel(null);
+      setError(
+        "Ya ha pasado el plazo para cancelar esta reserva online. Llámanos al 900 123 456."
+      );
+      return;
+    }
+
     try {
       await bookingService.cancelarReserva(reservaToCancel.id);
 
@@ -154,8 +218,7 @@ const MyReservations = () => {
         )
       );
 
-      setToastMessage("Reserva cancelada exitosamente");
-      setShowToast(true);
+      mostrarToast("Reserva cancelada exitosamente");
       setShowCancelDialog(false);
       setReservaToCancel(null);
 
@@ -169,17 +232,97 @@ const MyReservations = () => {
     }
   };
 
+  /**
+   * Actualizar la lista tras cambiar la fecha de una reserva
+   */
+  const handleRescheduled = (actualizada) => {
+    setReservas((prev) =>
+      prev.map((r) =>
+        r.id === actualizada.id
+          ? enriquecerReserva({ ...r, ...actualizada })
+          : r
+      )
+    );
+    setReservaToReschedule(null);
+
+    const nuevaFecha = format(parseISO(actualizada.fecha), "d/MM/yyyy");
+    const nuevaHora = bookingService.formatearHora(actualizada.horaInicio);
+    mostrarToast(`Cita cambiada al ${nuevaFecha} a las ${nuevaHora}`);
+  };
+
+  /**
+   * Reservar la plaza que nos ofrece la lista de espera
+   */
+  const handleReclamarPlaza = async (entrada) => {
+    try {
+      clearError();
+      const reserva = await bookingService.reclamarPlaza(entrada.id);
+      setReservas((prev) => [enriquecerReserva(reserva), ...prev]);
+      setActiveTab("proximas");
+      mostrarToast("¡Plaza reservada! Ya la tienes en tus próximas citas");
+    } catch (err) {
+      console.error("Error reclamando plaza:", err);
+      setError(err.message || "No se ha podido reservar la plaza.");
+    } finally {
+      loadListaEspera();
+    }
+  };
+
+  /**
+   * Salir de la lista de espera de una franja
+   */
+  const handleSalirListaEspera = async (entrada) => {
+    try {
+      clearError();
+      await bookingService.salirListaEspera(entrada.id);
+      setListaEspera((prev) => prev.filter((e) => e.id !== entrada.id));
+      mostrarToast("Has salido de la lista de espera");
+    } catch (err) {
+      console.error("Error saliendo de la lista de espera:", err);
+      setError("Error al salir de la lista de espera. Intenta de nuevo.");
+    }
+  };
+
   /**
    * Reenviar email de confirmación
    */
   const handleResendEmail = async (reserva) => {
     try {
-      setToastMessage("Email de confirmación reenviado");
-      setShowToast(true);
+      const { enviadoA } = await bookingService.reenviarConfirmacion(
+        reserva.id
+      );
+      mostrarToast(`Email de confirmación reenviado a ${enviadoA}`);
     } catch (err) {
       console.error("Error reenviando email:", err);
-      setError("Error al reenviar el email. Por favor, intenta de nuevo.");
+      mostrarToast(
+        err.message || "Error al reenviar el email. Intenta de nuevo.",
+        "error"
+      );
+    }
+  };
+
+  /**
+   * Descargar (imprimir o guardar como PDF) el recibo de una reserva
+   */
+  const handleDownloadReceipt = (reserva) => {
+    try {
+      imprimirRecibo(reserva, user);
+    } catch (err) {
+      mostrarToast(err.message, "error");
+    }
+  };
+
+  /**
+   * Exportar todas las próximas citas en un solo .ics
+   * (al reimportarlo se actualizan las citas movidas o canceladas)
+   */
+  const handleExportCalendar = () => {
+    const proximas = getReservasParaFeed(reservas);
+    if (proximas.length === 0) {
+      mostrarToast("No tienes citas próximas que exportar", "info");
+      return;
     }
+    descargarIcs(proximas, "mis-reservas", "Mis citas · BeautyBooking");
   };
 
   /**
@@ -196,6 +339,10 @@ const MyReservations = () => {
         return reservas.filter((r) => r.estado === "COMPLETADA").length;
       case "canceladas":
         return reservas.filter((r) => r.estado === "CANCELADA").length;
+      case "espera":
+        return listaEspera.filter(
+          (e) => e.estado === "ESPERANDO" || e.estado === "PLAZA_DISPONIBLE"
+        ).length;
       default:
         return 0;
     }
@@ -218,14 +365,26 @@ const MyReservations = () => {
             </p>
           </div>
 
-          {/* Botón nueva reserva */}
-          <button
-            onClick={() => navigate("/servicios")}
-            className="btn-primary flex items-center gap-2"
-          >
-            <Plus className="w-5 h-5" />
-            NUEVA RESERVA
-          </button>
+          <div className="flex flex-wrap gap-3">
+            {/* Exportar al calendario */}
+            <button
+              onClick={handleExportCalendar}
+              className="btn-secondary flex items-center gap-2"
+              title="Descarga un .ics con tus próximas citas"
+            >
+              <CalendarPlus className="w-5 h-5" />
+              EXPORTAR CALENDARIO
+            </button>
+
+            {/* Botón nueva reserva */}
+            <button
+              onClick={() => navigate("/servicios")}
+              className="btn-primary flex items-center gap-2"
+            >
+              <Plus className="w-5 h-5" />
+              NUEVA RESERVA
+            </button>
+          </div>
         </div>
 
         {/* Tabs de estado */}
@@ -252,11 +411,25 @@ const MyReservations = () => {
               label="Canceladas"
               color="red"
             />
+            <TabButton
+              active={activeTab === "espera"}
+              onClick={() => {
+                setActiveTab("espera");
+                loadListaEspera();
+              }}
+              count={getCountByStatus("espera")}
+              label="En espera"
+              color="yellow"
+            />
           </div>
         </div>
 
         {/* Barra de búsqueda */}
-        <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+        <div
+          className={`bg-white rounded-lg shadow-sm p-4 mb-6 ${
+            activeTab === "espera" ? "hidden" : ""
+          }`}
+        >
           <div className="relative">
             <Search
               className="absolute left-3 top-1/2 transform -translate-y-1/2 
@@ -275,8 +448,26 @@ const MyReservations = () => {
         {/* Mensajes de error */}
         {error && <InlineAlert type="error" message={error} className="mb-6" />}
 
-        {/* Lista de reservas o mensaje vacío */}
-        {reservasFiltradas.length === 0 ? (
+        {/* Lista de espera, lista de reservas o mensaje vacío */}
+        {activeTab === "espera" ? (
+          listaEspera.length === 0 ? (
+            <EmptyState
+              activeTab={activeTab}
+              onNewReservation={() => navigate("/servicios")}
+            />
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {listaEspera.map((entrada) => (
+                <ListaEsperaCard
+                  key={entrada.id}
+                  entrada={entrada}
+                  onReclamar={() => handleReclamarPlaza(entrada)}
+                  onSalir={() => handleSalirListaEspera(entrada)}
+                />
+              ))}
+            </div>
+          )
+        ) : reservasFiltradas.length === 0 ? (
           <EmptyState
             activeTab={activeTab}
             hasSearch={!!searchTerm}
@@ -294,6 +485,7 @@ const MyReservations = () => {
                   setReservaToCancel(reserva);
                   setShowCancelDialog(true);
                 }}
+                onReschedule={() => setReservaToReschedule(reserva)}
                 onResendEmail={() => handleResendEmail(reserva)}
               />
             ))}
@@ -301,7 +493,7 @@ const MyReservations = () => {
         )}
 
         {/* Paginación si hay muchas reservas */}
-        {reservasFiltradas.length > 6 && (
+        {activeTab !== "espera" && reservasFiltradas.length > 6 && (
           <div className="mt-8 text-center text-sm text-gray-600">
             Mostrando {reservasFiltradas.length} reservas
           </div>
@@ -318,7 +510,21 @@ const MyReservations = () => {
             setShowCancelDialog(true);
             setSelectedReserva(null);
           }}
+          onReschedule={() => {
+            setReservaToReschedule(selectedReserva);
+            setSelectedReserva(null);
+          }}
           onResendEmail={() => handleResendEmail(selectedReserva)}
+          onDownloadReceipt={() => handleDownloadReceipt(selectedReserva)}
+        />
+      )}
+
+      {/* Modal de cambio de fecha */}
+      {reservaToReschedule && (
+        <RescheduleModal
+          reserva={reservaToReschedule}
+          onClose={() => setReservaToReschedule(null)}
+          onRescheduled={handleRescheduled}
         />
       )}
 
@@ -344,7 +550,7 @@ const MyReservations = () => {
       {/* Toast notifications */}
       {showToast && (
         <Toast
-          type="success"
+          type={toastType}
           message={toastMessage}
           duration={3000}
           onClose={() => setShowToast(false)}
@@ -362,6 +568,7 @@ const TabButton = ({ active, onClick, count, label, color }) => {
     green: "text-green-600 bg-green-50",
     blue: "text-blue-600 bg-blue-50",
     red: "text-red-600 bg-red-50",
+    yellow: "text-yellow-600 bg-yellow-50",
   };
 
   return (
@@ -397,13 +604,12 @@ const ReservationCard = ({
   reserva,
   onViewDetails,
   onCancel,
+  onReschedule,
   onResendEmail,
 }) => {
   const estadoColor = bookingService.getEstadoColor(reserva.estado);
   const estadoTexto = bookingService.getEstadoEspanol(reserva.estado);
-  const canCancel =
-    (reserva.estado === "PENDIENTE" || reserva.estado === "CONFIRMADA") &&
-    !reserva.isPast;
+  const canModify = bookingService.puedeModificarse(reserva);
 
   return (
     <div className="card border border-gray-200">
@@ -452,6 +658,8 @@ const ReservationCard = ({
         )}
       </div>
 
+      <PlazoLimiteAviso reserva={reserva} className="mb-4" />
+
       {/* Botones de acción */}
       <div className="flex gap-2">
         <button
@@ -462,10 +670,19 @@ const ReservationCard = ({
           VER DETALLES
         </button>
 
-        {canCancel && (
-          <button onClick={onCancel} className="flex-1 btn-danger">
-            CANCELAR
-          </button>
+        {canModify && (
+          <>
+            <button
+              onClick={onReschedule}
+              className="flex-1 btn-secondary flex items-center justify-center gap-2"
+            >
+              <CalendarClock className="w-4 h-4" />
+              CAMBIAR FECHA
+            </button>
+            <button onClick={onCancel} className="flex-1 btn-danger">
+              CANCELAR
+            </button>
+          </>
         )}
 
         {reserva.estado === "CONFIRMADA" && !reserva.isPast && (
@@ -482,6 +699,152 @@ const ReservationCard = ({
   );
 };
 
+/**
+ * Aviso del plazo para cambiar o cancelar una reserva activa
+ * Antes del plazo indica hasta cuándo; después, que hay que llamar
+ */
+const PlazoLimiteAviso = ({ reserva, className = "" }) => {
+  const activa =
+    (reserva.estado === "PENDIENTE" || reserva.estado === "CONFIRMADA") &&
+    !reserva.isPast;
+  if (!activa) return null;
+
+  const limite = bookingService.getLimiteCambios(reserva);
+
+  if (bookingService.puedeModificarse(reserva)) {
+    return (
+      <p className={`text-xs text-gray-500 ${className}`}>
+        Puedes cambiarla o cancelarla hasta el{" "}
+        {format(limite, "d/MM 'a las' HH:mm")}
+      </p>
+    );
+  }
+
+  return (
+    <div
+      className={`flex items-start gap-2 text-xs text-yellow-800 bg-yellow-50 rounded-lg p-2 ${className}`}
+    >
+      <AlertCircle className="w-4 h-4 flex-shrink-0" />
+      <span>
+        Ya no se puede cambiar ni cancelar online. Si no puedes venir,
+        llámanos al 900 123 456.
+      </span>
+    </div>
+  );
+};
+
+/**
+ * Tarjeta de una entrada de la lista de espera
+ * Con plaza ofrecida muestra el tiempo que queda para reservarla
+ */
+const ListaEsperaCard = ({ entrada, onReclamar, onSalir }) => {
+  const [ahora, setAhora] = useState(() => Date.now());
+  const [procesando, setProcesando] = useState(false);
+
+  const conPlaza = entrada.estado === "PLAZA_DISPONIBLE";
+  const activa = conPlaza || entrada.estado === "ESPERANDO";
+
+  // Refrescamos la cuenta atrás mientras haya plaza ofrecida
+  useEffect(() => {
+    if (!conPlaza) return;
+    const interval = setInterval(() => setAhora(Date.now()), 15 * 1000);
+    return () => clearInterval(interval);
+  }, [conPlaza]);
+
+  const minutosRestantes = conPlaza
+    ? Math.ceil((parseISO(entrada.plazaDisponibleHasta) - ahora) / 60000)
+    : 0;
+  const caducada = conPlaza && minutosRestantes <= 0;
+  const horaLimite = conPlaza
+    ? format(parseISO(entrada.plazaDisponibleHasta), "HH:mm")
+    : "";
+
+  const ejecutar = async (accion) => {
+    setProcesando(true);
+    try {
+      await accion();
+    } finally {
+      setProcesando(false);
+    }
+  };
+
+  const estados = {
+    ESPERANDO: {
+      label: `Posición ${entrada.posicion} en la cola`,
+      className: "badge-warning",
+    },
+    PLAZA_DISPONIBLE: { label: "¡Plaza libre!", className: "badge-success" },
+    RESERVADA: { label: "Reservada", className: "badge-info" },
+    EXPIRADA: { label: "Caducada", className: "badge-danger" },
+  };
+  const estado = estados[entrada.estado] || estados.EXPIRADA;
+
+  return (
+    <div
+      className={`card ${conPlaza && !caducada ? "ring-2 ring-green-400" : ""} ${
+        activa ? "" : "opacity-60"
+      }`}
+    >
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">
+            {entrada.servicioNombre}
+          </h3>
+          <div className="flex items-center gap-4 text-sm text-gray-600 mt-1">
+            <span className="flex items-center gap-1">
+              <Calendar className="w-4 h-4" />
+              {format(parseISO(entrada.fecha), "EEE d MMM", { locale: es })}
+            </span>
+            <span className="flex items-center gap-1">
+              <Clock className="w-4 h-4" />
+              {bookingService.formatearHora(entrada.horaInicio)}
+            </span>
+          </div>
+        </div>
+        <span className={estado.className}>{estado.label}</span>
+      </div>
+
+      {conPlaza && (
+        <div
+          className={`flex items-start gap-2 text-sm rounded-lg p-3 mb-3 ${
+            caducada
+              ? "bg-gray-50 text-gray-600"
+              : "bg-green-50 text-green-800"
+          }`}
+        >
+          <Hourglass className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>
+            {caducada
+              ? "Se ha agotado el tiempo para reservar esta plaza."
+              : `Se ha liberado una plaza. Tienes ${minutosRestantes} min (hasta las ${horaLimite}) para reservarla.`}
+          </span>
+        </div>
+      )}
+
+      {activa && (
+        <div className="flex gap-2">
+          {conPlaza && (
+            <button
+              onClick={() => ejecutar(onReclamar)}
+              disabled={procesando || caducada}
+              className="btn-primary flex-1 text-sm"
+            >
+              RESERVAR PLAZA
+            </button>
+          )}
+          <button
+            onClick={() => ejecutar(onSalir)}
+            disabled={procesando}
+            className="btn-secondary flex-1 text-sm"
+          >
+            Salir de la lista
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
  * Componente de estado vacío
  */
@@ -513,6 +876,12 @@ const EmptyState = ({
         : "No has cancelado ninguna reserva",
       action: false,
     },
+    espera: {
+      title: "No estás en ninguna lista de espera",
+      description:
+        "Si un horario está completo, apúntate y te avisaremos cuando se libere una plaza",
+      action: true,
+    },
   };
 
   const config = messages[activeTab];
@@ -547,7 +916,9 @@ const ReservationDetailsModal = ({
   reserva,
   onClose,
   onCancel,
+  onReschedule,
   onResendEmail,
+  onDownloadReceipt,
 }) => {
   return (
     <>
@@ -632,6 +1003,8 @@ const ReservationDetailsModal = ({
               </div>
             </div>
 
+            <PlazoLimiteAviso reserva={reserva} />
+
             {/* Notas */}
             {reserva.notas && (
               <div>
@@ -655,11 +1028,30 @@ const ReservationDetailsModal = ({
           </div>
 
           {/* Footer con acciones */}
-          <div className="border-t p-6 flex justify-end gap-3">
+          <div className="border-t p-6 flex flex-wrap justify-end gap-3">
+            <button
+              onClick={onDownloadReceipt}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              DESCARGAR RECIBO
+            </button>
             {(reserva.estado === "PENDIENTE" ||
               reserva.estado === "CONFIRMADA") &&
               !reserva.isPast && (
                 <>
+                  <button
+                    onClick={() =>
+                      descargarIcs(
+                        [reserva],
+                        `cita-${String(reserva.id).padStart(5, "0")}`
+                      )
+                    }
+                    className="btn-secondary flex items-center gap-2"
+                  >
+                    <CalendarPlus className="w-4 h-4" />
+                    AÑADIR AL CALENDARIO
+                  </button>
                   <button
                     onClick={onResendEmail}
                     className="btn-secondary flex items-center gap-2"
@@ -667,9 +1059,20 @@ const ReservationDetailsModal = ({
                     <Mail className="w-4 h-4" />
                     REENVIAR EMAIL
                   </button>
-                  <button onClick={onCancel} className="btn-danger">
-                    CANCELAR RESERVA
-                  </button>
+                  {bookingService.puedeModificarse(reserva) && (
+                    <>
+                      <button
+                        onClick={onReschedule}
+                        className="btn-secondary flex items-center gap-2"
+                      >
+                        <CalendarClock className="w-4 h-4" />
+                        CAMBIAR FECHA
+                      </button>
+                      <button onClick={onCancel} className="btn-danger">
+                        CANCELAR RESERVA
+                      </button>
+                    </>
+                  )}
                 </>
               )}
             <button onClick={onClose} className="btn-primary">
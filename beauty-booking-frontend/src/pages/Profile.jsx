@@ -0,0 +1,737 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import {
+  User,
+  Phone,
+  Mail,
+  Lock,
+  Bell,
+  Trash2,
+  Save,
+  AlertCircle,
+} from "lucide-react";
+import userService from "../services/userService";
+import { useAuth } from "../context/AuthContext";
+import { useForm, useLoading, useError } from "../hooks";
+import { formatPhone, isValidPhone, isValidPassword } from "../utils/helpers";
+import Loading, { LoadingButton } from "../components/common/Loading";
+import { InlineAlert, Toast } from "../components/common/Alert";
+import Modal from "../components/common/Modal";
+import PasswordStrength from "../components/common/PasswordStrength";
+
+/**
+ * Profile Page
+ *
+ * Página "Mi Perfil" donde el usuario puede:
+ * - Editar nombre y teléfono
+ * - Cambiar el email (se verifica con un enlace a la nueva dirección)
+ * - Cambiar la contraseña
+ * - Elegir qué comunicaciones recibe
+ * - Eliminar su cuenta
+ */
+
+const Profile = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { updateUser, logout } = useAuth();
+  const { isLoading, executeWithLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [perfil, setPerfil] = useState(null);
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+
+  // Token del enlace de verificación de email (/perfil?verificarEmail=...)
+  const verificarEmailToken = searchParams.get("verificarEmail");
+
+  // Último token enviado: updateUser y setSearchParams cambian de identidad
+  // al renderizar y no deben repetir la verificación
+  const tokenVerificado = useRef(null);
+
+  /**
+   * Si llegamos desde el enlace de verificación, confirmamos el cambio de
+   * email y quitamos el token de la URL para no reutilizarlo
+   */
+  useEffect(() => {
+    if (
+      !verificarEmailToken ||
+      tokenVerificado.current === verificarEmailToken
+    ) {
+      return;
+    }
+    tokenVerificado.current = verificarEmailToken;
+
+    const verificarEmail = async () => {
+      try {
+        const data = await userService.verificarEmail(verificarEmailToken);
+        updateUser({ email: data.email });
+        setToastMessage(
+          "Email verificado. Ya puedes usarlo para iniciar sesión."
+        );
+        setShowToast(true);
+      } catch (err) {
+        setError(err.message || "El enlace de verificación no es válido");
+      } finally {
+        setSearchParams({}, { replace: true });
+      }
+    };
+
+    verificarEmail();
+  }, [verificarEmailToken, updateUser, setError, setSearchParams]);
+
+  /**
+   * Cargar el perfil completo del usuario. Con un token de verificación en
+   * la URL esperamos a confirmarlo para cargar ya el perfil actualizado
+   */
+  useEffect(() => {
+    if (verificarEmailToken) return;
+
+    const loadPerfil = async () => {
+      try {
+        const data = await executeWithLoading(() => userService.getPerfil());
+        setPerfil(data);
+      } catch (err) {
+        console.error("Error cargando perfil:", err);
+        setError("Error al cargar tu perfil. Por favor, intenta de nuevo.");
+      }
+    };
+
+    loadPerfil();
+  }, [verificarEmailToken, executeWithLoading, setError]);
+
+  /**
+   * Muestra un toast de éxito
+   */
+  const notify = (message) => {
+    setToastMessage(message);
+    setShowToast(true);
+  };
+
+  /**
+   * Tras eliminar la cuenta cerramos la sesión y volvemos a login
+   */
+  const handleAccountDeleted = () => {
+    logout();
+    navigate("/login", { replace: true, state: { accountDeleted: true } });
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen message="Cargando tu perfil..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Mi Perfil</h1>
+          <p className="text-gray-600 mt-1">
+            Gestiona tus datos, tu acceso y tus notificaciones
+          </p>
+        </div>
+
+        {error && <InlineAlert type="error" message={error} className="mb-6" />}
+
+        {perfil && (
+          <div className="space-y-6">
+            <DatosPersonalesSection
+              perfil={perfil}
+              onSaved={(data) => {
+                setPerfil(data);
+                // Mantenemos la sesión al día (nombre en el header...)
+                updateUser({ nombre: data.nombre, telefono: data.telefono });
+                notify("Datos personales actualizados");
+              }}
+            />
+
+            <EmailSection
+              perfil={perfil}
+              onRequested={(data) => {
+                setPerfil(data);
+                notify(`Te hemos enviado un enlace a ${data.emailPendiente}`);
+              }}
+            />
+
+            <PasswordSection
+              onChanged={() => notify("Contraseña cambiada correctamente")}
+            />
+
+            <PreferenciasSection
+              preferencias={perfil.preferencias}
+              onSaved={(preferencias) => {
+                setPerfil((prev) => ({ ...prev, preferencias }));
+                notify("Preferencias guardadas");
+              }}
+            />
+
+            <EliminarCuentaSection onDeleted={handleAccountDeleted} />
+          </div>
+        )}
+      </div>
+
+      {/* Toast notifications */}
+      {showToast && (
+        <Toast
+          type="success"
+          message={toastMessage}
+          duration={3000}
+          onClose={() => setShowToast(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tarjeta de sección con icono y título
+ */
+const Section = ({ icon, title, description, danger, children }) => {
+  const Icon = icon;
+
+  return (
+    <section className="card">
+      <div className="flex items-start gap-3 mb-6">
+        <Icon
+          className={`w-6 h-6 flex-shrink-0 ${
+            danger ? "text-red-500" : "text-beauty-500"
+          }`}
+        />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+          {description && (
+            <p className="text-sm text-gray-600 mt-1">{description}</p>
+          )}
+        </div>
+      </div>
+      {children}
+    </section>
+  );
+};
+
+/**
+ * Error de validación bajo un campo
+ */
+const FieldError = ({ form, name }) =>
+  form.errors[name] && form.touched[name] ? (
+    <p className="mt-1 text-sm text-red-600">{form.errors[name]}</p>
+  ) : null;
+
+/**
+ * Datos personales: nombre y teléfono
+ */
+const DatosPersonalesSection = ({ perfil, onSaved }) => {
+  const [error, setError] = useState("");
+
+  const form = useForm(
+    {
+      nombre: perfil.nombre || "",
+      telefono: formatPhone(perfil.telefono || ""),
+    },
+    {
+      nombre: {
+        required: true,
+        minLength: 2,
+        message: "El nombre debe tener al menos 2 caracteres",
+      },
+      telefono: {
+        required: true,
+        validate: (value) =>
+          isValidPhone(value) ? null : "Número de teléfono inválido",
+      },
+    }
+  );
+
+  /**
+   * Formatea el teléfono (XXX XXX XXX) mientras se escribe
+   */
+  const handlePhoneChange = (e) => {
+    const digits = e.target.value.replace(/\D/g, "").substring(0, 9);
+    form.setFieldValue("telefono", formatPhone(digits));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!form.validate()) return;
+
+    form.setIsSubmitting(true);
+    try {
+      const data = await userService.actualizarPerfil(form.values);
+      onSaved(data);
+    } catch (err) {
+      setError(err.message || "No se han podido guardar los cambios");
+    } finally {
+      form.setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Section icon={User} title="Datos personales">
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="nombre" className="form-label">
+              Nombre Completo
+            </label>
+            <input
+              id="nombre"
+              name="nombre"
+              type="text"
+              autoComplete="name"
+              value={form.values.nombre}
+              onChange={form.handleChange}
+              onBlur={form.handleBlur}
+              className="form-input"
+            />
+            <FieldError form={form} name="nombre" />
+          </div>
+
+          <div>
+            <label htmlFor="telefono" className="form-label">
+              Teléfono
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center">
+                <Phone className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="telefono"
+                name="telefono"
+                type="tel"
+                autoComplete="tel"
+                value={form.values.telefono}
+                onChange={handlePhoneChange}
+                onBlur={form.handleBlur}
+                className="form-input pl-10"
+                placeholder="600 123 456"
+              />
+            </div>
+            <FieldError form={form} name="telefono" />
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <LoadingButton type="submit" loading={form.isSubmitting}>
+            <Save className="w-4 h-4" />
+            Guardar cambios
+          </LoadingButton>
+        </div>
+      </form>
+    </Section>
+  );
+};
+
+/**
+ * Cambio de email con verificación de la nueva dirección
+ */
+const EmailSection = ({ perfil, onRequested }) => {
+  const [error, setError] = useState("");
+
+  const form = useForm(
+    { email: "", password: "" },
+    {
+      email: {
+        required: true,
+        email: true,
+        message: "Email válido requerido",
+      },
+      password: {
+        required: true,
+        message: "Introduce tu contraseña para confirmar",
+      },
+    }
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!form.validate()) return;
+
+    form.setIsSubmitting(true);
+    try {
+      const data = await userService.solicitarCambioEmail(
+        form.values.email,
+        form.values.password
+      );
+      form.reset();
+      onRequested(data);
+    } catch (err) {
+      setError(err.message || "No se ha podido solicitar el cambio");
+      form.setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Section
+      icon={Mail}
+      title="Correo electrónico"
+      description="El cambio no se aplica hasta que confirmes la nueva dirección desde el enlace que te enviaremos."
+    >
+      <p className="text-sm text-gray-700 mb-4">
+        Email actual: <span className="font-medium">{perfil.email}</span>
+      </p>
+
+      {perfil.emailPendiente && (
+        <div className="flex items-start gap-2 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <p>
+            Pendiente de verificar:{" "}
+            <span className="font-medium">{perfil.emailPendiente}</span>.
+            Revisa tu bandeja de entrada para confirmar el cambio.
+          </p>
+        </div>
+      )}
+
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="nuevoEmail" className="form-label">
+              Nuevo email
+            </label>
+            <input
+              id="nuevoEmail"
+              name="email"
+              type="email"
+              autoComplete="email"
+              value={form.values.email}
+              onChange={form.handleChange}
+              onBlur={form.handleBlur}
+              className="form-input"
+              placeholder="usuario@ejemplo.com"
+            />
+            <FieldError form={form} name="email" />
+          </div>
+
+          <div>
+            <label htmlFor="emailPassword" className="form-label">
+              Contraseña actual
+            </label>
+            <input
+              id="emailPassword"
+              name="password"
+              type="password"
+              autoComplete="current-password"
+              value={form.values.password}
+              onChange={form.handleChange}
+              onBlur={form.handleBlur}
+              className="form-input"
+            />
+            <FieldError form={form} name="password" />
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <LoadingButton type="submit" loading={form.isSubmitting}>
+            Enviar verificación
+          </LoadingButton>
+        </div>
+      </form>
+    </Section>
+  );
+};
+
+/**
+ * Cambio de contraseña (mismas reglas que el registro)
+ */
+const PasswordSection = ({ onChanged }) => {
+  const [error, setError] = useState("");
+
+  const form = useForm(
+    { passwordActual: "", passwordNueva: "", confirmPassword: "" },
+    {
+      passwordActual: {
+        required: true,
+        message: "Introduce tu contraseña actual",
+      },
+      passwordNueva: {
+        required: true,
+        validate: (value, allValues) => {
+          if (!isValidPassword(value)) {
+            return "Mínimo 8 caracteres, con mayúscula, minúscula y número";
+          }
+          if (value === allValues.passwordActual) {
+            return "La nueva contraseña debe ser distinta de la actual";
+          }
+          return null;
+        },
+      },
+      confirmPassword: {
+        required: true,
+        validate: (value, allValues) =>
+          value !== allValues.passwordNueva
+            ? "Las contraseñas no coinciden"
+            : null,
+      },
+    }
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!form.validate()) return;
+
+    form.setIsSubmitting(true);
+    try {
+      await userService.cambiarPassword(
+        form.values.passwordActual,
+        form.values.passwordNueva
+      );
+      form.reset();
+      onChanged();
+    } catch (err) {
+      setError(err.message || "No se ha podido cambiar la contraseña");
+      form.setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Section icon={Lock} title="Contraseña">
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="passwordActual" className="form-label">
+            Contraseña actual
+          </label>
+          <input
+            id="passwordActual"
+            name="passwordActual"
+            type="password"
+            autoComplete="current-password"
+            value={form.values.passwordActual}
+            onChange={form.handleChange}
+            onBlur={form.handleBlur}
+            className="form-input"
+          />
+          <FieldError form={form} name="passwordActual" />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="passwordNueva" className="form-label">
+              Nueva contraseña
+            </label>
+            <input
+              id="passwordNueva"
+              name="passwordNueva"
+              type="password"
+              autoComplete="new-password"
+              value={form.values.passwordNueva}
+              onChange={form.handleChange}
+              onBlur={form.handleBlur}
+              className="form-input"
+              placeholder="Mínimo 8 caracteres"
+            />
+            <PasswordStrength password={form.values.passwordNueva} />
+            <FieldError form={form} name="passwordNueva" />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="form-label">
+              Confirmar contraseña
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              value={form.values.confirmPassword}
+              onChange={form.handleChange}
+              onBlur={form.handleBlur}
+              className="form-input"
+            />
+            <FieldError form={form} name="confirmPassword" />
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <LoadingButton type="submit" loading={form.isSubmitting}>
+            Cambiar contraseña
+          </LoadingButton>
+        </div>
+      </form>
+    </Section>
+  );
+};
+
+// Opciones de comunicación que el usuario puede activar
+const OPCIONES_PREFERENCIAS = [
+  {
+    key: "recordatoriosEmail",
+    label: "Recordatorios por email",
+    description: "Te avisamos el día antes de cada cita",
+  },
+  {
+    key: "recordatoriosSms",
+    label: "Recordatorios por SMS",
+    description: "Un mensaje al móvil unas horas antes de la cita",
+  },
+  {
+    key: "novedadesEmail",
+    label: "Novedades y promociones",
+    description: "Nuevos servicios y ofertas del salón",
+  },
+];
+
+/**
+ * Preferencias de comunicación
+ */
+const PreferenciasSection = ({ preferencias, onSaved }) => {
+  const [values, setValues] = useState(preferencias);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const hasChanges = OPCIONES_PREFERENCIAS.some(
+    ({ key }) => values[key] !== preferencias[key]
+  );
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError("");
+      const data = await userService.actualizarPreferencias(values);
+      onSaved(data);
+    } catch (err) {
+      setError(err.message || "No se han podido guardar las preferencias");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section
+      icon={Bell}
+      title="Comunicaciones"
+      description="Los emails de confirmación y cancelación de reservas se envían siempre."
+    >
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      <div className="divide-y divide-gray-100">
+        {OPCIONES_PREFERENCIAS.map(({ key, label, description }) => (
+          <label
+            key={key}
+            htmlFor={`pref-${key}`}
+            className="flex items-start gap-3 py-3 cursor-pointer"
+          >
+            <input
+              id={`pref-${key}`}
+              type="checkbox"
+              checked={!!values[key]}
+              onChange={(e) =>
+                setValues((prev) => ({ ...prev, [key]: e.target.checked }))
+              }
+              className="h-4 w-4 mt-1 text-beauty-500 focus:ring-beauty-500 border-gray-300 rounded"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">
+                {label}
+              </span>
+              <span className="block text-sm text-gray-600">{description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end mt-4">
+        <LoadingButton
+          onClick={handleSave}
+          loading={saving}
+          disabled={!hasChanges || saving}
+        >
+          Guardar preferencias
+        </LoadingButton>
+      </div>
+    </Section>
+  );
+};
+
+/**
+ * Baja de la cuenta (pide la contraseña como confirmación)
+ */
+const EliminarCuentaSection = ({ onDeleted }) => {
+  const [showModal, setShowModal] = useState(false);
+  const [password, setPassword] = useState("");
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState("");
+
+  const closeModal = () => {
+    setShowModal(false);
+    setPassword("");
+    setError("");
+  };
+
+  const handleDelete = async () => {
+    try {
+      setDeleting(true);
+      setError("");
+      await userService.eliminarCuenta(password);
+      onDeleted();
+    } catch (err) {
+      setError(err.message || "No se ha podido eliminar la cuenta");
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Section
+      icon={Trash2}
+      title="Eliminar cuenta"
+      description="Se cancelarán tus reservas pendientes y se borrarán tus datos. Esta acción no se puede deshacer."
+      danger
+    >
+      <div className="flex justify-end">
+        <button onClick={() => setShowModal(true)} className="btn-danger">
+          Eliminar mi cuenta
+        </button>
+      </div>
+
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title="¿Eliminar tu cuenta?"
+        size="sm"
+        footer={
+          <div className="flex justify-end gap-3">
+            <button onClick={closeModal} className="btn-secondary">
+              Cancelar
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={!password || deleting}
+              className="btn-danger"
+            >
+              {deleting ? "Eliminando..." : "Eliminar definitivamente"}
+            </button>
+          </div>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            Perderás tu historial de reservas y tus citas pendientes se
+            cancelarán. Introduce tu contraseña para confirmar.
+          </p>
+          {error && <InlineAlert type="error" message={error} />}
+          <div>
+            <label htmlFor="deletePassword" className="form-label">
+              Contraseña
+            </label>
+            <input
+              id="deletePassword"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="form-input"
+            />
+          </div>
+        </div>
+      </Modal>
+    </Section>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,248 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { Lock, Eye, EyeOff, KeyRound } from "lucide-react";
+import authService from "../services/authService";
+import { useForm } from "../hooks";
+import { isValidPassword } from "../utils/helpers";
+import { InlineAlert } from "../components/common/Alert";
+import { LoadingButton } from "../components/common/Loading";
+import PasswordStrength from "../components/common/PasswordStrength";
+
+/**
+ * ResetPassword Page
+ *
+ * Segundo paso de la recuperación de contraseña:
+ * - Lee el token del enlace (/reset-password?token=...)
+ * - También sirve para activar una cuenta invitada (&invitacion=1)
+ * - Pide la nueva contraseña con indicador de fortaleza
+ * - Al terminar redirige a login para entrar con la nueva contraseña
+ */
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const esInvitacion = searchParams.get("invitacion") === "1";
+
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState("");
+  // El enlace ha caducado o ya se usó: hay que pedir otro
+  const [invalidLink, setInvalidLink] = useState(!token);
+
+  const form = useForm(
+    {
+      password: "",
+      confirmPassword: "",
+    },
+    {
+      password: {
+        required: true,
+        validate: (value) => {
+          if (!isValidPassword(value)) {
+            return "Mínimo 8 caracteres, con mayúscula, minúscula y número";
+          }
+          return null;
+        },
+      },
+      confirmPassword: {
+        required: true,
+        validate: (value, allValues) => {
+          if (value !== allValues.password) {
+            return "Las contraseñas no coinciden";
+          }
+          return null;
+        },
+      },
+    }
+  );
+
+  /**
+   * Maneja el submit del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!form.validate()) {
+      setError("Por favor, corrige los errores en el formulario");
+      return;
+    }
+
+    form.setIsSubmitting(true);
+
+    try {
+      await authService.resetPassword(token, form.values.password);
+      navigate("/login", { replace: true, state: { passwordReset: true } });
+    } catch (error) {
+      if (error.status === 400 || error.status === 404) {
+        setInvalidLink(true);
+      }
+      setError(
+        error.message || "No se ha podido cambiar la contraseña. Intenta de nuevo."
+      );
+    } finally {
+      form.setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md mx-auto">
+        {/* Logo y título */}
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <div className="bg-beauty-100 p-3 rounded-full">
+              <KeyRound className="w-8 h-8 text-beauty-500" />
+            </div>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">
+            {esInvitacion ? "Activa tu Cuenta" : "Nueva Contraseña"}
+          </h1>
+          <p className="mt-2 text-gray-600">
+            {esInvitacion
+              ? "Te hemos creado una cuenta: elige una contraseña para entrar"
+              : "Elige una contraseña segura para tu cuenta"}
+          </p>
+        </div>
+
+        {invalidLink ? (
+          // Enlace ausente, caducado o ya utilizado
+          <div className="bg-white p-8 rounded-lg shadow-md text-center space-y-4">
+            <InlineAlert
+              type="error"
+              message={
+                error ||
+                "El enlace de recuperación no es válido o ha caducado."
+              }
+            />
+            <Link to="/forgot-password" className="btn-primary inline-block">
+              Solicitar un nuevo enlace
+            </Link>
+          </div>
+        ) : (
+          <>
+            {/* Alertas */}
+            {error && (
+              <InlineAlert type="error" message={error} className="mb-4" />
+            )}
+
+            {/* Formulario */}
+            <form
+              onSubmit={handleSubmit}
+              className="bg-white p-8 rounded-lg shadow-md space-y-6"
+            >
+              {/* Campo Contraseña */}
+              <div>
+                <label htmlFor="password" className="form-label">
+                  Nueva Contraseña
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="new-password"
+                    required
+                    value={form.values.password}
+                    onChange={form.handleChange}
+                    onBlur={form.handleBlur}
+                    className={`
+                      form-input pl-10 pr-10
+                      ${
+                        form.errors.password && form.touched.password
+                          ? "border-red-500 focus:ring-red-500"
+                          : ""
+                      }
+                    `}
+                    placeholder="Mínimo 8 caracteres"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+
+                {/* Indicador de fortaleza */}
+                <PasswordStrength password={form.values.password} />
+
+                {form.errors.password && form.touched.password && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {form.errors.password}
+                  </p>
+                )}
+              </div>
+
+              {/* Campo Confirmar Contraseña */}
+              <div>
+                <label htmlFor="confirmPassword" className="form-label">
+                  Confirmar Contraseña
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="new-password"
+                    required
+                    value={form.values.confirmPassword}
+                    onChange={form.handleChange}
+                    onBlur={form.handleBlur}
+                    className={`
+                      form-input pl-10
+                      ${
+                        form.errors.confirmPassword &&
+                        form.touched.confirmPassword
+                          ? "border-red-500 focus:ring-red-500"
+                          : ""
+                      }
+                    `}
+                    placeholder="Repite la contraseña"
+                  />
+                </div>
+                {form.errors.confirmPassword &&
+                  form.touched.confirmPassword && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {form.errors.confirmPassword}
+                    </p>
+                  )}
+              </div>
+
+              <LoadingButton
+                type="submit"
+                loading={form.isSubmitting}
+                className="w-full"
+              >
+                CAMBIAR CONTRASEÑA
+              </LoadingButton>
+            </form>
+          </>
+        )}
+
+        {/* Volver a login */}
+        <div className="mt-6 text-center">
+          <Link
+            to="/login"
+            className="text-sm font-medium text-beauty-500 hover:text-beauty-600"
+          >
+            Volver a iniciar sesión
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
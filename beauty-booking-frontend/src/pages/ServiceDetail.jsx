@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  Clock,
+  Users,
+  ChevronRight,
+  ChevronDown,
+  ShoppingBag,
+  Check,
+  HelpCircle,
+} from "lucide-react";
+import bookingService from "../services/bookingService";
+import { useAuth } from "../context/AuthContext";
+import { useCart } from "../context/CartContext";
+import { useLoading, useError } from "../hooks";
+import { formatDuration, getInitials } from "../utils/helpers";
+import Loading from "../components/common/Loading";
+import { InlineAlert } from "../components/common/Alert";
+
+// Servicios de la misma categoría que se sugieren al final
+const MAX_RELACIONADOS = 3;
+
+/**
+ * Service Detail Page
+ *
+ * Ficha pública de un servicio con:
+ * - Galería de imágenes (la primera es la portada)
+ * - Duración, aforo, precio y profesionales que lo realizan
+ * - Preguntas frecuentes
+ * - Botones para reservar o añadir a la cita
+ * - Otros servicios de la misma categoría
+ */
+
+const ServiceDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const cart = useCart();
+  const { isLoading, executeWithLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [servicio, setServicio] = useState(null);
+  const [categoria, setCategoria] = useState(null);
+  const [profesionales, setProfesionales] = useState([]);
+  const [relacionados, setRelacionados] = useState([]);
+  const [imagenActiva, setImagenActiva] = useState(0);
+
+  /**
+   * Cargar el servicio al entrar (y al saltar a uno relacionado)
+   */
+  useEffect(() => {
+    const loadServicio = async () => {
+      try {
+        setError(null);
+        setImagenActiva(0);
+        const [data, servicios, categorias, listaProfesionales] =
+          await executeWithLoading(async () => {
+            return await Promise.all([
+              bookingService.getServicioById(id),
+              bookingService.getServicios(),
+              bookingService.getCategorias(),
+              bookingService.getProfesionales(id),
+            ]);
+          });
+
+        if (!data.activo) {
+          setServicio(null);
+          setError("Este servicio ya no está disponible");
+          return;
+        }
+
+        setServicio({
+          ...data,
+          imagenes: data.imagenes || [],
+          faqs: data.faqs || [],
+        });
+        setCategoria(categorias.find((c) => c.id === data.categoriaId) || null);
+        setProfesionales(listaProfesionales);
+        setRelacionados(
+          data.categoriaId
+            ? servicios
+                .filter(
+                  (s) => s.categoriaId === data.categoriaId && s.id !== data.id
+                )
+                .slice(0, MAX_RELACIONADOS)
+            : []
+        );
+      } catch (err) {
+        console.error("Error cargando servicio:", err);
+        setServicio(null);
+        setError(
+          err.status === 404
+            ? "No encontramos este servicio"
+            : "Error al cargar el servicio. Por favor, intenta de nuevo."
+        );
+      }
+    };
+
+    loadServicio();
+  }, [id, executeWithLoading, setError]);
+
+  /**
+   * Manejar click en reservar (igual que en el catálogo)
+   */
+  const handleReservar = () => {
+    if (!isAuthenticated()) {
+      navigate("/login", {
+        state: { from: { pathname: `/booking/${servicio.id}` } },
+      });
+    } else {
+      navigate(`/booking/${servicio.id}`);
+    }
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen message="Cargando servicio..." />;
+  }
+
+  if (!servicio) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 text-center space-y-4">
+          <InlineAlert type="error" message={error} />
+          <Link to="/servicios" className="btn-secondary inline-block">
+            Ver todos los servicios
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const enCarrito = cart.estaEnCarrito(servicio.id);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Migas de pan */}
+        <nav className="flex items-center gap-1 text-sm text-gray-500 mb-6">
+          <Link to="/servicios" className="hover:text-beauty-600">
+            Servicios
+          </Link>
+          {categoria && (
+            <>
+              <ChevronRight className="w-4 h-4" />
+              <Link
+                to={`/servicios?categoria=${categoria.slug}`}
+                className="hover:text-beauty-600"
+              >
+                {categoria.nombre}
+              </Link>
+            </>
+          )}
+          <ChevronRight className="w-4 h-4" />
+          <span className="text-gray-900">{servicio.nombre}</span>
+        </nav>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Galería */}
+          <div>
+            {servicio.imagenes.length > 0 ? (
+              <>
+                <img
+                  src={servicio.imagenes[imagenActiva]}
+                  alt={servicio.nombre}
+                  className="w-full aspect-[4/3] object-cover rounded-lg shadow-md"
+                />
+                {servicio.imagenes.length > 1 && (
+                  <div className="grid grid-cols-4 gap-2 mt-3">
+                    {servicio.imagenes.map((imagen, index) => (
+                      <button
+                        key={index}
+                        onClick={() => setImagenActiva(index)}
+                        className={`rounded-lg overflow-hidden border-2 ${
+                          index === imagenActiva
+                            ? "border-beauty-500"
+                            : "border-transparent"
+                        }`}
+                      >
+                        <img
+                          src={imagen}
+                          alt=""
+                          className="w-full aspect-[4/3] object-cover"
+                        />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <div
+                className="w-full aspect-[4/3] rounded-lg bg-gradient-to-br from-beauty-100 to-beauty-200
+                            flex items-center justify-center text-8xl"
+              >
+                {categoria?.icono || "💆‍♀️"}
+              </div>
+            )}
+          </div>
+
+          {/* Información */}
+          <div className="space-y-6">
+            <div>
+              {categoria && (
+                <p className="text-sm font-medium text-beauty-600 uppercase mb-1">
+                  {categoria.icono} {categoria.nombre}
+                </p>
+              )}
+              <h1 className="text-3xl font-bold text-gray-900 mb-3">
+                {servicio.nombre}
+              </h1>
+              <p className="text-gray-600">
+                {servicio.descripcion || "Servicio profesional de alta calidad"}
+              </p>
+            </div>
+
+            <div className="flex flex-wrap gap-6 text-sm text-gray-600">
+              <span className="flex items-center gap-2">
+                <Clock className="w-4 h-4" />
+                {formatDuration(servicio.duracionMinutos)}
+              </span>
+              <span className="flex items-center gap-2">
+                <Users className="w-4 h-4" />
+                {servicio.aforoMaximo === 1
+                  ? "1 persona"
+                  : `Hasta ${servicio.aforoMaximo} personas`}
+              </span>
+            </div>
+
+            <div className="card p-6 space-y-3">
+              <div className="text-3xl font-bold text-beauty-600">
+                {servicio.precio} €
+              </div>
+              <button onClick={handleReservar} className="btn-primary w-full">
+                RESERVAR
+              </button>
+              <button
+                onClick={() =>
+                  enCarrito
+                    ? cart.quitarServicio(servicio.id)
+                    : cart.agregarServicio(servicio)
+                }
+                className={`w-full flex items-center justify-center gap-2 text-sm font-medium py-2 rounded-lg border transition-colors ${
+                  enCarrito
+                    ? "border-beauty-300 bg-beauty-50 text-beauty-700"
+                    : "border-gray-200 text-gray-600 hover:bg-gray-50"
+                }`}
+              >
+                {enCarrito ? (
+                  <>
+                    <Check className="w-4 h-4" />
+                    En tu cita (quitar)
+                  </>
+                ) : (
+                  <>
+                    <ShoppingBag className="w-4 h-4" />
+                    Añadir a mi cita
+                  </>
+                )}
+              </button>
+              {cart.servicios.length > 0 && (
+                <Link
+                  to="/servicios"
+                  className="block text-center text-sm text-beauty-600 hover:underline"
+                >
+                  Seguir añadiendo servicios ({cart.servicios.length} en tu
+                  cita)
+                </Link>
+              )}
+            </div>
+
+            {/* Profesionales */}
+            {profesionales.length > 0 && (
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                  Quién lo realiza
+                </h2>
+                <div className="flex flex-wrap gap-4">
+                  {profesionales.map((profesional) => (
+                    <div
+                      key={profesional.id}
+                      className="flex items-center gap-2"
+                    >
+                      {profesional.foto ? (
+                        <img
+                          src={profesional.foto}
+                          alt=""
+                          className="w-10 h-10 rounded-full object-cover"
+                        />
+                      ) : (
+                        <span className="w-10 h-10 rounded-full bg-beauty-100 text-beauty-700 text-sm font-semibold flex items-center justify-center">
+                          {getInitials(profesional.nombre)}
+                        </span>
+                      )}
+                      <span className="text-sm text-gray-700">
+                        {profesional.nombre}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Preguntas frecuentes */}
+        {servicio.faqs.length > 0 && (
+          <section className="mt-12">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 flex items-center gap-2">
+              <HelpCircle className="w-6 h-6 text-beauty-500" />
+              Preguntas frecuentes
+            </h2>
+            <div className="bg-white rounded-lg shadow-sm divide-y">
+              {servicio.faqs.map((faq, index) => (
+                <FaqItem key={index} faq={faq} />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Relacionados */}
+        {relacionados.length > 0 && (
+          <section className="mt-12">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">
+              Más en {categoria.nombre}
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {relacionados.map((relacionado) => (
+                <Link
+                  key={relacionado.id}
+                  to={`/servicios/${relacionado.id}`}
+                  className="card overflow-hidden hover:shadow-xl transition-shadow"
+                >
+                  {relacionado.imagenes?.length > 0 ? (
+                    <img
+                      src={relacionado.imagenes[0]}
+                      alt={relacionado.nombre}
+                      className="h-32 w-full object-cover"
+                    />
+                  ) : (
+                    <div className="h-32 bg-gradient-to-br from-beauty-100 to-beauty-200 flex items-center justify-center text-5xl">
+                      {categoria.icono}
+                    </div>
+                  )}
+                  <div className="p-4 flex justify-between items-center">
+                    <span className="font-semibold text-gray-900">
+                      {relacionado.nombre}
+                    </span>
+                    <span className="font-bold text-beauty-600">
+                      {relacionado.precio} €
+                    </span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pregunta frecuente desplegable
+ */
+const FaqItem = ({ faq }) => {
+  const [abierta, setAbierta] = useState(false);
+
+  return (
+    <div>
+      <button
+        onClick={() => setAbierta(!abierta)}
+        className="w-full px-6 py-4 flex justify-between items-center text-left font-medium text-gray-900 hover:bg-gray-50"
+        aria-expanded={abierta}
+      >
+        {faq.pregunta}
+        <ChevronDown
+          className={`w-5 h-5 text-gray-500 transition-transform ${
+            abierta ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+      {abierta && (
+        <p className="px-6 pb-4 text-gray-600 whitespace-pre-line">
+          {faq.respuesta}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ServiceDetail;
@@ -1,8 +1,20 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { Clock, Users, Euro, Search, Filter, Image } from "lucide-react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Clock,
+  Users,
+  Euro,
+  Search,
+  Filter,
+  Image,
+  ShoppingBag,
+  Check,
+  X,
+  ChevronRight,
+} from "lucide-react";
 import bookingService from "../services/bookingService";
 import { useAuth } from "../context/AuthContext";
+import { useCart } from "../context/CartContext";
 import { useLoading, useError, useDebounce } from "../hooks";
 import Loading, { LoadingCard } from "../components/common/Loading";
 import { InlineAlert } from "../components/common/Alert";
@@ -12,19 +24,24 @@ import { InlineAlert } from "../components/common/Alert";
  *
  * Página que muestra el catálogo de servicios con:
  * - Grid de servicios disponibles
+ * - Navegación por categorías (?categoria=slug)
  * - Búsqueda y filtros
  * - Información de cada servicio
  * - Botón para reservar
+ * - Carrito para reservar varios servicios en una misma visita
  */
 
 const Services = () => {
   const navigate = useNavigate();
   const { isAuthenticated } = useAuth();
+  const cart = useCart();
   const { isLoading, executeWithLoading } = useLoading(true);
   const { error, setError, clearError } = useError();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // Estados para servicios y filtros
   const [servicios, setServicios] = useState([]);
+  const [categorias, setCategorias] = useState([]);
   const [serviciosFiltrados, setServiciosFiltrados] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [filterOpen, setFilterOpen] = useState(false);
@@ -40,6 +57,10 @@ const Services = () => {
   // Debounce para búsqueda (evita buscar en cada tecla)
   const debouncedSearch = useDebounce(searchTerm, 300);
 
+  // La categoría va en la URL para poder enlazarla y volver atrás
+  const categoriaSlug = searchParams.get("categoria");
+  const categoriaActiva = categorias.find((c) => c.slug === categoriaSlug);
+
   /**
    * Cargar servicios al montar el componente
    */
@@ -52,16 +73,20 @@ const Services = () => {
    */
   useEffect(() => {
     applyFilters();
-  }, [debouncedSearch, filters, servicios]);
+  }, [debouncedSearch, filters, servicios, categoriaActiva]);
 
   /**
    * Cargar servicios desde el backend
    */
   const loadServicios = async () => {
     try {
-      const data = await executeWithLoading(async () => {
-        return await bookingService.getServicios();
+      const [data, listaCategorias] = await executeWithLoading(async () => {
+        return await Promise.all([
+          bookingService.getServicios(),
+          bookingService.getCategorias(),
+        ]);
       });
+      setCategorias(listaCategorias);
 
       // Solo mostrar servicios activos
       const serviciosActivos = data.filter((s) => s.activo !== false);
@@ -81,6 +106,11 @@ const Services = () => {
   const applyFilters = () => {
     let filtered = [...servicios];
 
+    // Filtro por categoría
+    if (categoriaActiva) {
+      filtered = filtered.filter((s) => s.categoriaId === categoriaActiva.id);
+    }
+
     // Filtro por búsqueda
     if (debouncedSearch) {
       filtered = filtered.filter(
@@ -140,6 +170,26 @@ const Services = () => {
     }
   };
 
+  /**
+   * Cambiar de categoría (null = todas)
+   */
+  const handleCategoria = (slug) => {
+    setSearchParams(slug ? { categoria: slug } : {});
+  };
+
+  /**
+   * Reservar todos los servicios del carrito en una misma visita
+   */
+  const handleReservarCarrito = () => {
+    if (!isAuthenticated()) {
+      navigate("/login", {
+        state: { from: { pathname: "/booking/cita" } },
+      });
+    } else {
+      navigate("/booking/cita");
+    }
+  };
+
   /**
    * Resetear filtros
    */
@@ -184,6 +234,29 @@ const Services = () => {
           </p>
         </div>
 
+        {/* Categorías */}
+        {categorias.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            <CategoriaPill
+              label="Todas"
+              count={servicios.length}
+              active={!categoriaActiva}
+              onClick={() => handleCategoria(null)}
+            />
+            {categorias
+              .filter((c) => c.numServicios > 0)
+              .map((categoria) => (
+                <CategoriaPill
+                  key={categoria.id}
+                  label={`${categoria.icono} ${categoria.nombre}`}
+                  count={categoria.numServicios}
+                  active={categoriaActiva?.id === categoria.id}
+                  onClick={() => handleCategoria(categoria.slug)}
+                />
+              ))}
+          </div>
+        )}
+
         {/* Barra de búsqueda y filtros */}
         <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
           <div className="flex flex-col md:flex-row gap-4">
@@ -342,13 +415,110 @@ const Services = () => {
                 <ServiceCard
                   key={servicio.id}
                   servicio={servicio}
+                  categoria={categorias.find(
+                    (c) => c.id === servicio.categoriaId
+                  )}
                   onReservar={handleReservar}
+                  enCarrito={cart.estaEnCarrito(servicio.id)}
+                  onToggleCarrito={() =>
+                    cart.estaEnCarrito(servicio.id)
+                      ? cart.quitarServicio(servicio.id)
+                      : cart.agregarServicio(servicio)
+                  }
                   formatDuracion={formatDuracion}
                 />
               ))}
             </div>
           </>
         )}
+
+        {/* Hueco para que la barra del carrito no tape la última fila */}
+        {cart.servicios.length > 0 && <div className="h-24" />}
+      </div>
+
+      {/* Carrito: varios servicios en una misma visita */}
+      {cart.servicios.length > 0 && (
+        <CarritoBar
+          cart={cart}
+          onReservar={handleReservarCarrito}
+          formatDuracion={formatDuracion}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Botón de categoría con su número de servicios
+ */
+const CategoriaPill = ({ label, count, active, onClick }) => {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-4 py-2 rounded-full text-sm font-medium border transition-colors ${
+        active
+          ? "bg-beauty-500 border-beauty-500 text-white"
+          : "bg-white border-gray-200 text-gray-700 hover:border-beauty-300"
+      }`}
+    >
+      {label}
+      <span className={`ml-2 ${active ? "text-beauty-100" : "text-gray-400"}`}>
+        {count}
+      </span>
+    </button>
+  );
+};
+
+/**
+ * Barra inferior con los servicios añadidos a la cita
+ */
+const CarritoBar = ({ cart, onReservar, formatDuracion }) => {
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t shadow-lg">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex flex-col md:flex-row md:items-center gap-4">
+        <div className="flex items-center gap-3 flex-1 min-w-0">
+          <ShoppingBag className="w-6 h-6 text-beauty-500 flex-shrink-0" />
+          <div className="min-w-0">
+            <p className="font-semibold text-gray-900">
+              Tu cita: {cart.servicios.length} servicio
+              {cart.servicios.length !== 1 && "s"}
+            </p>
+            <div className="flex flex-wrap gap-2 mt-1">
+              {cart.servicios.map((servicio) => (
+                <span
+                  key={servicio.id}
+                  className="inline-flex items-center gap-1 bg-beauty-50 text-beauty-700 text-xs px-2 py-1 rounded-full"
+                >
+                  {servicio.nombre}
+                  <button
+                    onClick={() => cart.quitarServicio(servicio.id)}
+                    aria-label={`Quitar ${servicio.nombre}`}
+                    className="hover:text-beauty-900"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-4">
+          <div className="text-right">
+            <p className="text-xl font-bold text-beauty-600">
+              {cart.precioTotal} €
+            </p>
+            <p className="text-xs text-gray-500">
+              {formatDuracion(cart.duracionTotal)} en total
+            </p>
+          </div>
+          <button onClick={cart.vaciarCarrito} className="btn-secondary">
+            Vaciar
+          </button>
+          <button onClick={onReservar} className="btn-primary">
+            ELEGIR FECHA Y HORA
+          </button>
+        </div>
       </div>
     </div>
   );
@@ -357,7 +527,14 @@ const Services = () => {
 /**
  * Componente de tarjeta de servicio
  */
-const ServiceCard = ({ servicio, onReservar, formatDuracion }) => {
+const ServiceCard = ({
+  servicio,
+  categoria,
+  onReservar,
+  enCarrito,
+  onToggleCarrito,
+  formatDuracion,
+}) => {
   //
   const getServiceImage = (nombre) => {
     // Por hacer luego: Imagen placeholder según el servicio
@@ -387,19 +564,41 @@ const ServiceCard = ({ servicio, onReservar, formatDuracion }) => {
                     border border-gray-100 overflow-hidden group"
     >
       {/* Imagen/Icono del servicio */}
-      <div
-        className="h-32 bg-gradient-to-br from-beauty-100 to-beauty-200 
+      <Link to={`/servicios/${servicio.id}`} className="block overflow-hidden">
+        {servicio.imagenes?.length > 0 ? (
+          <img
+            src={servicio.imagenes[0]}
+            alt={servicio.nombre}
+            className="h-32 w-full object-cover group-hover:scale-110 transition-transform duration-300"
+          />
+        ) : (
+          <div
+            className="h-32 bg-gradient-to-br from-beauty-100 to-beauty-200 
                       flex items-center justify-center text-5xl
                       group-hover:scale-110 transition-transform duration-300"
-      >
-        {getServiceImage(servicio.nombre)}
-      </div>
+          >
+            {categoria?.icono || getServiceImage(servicio.nombre)}
+          </div>
+        )}
+      </Link>
 
       {/* Información del servicio */}
       <div className="p-6">
+        {/* Categoría */}
+        {categoria && (
+          <p className="text-xs font-medium text-beauty-600 uppercase mb-1">
+            {categoria.nombre}
+          </p>
+        )}
+
         {/* Nombre */}
         <h3 className="text-xl font-semibold text-gray-900 mb-2">
-          {servicio.nombre}
+          <Link
+            to={`/servicios/${servicio.id}`}
+            className="hover:text-beauty-600"
+          >
+            {servicio.nombre}
+          </Link>
         </h3>
 
         {/* Descripción */}
@@ -427,6 +626,15 @@ const ServiceCard = ({ servicio, onReservar, formatDuracion }) => {
           </div>
         </div>
 
+        {/* Detalle del servicio */}
+        <Link
+          to={`/servicios/${servicio.id}`}
+          className="inline-flex items-center gap-1 text-sm text-beauty-600 hover:underline mb-4"
+        >
+          Ver detalles
+          <ChevronRight className="w-4 h-4" />
+        </Link>
+
         {/* Precio y botón */}
         <div className="flex items-center justify-between">
           <div className="text-2xl font-bold text-beauty-600">
@@ -439,6 +647,28 @@ const ServiceCard = ({ servicio, onReservar, formatDuracion }) => {
             RESERVAR
           </button>
         </div>
+
+        {/* Añadir a una cita con varios servicios */}
+        <button
+          onClick={onToggleCarrito}
+          className={`mt-3 w-full flex items-center justify-center gap-2 text-sm font-medium py-2 rounded-lg border transition-colors ${
+            enCarrito
+              ? "border-beauty-300 bg-beauty-50 text-beauty-700"
+              : "border-gray-200 text-gray-600 hover:bg-gray-50"
+          }`}
+        >
+          {enCarrito ? (
+            <>
+              <Check className="w-4 h-4" />
+              En tu cita (quitar)
+            </>
+          ) : (
+            <>
+              <ShoppingBag className="w-4 h-4" />
+              Añadir a mi cita
+            </>
+          )}
+        </button>
       </div>
     </div>
   );
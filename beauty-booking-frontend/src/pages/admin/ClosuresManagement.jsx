@@ -0,0 +1,982 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  CalendarX,
+  ChevronLeft,
+  ChevronRight,
+  Plus,
+  Upload,
+  Trash2,
+  AlertTriangle,
+  ChevronDown,
+  ChevronUp,
+} from "lucide-react";
+import {
+  format,
+  addMonths,
+  subMonths,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  isSameMonth,
+  isToday,
+  parseISO,
+} from "date-fns";
+import { es } from "date-fns/locale";
+import adminService from "../../services/adminService";
+import { leerCalendarioIcs } from "../../utils/calendario";
+import {
+  useProtectedRoute,
+  useLoading,
+  useError,
+  useDebounce,
+} from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
+import Modal from "../../components/common/Modal";
+import { LoadingButton, LoadingSpinner } from "../../components/common/Loading";
+import {
+  InlineAlert,
+  ConfirmDialog,
+  Toast,
+} from "../../components/common/Alert";
+import { AdminSidebar } from "./Dashboard";
+
+/**
+ * Closures Management
+ *
+ * Calendario de cierres y festivos del salón:
+ * - Días completos o tramos horarios, de todo el salón o de un servicio
+ * - Importación de festivos nacionales/autonómicos desde un .ics
+ * - Aviso de las reservas activas que caen en días cerrados (no se
+ *   cancelan solas: hay que avisar a los clientes o reprogramarlas)
+ * Mientras exista un cierre no se pueden crear franjas dentro de él y
+ * las que ya había dejan de ofrecerse a los clientes.
+ */
+
+const TIPOS_CIERRE = [
+  {
+    value: "FESTIVO",
+    label: "Festivo",
+    clase: "bg-purple-100 text-purple-800",
+  },
+  {
+    value: "VACACIONES",
+    label: "Vacaciones",
+    clase: "bg-blue-100 text-blue-800",
+  },
+  { value: "CIERRE", label: "Cierre", clase: "bg-gray-200 text-gray-800" },
+];
+
+const getTipo = (tipo) =>
+  TIPOS_CIERRE.find((t) => t.value === tipo) || TIPOS_CIERRE[2];
+
+const DIAS_CABECERA = ["L", "M", "X", "J", "V", "S", "D"];
+
+/**
+ * "jue 25 dic 2025" o "22 dic - 6 ene 2026" (+ tramo si lo hay)
+ */
+const describirFechas = (cierre) => {
+  const inicio = parseISO(cierre.fechaInicio);
+  const fin = parseISO(cierre.fechaFin);
+  const dias =
+    cierre.fechaInicio === cierre.fechaFin
+      ? format(inicio, "EEE d MMM yyyy", { locale: es })
+      : `${format(inicio, "d MMM", { locale: es })} - ${format(
+          fin,
+          "d MMM yyyy",
+          { locale: es }
+        )}`;
+  return cierre.desde ? `${dias} · ${cierre.desde} - ${cierre.hasta}` : dias;
+};
+
+const ClosuresManagement = () => {
+  useProtectedRoute(null, PERMISOS.HORARIOS);
+  const { isLoading, setIsLoading } = useLoading(true);
+  const { error, setError } = useError();
+  const navigate = useNavigate();
+
+  const [mes, setMes] = useState(startOfMonth(new Date()));
+  const [cierres, setCierres] = useState([]);
+  const [servicios, setServicios] = useState([]);
+  const [expandido, setExpandido] = useState(null);
+
+  // Modales
+  const [nuevoCierre, setNuevoCierre] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [cierreAEliminar, setCierreAEliminar] = useState(null);
+  const [toastMessage, setToastMessage] = useState("");
+
+  // Días del calendario: semanas completas de lunes a domingo
+  const dias = eachDayOfInterval({
+    start: startOfWeek(mes, { weekStartsOn: 1 }),
+    end: endOfWeek(endOfMonth(mes), { weekStartsOn: 1 }),
+  });
+  const hoy = format(new Date(), "yyyy-MM-dd");
+
+  useEffect(() => {
+    adminService
+      .getAllServicios()
+      .then(setServicios)
+      .catch(() => setError("Error al cargar los servicios"));
+  }, [setError]);
+
+  /**
+   * Carga los cierres de las semanas visibles
+   */
+  const loadCierres = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const data = await adminService.getCierres(
+        format(startOfWeek(mes, { weekStartsOn: 1 }), "yyyy-MM-dd"),
+        format(endOfWeek(endOfMonth(mes), { weekStartsOn: 1 }), "yyyy-MM-dd")
+      );
+      setCierres(data);
+    } catch (err) {
+      console.error("Error cargando cierres:", err);
+      setError("Error al cargar los cierres");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mes, setError, setIsLoading]);
+
+  useEffect(() => {
+    loadCierres();
+  }, [loadCierres]);
+
+  const inicioMes = format(mes, "yyyy-MM-dd");
+  const finMes = format(endOfMonth(mes), "yyyy-MM-dd");
+  const cierresDelMes = cierres.filter(
+    (c) => c.fechaFin >= inicioMes && c.fechaInicio <= finMes
+  );
+  const reservasAfectadas = cierresDelMes.reduce(
+    (total, c) => total + c.reservasAfectadas.length,
+    0
+  );
+
+  const cierresDelDia = (fecha) =>
+    cierres.filter((c) => fecha >= c.fechaInicio && fecha <= c.fechaFin);
+
+  /**
+   * Eliminar cierre
+   */
+  const handleDelete = async () => {
+    try {
+      await adminService.eliminarCierre(cierreAEliminar.id);
+      setCierreAEliminar(null);
+      setToastMessage("Cierre eliminado");
+      loadCierres();
+    } catch (err) {
+      setCierreAEliminar(null);
+      setError(err.message || "Error al eliminar el cierre");
+    }
+  };
+
+  /**
+   * Tras crear o importar: aviso de franjas borradas y reservas afectadas
+   */
+  const handleSaved = (mensaje) => {
+    setNuevoCierre(null);
+    setShowImportModal(false);
+    setToastMessage(mensaje);
+    loadCierres();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminSidebar activePage="cierres" />
+
+      <div className="lg:ml-64 p-4 sm:p-6 lg:p-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
+              Cierres y Festivos
+            </h1>
+            <p className="text-sm sm:text-base text-gray-600">
+              Días en los que el salón (o un servicio) no abre
+            </p>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="btn-secondary flex items-center justify-center gap-2"
+            >
+              <Upload className="w-5 h-5" />
+              <span>Importar .ics</span>
+            </button>
+            <button
+              onClick={() => setNuevoCierre({ fecha: hoy })}
+              className="btn-primary flex items-center justify-center gap-2"
+            >
+              <Plus className="w-5 h-5" />
+              <span>Nuevo cierre</span>
+            </button>
+          </div>
+        </div>
+
+        {error && <InlineAlert type="error" message={error} className="mb-6" />}
+
+        {reservasAfectadas > 0 && (
+          <InlineAlert
+            type="warning"
+            message={`Hay ${reservasAfectadas} reservas activas en días cerrados este mes. No se cancelan solas: avisa a los clientes o reprográmalas.`}
+            className="mb-6"
+          />
+        )}
+
+        {/* Calendario */}
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <button
+              onClick={() => setMes(subMonths(mes, 1))}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Mes anterior"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <h2 className="text-lg sm:text-xl font-bold text-gray-900 capitalize">
+              {format(mes, "MMMM yyyy", { locale: es })}
+            </h2>
+            <button
+              onClick={() => setMes(addMonths(mes, 1))}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Mes siguiente"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div
+            className={`grid grid-cols-7 gap-1 ${
+              isLoading ? "opacity-60 pointer-events-none" : ""
+            }`}
+          >
+            {DIAS_CABECERA.map((dia) => (
+              <div
+                key={dia}
+                className="text-center text-xs font-medium text-gray-500 py-1"
+              >
+                {dia}
+              </div>
+            ))}
+            {dias.map((dia) => {
+              const fecha = format(dia, "yyyy-MM-dd");
+              const delDia = cierresDelDia(fecha);
+              const pasado = fecha < hoy;
+
+              return (
+                <button
+                  key={fecha}
+                  onClick={() => setNuevoCierre({ fecha })}
+                  disabled={pasado}
+                  title={pasado ? "" : "Cerrar este día"}
+                  className={`min-h-20 p-1 rounded border text-left align-top transition-colors ${
+                    isSameMonth(dia, mes) ? "bg-white" : "bg-gray-50"
+                  } ${
+                    pasado
+                      ? "cursor-default text-gray-400"
+                      : "hover:border-beauty-300 hover:bg-beauty-50"
+                  }`}
+                >
+                  <span
+                    className={`block text-xs font-semibold mb-1 ${
+                      isToday(dia) ? "text-beauty-600" : ""
+                    }`}
+                  >
+                    {format(dia, "d")}
+                  </span>
+                  <span className="block space-y-0.5">
+                    {delDia.map((cierre) => (
+                      <span
+                        key={cierre.id}
+                        className={`block px-1 rounded text-xs truncate ${
+                          getTipo(cierre.tipo).clase
+                        }`}
+                        title={`${cierre.motivo}${
+                          cierre.servicioNombre
+                            ? ` (${cierre.servicioNombre})`
+                            : ""
+                        }`}
+                      >
+                        {cierre.desde && `${cierre.desde} `}
+                        {cierre.motivo}
+                      </span>
+                    ))}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Lista del mes */}
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="px-4 sm:px-6 py-4 border-b">
+            <h2 className="font-bold text-gray-900 capitalize">
+              Cierres de {format(mes, "MMMM", { locale: es })}
+            </h2>
+          </div>
+
+          {cierresDelMes.length === 0 ? (
+            <div className="p-12 text-center">
+              <CalendarX className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">No hay cierres este mes</p>
+            </div>
+          ) : (
+            <ul className="divide-y">
+              {cierresDelMes.map((cierre) => (
+                <CierreItem
+                  key={cierre.id}
+                  cierre={cierre}
+                  expandido={expandido === cierre.id}
+                  onToggle={() =>
+                    setExpandido(expandido === cierre.id ? null : cierre.id)
+                  }
+                  onDelete={() => setCierreAEliminar(cierre)}
+                  onVerReservas={(fecha) =>
+                    navigate(`/admin/reservas?fecha=${fecha}`)
+                  }
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Modales */}
+      {nuevoCierre && (
+        <ClosureModal
+          fecha={nuevoCierre.fecha}
+          servicios={servicios}
+          onClose={() => setNuevoCierre(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {showImportModal && (
+        <ImportHolidaysModal
+          servicios={servicios}
+          onClose={() => setShowImportModal(false)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      <ConfirmDialog
+        isOpen={!!cierreAEliminar}
+        title="Eliminar cierre"
+        message="El día vuelve a abrirse. Las franjas que se borraron al crear el cierre no se recuperan: vuelve a generarlas si hace falta."
+        onConfirm={handleDelete}
+        onClose={() => setCierreAEliminar(null)}
+        confirmText="Eliminar"
+        cancelText="Cancelar"
+        type="danger"
+      />
+
+      {toastMessage && (
+        <Toast
+          type="success"
+          message={toastMessage}
+          duration={4000}
+          onClose={() => setToastMessage("")}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Fila de la lista: fechas, ámbito, motivo y reservas afectadas
+ */
+const CierreItem = ({
+  cierre,
+  expandido,
+  onToggle,
+  onDelete,
+  onVerReservas,
+}) => {
+  const tipo = getTipo(cierre.tipo);
+  const afectadas = cierre.reservasAfectadas;
+
+  return (
+    <li className="px-4 sm:px-6 py-4">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2 mb-1">
+            <span className={`badge ${tipo.clase}`}>{tipo.label}</span>
+            <span className="font-semibold text-gray-900 truncate">
+              {cierre.motivo}
+            </span>
+            {cierre.origen === "ics" && (
+              <span className="text-xs text-gray-400">importado</span>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 capitalize">
+            {describirFechas(cierre)}
+            <span className="normal-case">
+              {" · "}
+              {cierre.servicioNombre || "Todo el salón"}
+            </span>
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {afectadas.length > 0 && (
+            <button
+              onClick={onToggle}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-yellow-50 text-yellow-800 hover:bg-yellow-100"
+            >
+              <AlertTriangle className="w-4 h-4" />
+              {afectadas.length} reservas
+              {expandido ? (
+                <ChevronUp className="w-4 h-4" />
+              ) : (
+                <ChevronDown className="w-4 h-4" />
+              )}
+            </button>
+          )}
+          <button
+            onClick={onDelete}
+            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+            title="Eliminar cierre"
+          >
+            <Trash2 className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {expandido && afectadas.length > 0 && (
+        <div className="mt-3">
+          <ReservasAfectadas reservas={afectadas} onVer={onVerReservas} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Reservas activas dentro de un cierre
+ */
+const ReservasAfectadas = ({ reservas, onVer }) => (
+  <ul className="rounded-lg border border-yellow-200 bg-yellow-50 divide-y divide-yellow-100 text-sm">
+    {reservas.map((reserva) => (
+      <li
+        key={reserva.id}
+        className="px-3 py-2 flex items-center justify-between gap-3"
+      >
+        <span className="min-w-0 truncate">
+          <span className="font-medium">
+            {format(parseISO(reserva.fecha), "dd/MM")}{" "}
+            {reserva.horaInicio.substring(0, 5)}
+          </span>{" "}
+          · {reserva.usuarioNombre} · {reserva.servicioNombre}
+        </span>
+        {onVer && (
+          <button
+            onClick={() => onVer(reserva.fecha)}
+            className="text-beauty-600 hover:text-beauty-700 font-medium whitespace-nowrap"
+          >
+            Ver día
+          </button>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * Campos comunes de tipo y ámbito (servicio o todo el salón)
+ */
+const CamposTipoAmbito = ({ tipo, servicioId, servicios, onChange }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+    <div>
+      <label className="form-label">Tipo</label>
+      <select
+        value={tipo}
+        onChange={(e) => onChange("tipo", e.target.value)}
+        className="form-input w-full"
+      >
+        {TIPOS_CIERRE.map((t) => (
+          <option key={t.value} value={t.value}>
+            {t.label}
+          </option>
+        ))}
+      </select>
+    </div>
+    <div>
+      <label className="form-label">Afecta a</label>
+      <select
+        value={servicioId}
+        onChange={(e) => onChange("servicioId", e.target.value)}
+        className="form-input w-full"
+      >
+        <option value="">Todo el salón</option>
+        {servicios.map((servicio) => (
+          <option key={servicio.id} value={servicio.id}>
+            {servicio.nombre}
+          </option>
+        ))}
+      </select>
+    </div>
+  </div>
+);
+
+/**
+ * Modal para crear un cierre; antes de guardarlo muestra las reservas y
+ * franjas que quedan dentro
+ */
+const ClosureModal = ({ fecha, servicios, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    fechaInicio: fecha,
+    fechaFin: fecha,
+    diaCompleto: true,
+    desde: "",
+    hasta: "",
+    servicioId: "",
+    tipo: "CIERRE",
+    motivo: "",
+  });
+  const [eliminarFranjas, setEliminarFranjas] = useState(true);
+  const [impacto, setImpacto] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (campo, valor) =>
+    setFormData((prev) => ({ ...prev, [campo]: valor }));
+
+  const datosCierre = () => ({
+    fechaInicio: formData.fechaInicio,
+    fechaFin: formData.fechaFin || formData.fechaInicio,
+    desde: formData.diaCompleto ? null : formData.desde,
+    hasta: formData.diaCompleto ? null : formData.hasta,
+    servicioId: formData.servicioId ? parseInt(formData.servicioId) : null,
+    tipo: formData.tipo,
+    motivo: formData.motivo.trim(),
+  });
+
+  // El impacto solo depende de fechas, horas y ámbito
+  const claveImpacto = useDebounce(
+    JSON.stringify({ ...datosCierre(), motivo: "", tipo: "" }),
+    400
+  );
+
+  useEffect(() => {
+    const datos = JSON.parse(claveImpacto);
+    // Sin fecha o con el tramo a medias todavía no hay nada que comprobar
+    if (!datos.fechaInicio || datos.desde === "" || datos.hasta === "") {
+      setImpacto(null);
+      return;
+    }
+
+    let vigente = true;
+    setIsChecking(true);
+    adminService
+      .comprobarImpactoCierre(datos)
+      .then((data) => vigente && setImpacto(data))
+      .catch(() => vigente && setImpacto(null))
+      .finally(() => vigente && setIsChecking(false));
+    return () => {
+      vigente = false;
+    };
+  }, [claveImpacto]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+    try {
+      const cierre = await adminService.crearCierre(
+        datosCierre(),
+        eliminarFranjas
+      );
+      const partes = [`Cierre "${cierre.motivo}" creado`];
+      if (cierre.franjasEliminadas > 0) {
+        partes.push(`${cierre.franjasEliminadas} franjas eliminadas`);
+      }
+      if (cierre.reservasAfectadas.length > 0) {
+        partes.push(
+          `${cierre.reservasAfectadas.length} reservas por reprogramar`
+        );
+      }
+      onSaved(partes.join(" · "));
+    } catch (err) {
+      setError(err.message || "Error al crear el cierre");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Nuevo cierre"
+      size="lg"
+      footer={
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancelar
+          </button>
+          <LoadingButton
+            type="submit"
+            form="cierre-form"
+            loading={isSubmitting}
+            disabled={isSubmitting || !formData.motivo.trim()}
+          >
+            Crear cierre
+          </LoadingButton>
+        </div>
+      }
+    >
+      <form id="cierre-form" onSubmit={handleSubmit} className="space-y-4">
+        {error && <InlineAlert type="error" message={error} />}
+
+        <div>
+          <label className="form-label">Motivo *</label>
+          <input
+            type="text"
+            value={formData.motivo}
+            onChange={(e) => handleChange("motivo", e.target.value)}
+            placeholder="Ej: Vacaciones de verano, Formación del equipo..."
+            className="form-input w-full"
+            required
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Desde el día *</label>
+            <input
+              type="date"
+              value={formData.fechaInicio}
+              min={format(new Date(), "yyyy-MM-dd")}
+              onChange={(e) => {
+                const valor = e.target.value;
+                setFormData((prev) => ({
+                  ...prev,
+                  fechaInicio: valor,
+                  fechaFin: prev.fechaFin < valor ? valor : prev.fechaFin,
+                }));
+              }}
+              className="form-input w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="form-label">Hasta el día *</label>
+            <input
+              type="date"
+              value={formData.fechaFin}
+              min={formData.fechaInicio}
+              onChange={(e) => handleChange("fechaFin", e.target.value)}
+              className="form-input w-full"
+              required
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.diaCompleto}
+              onChange={(e) => handleChange("diaCompleto", e.target.checked)}
+            />
+            Todo el día
+          </label>
+          {!formData.diaCompleto && (
+            <div className="grid grid-cols-2 gap-4 mt-3">
+              <div>
+                <label className="form-label">De</label>
+                <input
+                  type="time"
+                  value={formData.desde}
+                  onChange={(e) => handleChange("desde", e.target.value)}
+                  className="form-input w-full"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label">A</label>
+                <input
+                  type="time"
+                  value={formData.hasta}
+                  onChange={(e) => handleChange("hasta", e.target.value)}
+                  className="form-input w-full"
+                  required
+                />
+              </div>
+              <p className="col-span-2 text-xs text-gray-500">
+                El tramo se cierra cada uno de los días elegidos
+              </p>
+            </div>
+          )}
+        </div>
+
+        <CamposTipoAmbito
+          tipo={formData.tipo}
+          servicioId={formData.servicioId}
+          servicios={servicios}
+          onChange={handleChange}
+        />
+
+        {/* Impacto */}
+        <div className="rounded-lg border p-4 text-sm space-y-3">
+          <div className="flex items-center gap-2 font-medium text-gray-900">
+            Qué queda dentro
+            {isChecking && <LoadingSpinner size="small" />}
+          </div>
+          {!impacto ? (
+            <p className="text-gray-500">Completa las fechas y las horas</p>
+          ) : (
+            <>
+              {impacto.reservas.length > 0 ? (
+                <>
+                  <p className="text-yellow-800">
+                    {impacto.reservas.length} reservas activas. No se cancelan
+                    al crear el cierre: avisa a los clientes o reprográmalas.
+                  </p>
+                  <ReservasAfectadas reservas={impacto.reservas} />
+                </>
+              ) : (
+                <p className="text-gray-600">No hay reservas activas</p>
+              )}
+              {impacto.franjasLibres > 0 ? (
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={eliminarFranjas}
+                    onChange={(e) => setEliminarFranjas(e.target.checked)}
+                  />
+                  Eliminar las {impacto.franjasLibres} franjas sin reservas
+                </label>
+              ) : (
+                <p className="text-gray-600">No hay franjas libres</p>
+              )}
+              {impacto.franjasConReservas > 0 && (
+                <p className="text-gray-500">
+                  Las {impacto.franjasConReservas} franjas con reservas se
+                  mantienen, pero dejan de ofrecerse a los clientes
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * Modal para importar festivos desde un fichero .ics: se leen los
+ * eventos, se eligen los que se quieren y se crean como cierres
+ */
+const ImportHolidaysModal = ({ servicios, onClose, onSaved }) => {
+  const [eventos, setEventos] = useState(null);
+  const [pasados, setPasados] = useState(0);
+  const [seleccion, setSeleccion] = useState(new Set());
+  const [opciones, setOpciones] = useState({ tipo: "FESTIVO", servicioId: "" });
+  const [eliminarFranjas, setEliminarFranjas] = useState(true);
+  const [resultado, setResultado] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Leer el fichero: solo se ofrecen los eventos de hoy en adelante
+   */
+  const handleFile = async (e) => {
+    const archivo = e.target.files[0];
+    if (!archivo) return;
+    setError("");
+    setResultado(null);
+
+    try {
+      const hoy = format(new Date(), "yyyy-MM-dd");
+      const todos = leerCalendarioIcs(await archivo.text());
+      const futuros = todos.filter((c) => c.fechaFin >= hoy);
+      if (todos.length === 0) {
+        throw new Error("El fichero no tiene eventos");
+      }
+      setEventos(futuros);
+      setPasados(todos.length - futuros.length);
+      setSeleccion(new Set(futuros.map((_, i) => i)));
+    } catch (err) {
+      setEventos(null);
+      setError(err.message || "No se ha podido leer el fichero");
+    }
+  };
+
+  const toggle = (indice) => {
+    const nueva = new Set(seleccion);
+    if (nueva.has(indice)) {
+      nueva.delete(indice);
+    } else {
+      nueva.add(indice);
+    }
+    setSeleccion(nueva);
+  };
+
+  const handleImport = async () => {
+    setError("");
+    setIsSubmitting(true);
+    try {
+      const elegidos = eventos
+        .filter((_, i) => seleccion.has(i))
+        .map((evento) => ({
+          fechaInicio: evento.fechaInicio,
+          fechaFin: evento.fechaFin,
+          desde: evento.desde,
+          hasta: evento.hasta,
+          motivo: evento.motivo,
+          tipo: opciones.tipo,
+          servicioId: opciones.servicioId
+            ? parseInt(opciones.servicioId)
+            : null,
+        }));
+      const data = await adminService.importarCierres(
+        elegidos,
+        eliminarFranjas
+      );
+      if (data.errores.length === 0) {
+        onSaved(`${data.creados.length} cierres importados`);
+        return;
+      }
+      // Con errores se queda abierto para enseñarlos
+      setResultado({ ...data, elegidos });
+    } catch (err) {
+      setError(err.message || "Error al importar los festivos");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Importar festivos"
+      size="lg"
+      footer={
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={
+              resultado
+                ? () =>
+                    onSaved(`${resultado.creados.length} cierres importados`)
+                : onClose
+            }
+            className="btn-secondary"
+          >
+            {resultado ? "Cerrar" : "Cancelar"}
+          </button>
+          {!resultado && (
+            <LoadingButton
+              onClick={handleImport}
+              loading={isSubmitting}
+              disabled={isSubmitting || seleccion.size === 0}
+            >
+              Importar {seleccion.size > 0 && seleccion.size}
+            </LoadingButton>
+          )}
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        {error && <InlineAlert type="error" message={error} />}
+
+        {resultado ? (
+          <>
+            <InlineAlert
+              type="warning"
+              message={`Importados ${resultado.creados.length} de ${resultado.elegidos.length}`}
+            />
+            <ul className="text-sm divide-y border rounded-lg">
+              {resultado.errores.map(({ indice, motivo }) => (
+                <li key={indice} className="px-3 py-2 flex justify-between">
+                  <span className="capitalize">
+                    {describirFechas(resultado.elegidos[indice])}
+                  </span>
+                  <span className="text-red-600">{motivo}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className="form-label">Fichero de calendario (.ics)</label>
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleFile}
+                className="form-input w-full"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Por ejemplo, el calendario de festivos nacionales o de tu
+                comunidad exportado desde Google Calendar u Outlook
+              </p>
+            </div>
+
+            {eventos && (
+              <>
+                <CamposTipoAmbito
+                  tipo={opciones.tipo}
+                  servicioId={opciones.servicioId}
+                  servicios={servicios}
+                  onChange={(campo, valor) =>
+                    setOpciones((prev) => ({ ...prev, [campo]: valor }))
+                  }
+                />
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={eliminarFranjas}
+                    onChange={(e) => setEliminarFranjas(e.target.checked)}
+                  />
+                  Eliminar las franjas sin reservas de esos días
+                </label>
+
+                {pasados > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Se omiten {pasados} eventos que ya han pasado
+                  </p>
+                )}
+
+                {eventos.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    No hay eventos de hoy en adelante
+                  </p>
+                ) : (
+                  <ul className="max-h-72 overflow-y-auto border rounded-lg divide-y text-sm">
+                    {eventos.map((evento, indice) => (
+                      <li key={`${evento.uid}-${indice}`}>
+                        <label className="px-3 py-2 flex items-center gap-3 cursor-pointer hover:bg-gray-50">
+                          <input
+                            type="checkbox"
+                            checked={seleccion.has(indice)}
+                            onChange={() => toggle(indice)}
+                          />
+                          <span className="w-44 text-gray-600 capitalize">
+                            {describirFechas(evento)}
+                          </span>
+                          <span className="flex-1 font-medium text-gray-900">
+                            {evento.motivo}
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ClosuresManagement;
@@ -12,29 +12,100 @@ import {
   Plus,
   FileText,
   BarChart,
+  CalendarX,
+  UserCog,
+  ConciergeBell,
+  UserCheck,
+  UserX,
+  Play,
+  CheckCircle,
+  AlertTriangle,
 } from "lucide-react";
-import { format, startOfWeek, endOfWeek } from "date-fns";
+import { format, parseISO, startOfWeek, endOfWeek } from "date-fns";
 import { es } from "date-fns/locale";
 import adminService from "../../services/adminService";
 import bookingService from "../../services/bookingService";
-import { useProtectedRoute, useLoading, useError } from "../../hooks";
+import {
+  useProtectedRoute,
+  useLoading,
+  useError,
+  usePermission,
+} from "../../hooks";
+import { useAuth } from "../../context/AuthContext";
+import { PERMISOS } from "../../utils/permisos";
 import Loading from "../../components/common/Loading";
 import { InlineAlert } from "../../components/common/Alert";
 
+// Acciones del día de la cita: estados desde los que se ofrecen (y, si
+// hace falta, otra condición) y método del servicio que las ejecuta
+const ACCIONES_DEL_DIA = [
+  {
+    clave: "llegada",
+    label: "Llegó",
+    icon: UserCheck,
+    color: "text-green-600",
+    estados: ["PENDIENTE", "CONFIRMADA"],
+    ejecutar: (id) => adminService.registrarLlegada(id),
+  },
+  {
+    clave: "noPresentado",
+    label: "No vino",
+    icon: UserX,
+    color: "text-red-600",
+    estados: ["PENDIENTE", "CONFIRMADA"],
+    // Cuenta como ausencia: solo cuando ya ha pasado la hora de la cita
+    disponible: (reserva) =>
+      (reserva.horaInicio || "").slice(0, 5) <= format(new Date(), "HH:mm"),
+    ejecutar: (id) => adminService.marcarNoPresentado(id),
+  },
+  {
+    clave: "iniciar",
+    label: "Empezar",
+    icon: Play,
+    color: "text-blue-600",
+    estados: ["EN_ESPERA"],
+    ejecutar: (id) => adminService.iniciarReserva(id),
+  },
+  {
+    clave: "completar",
+    label: "Terminar",
+    icon: CheckCircle,
+    color: "text-beauty-600",
+    estados: ["EN_CURSO"],
+    ejecutar: (id) => adminService.completarReserva(id),
+  },
+];
+
+// Marcas de tiempo que se enseñan bajo el estado
+const MARCAS_DEL_DIA = [
+  { campo: "llegadaEn", label: "Llegó" },
+  { campo: "iniciadaEn", label: "Empezó" },
+  { campo: "completadaEn", label: "Terminó" },
+  { campo: "noPresentadoEn", label: "Marcada" },
+];
+
 /**
  * Admin Dashboard
  *
  * Panel principal del administrador con:
  * - Estadísticas generales
- * - Reservas del día
+ * - Reservas del día con llegada, inicio, fin y ausencias
  * - Accesos rápidos
  * - Servicios más populares
  * - Alertas y notificaciones
+ *
+ * Lo ve todo el personal; ingresos y accesos rápidos dependen de los
+ * permisos del rol
  */
 
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { user } = useProtectedRoute("ADMIN"); // Solo admin
+  const { user } = useProtectedRoute(null, PERMISOS.PANEL); // Personal
+  const puedeVerIngresos = usePermission(PERMISOS.REPORTES);
+  const puedeVerClientes = usePermission(PERMISOS.CLIENTES);
+  const puedeGestionarReservas = usePermission(PERMISOS.RESERVAS_GESTIONAR);
+  const puedeGestionarServicios = usePermission(PERMISOS.SERVICIOS);
+  const puedeGestionarHorarios = usePermission(PERMISOS.HORARIOS);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError } = useError();
 
@@ -52,6 +123,7 @@ const Dashboard = () => {
   const [reservasHoy, setReservasHoy] = useState([]);
   const [serviciosPopulares, setServiciosPopulares] = useState([]);
   const [alertas, setAlertas] = useState([]);
+  const [reservaEnProceso, setReservaEnProceso] = useState(null);
 
   /**
    * Cargar todos los datos al montar
@@ -75,7 +147,7 @@ const Dashboard = () => {
       ]);
 
       setStats(statsData);
-      setReservasHoy(reservasHoyData);
+      setReservasHoy(ordenarPorHora(reservasHoyData));
 
       // Calcular servicios más populares
       const popularServices = calcularServiciosPopulares(servicios);
@@ -94,6 +166,14 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * Ordenar las reservas de hoy por hora de inicio
+   */
+  const ordenarPorHora = (reservas) =>
+    [...reservas].sort((a, b) =>
+      (a.horaInicio || "").localeCompare(b.horaInicio || "")
+    );
+
   /**
    * Calcular servicios más populares
    */
@@ -134,11 +214,13 @@ const Dashboard = () => {
     }
 
     // Alerta de clientes sin email verificado (simulado)
-    alertas.push({
-      type: "info",
-      message: "3 clientes sin email verificado",
-      action: "/admin/usuarios",
-    });
+    if (puedeVerClientes) {
+      alertas.push({
+        type: "info",
+        message: "3 clientes sin email verificado",
+        action: "/admin/usuarios",
+      });
+    }
 
     return alertas;
   };
@@ -151,13 +233,32 @@ const Dashboard = () => {
       await adminService.confirmarReserva(reservaId);
       // Recargar reservas del día
       const nuevasReservas = await adminService.getReservasHoy();
-      setReservasHoy(nuevasReservas);
+      setReservasHoy(ordenarPorHora(nuevasReservas));
     } catch (err) {
       console.error("Error confirmando reserva:", err);
       setError("Error al confirmar la reserva");
     }
   };
 
+  /**
+   * Ejecutar una acción del día (llegada, inicio, fin o ausencia)
+   */
+  const handleAccionDelDia = async (reserva, accion) => {
+    try {
+      setError(null);
+      setReservaEnProceso(reserva.id);
+      await accion.ejecutar(reserva.id);
+      // Recargamos para tener también el contador de ausencias al día
+      const nuevasReservas = await adminService.getReservasHoy();
+      setReservasHoy(ordenarPorHora(nuevasReservas));
+    } catch (err) {
+      console.error(`Error en la acción ${accion.clave}:`, err);
+      setError(err.message || "Error al actualizar la reserva");
+    } finally {
+      setReservaEnProceso(null);
+    }
+  };
+
   // Mostrar loading
   if (isLoading) {
     return <Loading fullScreen message="Cargando dashboard..." />;
@@ -208,13 +309,15 @@ const Dashboard = () => {
             />
 
             {/* Ingresos del mes */}
-            <StatCard
-              title="INGRESOS MES"
-              value={`${stats.ingresosMes.toFixed(2)}€`}
-              trend="+5% vs mes anterior"
-              icon={Euro}
-              color="yellow"
-            />
+            {puedeVerIngresos && (
+              <StatCard
+                title="INGRESOS MES"
+                value={`${stats.ingresosMes.toFixed(2)}€`}
+                trend="+5% vs mes anterior"
+                icon={Euro}
+                color="yellow"
+              />
+            )}
 
             {/* Clientes activos */}
             <StatCard
@@ -268,46 +371,19 @@ const Dashboard = () => {
                         </tr>
                       </thead>
                       <tbody>
-                        {reservasHoy.slice(0, 5).map((reserva) => (
-                          <tr
+                        {reservasHoy.map((reserva) => (
+                          <ReservaHoyRow
                             key={reserva.id}
-                            className="border-b hover:bg-gray-50"
-                          >
-                            <td className="py-3">
-                              <span className="font-medium">
-                                {bookingService.formatearHora(
-                                  reserva.horaReserva
-                                )}
-                              </span>
-                            </td>
-                            <td className="py-3">
-                              {reserva.nombreCliente || "Cliente"}
-                            </td>
-                            <td className="py-3">
-                              {reserva.nombreServicio || "Servicio"}
-                            </td>
-                            <td className="py-3">
-                              <span
-                                className={`badge ${bookingService.getEstadoColor(
-                                  reserva.estado
-                                )}`}
-                              >
-                                {bookingService.getEstadoEspanol(
-                                  reserva.estado
-                                )}
-                              </span>
-                            </td>
-                            <td className="py-3 text-right">
-                              <button
-                                onClick={() =>
-                                  navigate(`/admin/reservas/${reserva.id}`)
-                                }
-                                className="text-sm text-gray-600 hover:text-gray-900"
-                              >
-                                Ver
-                              </button>
-                            </td>
-                          </tr>
+                            reserva={reserva}
+                            puedeGestionar={puedeGestionarReservas}
+                            enProceso={reservaEnProceso === reserva.id}
+                            onAccion={(accion) =>
+                              handleAccionDelDia(reserva, accion)
+                            }
+                            onVer={() =>
+                              navigate(`/admin/reservas?q=${reserva.id}`)
+                            }
+                          />
                         ))}
                       </tbody>
                     </table>
@@ -324,28 +400,52 @@ const Dashboard = () => {
                   ⚡ Accesos Rápidos
                 </h2>
                 <div className="space-y-3">
-                  <Link
-                    to="/admin/reservas?action=new"
-                    className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
-                  >
-                    <Plus className="w-5 h-5 text-beauty-600" />
-                    <span className="font-medium">NUEVA RESERVA MANUAL</span>
-                  </Link>
-
-                  <Link
-                    to="/admin/servicios?action=new"
-                    className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
-                  >
-                    <Plus className="w-5 h-5 text-beauty-600" />
-                    <span className="font-medium">NUEVO SERVICIO</span>
-                  </Link>
+                  {puedeGestionarReservas && puedeVerClientes && (
+                    <Link
+                      to="/admin/recepcion"
+                      className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                      <ConciergeBell className="w-5 h-5 text-beauty-600" />
+                      <span className="font-medium">CONSOLA DE RECEPCIÓN</span>
+                    </Link>
+                  )}
+
+                  {puedeGestionarReservas && (
+                    <Link
+                      to="/admin/reservas?action=new"
+                      className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                      <Plus className="w-5 h-5 text-beauty-600" />
+                      <span className="font-medium">NUEVA RESERVA MANUAL</span>
+                    </Link>
+                  )}
+
+                  {puedeGestionarServicios && (
+                    <Link
+                      to="/admin/servicios?action=new"
+                      className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                      <Plus className="w-5 h-5 text-beauty-600" />
+                      <span className="font-medium">NUEVO SERVICIO</span>
+                    </Link>
+                  )}
+
+                  {puedeGestionarHorarios && (
+                    <Link
+                      to="/admin/franjas"
+                      className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                      <Calendar className="w-5 h-5 text-beauty-600" />
+                      <span className="font-medium">GESTIONAR FRANJAS</span>
+                    </Link>
+                  )}
 
                   <Link
-                    to="/admin/franjas"
+                    to="/admin/reservas"
                     className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
                   >
-                    <Calendar className="w-5 h-5 text-beauty-600" />
-                    <span className="font-medium">GESTIONAR FRANJAS</span>
+                    <Clock className="w-5 h-5 text-beauty-600" />
+                    <span className="font-medium">VER AGENDA</span>
                   </Link>
                 </div>
               </div>
@@ -462,11 +562,93 @@ const StatCard = ({ title, value, trend, subtext, icon: Icon, color }) => {
   );
 };
 
+/**
+ * Fila de la lista de reservas de hoy con las acciones del día
+ */
+const ReservaHoyRow = ({
+  reserva,
+  puedeGestionar,
+  enProceso,
+  onAccion,
+  onVer,
+}) => {
+  const acciones = puedeGestionar
+    ? ACCIONES_DEL_DIA.filter(
+        (accion) =>
+          accion.estados.includes(reserva.estado) &&
+          (!accion.disponible || accion.disponible(reserva))
+      )
+    : [];
+  const marcas = MARCAS_DEL_DIA.filter((marca) => reserva[marca.campo]);
+
+  return (
+    <tr className="border-b hover:bg-gray-50">
+      <td className="py-3">
+        <span className="font-medium">
+          {bookingService.formatearHora(
+            reserva.horaInicio || reserva.horaReserva
+          )}
+        </span>
+      </td>
+      <td className="py-3">
+        {reserva.usuarioNombre || reserva.nombreCliente || "Cliente"}
+        {reserva.ausenciasCliente > 0 && (
+          <span
+            className="ml-2 inline-flex items-center gap-1 text-xs text-amber-600"
+            title="Citas a las que no se presentó"
+          >
+            <AlertTriangle className="w-3 h-3" />
+            {reserva.ausenciasCliente}
+          </span>
+        )}
+      </td>
+      <td className="py-3">
+        {reserva.servicioNombre || reserva.nombreServicio || "Servicio"}
+      </td>
+      <td className="py-3">
+        <span
+          className={`badge ${bookingService.getEstadoColor(reserva.estado)}`}
+        >
+          {bookingService.getEstadoEspanol(reserva.estado)}
+        </span>
+        {marcas.map((marca) => (
+          <p key={marca.campo} className="text-xs text-gray-500 mt-1">
+            {marca.label} a las{" "}
+            {format(parseISO(reserva[marca.campo]), "HH:mm")}
+          </p>
+        ))}
+      </td>
+      <td className="py-3 text-right">
+        <div className="flex items-center justify-end gap-1">
+          {acciones.map((accion) => (
+            <button
+              key={accion.clave}
+              onClick={() => onAccion(accion)}
+              disabled={enProceso}
+              className="p-1 hover:bg-gray-100 rounded disabled:opacity-50"
+              title={accion.label}
+            >
+              <accion.icon className={`w-4 h-4 ${accion.color}`} />
+            </button>
+          ))}
+          <button
+            onClick={onVer}
+            className="text-sm text-gray-600 hover:text-gray-900 ml-1"
+          >
+            Ver
+          </button>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
 /**
  * Componente de sidebar para administración
  */
 export const AdminSidebar = ({ activePage }) => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
 
   const menuItems = [
     {
@@ -474,38 +656,72 @@ export const AdminSidebar = ({ activePage }) => {
       label: "Dashboard",
       icon: BarChart,
       path: "/admin",
+      permiso: PERMISOS.PANEL,
     },
     {
       id: "reservas",
       label: "Reservas",
       icon: Calendar,
       path: "/admin/reservas",
+      permiso: PERMISOS.RESERVAS_VER,
+    },
+    {
+      id: "recepcion",
+      label: "Recepción",
+      icon: ConciergeBell,
+      path: "/admin/recepcion",
+      permiso: [PERMISOS.RESERVAS_GESTIONAR, PERMISOS.CLIENTES],
     },
     {
       id: "servicios",
       label: "Servicios",
       icon: FileText,
       path: "/admin/servicios",
+      permiso: PERMISOS.SERVICIOS,
     },
     {
       id: "franjas",
       label: "Franjas Horarias",
       icon: Clock,
       path: "/admin/franjas",
+      permiso: PERMISOS.HORARIOS,
+    },
+    {
+      id: "profesionales",
+      label: "Profesionales",
+      icon: UserCog,
+      path: "/admin/profesionales",
+      permiso: PERMISOS.PROFESIONALES,
+    },
+    {
+      id: "cierres",
+      label: "Cierres y Festivos",
+      icon: CalendarX,
+      path: "/admin/cierres",
+      permiso: PERMISOS.HORARIOS,
     },
     {
       id: "usuarios",
       label: "Usuarios",
       icon: Users,
       path: "/admin/usuarios",
+      permiso: PERMISOS.CLIENTES,
+    },
+    {
+      id: "incidencias",
+      label: "Incidencias",
+      icon: AlertCircle,
+      path: "/admin/incidencias",
+      permiso: PERMISOS.INCIDENCIAS,
     },
     {
       id: "reportes",
       label: "Reportes",
       icon: Activity,
       path: "/admin/reportes",
+      permiso: PERMISOS.REPORTES,
     },
-  ];
+  ].filter((item) => hasPermission(item.permiso));
 
   return (
     <aside className="fixed left-0 top-16 w-64 h-full bg-gray-900 text-white hidden lg:block">
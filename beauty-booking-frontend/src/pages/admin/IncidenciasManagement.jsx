@@ -0,0 +1,1013 @@
+import React, { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  Search,
+  Filter,
+  AlertCircle,
+  Flame,
+  Inbox,
+  Paperclip,
+  Send,
+  User,
+  Monitor,
+  Kanban,
+  List,
+  Download,
+  Link2,
+  FileText,
+} from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import incidenciasService, {
+  ESTADOS_INCIDENCIA,
+  PRIORIDADES_INCIDENCIA,
+  TIPOS_INCIDENCIA,
+} from "../../services/incidenciasService";
+import adminService from "../../services/adminService";
+import {
+  useProtectedRoute,
+  useLoading,
+  useError,
+  useDebounce,
+} from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
+import Loading from "../../components/common/Loading";
+import Modal from "../../components/common/Modal";
+import { InlineAlert, Toast } from "../../components/common/Alert";
+import { AdminSidebar } from "./Dashboard";
+import { HistorialIncidencia } from "../MyIncidencias";
+
+/**
+ * Incidencias Management - Triaje de incidencias
+ *
+ * Página de administración de los reportes enviados desde /incidencias:
+ * - Tablero con una columna por estado (arrastrar una tarjeta la mueve)
+ *   o lista filtrable (?vista=lista)
+ * - Filtros por prioridad, tipo y texto, y exportación a CSV
+ * - Detalle completo del reporte con vista previa de los adjuntos
+ * - Cambio de estado y prioridad (queda en el historial)
+ * - Enlace de duplicados con su incidencia original
+ * - Respuesta al reportante por email
+ */
+
+const IncidenciasManagement = () => {
+  useProtectedRoute(null, PERMISOS.INCIDENCIAS);
+  const { isLoading, setIsLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const vista = searchParams.get("vista") === "lista" ? "lista" : "tablero";
+
+  const [incidencias, setIncidencias] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [filterEstado, setFilterEstado] = useState("pendientes");
+  const [filterPrioridad, setFilterPrioridad] = useState("todas");
+  const [filterTipo, setFilterTipo] = useState("todos");
+  const [seleccionadaId, setSeleccionadaId] = useState(null);
+  const [toastMessage, setToastMessage] = useState("");
+
+  const debouncedSearch = useDebounce(searchTerm, 300);
+
+  /**
+   * Cargar incidencias al montar
+   */
+  useEffect(() => {
+    const loadIncidencias = async () => {
+      try {
+        setIsLoading(true);
+        setIncidencias(await incidenciasService.getAllIncidencias());
+      } catch (err) {
+        console.error("Error cargando incidencias:", err);
+        setError("Error al cargar las incidencias");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadIncidencias();
+  }, [setError, setIsLoading]);
+
+  /**
+   * Sustituye una incidencia tras actualizarla en el servidor
+   */
+  const handleActualizada = (actualizada, mensaje) => {
+    setIncidencias((prev) =>
+      prev.map((i) => (i.id === actualizada.id ? actualizada : i))
+    );
+    setToastMessage(mensaje);
+  };
+
+  /**
+   * Mover una tarjeta de columna en el tablero cambia su estado
+   */
+  const handleMover = async (incidenciaId, estado) => {
+    const incidencia = incidencias.find((i) => i.id === incidenciaId);
+    if (!incidencia || incidencia.estado === estado) return;
+
+    try {
+      const actualizada = await incidenciasService.actualizarIncidencia(
+        incidenciaId,
+        { estado }
+      );
+      handleActualizada(
+        actualizada,
+        `${actualizada.codigo} → ${incidenciasService.getEstado(estado).label}`
+      );
+    } catch (err) {
+      setError(err.message || "No se ha podido mover la incidencia");
+    }
+  };
+
+  /**
+   * Al enlazar duplicados pueden cambiar otras incidencias de la cadena,
+   * así que se recarga la lista completa
+   */
+  const handleDuplicada = async (mensaje) => {
+    setIncidencias(await incidenciasService.getAllIncidencias());
+    setToastMessage(mensaje);
+  };
+
+  /**
+   * Exportar las incidencias filtradas a CSV
+   */
+  const handleExportCSV = () => {
+    const csv = incidenciasService.exportarIncidenciasCSV(
+      incidenciasFiltradas,
+      incidencias
+    );
+    const filename = `incidencias_${format(new Date(), "yyyy-MM-dd_HH-mm")}.csv`;
+    adminService.descargarCSV(csv, filename);
+    setToastMessage(`${incidenciasFiltradas.length} incidencias exportadas`);
+  };
+
+  const cambiarVista = (nuevaVista) =>
+    setSearchParams(nuevaVista === "lista" ? { vista: "lista" } : {}, {
+      replace: true,
+    });
+
+  // Filtros (la lista es pequeña: se filtra en cliente)
+  // En el tablero el estado lo dan las columnas
+  const search = debouncedSearch.toLowerCase();
+  const incidenciasFiltradas = incidencias.filter((i) => {
+    if (vista === "lista") {
+      if (filterEstado === "pendientes") {
+        if (i.estado === "RESUELTA" || i.estado === "CERRADA") return false;
+      } else if (filterEstado !== "todos" && i.estado !== filterEstado) {
+        return false;
+      }
+    }
+    if (filterPrioridad !== "todas" && i.prioridad !== filterPrioridad) {
+      return false;
+    }
+    if (filterTipo !== "todos" && i.tipo !== filterTipo) {
+      return false;
+    }
+    return (
+      !search ||
+      i.codigo.toLowerCase().includes(search) ||
+      i.nombre.toLowerCase().includes(search) ||
+      i.email.toLowerCase().includes(search) ||
+      i.descripcion.toLowerCase().includes(search)
+    );
+  });
+
+  const seleccionada = incidencias.find((i) => i.id === seleccionadaId);
+
+  if (isLoading) {
+    return <Loading fullScreen message="Cargando incidencias..." />;
+  }
+
+  // Estadísticas rápidas
+  const totalAbiertas = incidencias.filter(
+    (i) => i.estado === "ABIERTA"
+  ).length;
+  const totalEnRevision = incidencias.filter(
+    (i) => i.estado === "EN_REVISION"
+  ).length;
+  const totalCriticas = incidencias.filter(
+    (i) =>
+      i.prioridad === "critica" &&
+      i.estado !== "RESUELTA" &&
+      i.estado !== "CERRADA"
+  ).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Sidebar */}
+      <AdminSidebar activePage="incidencias" />
+
+      {/* Contenido principal */}
+      <div className="lg:pl-64">
+        <div className="p-8">
+          {/* Header */}
+          <div className="mb-8 flex flex-col md:flex-row md:items-end justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Incidencias</h1>
+              <p className="text-gray-600 mt-1">
+                Revisa, prioriza y responde a los problemas reportados
+              </p>
+            </div>
+
+            {/* Selector de vista */}
+            <div className="inline-flex rounded-lg border border-gray-300 bg-white p-1 self-start">
+              {[
+                { id: "tablero", label: "Tablero", icon: Kanban },
+                { id: "lista", label: "Lista", icon: List },
+              ].map(({ id, label, icon }) => {
+                const Icon = icon;
+                return (
+                  <button
+                    key={id}
+                    onClick={() => cambiarVista(id)}
+                    className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                      vista === id
+                        ? "bg-beauty-500 text-white"
+                        : "text-gray-600 hover:bg-gray-100"
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {error && (
+            <InlineAlert type="error" message={error} className="mb-6" />
+          )}
+
+          {/* Estadísticas rápidas */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <StatCard
+              label="Sin revisar"
+              value={totalAbiertas}
+              icon={Inbox}
+              color="blue"
+            />
+            <StatCard
+              label="En revisión"
+              value={totalEnRevision}
+              icon={AlertCircle}
+              color="yellow"
+            />
+            <StatCard
+              label="Críticas pendientes"
+              value={totalCriticas}
+              icon={Flame}
+              color="red"
+            />
+          </div>
+
+          {/* Barra de búsqueda y filtros */}
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex flex-col md:flex-row gap-4">
+              <div className="flex-1 relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <input
+                  type="text"
+                  placeholder="Buscar por código, reportante o descripción..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-beauty-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Filter className="w-5 h-5 text-gray-600" />
+                {vista === "lista" && (
+                  <select
+                    value={filterEstado}
+                    onChange={(e) => setFilterEstado(e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-beauty-500 focus:border-transparent"
+                  >
+                    <option value="pendientes">Pendientes</option>
+                    <option value="todos">Todos los estados</option>
+                    {ESTADOS_INCIDENCIA.map((e) => (
+                      <option key={e.value} value={e.value}>
+                        {e.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  value={filterPrioridad}
+                  onChange={(e) => setFilterPrioridad(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-beauty-500 focus:border-transparent"
+                >
+                  <option value="todas">Todas las prioridades</option>
+                  {PRIORIDADES_INCIDENCIA.map((p) => (
+                    <option key={p.value} value={p.value}>
+                      {p.emoji} {p.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={filterTipo}
+                  onChange={(e) => setFilterTipo(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-beauty-500 focus:border-transparent"
+                >
+                  <option value="todos">Todos los tipos</option>
+                  {TIPOS_INCIDENCIA.map((t) => (
+                    <option key={t.value} value={t.value}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="mt-4 flex justify-between items-center text-sm text-gray-600">
+              <span>
+                Mostrando {incidenciasFiltradas.length} de {incidencias.length}{" "}
+                incidencias
+              </span>
+              <button
+                onClick={handleExportCSV}
+                disabled={incidenciasFiltradas.length === 0}
+                className="text-gray-600 hover:text-gray-900 flex items-center gap-1 disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                Exportar CSV
+              </button>
+            </div>
+          </div>
+
+          {vista === "tablero" ? (
+            <TableroIncidencias
+              incidencias={incidenciasFiltradas}
+              onSelect={setSeleccionadaId}
+              onMover={handleMover}
+            />
+          ) : (
+            /* Tabla de incidencias */
+            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+              {incidenciasFiltradas.length === 0 ? (
+                <div className="text-center py-12">
+                  <Inbox className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-600">No hay incidencias</p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50 border-b">
+                      <tr>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Código
+                        </th>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Tipo
+                        </th>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Reportante
+                        </th>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Prioridad
+                        </th>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Estado
+                        </th>
+                        <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                          Recibida
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {incidenciasFiltradas.map((incidencia) => {
+                        const estado = incidenciasService.getEstado(
+                          incidencia.estado
+                        );
+                        const prioridad = incidenciasService.getPrioridad(
+                          incidencia.prioridad
+                        );
+                        return (
+                          <tr
+                            key={incidencia.id}
+                            onClick={() => setSeleccionadaId(incidencia.id)}
+                            className="hover:bg-gray-50 transition-colors cursor-pointer"
+                          >
+                            <td className="py-4 px-6">
+                              <span className="font-mono text-sm font-medium text-beauty-600">
+                                {incidencia.codigo}
+                              </span>
+                              {incidencia.adjuntos.length > 0 && (
+                                <Paperclip className="inline w-4 h-4 ml-2 text-gray-400" />
+                              )}
+                            </td>
+                            <td className="py-4 px-6 text-sm text-gray-900">
+                              {incidenciasService.getTipoLabel(incidencia.tipo)}
+                            </td>
+                            <td className="py-4 px-6">
+                              <p className="text-sm font-medium text-gray-900">
+                                {incidencia.nombre}
+                              </p>
+                              <p className="text-xs text-gray-500">
+                                {incidencia.email}
+                              </p>
+                            </td>
+                            <td className="py-4 px-6 text-sm">
+                              {prioridad.emoji} {prioridad.label}
+                            </td>
+                            <td className="py-4 px-6">
+                              <span className={`badge ${estado.badge}`}>
+                                {estado.label}
+                              </span>
+                              {incidencia.duplicadaDe && (
+                                <Link2 className="inline w-4 h-4 ml-2 text-gray-400" />
+                              )}
+                            </td>
+                            <td className="py-4 px-6 text-sm text-gray-600">
+                              {format(
+                                parseISO(incidencia.creadoEn),
+                                "dd/MM/yyyy HH:mm",
+                                { locale: es }
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {seleccionada && (
+        <IncidenciaDetailModal
+          key={seleccionada.id}
+          incidencia={seleccionada}
+          incidencias={incidencias}
+          onClose={() => setSeleccionadaId(null)}
+          onSelect={setSeleccionadaId}
+          onActualizada={handleActualizada}
+          onDuplicada={handleDuplicada}
+        />
+      )}
+
+      {toastMessage && (
+        <Toast
+          message={toastMessage}
+          type="success"
+          onClose={() => setToastMessage("")}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tarjeta de estadística
+ */
+const StatCard = ({ label, value, icon, color }) => {
+  const Icon = icon;
+  const colores = {
+    blue: "bg-blue-100 text-blue-600",
+    yellow: "bg-yellow-100 text-yellow-600",
+    red: "bg-red-100 text-red-600",
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm text-gray-600">{label}</p>
+          <p className="text-3xl font-bold text-gray-900 mt-1">{value}</p>
+        </div>
+        <div className={`p-3 rounded-lg ${colores[color]}`}>
+          <Icon className="w-8 h-8" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Tablero kanban: una columna por estado
+ * Soltar una tarjeta en otra columna cambia el estado de la incidencia
+ */
+const TableroIncidencias = ({ incidencias, onSelect, onMover }) => {
+  const [columnaDestino, setColumnaDestino] = useState(null);
+
+  const handleDrop = (e, estado) => {
+    e.preventDefault();
+    setColumnaDestino(null);
+    const incidenciaId = Number(e.dataTransfer.getData("text/plain"));
+    if (incidenciaId) {
+      onMover(incidenciaId, estado);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+      {ESTADOS_INCIDENCIA.map((estado) => {
+        const columna = incidenciasService.ordenarPorPrioridad(
+          incidencias.filter((i) => i.estado === estado.value)
+        );
+
+        return (
+          <div
+            key={estado.value}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setColumnaDestino(estado.value);
+            }}
+            onDragLeave={(e) => {
+              // Solo al salir de la columna, no al pasar sobre sus tarjetas
+              if (!e.currentTarget.contains(e.relatedTarget)) {
+                setColumnaDestino(null);
+              }
+            }}
+            onDrop={(e) => handleDrop(e, estado.value)}
+            className={`rounded-lg p-3 min-h-[12rem] transition-colors ${
+              columnaDestino === estado.value
+                ? "bg-beauty-50 ring-2 ring-beauty-300"
+                : "bg-gray-100"
+            }`}
+          >
+            <div className="flex items-center justify-between mb-3 px-1">
+              <span className={`badge ${estado.badge}`}>{estado.label}</span>
+              <span className="text-sm font-semibold text-gray-500">
+                {columna.length}
+              </span>
+            </div>
+
+            <div className="space-y-3">
+              {columna.map((incidencia) => (
+                <TarjetaIncidencia
+                  key={incidencia.id}
+                  incidencia={incidencia}
+                  onClick={() => onSelect(incidencia.id)}
+                />
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Tarjeta arrastrable del tablero
+ */
+const TarjetaIncidencia = ({ incidencia, onClick }) => {
+  const prioridad = incidenciasService.getPrioridad(incidencia.prioridad);
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", String(incidencia.id));
+        e.dataTransfer.effectAllowed = "move";
+      }}
+      onClick={onClick}
+      className="bg-white rounded-lg shadow-sm border border-gray-200 p-3 cursor-grab
+                 hover:shadow-md hover:border-beauty-300 transition-all"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-mono text-xs font-bold text-beauty-600">
+          {incidencia.codigo}
+        </span>
+        <span className="text-xs" title={prioridad.label}>
+          {prioridad.emoji} {prioridad.label}
+        </span>
+      </div>
+      <p className="text-sm font-medium text-gray-900">
+        {incidenciasService.getTipoLabel(incidencia.tipo)}
+      </p>
+      <p className="text-sm text-gray-600 line-clamp-2 mt-1">
+        {incidencia.descripcion}
+      </p>
+      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+        <span className="truncate">{incidencia.nombre}</span>
+        <span className="flex items-center gap-2 flex-shrink-0">
+          {incidencia.duplicadaDe && (
+            <span className="flex items-center gap-0.5" title="Duplicada">
+              <Link2 className="w-3 h-3" />
+            </span>
+          )}
+          {incidencia.adjuntos.length > 0 && (
+            <span className="flex items-center gap-0.5">
+              <Paperclip className="w-3 h-3" />
+              {incidencia.adjuntos.length}
+            </span>
+          )}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Adjuntos con vista previa: las imágenes se amplían al pulsarlas y el
+ * resto se descarga
+ */
+const AdjuntosIncidencia = ({ adjuntos }) => {
+  const [ampliado, setAmpliado] = useState(null);
+
+  const esImagen = (adjunto) => adjunto.tipo?.startsWith("image/");
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-900 mb-2">Adjuntos</h4>
+
+      {ampliado && (
+        <button
+          onClick={() => setAmpliado(null)}
+          className="block w-full mb-3 bg-gray-900 rounded-lg p-2"
+          title="Pulsa para cerrar"
+        >
+          <img
+            src={ampliado.url}
+            alt={ampliado.nombre}
+            className="max-h-96 mx-auto rounded"
+          />
+        </button>
+      )}
+
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+        {adjuntos.map((adjunto) => (
+          <div key={adjunto.id} className="text-xs text-gray-600">
+            {adjunto.url && esImagen(adjunto) ? (
+              <button
+                onClick={() => setAmpliado(adjunto)}
+                className={`block w-full aspect-square rounded-lg overflow-hidden border-2 ${
+                  ampliado?.id === adjunto.id
+                    ? "border-beauty-500"
+                    : "border-gray-200 hover:border-beauty-300"
+                }`}
+              >
+                <img
+                  src={adjunto.url}
+                  alt={adjunto.nombre}
+                  className="w-full h-full object-cover"
+                />
+              </button>
+            ) : (
+              <a
+                href={adjunto.url || undefined}
+                download={adjunto.nombre}
+                className={`flex flex-col items-center justify-center w-full aspect-square rounded-lg border-2 border-gray-200 bg-gray-50 ${
+                  adjunto.url
+                    ? "hover:border-beauty-300 text-beauty-600"
+                    : "text-gray-400 cursor-not-allowed"
+                }`}
+                title={adjunto.url ? "Descargar" : "Sin vista previa"}
+              >
+                <FileText className="w-8 h-8" />
+              </a>
+            )}
+            <p className="truncate mt-1" title={adjunto.nombre}>
+              {adjunto.nombre}
+            </p>
+            <p className="text-gray-400">
+              {(adjunto.tamano / 1024).toFixed(1)} KB
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Código de incidencia que abre su detalle
+ */
+const EnlaceIncidencia = ({ item, onSelect }) => (
+  <button
+    onClick={() => onSelect(item.id)}
+    className="font-mono text-beauty-600 hover:underline"
+  >
+    {item.codigo}
+  </button>
+);
+
+/**
+ * Enlace de duplicados: muestra la original (o las duplicadas de esta)
+ * y permite marcarla como duplicada de otra incidencia
+ */
+const DuplicadosIncidencia = ({
+  incidencia,
+  incidencias,
+  guardando,
+  onSelect,
+  onMarcar,
+}) => {
+  const [originalId, setOriginalId] = useState("");
+
+  const original = incidencias.find((i) => i.id === incidencia.duplicadaDe);
+  const duplicadas = incidencias.filter((i) => i.duplicadaDe === incidencia.id);
+  // Candidatas: cualquier otra que no sea a su vez duplicada
+  const candidatas = incidencias.filter(
+    (i) => i.id !== incidencia.id && !i.duplicadaDe
+  );
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-3 text-sm">
+      <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+        <Link2 className="w-4 h-4" />
+        Duplicados
+      </h4>
+
+      {original ? (
+        <div className="flex items-center justify-between gap-2">
+          <span>
+            Duplicada de{" "}
+            <EnlaceIncidencia item={original} onSelect={onSelect} />
+          </span>
+          <button
+            onClick={() => onMarcar(null)}
+            disabled={guardando}
+            className="text-xs text-red-600 hover:text-red-700"
+          >
+            Desenlazar
+          </button>
+        </div>
+      ) : (
+        <>
+          {duplicadas.length > 0 && (
+            <p className="flex flex-wrap gap-x-2">
+              <span className="text-gray-600">Duplicadas:</span>
+              {duplicadas.map((d) => (
+                <EnlaceIncidencia key={d.id} item={d} onSelect={onSelect} />
+              ))}
+            </p>
+          )}
+          <div className="flex gap-2">
+            <select
+              value={originalId}
+              onChange={(e) => setOriginalId(e.target.value)}
+              className="form-input flex-1 text-sm"
+              aria-label="Incidencia original"
+            >
+              <option value="">Es duplicada de...</option>
+              {candidatas.map((i) => (
+                <option key={i.id} value={i.id}>
+                  {i.codigo} · {incidenciasService.getTipoLabel(i.tipo)}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onMarcar(Number(originalId))}
+              disabled={guardando || !originalId}
+              className="btn-secondary text-sm"
+            >
+              Enlazar
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Modal con el reporte completo, el triaje y la respuesta al reportante
+ */
+const IncidenciaDetailModal = ({
+  incidencia,
+  incidencias,
+  onClose,
+  onSelect,
+  onActualizada,
+  onDuplicada,
+}) => {
+  const [estado, setEstado] = useState(incidencia.estado);
+  const [prioridad, setPrioridad] = useState(incidencia.prioridad);
+  const [respuesta, setRespuesta] = useState("");
+  const [guardando, setGuardando] = useState(false);
+  const [error, setError] = useState("");
+
+  // Tras guardar (o responder, que puede pasarla a revisión) los
+  // selectores reflejan el estado del servidor
+  useEffect(() => {
+    setEstado(incidencia.estado);
+    setPrioridad(incidencia.prioridad);
+  }, [incidencia.estado, incidencia.prioridad]);
+
+  const hayCambios =
+    estado !== incidencia.estado || prioridad !== incidencia.prioridad;
+
+  const ejecutar = async (accion, mensaje) => {
+    try {
+      setGuardando(true);
+      setError("");
+      onActualizada(await accion(), mensaje);
+      return true;
+    } catch (err) {
+      setError(err.message || "No se ha podido guardar");
+      return false;
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const handleGuardarTriaje = () =>
+    ejecutar(
+      () =>
+        incidenciasService.actualizarIncidencia(incidencia.id, {
+          estado,
+          prioridad,
+        }),
+      `${incidencia.codigo} actualizada`
+    );
+
+  const handleResponder = async () => {
+    const enviada = await ejecutar(
+      () => incidenciasService.responderIncidencia(incidencia.id, respuesta),
+      `Respuesta enviada a ${incidencia.email}`
+    );
+    if (enviada) {
+      setRespuesta("");
+    }
+  };
+
+  const handleMarcarDuplicada = async (originalId) => {
+    try {
+      setGuardando(true);
+      setError("");
+      await incidenciasService.marcarDuplicada(incidencia.id, originalId);
+      await onDuplicada(
+        originalId
+          ? `${incidencia.codigo} marcada como duplicada`
+          : `${incidencia.codigo} ya no es duplicada`
+      );
+    } catch (err) {
+      setError(err.message || "No se ha podido enlazar la incidencia");
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const detalles = [
+    { label: "Pasos para reproducir", valor: incidencia.pasos },
+    { label: "Comportamiento esperado", valor: incidencia.esperado },
+  ];
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`${incidencia.codigo} · ${incidenciasService.getTipoLabel(
+        incidencia.tipo
+      )}`}
+      size="xl"
+    >
+      {error && <InlineAlert type="error" message={error} className="mb-4" />}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Reporte */}
+        <div className="lg:col-span-2 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            <div className="flex items-start gap-2">
+              <User className="w-4 h-4 text-gray-400 mt-0.5" />
+              <div>
+                <p className="font-medium text-gray-900">
+                  {incidencia.nombre}{" "}
+                  <span className="text-gray-500 font-normal">
+                    ({incidencia.rol})
+                  </span>
+                </p>
+                <p className="text-gray-600">{incidencia.email}</p>
+                {incidencia.telefono && (
+                  <p className="text-gray-600">{incidencia.telefono}</p>
+                )}
+              </div>
+            </div>
+            <div className="flex items-start gap-2">
+              <Monitor className="w-4 h-4 text-gray-400 mt-0.5" />
+              <div>
+                <p className="text-gray-900">
+                  {incidencia.navegador || "Desconocido"}
+                </p>
+                {incidencia.fechaIncidente && (
+                  <p className="text-gray-600">
+                    Ocurrió el{" "}
+                    {format(
+                      parseISO(incidencia.fechaIncidente),
+                      "d MMM yyyy, HH:mm",
+                      { locale: es }
+                    )}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-1">
+              Descripción
+            </h4>
+            <p className="text-sm text-gray-700 whitespace-pre-line">
+              {incidencia.descripcion}
+            </p>
+          </div>
+
+          {detalles
+            .filter((d) => d.valor)
+            .map((d) => (
+              <div key={d.label}>
+                <h4 className="text-sm font-semibold text-gray-900 mb-1">
+                  {d.label}
+                </h4>
+                <p className="text-sm text-gray-700 whitespace-pre-line">
+                  {d.valor}
+                </p>
+              </div>
+            ))}
+
+          {incidencia.adjuntos.length > 0 && (
+            <AdjuntosIncidencia adjuntos={incidencia.adjuntos} />
+          )}
+
+          {/* Respuesta al reportante */}
+          <div className="pt-4 border-t border-gray-200">
+            <label htmlFor="respuesta" className="form-label">
+              Responder a {incidencia.nombre}
+            </label>
+            <textarea
+              id="respuesta"
+              value={respuesta}
+              onChange={(e) => setRespuesta(e.target.value)}
+              rows={3}
+              className="form-input"
+              placeholder="La respuesta se envía por email y aparece en su historial"
+            />
+            <div className="flex justify-end mt-2">
+              <button
+                onClick={handleResponder}
+                disabled={guardando || !respuesta.trim()}
+                className="btn-primary flex items-center gap-2"
+              >
+                <Send className="w-4 h-4" />
+                Enviar respuesta
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Triaje e historial */}
+        <div className="space-y-4">
+          <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+            <div>
+              <label htmlFor="estado" className="form-label">
+                Estado
+              </label>
+              <select
+                id="estado"
+                value={estado}
+                onChange={(e) => setEstado(e.target.value)}
+                className="form-input"
+              >
+                {ESTADOS_INCIDENCIA.map((e) => (
+                  <option key={e.value} value={e.value}>
+                    {e.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="prioridad" className="form-label">
+                Prioridad
+              </label>
+              <select
+                id="prioridad"
+                value={prioridad}
+                onChange={(e) => setPrioridad(e.target.value)}
+                className="form-input"
+              >
+                {PRIORIDADES_INCIDENCIA.map((p) => (
+                  <option key={p.value} value={p.value}>
+                    {p.emoji} {p.label} ({p.respuesta})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleGuardarTriaje}
+              disabled={guardando || !hayCambios}
+              className="btn-secondary w-full"
+            >
+              Guardar cambios
+            </button>
+          </div>
+
+          <DuplicadosIncidencia
+            incidencia={incidencia}
+            incidencias={incidencias}
+            guardando={guardando}
+            onSelect={onSelect}
+            onMarcar={handleMarcarDuplicada}
+          />
+
+          <HistorialIncidencia historial={incidencia.historial} />
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default IncidenciasManagement;
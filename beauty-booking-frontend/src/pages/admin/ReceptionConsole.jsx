@@ -0,0 +1,597 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import {
+  Search,
+  UserPlus,
+  Phone,
+  Mail,
+  X,
+  ChevronLeft,
+  ChevronRight,
+  Keyboard,
+  Clock,
+} from "lucide-react";
+import { format, addDays, parseISO, isToday } from "date-fns";
+import { es } from "date-fns/locale";
+import adminService from "../../services/adminService";
+import bookingService from "../../services/bookingService";
+import { useProtectedRoute, useError, useDebounce } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
+import Loading, { LoadingButton } from "../../components/common/Loading";
+import { InlineAlert, Toast } from "../../components/common/Alert";
+import { AdminSidebar } from "./Dashboard";
+
+// La consola reserva (reservas) y busca o da de alta clientes (clientes)
+const PERMISOS_RECEPCION = [PERMISOS.RESERVAS_GESTIONAR, PERMISOS.CLIENTES];
+
+/**
+ * ¿Está el foco en un campo donde se escribe? (no se aplican los atajos)
+ */
+const esCampoDeTexto = (elemento) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(elemento.tagName) ||
+  elemento.isContentEditable;
+
+/**
+ * Reception Console - Reservas presenciales y por teléfono
+ *
+ * Consola rápida para recepción:
+ * - Búsqueda de clientes por teléfono o nombre mientras se escribe
+ * - Alta de un cliente sin cuenta sin salir de la pantalla
+ * - Huecos libres del día en todos los servicios, agrupados por hora
+ * - Reserva en dos clics (hueco + reservar) y atajos de teclado:
+ *   "/" buscar, "N" nuevo cliente, flechas y Enter para elegir, Esc limpiar
+ */
+
+const ReceptionConsole = () => {
+  useProtectedRoute(null, PERMISOS_RECEPCION);
+  const { error, setError, clearError } = useError();
+
+  // Cliente
+  const [busqueda, setBusqueda] = useState("");
+  const busquedaDebounced = useDebounce(busqueda, 250);
+  const [resultados, setResultados] = useState([]);
+  const [resaltado, setResaltado] = useState(0);
+  const [buscando, setBuscando] = useState(false);
+  const [cliente, setCliente] = useState(null);
+  const [mostrarAlta, setMostrarAlta] = useState(false);
+
+  // Huecos
+  const [fecha, setFecha] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [franjas, setFranjas] = useState([]);
+  const [cargandoFranjas, setCargandoFranjas] = useState(true);
+  const [franja, setFranja] = useState(null);
+
+  // Reserva
+  const [notas, setNotas] = useState("");
+  const [reservando, setReservando] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+
+  const busquedaRef = useRef(null);
+  const notasRef = useRef(null);
+
+  /**
+   * Cargar los huecos al entrar y al cambiar de día
+   */
+  const loadFranjas = useCallback(async () => {
+    try {
+      setCargandoFranjas(true);
+      setFranjas(await adminService.getFranjasLibres(fecha));
+    } catch (err) {
+      console.error("Error cargando huecos libres:", err);
+      setError("Error al cargar los huecos libres");
+    } finally {
+      setCargandoFranjas(false);
+    }
+  }, [fecha, setError]);
+
+  useEffect(() => {
+    loadFranjas();
+  }, [loadFranjas]);
+
+  /**
+   * Buscar clientes mientras se escribe (a partir de 2 caracteres)
+   */
+  useEffect(() => {
+    if (busquedaDebounced.trim().length < 2) {
+      setResultados([]);
+      return;
+    }
+
+    // Si llega una respuesta de una búsqueda anterior, se descarta
+    let vigente = true;
+    setBuscando(true);
+    adminService
+      .buscarClientes(busquedaDebounced.trim())
+      .then((data) => {
+        if (!vigente) return;
+        setResultados(data);
+        setResaltado(0);
+      })
+      .catch(() => vigente && setError("Error al buscar clientes"))
+      .finally(() => vigente && setBuscando(false));
+    return () => {
+      vigente = false;
+    };
+  }, [busquedaDebounced, setError]);
+
+  const elegirCliente = (elegido) => {
+    setCliente(elegido);
+    setMostrarAlta(false);
+    setBusqueda("");
+    setResultados([]);
+    // Si ya hay hueco elegido, basta con pulsar Enter para reservar
+    if (franja) notasRef.current?.focus();
+  };
+
+  const cambiarCliente = () => {
+    setCliente(null);
+    setTimeout(() => busquedaRef.current?.focus());
+  };
+
+  const elegirFranja = (elegida) => {
+    setFranja(franja?.id === elegida.id ? null : elegida);
+    if (cliente) notasRef.current?.focus();
+  };
+
+  const cambiarDia = (dias) => {
+    setFranja(null);
+    setFecha(format(addDays(parseISO(fecha), dias), "yyyy-MM-dd"));
+  };
+
+  /**
+   * Navegación por los resultados de la búsqueda con el teclado
+   */
+  const handleBusquedaKeyDown = (e) => {
+    if (e.key === "ArrowDown" && resultados.length > 0) {
+      e.preventDefault();
+      setResaltado((resaltado + 1) % resultados.length);
+    } else if (e.key === "ArrowUp" && resultados.length > 0) {
+      e.preventDefault();
+      setResaltado((resaltado - 1 + resultados.length) % resultados.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (resultados[resaltado]) {
+        elegirCliente(resultados[resaltado]);
+      } else if (busqueda.trim().length >= 2 && !buscando) {
+        setMostrarAlta(true);
+      }
+    }
+  };
+
+  /**
+   * Crear la reserva (ya confirmada) para el cliente y el hueco elegidos
+   */
+  const handleReservar = async (e) => {
+    e?.preventDefault();
+    if (!cliente || !franja || reservando) return;
+
+    try {
+      setReservando(true);
+      clearError();
+      const reserva = await adminService.crearReservaManual({
+        franjaId: franja.id,
+        usuarioId: cliente.id,
+        notas,
+      });
+      setToastMessage(
+        `Reserva #BK${String(reserva.id).padStart(5, "0")} para ${
+          cliente.nombre
+        } a las ${bookingService.formatearHora(reserva.horaInicio)}`
+      );
+
+      // Lista para el siguiente cliente
+      setCliente(null);
+      setFranja(null);
+      setNotas("");
+      busquedaRef.current?.focus();
+      loadFranjas();
+    } catch (err) {
+      console.error("Error creando reserva:", err);
+      setError(err.message || "No se ha podido crear la reserva");
+      // El hueco puede haberse ocupado mientras tanto
+      if (err.status === 409) {
+        setFranja(null);
+        loadFranjas();
+      }
+    } finally {
+      setReservando(false);
+    }
+  };
+
+  /**
+   * Atajos de teclado de la consola
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      if (e.key === "Escape") {
+        if (franja) {
+          setFranja(null);
+        } else if (mostrarAlta) {
+          setMostrarAlta(false);
+        } else if (busqueda) {
+          setBusqueda("");
+        } else if (cliente) {
+          cambiarCliente();
+        }
+        return;
+      }
+
+      if (esCampoDeTexto(e.target)) return;
+
+      if (e.key === "/") {
+        e.preventDefault();
+        setCliente(null);
+        setMostrarAlta(false);
+        setTimeout(() => busquedaRef.current?.focus());
+      } else if (e.key === "n" || e.key === "N") {
+        e.preventDefault();
+        setCliente(null);
+        setMostrarAlta(true);
+      } else if (e.key === "Enter" && e.target === document.body) {
+        handleReservar();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  });
+
+  // Los huecos de hoy que ya han empezado no se ofrecen
+  const esHoy = isToday(parseISO(fecha));
+  const ahora = format(new Date(), "HH:mm");
+  const franjasPorHora = franjas
+    .filter((f) => !esHoy || f.horaInicio.slice(0, 5) >= ahora)
+    .reduce((grupos, f) => {
+      (grupos[f.horaInicio] ||= []).push(f);
+      return grupos;
+    }, {});
+  const horas = Object.entries(franjasPorHora);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Sidebar */}
+      <AdminSidebar activePage="recepcion" />
+
+      {/* Contenido principal */}
+      <div className="lg:pl-64">
+        <div className="p-8">
+          {/* Header */}
+          <div className="mb-6 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Recepción</h1>
+              <p className="text-gray-600 mt-1">
+                Reservas de clientes que llaman o se acercan al salón
+              </p>
+            </div>
+            <p className="text-xs text-gray-500 flex items-center gap-2">
+              <Keyboard className="w-4 h-4" />
+              <Atajo tecla="/" /> buscar · <Atajo tecla="N" /> nuevo cliente ·{" "}
+              <Atajo tecla="↑↓" /> elegir · <Atajo tecla="Enter" /> reservar ·{" "}
+              <Atajo tecla="Esc" /> limpiar
+            </p>
+          </div>
+
+          {/* Mensajes de error */}
+          {error && (
+            <InlineAlert type="error" message={error} className="mb-6" />
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Cliente */}
+            <div className="bg-white rounded-lg shadow-md p-6 space-y-4 self-start">
+              <h2 className="text-lg font-semibold">1. Cliente</h2>
+
+              {cliente && (
+                <div className="p-4 rounded-lg bg-beauty-50 border border-beauty-200">
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {cliente.nombre}
+                      </p>
+                      <p className="text-sm text-gray-600 flex items-center gap-1 mt-1">
+                        <Phone className="w-4 h-4" />
+                        {cliente.telefono || "Sin teléfono"}
+                      </p>
+                      <p className="text-sm text-gray-600 flex items-center gap-1">
+                        <Mail className="w-4 h-4" />
+                        {cliente.email || "Sin email"}
+                      </p>
+                    </div>
+                    <button
+                      onClick={cambiarCliente}
+                      className="p-1 hover:bg-beauty-100 rounded"
+                      title="Cambiar cliente"
+                    >
+                      <X className="w-4 h-4 text-gray-600" />
+                    </button>
+                  </div>
+                  {cliente.invitado && (
+                    <span className="badge badge-info mt-2">Sin cuenta</span>
+                  )}
+                </div>
+              )}
+
+              {!cliente && mostrarAlta && (
+                <GuestCustomerForm
+                  busqueda={busqueda}
+                  onCreated={elegirCliente}
+                  onCancel={() => setMostrarAlta(false)}
+                />
+              )}
+
+              {!cliente && !mostrarAlta && (
+                <>
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    <input
+                      ref={busquedaRef}
+                      type="text"
+                      autoFocus
+                      placeholder="Teléfono o nombre..."
+                      value={busqueda}
+                      onChange={(e) => setBusqueda(e.target.value)}
+                      onKeyDown={handleBusquedaKeyDown}
+                      className="form-input pl-10"
+                    />
+                  </div>
+
+                  {resultados.length > 0 && (
+                    <ul className="border rounded-lg divide-y">
+                      {resultados.map((resultado, index) => (
+                        <li key={resultado.id}>
+                          <button
+                            onClick={() => elegirCliente(resultado)}
+                            onMouseEnter={() => setResaltado(index)}
+                            className={`w-full text-left px-3 py-2 ${
+                              index === resaltado ? "bg-beauty-50" : ""
+                            }`}
+                          >
+                            <p className="font-medium text-gray-900">
+                              {resultado.nombre}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {resultado.telefono || "Sin teléfono"}
+                              {resultado.email && ` · ${resultado.email}`}
+                            </p>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {busquedaDebounced.trim().length >= 2 &&
+                    !buscando &&
+                    resultados.length === 0 && (
+                      <p className="text-sm text-gray-500">
+                        No hay clientes que coincidan.
+                      </p>
+                    )}
+
+                  <button
+                    onClick={() => setMostrarAlta(true)}
+                    className="btn-secondary w-full flex items-center justify-center gap-2"
+                  >
+                    <UserPlus className="w-4 h-4" />
+                    Nuevo cliente
+                  </button>
+                </>
+              )}
+            </div>
+
+            {/* Huecos libres */}
+            <div className="lg:col-span-2 bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold">2. Hueco</h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => cambiarDia(-1)}
+                    disabled={esHoy}
+                    className="p-1 hover:bg-gray-100 rounded disabled:opacity-30"
+                    title="Día anterior"
+                  >
+                    <ChevronLeft className="w-5 h-5" />
+                  </button>
+                  <span className="text-sm font-medium w-40 text-center capitalize">
+                    {esHoy
+                      ? "Hoy"
+                      : format(parseISO(fecha), "EEEE d MMM", { locale: es })}
+                  </span>
+                  <button
+                    onClick={() => cambiarDia(1)}
+                    className="p-1 hover:bg-gray-100 rounded"
+                    title="Día siguiente"
+                  >
+                    <ChevronRight className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+
+              {cargandoFranjas && <Loading message="Cargando huecos..." />}
+
+              {!cargandoFranjas && horas.length === 0 && (
+                <p className="text-center py-8 text-gray-500">
+                  No quedan huecos libres este día
+                </p>
+              )}
+
+              {!cargandoFranjas && horas.length > 0 && (
+                <div className="space-y-3 max-h-[28rem] overflow-y-auto">
+                  {horas.map(([hora, delaHora]) => (
+                    <div key={hora} className="flex gap-3">
+                      <span className="w-14 pt-2 text-sm font-semibold text-gray-700 flex-shrink-0">
+                        {bookingService.formatearHora(hora)}
+                      </span>
+                      <div className="flex flex-wrap gap-2">
+                        {delaHora.map((f) => (
+                          <button
+                            key={f.id}
+                            onClick={() => elegirFranja(f)}
+                            className={`px-3 py-2 rounded-lg border text-left text-sm transition-colors ${
+                              franja?.id === f.id
+                                ? "border-beauty-500 bg-beauty-500 text-white"
+                                : "border-gray-200 hover:border-beauty-300 hover:bg-beauty-50"
+                            }`}
+                          >
+                            <span className="font-medium">
+                              {f.servicioNombre}
+                            </span>
+                            <span className="block text-xs opacity-80">
+                              {f.profesionalNombre || "Sin asignar"}
+                              {f.plazasDisponibles > 1 &&
+                                ` · ${f.plazasDisponibles} plazas`}
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Resumen y confirmación */}
+          <form
+            onSubmit={handleReservar}
+            className="mt-6 bg-white rounded-lg shadow-md p-6 flex flex-col md:flex-row md:items-center gap-4"
+          >
+            <div className="flex-1 text-sm text-gray-700">
+              {cliente && franja ? (
+                <p className="flex items-center gap-2">
+                  <Clock className="w-4 h-4 text-beauty-600" />
+                  <span>
+                    <strong>{cliente.nombre}</strong> · {franja.servicioNombre}{" "}
+                    · {format(parseISO(franja.fecha), "d MMM", { locale: es })}{" "}
+                    a las {bookingService.formatearHora(franja.horaInicio)}
+                    {franja.profesionalNombre &&
+                      ` con ${franja.profesionalNombre}`}
+                  </span>
+                </p>
+              ) : (
+                <p className="text-gray-500">
+                  Elige un cliente y un hueco para reservar
+                </p>
+              )}
+            </div>
+            <input
+              ref={notasRef}
+              type="text"
+              placeholder="Notas (opcional)"
+              value={notas}
+              onChange={(e) => setNotas(e.target.value)}
+              className="form-input md:w-64"
+            />
+            <LoadingButton
+              type="submit"
+              loading={reservando}
+              disabled={!cliente || !franja || reservando}
+              className="disabled:opacity-50"
+            >
+              Reservar
+            </LoadingButton>
+          </form>
+        </div>
+      </div>
+
+      {toastMessage && (
+        <Toast
+          type="success"
+          message={toastMessage}
+          duration={4000}
+          onClose={() => setToastMessage("")}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tecla de un atajo
+ */
+const Atajo = ({ tecla }) => (
+  <kbd className="px-1.5 py-0.5 rounded border bg-gray-100 font-mono">
+    {tecla}
+  </kbd>
+);
+
+/**
+ * Alta rápida de un cliente sin cuenta: si lo buscado eran dígitos se
+ * usa como teléfono y, si no, como nombre
+ * @param {string} busqueda - Texto que había en el buscador
+ * @param {Function} onCreated - Callback con el cliente creado
+ * @param {Function} onCancel - Volver al buscador
+ */
+const GuestCustomerForm = ({ busqueda, onCreated, onCancel }) => {
+  const digitos = busqueda.replace(/\s/g, "");
+  const esTelefono = /^\d+$/.test(digitos);
+  const [datos, setDatos] = useState({
+    nombre: esTelefono ? "" : busqueda.trim(),
+    telefono: esTelefono ? digitos : "",
+    email: "",
+  });
+  const [error, setError] = useState("");
+  const [guardando, setGuardando] = useState(false);
+
+  const handleChange = (campo, valor) =>
+    setDatos((prev) => ({ ...prev, [campo]: valor }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setGuardando(true);
+      setError("");
+      onCreated(await adminService.crearClienteInvitado(datos));
+    } catch (err) {
+      setError(err.message || "No se ha podido crear el cliente");
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {error && <InlineAlert type="error" message={error} />}
+      <div>
+        <label className="form-label">Nombre *</label>
+        <input
+          type="text"
+          autoFocus={!datos.nombre}
+          value={datos.nombre}
+          onChange={(e) => handleChange("nombre", e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <div>
+        <label className="form-label">Teléfono *</label>
+        <input
+          type="tel"
+          autoFocus={!!datos.nombre}
+          value={datos.telefono}
+          onChange={(e) => handleChange("telefono", e.target.value)}
+          className="form-input"
+        />
+      </div>
+      <div>
+        <label className="form-label">Email</label>
+        <input
+          type="email"
+          value={datos.email}
+          onChange={(e) => handleChange("email", e.target.value)}
+          className="form-input"
+          placeholder="Opcional"
+        />
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancelar
+        </button>
+        <LoadingButton type="submit" loading={guardando} className="flex-1">
+          Crear y elegir
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+export default ReceptionConsole;
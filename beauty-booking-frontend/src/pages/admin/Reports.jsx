@@ -13,6 +13,7 @@ import { format, subDays, startOfMonth, endOfMonth } from "date-fns";
 import { es } from "date-fns/locale";
 import adminService from "../../services/adminService";
 import { useProtectedRoute, useLoading, useError } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
 import Loading from "../../components/common/Loading";
 import { InlineAlert } from "../../components/common/Alert";
 import { AdminSidebar } from "./Dashboard";
@@ -28,7 +29,7 @@ import { AdminSidebar } from "./Dashboard";
  */
 
 const Reports = () => {
-  const { user } = useProtectedRoute("ADMIN");
+  const { user } = useProtectedRoute(null, PERMISOS.REPORTES);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError } = useError();
 
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
   Search,
   Filter,
@@ -15,6 +15,10 @@ import {
   FileText,
   ChevronLeft,
   ChevronRight,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  AlertTriangle,
 } from "lucide-react";
 import { format, parseISO, startOfWeek, endOfWeek } from "date-fns";
 import { es } from "date-fns/locale";
@@ -26,7 +30,9 @@ import {
   useError,
   useDebounce,
   useToggle,
+  usePermission,
 } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
 import Loading from "../../components/common/Loading";
 import {
   InlineAlert,
@@ -39,8 +45,9 @@ import { AdminSidebar } from "./Dashboard";
  * Reservations Management
  *
  * Página de administración de reservas con:
- * - Vista de tabla completa de reservas
- * - Filtros avanzados (fecha, estado, servicio, cliente)
+ * - Tabla paginada en el servidor (solo se descarga la página visible)
+ * - Filtros avanzados (fecha, estado, servicio, cliente) y ordenación
+ *   por columnas, sincronizados con la URL
  * - Acciones masivas (confirmar, exportar)
  * - Cambio de estado individual
  * - Creación manual de reservas
@@ -48,19 +55,48 @@ import { AdminSidebar } from "./Dashboard";
  * - Envío de recordatorios
  */
 
+// Tamaños de página disponibles
+const TAMANOS_PAGINA = [10, 25, 50];
+
+// Orden de la tabla cuando la URL no indica otro
+const ORDEN_POR_DEFECTO = "fecha,desc";
+
+// Columnas de la tabla (campo = criterio de ordenación en el backend)
+const COLUMNAS = [
+  { label: "ID", campo: "id" },
+  { label: "Cliente", campo: "usuarioNombre" },
+  { label: "Email", campo: "usuarioEmail" },
+  { label: "Servicio", campo: "servicioNombre" },
+  { label: "Fecha", campo: "fecha" },
+  { label: "Hora", campo: null },
+  { label: "Precio", campo: "precioFinal" },
+  { label: "Estado", campo: "estado" },
+];
+
 const ReservationsManagement = () => {
-  const navigate = useNavigate();
-  const location = useLocation();
-  const { user } = useProtectedRoute("ADMIN");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useProtectedRoute(null, PERMISOS.RESERVAS_VER);
+  // Sin este permiso (p. ej. estilistas) la agenda es de solo lectura
+  const puedeGestionar = usePermission(PERMISOS.RESERVAS_GESTIONAR);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError, clearError } = useError();
-  const { value: filterOpen, toggle: toggleFilter } = useToggle(false);
+  const { value: filterOpen, toggle: toggleFilter } = useToggle(
+    ["fecha", "estado", "servicio", "cliente"].some((clave) =>
+      searchParams.has(clave)
+    )
+  );
 
   // Estados principales
-  const [reservas, setReservas] = useState([]);
-  const [reservasFiltradas, setReservasFiltradas] = useState([]);
-  const [selectedReservas, setSelectedReservas] = useState(new Set());
-  const [searchTerm, setSearchTerm] = useState("");
+  const [pagina, setPagina] = useState({
+    content: [],
+    totalElements: 0,
+    totalPages: 0,
+  });
+  const [isFetching, setIsFetching] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [servicios, setServicios] = useState([]);
+  // Las seleccionadas se conservan al cambiar de página (id -> reserva)
+  const [selectedReservas, setSelectedReservas] = useState(new Map());
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [actionType, setActionType] = useState(null); // confirm, complete, cancel
   const [showToast, setShowToast] = useState(false);
@@ -68,147 +104,274 @@ const ReservationsManagement = () => {
   const [showNewReservationModal, setShowNewReservationModal] = useState(false);
   const [editingReservation, setEditingReservation] = useState(null);
 
-  // Filtros
-  const [filters, setFilters] = useState({
-    fecha: "",
-    estado: "todos",
-    servicio: "todos",
-    cliente: "",
-  });
-
-  // Paginación
-  const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage] = useState(10);
-
-  // Debounce para búsqueda
+  // Filtros, orden y página viven en la URL (enlaces compartibles y
+  // navegación con atrás/adelante)
+  const filters = {
+    q: searchParams.get("q") || "",
+    fecha: searchParams.get("fecha") || "",
+    estado: searchParams.get("estado") || "todos",
+    servicio: searchParams.get("servicio") || "todos",
+    cliente: searchParams.get("cliente") || "",
+  };
+  const currentPage = Math.max(parseInt(searchParams.get("page")) || 1, 1);
+  const itemsPerPage = TAMANOS_PAGINA.includes(
+    parseInt(searchParams.get("size"))
+  )
+    ? parseInt(searchParams.get("size"))
+    : TAMANOS_PAGINA[0];
+  const sort = searchParams.get("sort") || ORDEN_POR_DEFECTO;
+
+  // Los campos de texto se escriben en la URL al dejar de teclear
+  const [searchTerm, setSearchTerm] = useState(filters.q);
+  const [clienteTerm, setClienteTerm] = useState(filters.cliente);
   const debouncedSearch = useDebounce(searchTerm, 300);
+  const debouncedCliente = useDebounce(clienteTerm, 300);
+
+  // Evita que una respuesta lenta pise a otra más reciente
+  const ultimaPeticion = useRef(0);
 
   /**
-   * Cargar reservas al montar
+   * Cargar servicios (filtro) al montar
    */
   useEffect(() => {
-    loadReservas();
+    loadServicios();
   }, []);
 
   /**
-   * Detectar query parameter para abrir modal automáticamente
+   * Actualiza parámetros de la URL (vacío o "todos" = sin filtro)
+   * Cualquier cambio que no sea de página vuelve a la primera
    */
-  useEffect(() => {
-    const searchParams = new URLSearchParams(location.search);
-    const action = searchParams.get("action");
-
-    if (action === "new") {
-      setShowNewReservationModal(true);
-      // Limpiar el query parameter de la URL
-      navigate("/admin/reservas", { replace: true });
-    }
-  }, [location.search]);
+  const updateParams = useCallback(
+    (cambios) => {
+      const cambiaPagina = "page" in cambios;
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(cambios).forEach(([clave, valor]) => {
+            if (valor === "" || valor === "todos" || valor == null) {
+              next.delete(clave);
+            } else {
+              next.set(clave, String(valor));
+            }
+          });
+          if (!cambiaPagina) next.delete("page");
+          return next;
+        },
+        // Solo los cambios de página quedan en el historial
+        { replace: !cambiaPagina }
+      );
+    },
+    [setSearchParams]
+  );
 
   /**
-   * Aplicar filtros cuando cambian
+   * Filtros en el formato del backend
    */
-  useEffect(() => {
-    applyFilters();
-  }, [debouncedSearch, filters, reservas]);
+  const getFiltrosApi = useCallback(
+    () => ({
+      q: filters.q,
+      fecha: filters.fecha,
+      estado: filters.estado === "todos" ? "" : filters.estado,
+      servicioId: filters.servicio === "todos" ? "" : filters.servicio,
+      cliente: filters.cliente,
+    }),
+    [
+      filters.q,
+      filters.fecha,
+      filters.estado,
+      filters.servicio,
+      filters.cliente,
+    ]
+  );
 
   /**
-   * Cargar todas las reservas
+   * Cargar la página actual de reservas
    */
-  const loadReservas = async () => {
+  const loadReservas = useCallback(async () => {
+    const peticion = ++ultimaPeticion.current;
     try {
-      setIsLoading(true);
-      const data = await adminService.getAllReservas();
-
-      // Ordenar por fecha más reciente
-      const reservasOrdenadas = data.sort(
-        (a, b) =>
-          new Date(b.fecha || b.creadoEn) - new Date(a.fecha || a.creadoEn)
-      );
+      setIsFetching(true);
+      const data = await adminService.buscarReservas({
+        page: currentPage - 1,
+        size: itemsPerPage,
+        sort,
+        ...getFiltrosApi(),
+      });
+      if (peticion !== ultimaPeticion.current) return;
 
-      setReservas(reservasOrdenadas);
-      setReservasFiltradas(reservasOrdenadas);
+      // La página pedida ya no existe (p. ej. tras cancelar reservas)
+      if (data.content.length === 0 && currentPage > data.totalPages) {
+        if (data.totalPages > 0) {
+          updateParams({ page: data.totalPages > 1 ? data.totalPages : null });
+          return;
+        }
+      }
 
-      console.log(`✅ ${reservasOrdenadas.length} reservas cargadas`);
+      setPagina(data);
+      console.log(`✅ ${data.content.length} reservas cargadas`);
     } catch (err) {
       console.error("Error cargando reservas:", err);
       setError("Error al cargar las reservas");
     } finally {
-      setIsLoading(false);
+      if (peticion === ultimaPeticion.current) {
+        setIsFetching(false);
+        setIsLoading(false);
+      }
     }
-  };
+  }, [
+    currentPage,
+    itemsPerPage,
+    sort,
+    getFiltrosApi,
+    updateParams,
+    setError,
+    setIsLoading,
+  ]);
 
   /**
-   * Aplicar filtros y búsqueda
+   * Cargar la página cada vez que cambian filtros, orden o página
    */
-  const applyFilters = () => {
-    let filtered = [...reservas];
-
-    // Filtro por búsqueda
-    if (debouncedSearch) {
-      const search = debouncedSearch.toLowerCase();
-      filtered = filtered.filter(
-        (r) =>
-          r.usuarioNombre?.toLowerCase().includes(search) ||
-          r.usuarioEmail?.toLowerCase().includes(search) ||
-          r.servicioNombre?.toLowerCase().includes(search) ||
-          r.id.toString().includes(search)
-      );
-    }
+  useEffect(() => {
+    loadReservas();
+  }, [loadReservas]);
+
+  // Últimos textos sincronizados con la URL: distingue lo que se teclea
+  // de los cambios de la URL que llegan desde fuera
+  const textosSincronizados = useRef({
+    q: filters.q,
+    cliente: filters.cliente,
+  });
 
-    // Filtro por fecha
-    if (filters.fecha) {
-      filtered = filtered.filter((r) => r.fecha === filters.fecha);
+  /**
+   * Llevar la búsqueda y el cliente a la URL (solo cuando cambia lo
+   * tecleado, no cuando cambia la URL)
+   */
+  useEffect(() => {
+    const q = debouncedSearch.trim();
+    const cliente = debouncedCliente.trim();
+    const ultimos = textosSincronizados.current;
+    if (q === ultimos.q && cliente === ultimos.cliente) return;
+
+    textosSincronizados.current = { q, cliente };
+    if (q !== filters.q || cliente !== filters.cliente) {
+      updateParams({ q, cliente });
     }
+  }, [
+    debouncedSearch,
+    debouncedCliente,
+    filters.q,
+    filters.cliente,
+    updateParams,
+  ]);
 
-    // Filtro por estado
-    if (filters.estado !== "todos") {
-      filtered = filtered.filter((r) => r.estado === filters.estado);
+  /**
+   * Si la URL cambia desde fuera (atrás/adelante), actualizar los campos
+   */
+  useEffect(() => {
+    const ultimos = textosSincronizados.current;
+    if (filters.q !== ultimos.q) {
+      ultimos.q = filters.q;
+      setSearchTerm(filters.q);
+    }
+    if (filters.cliente !== ultimos.cliente) {
+      ultimos.cliente = filters.cliente;
+      setClienteTerm(filters.cliente);
     }
+  }, [filters.q, filters.cliente]);
 
-    // Filtro por servicio
-    if (filters.servicio !== "todos") {
-      filtered = filtered.filter(
-        (r) => r.servicioId === parseInt(filters.servicio)
+  /**
+   * Detectar query parameter para abrir modal automáticamente
+   */
+  useEffect(() => {
+    if (searchParams.get("action") === "new") {
+      setShowNewReservationModal(puedeGestionar);
+      // Limpiar el query parameter sin perder los filtros
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          next.delete("action");
+          return next;
+        },
+        { replace: true }
       );
     }
+  }, [searchParams, setSearchParams, puedeGestionar]);
 
-    // Filtro por cliente
-    if (filters.cliente) {
-      const clienteSearch = filters.cliente.toLowerCase();
-      filtered = filtered.filter(
-        (r) =>
-          r.usuarioNombre?.toLowerCase().includes(clienteSearch) ||
-          r.usuarioEmail?.toLowerCase().includes(clienteSearch)
-      );
+  /**
+   * Cargar servicios para el filtro
+   */
+  const loadServicios = async () => {
+    try {
+      const data = await adminService.getAllServicios();
+      setServicios(data);
+    } catch (err) {
+      console.error("Error cargando servicios:", err);
     }
+  };
+
+  /**
+   * Cambiar de página
+   */
+  const handlePageChange = (page) => {
+    updateParams({ page: page > 1 ? page : null });
+  };
 
-    setReservasFiltradas(filtered);
-    setCurrentPage(1); // Reset página al filtrar
+  /**
+   * Ordenar por una columna (segundo clic invierte el sentido)
+   */
+  const handleSort = (campo) => {
+    const [campoActual, direccion] = sort.split(",");
+    const nuevoOrden =
+      campo === campoActual
+        ? `${campo},${direccion === "asc" ? "desc" : "asc"}`
+        : `${campo},asc`;
+    updateParams({
+      sort: nuevoOrden === ORDEN_POR_DEFECTO ? null : nuevoOrden,
+    });
   };
 
+  /**
+   * Limpiar todos los filtros (se mantiene el orden)
+   */
+  const handleClearFilters = () => {
+    setSearchTerm("");
+    setClienteTerm("");
+    updateParams({
+      q: null,
+      fecha: null,
+      estado: null,
+      servicio: null,
+      cliente: null,
+    });
+  };
+
+  const reservas = pagina.content;
+
   /**
    * Manejar selección de reservas
    */
-  const handleSelectReserva = (reservaId) => {
-    const newSelected = new Set(selectedReservas);
-    if (newSelected.has(reservaId)) {
-      newSelected.delete(reservaId);
+  const handleSelectReserva = (reserva) => {
+    const newSelected = new Map(selectedReservas);
+    if (newSelected.has(reserva.id)) {
+      newSelected.delete(reserva.id);
     } else {
-      newSelected.add(reservaId);
+      newSelected.set(reserva.id, reserva);
     }
     setSelectedReservas(newSelected);
   };
 
+  const allPageSelected =
+    reservas.length > 0 && reservas.every((r) => selectedReservas.has(r.id));
+
   /**
-   * Seleccionar/deseleccionar todas
+   * Seleccionar/deseleccionar todas las de la página
    */
   const handleSelectAll = () => {
-    if (selectedReservas.size === paginatedReservas.length) {
-      setSelectedReservas(new Set());
-    } else {
-      const allIds = paginatedReservas.map((r) => r.id);
-      setSelectedReservas(new Set(allIds));
-    }
+    const newSelected = new Map(selectedReservas);
+    reservas.forEach((r) =>
+      allPageSelected ? newSelected.delete(r.id) : newSelected.set(r.id, r)
+    );
+    setSelectedReservas(newSelected);
   };
 
   /**
@@ -232,7 +395,7 @@ const ReservationsManagement = () => {
       setShowConfirmDialog(false);
       const promises = [];
 
-      selectedReservas.forEach((reservaId) => {
+      selectedReservas.forEach((reserva, reservaId) => {
         switch (actionType) {
           case "confirm":
             promises.push(adminService.confirmarReserva(reservaId));
@@ -241,21 +404,24 @@ const ReservationsManagement = () => {
             promises.push(adminService.completarReserva(reservaId));
             break;
           case "cancel":
-            promises.push(adminService.cancelarReservaAdmin(reservaId));
+            // Las ya atendidas o con ausencia se quedan como están
+            if (bookingService.esCancelable(reserva.estado)) {
+              promises.push(adminService.cancelarReservaAdmin(reservaId));
+            }
             break;
         }
       });
 
       await Promise.all(promises);
 
-      // Recargar reservas
+      // Recargar la página actual
       await loadReservas();
 
       // Limpiar selección
-      setSelectedReservas(new Set());
+      setSelectedReservas(new Map());
 
       // Mostrar mensaje de éxito
-      setToastMessage(`${selectedReservas.size} reserva(s) actualizadas`);
+      setToastMessage(`${promises.length} reserva(s) actualizadas`);
       setShowToast(true);
     } catch (err) {
       console.error("Error ejecutando acción masiva:", err);
@@ -281,9 +447,12 @@ const ReservationsManagement = () => {
       }
 
       // Actualizar localmente
-      setReservas((prev) =>
-        prev.map((r) => (r.id === reservaId ? { ...r, estado: newStatus } : r))
-      );
+      setPagina((prev) => ({
+        ...prev,
+        content: prev.content.map((r) =>
+          r.id === reservaId ? { ...r, estado: newStatus } : r
+        ),
+      }));
 
       setToastMessage("Estado actualizado");
       setShowToast(true);
@@ -302,30 +471,35 @@ const ReservationsManagement = () => {
   };
 
   /**
-   * Exportar a CSV
+   * Exportar a CSV: las seleccionadas o, si no hay, todas las que
+   * cumplen los filtros (se piden al backend página a página)
    */
-  const handleExportCSV = () => {
-    const dataToExport =
-      selectedReservas.size > 0
-        ? reservas.filter((r) => selectedReservas.has(r.id))
-        : reservasFiltradas;
-
-    const csv = adminService.exportarReservasCSV(dataToExport);
-    const filename = `reservas_${format(new Date(), "yyyy-MM-dd_HH-mm")}.csv`;
-    adminService.descargarCSV(csv, filename);
-
-    setToastMessage(`${dataToExport.length} reservas exportadas`);
-    setShowToast(true);
+  const handleExportCSV = async () => {
+    try {
+      setIsExporting(true);
+      const dataToExport =
+        selectedReservas.size > 0
+          ? Array.from(selectedReservas.values())
+          : await adminService.getReservasFiltradas(getFiltrosApi(), sort);
+
+      const csv = adminService.exportarReservasCSV(dataToExport);
+      const filename = `reservas_${format(new Date(), "yyyy-MM-dd_HH-mm")}.csv`;
+      adminService.descargarCSV(csv, filename);
+
+      setToastMessage(`${dataToExport.length} reservas exportadas`);
+      setShowToast(true);
+    } catch (err) {
+      console.error("Error exportando reservas:", err);
+      setError("Error al exportar las reservas");
+    } finally {
+      setIsExporting(false);
+    }
   };
 
   // Calcular paginación
-  const indexOfLastItem = currentPage * itemsPerPage;
-  const indexOfFirstItem = indexOfLastItem - itemsPerPage;
-  const paginatedReservas = reservasFiltradas.slice(
-    indexOfFirstItem,
-    indexOfLastItem
-  );
-  const totalPages = Math.ceil(reservasFiltradas.length / itemsPerPage);
+  const totalPages = pagina.totalPages;
+  const indexOfFirstItem = (currentPage - 1) * itemsPerPage;
+  const indexOfLastItem = indexOfFirstItem + reservas.length;
 
   // Loading inicial
   if (isLoading) {
@@ -384,13 +558,15 @@ const ReservationsManagement = () => {
                   FILTRAR
                 </button>
 
-                <button
-                  onClick={() => setShowNewReservationModal(true)}
-                  className="btn-primary flex items-center gap-2"
-                >
-                  <Plus className="w-4 h-4" />
-                  NUEVA RESERVA MANUAL
-                </button>
+                {puedeGestionar && (
+                  <button
+                    onClick={() => setShowNewReservationModal(true)}
+                    className="btn-primary flex items-center gap-2"
+                  >
+                    <Plus className="w-4 h-4" />
+                    NUEVA RESERVA MANUAL
+                  </button>
+                )}
               </div>
             </div>
 
@@ -404,9 +580,7 @@ const ReservationsManagement = () => {
                     <input
                       type="date"
                       value={filters.fecha}
-                      onChange={(e) =>
-                        setFilters({ ...filters, fecha: e.target.value })
-                      }
+                      onChange={(e) => updateParams({ fecha: e.target.value })}
                       className="form-input"
                     />
                   </div>
@@ -416,16 +590,17 @@ const ReservationsManagement = () => {
                     <label className="form-label">Estado</label>
                     <select
                       value={filters.estado}
-                      onChange={(e) =>
-                        setFilters({ ...filters, estado: e.target.value })
-                      }
+                      onChange={(e) => updateParams({ estado: e.target.value })}
                       className="form-input"
                     >
                       <option value="todos">Todos los estados</option>
                       <option value="PENDIENTE">Pendiente</option>
                       <option value="CONFIRMADA">Confirmada</option>
+                      <option value="EN_ESPERA">En espera</option>
+                      <option value="EN_CURSO">En curso</option>
                       <option value="COMPLETADA">Completada</option>
                       <option value="CANCELADA">Cancelada</option>
+                      <option value="NO_PRESENTADO">No presentado</option>
                     </select>
                   </div>
 
@@ -435,12 +610,16 @@ const ReservationsManagement = () => {
                     <select
                       value={filters.servicio}
                       onChange={(e) =>
-                        setFilters({ ...filters, servicio: e.target.value })
+                        updateParams({ servicio: e.target.value })
                       }
                       className="form-input"
                     >
                       <option value="todos">Todos los servicios</option>
-                      {/* Aquí deberías cargar los servicios dinámicamente */}
+                      {servicios.map((servicio) => (
+                        <option key={servicio.id} value={servicio.id}>
+                          {servicio.nombre}
+                        </option>
+                      ))}
                     </select>
                   </div>
 
@@ -450,10 +629,8 @@ const ReservationsManagement = () => {
                     <input
                       type="text"
                       placeholder="Nombre o email"
-                      value={filters.cliente}
-                      onChange={(e) =>
-                        setFilters({ ...filters, cliente: e.target.value })
-                      }
+                      value={clienteTerm}
+                      onChange={(e) => setClienteTerm(e.target.value)}
                       className="form-input"
                     />
                   </div>
@@ -461,14 +638,7 @@ const ReservationsManagement = () => {
 
                 <div className="mt-4 flex justify-end">
                   <button
-                    onClick={() =>
-                      setFilters({
-                        fecha: "",
-                        estado: "todos",
-                        servicio: "todos",
-                        cliente: "",
-                      })
-                    }
+                    onClick={handleClearFilters}
                     className="text-sm text-gray-600 hover:text-gray-800"
                   >
                     Limpiar filtros
@@ -484,27 +654,35 @@ const ReservationsManagement = () => {
               <div className="flex items-center justify-between">
                 <p className="text-sm text-blue-800">
                   {selectedReservas.size} reserva(s) seleccionada(s)
-                </p>
-                <div className="flex gap-2">
                   <button
-                    onClick={() => handleBulkAction("confirm")}
-                    className="text-sm px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600"
+                    onClick={() => setSelectedReservas(new Map())}
+                    className="ml-3 underline hover:text-blue-900"
                   >
-                    Confirmar
+                    Quitar selección
                   </button>
-                  <button
-                    onClick={() => handleBulkAction("complete")}
-                    className="text-sm px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
-                  >
-                    Completar
-                  </button>
-                  <button
-                    onClick={() => handleBulkAction("cancel")}
-                    className="text-sm px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
-                  >
-                    Cancelar
-                  </button>
-                </div>
+                </p>
+                {puedeGestionar && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleBulkAction("confirm")}
+                      className="text-sm px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600"
+                    >
+                      Confirmar
+                    </button>
+                    <button
+                      onClick={() => handleBulkAction("complete")}
+                      className="text-sm px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                    >
+                      Completar
+                    </button>
+                    <button
+                      onClick={() => handleBulkAction("cancel")}
+                      className="text-sm px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+                    >
+                      Cancelar
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -513,78 +691,104 @@ const ReservationsManagement = () => {
           <div className="bg-white rounded-lg shadow-md overflow-hidden">
             {/* Cabecera de tabla con acciones */}
             <div className="px-6 py-3 border-b flex justify-between items-center">
-              <p className="text-sm text-gray-600">
-                {reservasFiltradas.length} reservas encontradas
+              <p className="text-sm text-gray-600 flex items-center gap-2">
+                {pagina.totalElements} reservas encontradas
+                {isFetching && (
+                  <RefreshCw className="w-4 h-4 animate-spin text-gray-400" />
+                )}
               </p>
-              <div className="flex gap-2">
+              <div className="flex items-center gap-4">
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  Mostrar
+                  <select
+                    value={itemsPerPage}
+                    onChange={(e) =>
+                      updateParams({
+                        size:
+                          Number(e.target.value) === TAMANOS_PAGINA[0]
+                            ? null
+                            : e.target.value,
+                      })
+                    }
+                    className="border-gray-300 rounded text-sm py-1"
+                  >
+                    {TAMANOS_PAGINA.map((tamano) => (
+                      <option key={tamano} value={tamano}>
+                        {tamano}
+                      </option>
+                    ))}
+                  </select>
+                </label>
                 <button
                   onClick={handleExportCSV}
-                  className="text-sm text-gray-600 hover:text-gray-900 flex items-center gap-1"
+                  disabled={isExporting}
+                  className="text-sm text-gray-600 hover:text-gray-900 flex items-center gap-1 disabled:opacity-50"
                 >
                   <Download className="w-4 h-4" />
-                  Exportar CSV
+                  {isExporting
+                    ? "Exportando..."
+                    : selectedReservas.size > 0
+                    ? "Exportar seleccionadas"
+                    : "Exportar CSV"}
                 </button>
               </div>
             </div>
 
             {/* Tabla */}
-            <div className="overflow-x-auto">
+            <div
+              className={`overflow-x-auto transition-opacity ${
+                isFetching ? "opacity-60" : ""
+              }`}
+            >
               <table className="w-full">
                 <thead className="bg-gray-50">
                   <tr>
                     <th className="px-6 py-3 text-left">
                       <input
                         type="checkbox"
-                        checked={
-                          selectedReservas.size === paginatedReservas.length &&
-                          paginatedReservas.length > 0
-                        }
+                        checked={allPageSelected}
                         onChange={handleSelectAll}
                         className="rounded border-gray-300 text-beauty-500 focus:ring-beauty-500"
                       />
                     </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      ID
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Cliente
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Email
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Servicio
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Fecha
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Hora
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Precio
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                      Estado
-                    </th>
+                    {COLUMNAS.map((columna) => (
+                      <SortableHeader
+                        key={columna.label}
+                        label={columna.label}
+                        campo={columna.campo}
+                        sort={sort}
+                        onSort={handleSort}
+                      />
+                    ))}
                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">
                       Acciones
                     </th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-200">
-                  {paginatedReservas.map((reserva) => (
+                  {reservas.map((reserva) => (
                     <ReservationRow
                       key={reserva.id}
                       reserva={reserva}
                       selected={selectedReservas.has(reserva.id)}
-                      onSelect={() => handleSelectReserva(reserva.id)}
+                      onSelect={() => handleSelectReserva(reserva)}
                       onChangeStatus={(status) =>
                         handleChangeStatus(reserva.id, status)
                       }
                       onEdit={() => handleEditReservation(reserva)}
+                      readOnly={!puedeGestionar}
                     />
                   ))}
+                  {reservas.length === 0 && (
+                    <tr>
+                      <td
+                        colSpan={COLUMNAS.length + 2}
+                        className="px-6 py-12 text-center text-sm text-gray-500"
+                      >
+                        No hay reservas que cumplan los filtros
+                      </td>
+                    </tr>
+                  )}
                 </tbody>
               </table>
             </div>
@@ -593,39 +797,43 @@ const ReservationsManagement = () => {
             {totalPages > 1 && (
               <div className="px-6 py-3 border-t flex items-center justify-between">
                 <p className="text-sm text-gray-600">
-                  Mostrando {indexOfFirstItem + 1} a{" "}
-                  {Math.min(indexOfLastItem, reservasFiltradas.length)} de{" "}
-                  {reservasFiltradas.length} reservas
+                  Mostrando {indexOfFirstItem + 1} a {indexOfLastItem} de{" "}
+                  {pagina.totalElements} reservas
                 </p>
                 <div className="flex gap-2">
                   <button
-                    onClick={() =>
-                      setCurrentPage((prev) => Math.max(prev - 1, 1))
-                    }
+                    onClick={() => handlePageChange(currentPage - 1)}
                     disabled={currentPage === 1}
                     className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     <ChevronLeft className="w-4 h-4" />
                   </button>
 
-                  {[...Array(totalPages)].map((_, i) => (
-                    <button
-                      key={i + 1}
-                      onClick={() => setCurrentPage(i + 1)}
-                      className={`px-3 py-1 text-sm border rounded ${
-                        currentPage === i + 1
-                          ? "bg-beauty-500 text-white"
-                          : "hover:bg-gray-50"
-                      }`}
-                    >
-                      {i + 1}
-                    </button>
-                  ))}
+                  {paginasVisibles(currentPage, totalPages).map((page, i) =>
+                    page === null ? (
+                      <span
+                        key={`salto-${i}`}
+                        className="px-2 py-1 text-sm text-gray-400"
+                      >
+                        …
+                      </span>
+                    ) : (
+                      <button
+                        key={page}
+                        onClick={() => handlePageChange(page)}
+                        className={`px-3 py-1 text-sm border rounded ${
+                          currentPage === page
+                            ? "bg-beauty-500 text-white"
+                            : "hover:bg-gray-50"
+                        }`}
+                      >
+                        {page}
+                      </button>
+                    )
+                  )}
 
                   <button
-                    onClick={() =>
-                      setCurrentPage((prev) => Math.min(prev + 1, totalPages))
-                    }
+                    onClick={() => handlePageChange(currentPage + 1)}
                     disabled={currentPage === totalPages}
                     className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
@@ -692,8 +900,58 @@ const ReservationsManagement = () => {
   );
 };
 
+/**
+ * Números de página a mostrar: la primera, la última y las cercanas a la
+ * actual (null marca un salto)
+ */
+const paginasVisibles = (actual, total) => {
+  const paginas = [];
+  for (let page = 1; page <= total; page++) {
+    if (page === 1 || page === total || Math.abs(page - actual) <= 1) {
+      paginas.push(page);
+    } else if (paginas[paginas.length - 1] !== null) {
+      paginas.push(null);
+    }
+  }
+  return paginas;
+};
+
+/**
+ * Cabecera de columna; las que tienen campo se ordenan al hacer clic
+ */
+const SortableHeader = ({ label, campo, sort, onSort }) => {
+  const [campoActual, direccion] = sort.split(",");
+  const Icono =
+    campo !== campoActual
+      ? ArrowUpDown
+      : direccion === "desc"
+      ? ArrowDown
+      : ArrowUp;
+
+  return (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+      {campo ? (
+        <button
+          onClick={() => onSort(campo)}
+          className="flex items-center gap-1 uppercase hover:text-gray-900"
+        >
+          {label}
+          <Icono
+            className={`w-3 h-3 ${
+              campo === campoActual ? "text-beauty-500" : "opacity-40"
+            }`}
+          />
+        </button>
+      ) : (
+        label
+      )}
+    </th>
+  );
+};
+
 /**
  * Componente de fila de reserva
+ * @param {boolean} readOnly - Ocultar las acciones (rol sin permiso de gestión)
  */
 const ReservationRow = ({
   reserva,
@@ -701,6 +959,7 @@ const ReservationRow = ({
   onSelect,
   onChangeStatus,
   onEdit,
+  readOnly = false,
 }) => {
   const [showActions, setShowActions] = useState(false);
 
@@ -719,6 +978,15 @@ const ReservationRow = ({
       </td>
       <td className="px-6 py-4 text-sm text-gray-900">
         {reserva.usuarioNombre || "Sin nombre"}
+        {/* Reservada con ausencias repetidas */}
+        {reserva.avisoAusencias && (
+          <span
+            className="inline-block ml-1 align-text-bottom"
+            title={`${reserva.avisoAusencias} ausencias recientes al reservar`}
+          >
+            <AlertTriangle className="w-4 h-4 text-amber-500" />
+          </span>
+        )}
       </td>
       <td className="px-6 py-4 text-sm text-gray-600">
         {reserva.usuarioEmail}
@@ -745,37 +1013,39 @@ const ReservationRow = ({
         </span>
       </td>
       <td className="px-6 py-4 text-right relative">
-        <div className="flex items-center justify-end gap-1">
-          {/* Editar */}
-          <button
-            onClick={onEdit}
-            className="p-1 hover:bg-gray-100 rounded"
-            title="Editar"
-          >
-            <Edit className="w-4 h-4 text-gray-600" />
-          </button>
-
-          {/* Cambiar estado */}
-          {reserva.estado === "PENDIENTE" && (
+        {!readOnly && (
+          <div className="flex items-center justify-end gap-1">
+            {/* Editar */}
             <button
-              onClick={() => onChangeStatus("CONFIRMADA")}
+              onClick={onEdit}
               className="p-1 hover:bg-gray-100 rounded"
-              title="Confirmar"
+              title="Editar"
             >
-              <Check className="w-4 h-4 text-green-600" />
+              <Edit className="w-4 h-4 text-gray-600" />
             </button>
-          )}
 
-          {reserva.estado !== "CANCELADA" && (
-            <button
-              onClick={() => onChangeStatus("CANCELADA")}
-              className="p-1 hover:bg-gray-100 rounded"
-              title="Cancelar"
-            >
-              <X className="w-4 h-4 text-red-600" />
-            </button>
-          )}
-        </div>
+            {/* Cambiar estado */}
+            {reserva.estado === "PENDIENTE" && (
+              <button
+                onClick={() => onChangeStatus("CONFIRMADA")}
+                className="p-1 hover:bg-gray-100 rounded"
+                title="Confirmar"
+              >
+                <Check className="w-4 h-4 text-green-600" />
+              </button>
+            )}
+
+            {bookingService.esCancelable(reserva.estado) && (
+              <button
+                onClick={() => onChangeStatus("CANCELADA")}
+                className="p-1 hover:bg-gray-100 rounded"
+                title="Cancelar"
+              >
+                <X className="w-4 h-4 text-red-600" />
+              </button>
+            )}
+          </div>
+        )}
       </td>
     </tr>
   );
@@ -15,9 +15,11 @@ import {
   Save,
   X,
   AlertCircle,
+  HelpCircle,
 } from "lucide-react";
 import { format, parseISO } from "date-fns";
 import adminService from "../../services/adminService";
+import bookingService from "../../services/bookingService";
 import {
   useProtectedRoute,
   useLoading,
@@ -25,12 +27,14 @@ import {
   useForm,
   useToggle,
 } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
 import Loading from "../../components/common/Loading";
 import {
   InlineAlert,
   ConfirmDialog,
   Toast,
 } from "../../components/common/Alert";
+import ServiceGalleryEditor from "../../components/admin/ServiceGalleryEditor";
 import { AdminSidebar } from "./Dashboard";
 
 /**
@@ -39,6 +43,7 @@ import { AdminSidebar } from "./Dashboard";
  * Página de administración de servicios con:
  * - CRUD completo de servicios
  * - Activar/desactivar servicios
+ * - Categoría, galería de imágenes y preguntas frecuentes
  * - Gestión de franjas horarias
  * - Estadísticas por servicio
  * - Vista en cards con acciones
@@ -47,7 +52,7 @@ import { AdminSidebar } from "./Dashboard";
 const ServicesManagement = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { user } = useProtectedRoute("ADMIN");
+  const { user } = useProtectedRoute(null, PERMISOS.SERVICIOS);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError, clearError } = useError();
   const {
@@ -58,6 +63,7 @@ const ServicesManagement = () => {
 
   // Estados principales
   const [servicios, setServicios] = useState([]);
+  const [categorias, setCategorias] = useState([]);
   const [serviciosFiltrados, setServiciosFiltrados] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [filterTab, setFilterTab] = useState("todos"); // todos, activos, inactivos
@@ -104,8 +110,12 @@ const ServicesManagement = () => {
   const loadServicios = async () => {
     try {
       setIsLoading(true);
-      const data = await adminService.getAllServicios();
+      const [data, listaCategorias] = await Promise.all([
+        adminService.getAllServicios(),
+        bookingService.getCategorias(),
+      ]);
       setServicios(data);
+      setCategorias(listaCategorias);
       console.log(`✅ ${data.length} servicios cargados`);
     } catch (err) {
       console.error("Error cargando servicios:", err);
@@ -372,6 +382,9 @@ const ServicesManagement = () => {
                 <ServiceCard
                   key={servicio.id}
                   servicio={servicio}
+                  categoria={categorias.find(
+                    (c) => c.id === servicio.categoriaId
+                  )}
                   onEdit={() => handleEdit(servicio)}
                   onToggleActive={() => handleToggleActive(servicio)}
                   onDelete={() => handleDelete(servicio)}
@@ -393,6 +406,10 @@ const ServicesManagement = () => {
       {showForm && (
         <ServiceFormModal
           servicio={editingServicio}
+          categorias={categorias}
+          onCategoriaCreada={(categoria) =>
+            setCategorias((prev) => [...prev, categoria])
+          }
           onSave={handleSaveServicio}
           onClose={handleCloseForm}
         />
@@ -463,6 +480,7 @@ const TabButton = ({ active, onClick, label, color = "gray" }) => {
  */
 const ServiceCard = ({
   servicio,
+  categoria,
   onEdit,
   onToggleActive,
   onDelete,
@@ -482,13 +500,21 @@ const ServiceCard = ({
       ${!servicio.activo ? "opacity-75" : ""}
     `}
     >
-      {/* Header con imagen placeholder */}
-      <div
-        className="h-32 bg-gradient-to-br from-beauty-100 to-beauty-200 
+      {/* Header con la portada (o placeholder si no tiene imágenes) */}
+      {servicio.imagenes?.length > 0 ? (
+        <img
+          src={servicio.imagenes[0]}
+          alt={servicio.nombre}
+          className="h-32 w-full object-cover"
+        />
+      ) : (
+        <div
+          className="h-32 bg-gradient-to-br from-beauty-100 to-beauty-200 
                       flex items-center justify-center"
-      >
-        <Image className="w-12 h-12 text-beauty-400" />
-      </div>
+        >
+          <Image className="w-12 h-12 text-beauty-400" />
+        </div>
+      )}
 
       {/* Estado activo/inactivo */}
       <div className="px-6 pt-4 flex justify-between items-start">
@@ -496,6 +522,11 @@ const ServiceCard = ({
           <h3 className="text-xl font-semibold text-gray-900">
             {servicio.nombre}
           </h3>
+          <p className="text-sm text-gray-500">
+            {categoria
+              ? `${categoria.icono} ${categoria.nombre}`
+              : "Sin categoría"}
+          </p>
           <span
             className={`
             inline-flex items-center gap-1 text-xs font-medium mt-1
@@ -599,11 +630,20 @@ const ServiceCard = ({
 /**
  * Modal de formulario de servicio
  */
-const ServiceFormModal = ({ servicio, onSave, onClose }) => {
+const ServiceFormModal = ({
+  servicio,
+  categorias,
+  onCategoriaCreada,
+  onSave,
+  onClose,
+}) => {
   const form = useForm(
     {
       nombre: servicio?.nombre || "",
       descripcion: servicio?.descripcion || "",
+      categoriaId: servicio?.categoriaId || "",
+      imagenes: servicio?.imagenes || [],
+      faqs: servicio?.faqs || [],
       duracionMinutos: servicio?.duracionMinutos || 30,
       precio: servicio?.precio || 0,
       aforoMaximo: servicio?.aforoMaximo || 1,
@@ -629,6 +669,32 @@ const ServiceFormModal = ({ servicio, onSave, onClose }) => {
   );
 
   const [error, setError] = useState("");
+  const [nuevaCategoria, setNuevaCategoria] = useState(null);
+
+  /**
+   * Crear una categoría sin salir del formulario y dejarla seleccionada
+   */
+  const handleCrearCategoria = async () => {
+    try {
+      setError("");
+      const categoria = await adminService.crearCategoria({
+        nombre: nuevaCategoria,
+      });
+      onCategoriaCreada(categoria);
+      form.setFieldValue("categoriaId", categoria.id);
+      setNuevaCategoria(null);
+    } catch (err) {
+      setError(err.message || "Error al crear la categoría");
+    }
+  };
+
+  const updateFaq = (index, campo, valor) =>
+    form.setFieldValue(
+      "faqs",
+      form.values.faqs.map((faq, i) =>
+        i === index ? { ...faq, [campo]: valor } : faq
+      )
+    );
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -642,7 +708,10 @@ const ServiceFormModal = ({ servicio, onSave, onClose }) => {
     setError("");
 
     try {
-      await onSave(form.values);
+      await onSave({
+        ...form.values,
+        categoriaId: Number(form.values.categoriaId) || null,
+      });
     } catch (err) {
       setError(err.message || "Error al guardar el servicio");
       form.setIsSubmitting(false);
@@ -719,6 +788,77 @@ const ServiceFormModal = ({ servicio, onSave, onClose }) => {
               />
             </div>
 
+            {/* Categoría */}
+            <div>
+              <label htmlFor="categoriaId" className="form-label">
+                Categoría
+              </label>
+              {nuevaCategoria === null ? (
+                <div className="flex gap-2">
+                  <select
+                    id="categoriaId"
+                    name="categoriaId"
+                    value={form.values.categoriaId}
+                    onChange={form.handleChange}
+                    className="form-input"
+                  >
+                    <option value="">Sin categoría</option>
+                    {categorias.map((categoria) => (
+                      <option key={categoria.id} value={categoria.id}>
+                        {categoria.icono} {categoria.nombre}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setNuevaCategoria("")}
+                    className="btn-secondary text-sm whitespace-nowrap flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Nueva
+                  </button>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={nuevaCategoria}
+                    onChange={(e) => setNuevaCategoria(e.target.value)}
+                    className="form-input"
+                    placeholder="Ej: Maquillaje"
+                    autoFocus
+                  />
+                  <button
+                    type="button"
+                    onClick={handleCrearCategoria}
+                    disabled={!nuevaCategoria.trim()}
+                    className="btn-primary text-sm whitespace-nowrap"
+                  >
+                    Crear
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setNuevaCategoria(null)}
+                    className="p-2 hover:bg-gray-100 rounded-lg"
+                    title="Cancelar"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Galería */}
+            <div>
+              <label className="form-label">Imágenes</label>
+              <ServiceGalleryEditor
+                imagenes={form.values.imagenes}
+                onChange={(imagenes) =>
+                  form.setFieldValue("imagenes", imagenes)
+                }
+              />
+            </div>
+
             {/* Duración y Precio */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -829,6 +969,64 @@ const ServiceFormModal = ({ servicio, onSave, onClose }) => {
               </div>
             </div>
 
+            {/* Preguntas frecuentes */}
+            <div>
+              <label className="form-label">Preguntas frecuentes</label>
+              <div className="space-y-3">
+                {form.values.faqs.map((faq, index) => (
+                  <div key={index} className="flex gap-2 items-start">
+                    <HelpCircle className="w-5 h-5 text-gray-400 mt-2 shrink-0" />
+                    <div className="flex-1 space-y-2">
+                      <input
+                        type="text"
+                        value={faq.pregunta}
+                        onChange={(e) =>
+                          updateFaq(index, "pregunta", e.target.value)
+                        }
+                        className="form-input"
+                        placeholder="Pregunta"
+                      />
+                      <textarea
+                        rows={2}
+                        value={faq.respuesta}
+                        onChange={(e) =>
+                          updateFaq(index, "respuesta", e.target.value)
+                        }
+                        className="form-input"
+                        placeholder="Respuesta"
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        form.setFieldValue(
+                          "faqs",
+                          form.values.faqs.filter((_, i) => i !== index)
+                        )
+                      }
+                      className="p-2 hover:bg-gray-100 rounded-lg"
+                      title="Quitar pregunta"
+                    >
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() =>
+                    form.setFieldValue("faqs", [
+                      ...form.values.faqs,
+                      { pregunta: "", respuesta: "" },
+                    ])
+                  }
+                  className="text-sm text-beauty-600 hover:underline flex items-center gap-1"
+                >
+                  <Plus className="w-4 h-4" />
+                  Añadir pregunta
+                </button>
+              </div>
+            </div>
+
             {/* Botones */}
             <div className="flex justify-end gap-3 pt-4">
               <button
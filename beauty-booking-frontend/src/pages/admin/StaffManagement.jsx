@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Plus,
+  Edit,
+  Trash2,
+  Power,
+  PowerOff,
+  UserCog,
+  Camera,
+  X,
+} from "lucide-react";
+import adminService from "../../services/adminService";
+import { getInitials } from "../../utils/helpers";
+import { reducirImagen, TIPOS_IMAGEN } from "../../utils/imagenes";
+import { useProtectedRoute, useLoading, useError } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
+import Loading, { LoadingButton } from "../../components/common/Loading";
+import Modal from "../../components/common/Modal";
+import {
+  InlineAlert,
+  ConfirmDialog,
+  Toast,
+} from "../../components/common/Alert";
+import WeeklyHoursEditor from "../../components/admin/WeeklyHoursEditor";
+import { AdminSidebar } from "./Dashboard";
+
+/**
+ * Staff Management
+ *
+ * Profesionales del salón:
+ * - Nombre y foto
+ * - Habilidades: los servicios que puede realizar
+ * - Horario semanal de trabajo
+ * Las franjas se asignan a un profesional (que debe tener la habilidad y
+ * estar en su horario) y el cliente puede elegirlo al reservar.
+ */
+
+// Días de lunes a domingo para el resumen del horario (getDay: 0 = domingo)
+const DIAS_RESUMEN = [
+  { value: 1, label: "L" },
+  { value: 2, label: "M" },
+  { value: 3, label: "X" },
+  { value: 4, label: "J" },
+  { value: 5, label: "V" },
+  { value: 6, label: "S" },
+  { value: 0, label: "D" },
+];
+
+const profesionalVacio = () => ({
+  nombre: "",
+  foto: null,
+  servicioIds: [],
+  horario: {},
+});
+
+const StaffManagement = () => {
+  useProtectedRoute(null, PERMISOS.PROFESIONALES);
+  const { isLoading, setIsLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [profesionales, setProfesionales] = useState([]);
+  const [servicios, setServicios] = useState([]);
+  const [editando, setEditando] = useState(null); // null, "nuevo" o profesional
+  const [aEliminar, setAEliminar] = useState(null);
+  const [toastMessage, setToastMessage] = useState("");
+
+  const loadData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [profesionalesData, serviciosData] = await Promise.all([
+        adminService.getProfesionales(),
+        adminService.getAllServicios(),
+      ]);
+      setProfesionales(
+        profesionalesData.sort((a, b) => a.nombre.localeCompare(b.nombre))
+      );
+      setServicios(serviciosData);
+    } catch (err) {
+      console.error("Error cargando profesionales:", err);
+      setError("Error al cargar los profesionales");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [setError, setIsLoading]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleToggleActivo = async (profesional) => {
+    try {
+      await adminService.toggleProfesionalActivo(
+        profesional.id,
+        !profesional.activo
+      );
+      setToastMessage(
+        `${profesional.nombre} ${
+          profesional.activo ? "desactivado" : "activado"
+        }`
+      );
+      loadData();
+    } catch (err) {
+      setError(err.message || "Error al cambiar el estado");
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await adminService.eliminarProfesional(aEliminar.id);
+      setToastMessage(`${aEliminar.nombre} eliminado`);
+      setAEliminar(null);
+      loadData();
+    } catch (err) {
+      setAEliminar(null);
+      setError(err.message || "Error al eliminar el profesional");
+    }
+  };
+
+  const handleSaved = (profesional) => {
+    setEditando(null);
+    setToastMessage(`${profesional.nombre} guardado`);
+    loadData();
+  };
+
+  const nombreServicio = (id) =>
+    servicios.find((s) => s.id === id)?.nombre || `Servicio ${id}`;
+
+  if (isLoading && profesionales.length === 0) {
+    return <Loading fullScreen message="Cargando profesionales..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminSidebar activePage="profesionales" />
+
+      <div className="lg:ml-64 p-4 sm:p-6 lg:p-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
+              Profesionales
+            </h1>
+            <p className="text-sm sm:text-base text-gray-600">
+              Quién realiza cada servicio y cuándo trabaja
+            </p>
+          </div>
+          <button
+            onClick={() => setEditando("nuevo")}
+            className="btn-primary flex items-center justify-center gap-2"
+          >
+            <Plus className="w-5 h-5" />
+            <span>Nuevo profesional</span>
+          </button>
+        </div>
+
+        {error && <InlineAlert type="error" message={error} className="mb-6" />}
+
+        {profesionales.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <UserCog className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">Todavía no hay profesionales</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+            {profesionales.map((profesional) => (
+              <ProfesionalCard
+                key={profesional.id}
+                profesional={profesional}
+                nombreServicio={nombreServicio}
+                onEdit={() => setEditando(profesional)}
+                onToggle={() => handleToggleActivo(profesional)}
+                onDelete={() => setAEliminar(profesional)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {editando && (
+        <StaffModal
+          profesional={editando === "nuevo" ? null : editando}
+          servicios={servicios}
+          onClose={() => setEditando(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      <ConfirmDialog
+        isOpen={!!aEliminar}
+        title="Eliminar profesional"
+        message={`¿Eliminar a ${aEliminar?.nombre}? Si tiene franjas futuras no se podrá: desactívalo para que deje de ofrecerse al reservar.`}
+        onConfirm={handleDelete}
+        onClose={() => setAEliminar(null)}
+        confirmText="Eliminar"
+        cancelText="Cancelar"
+        type="danger"
+      />
+
+      {toastMessage && (
+        <Toast
+          type="success"
+          message={toastMessage}
+          duration={3000}
+          onClose={() => setToastMessage("")}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Foto del profesional o sus iniciales
+ */
+const Avatar = ({ profesional, size = "w-14 h-14 text-lg" }) =>
+  profesional.foto ? (
+    <img
+      src={profesional.foto}
+      alt={profesional.nombre}
+      className={`${size} rounded-full object-cover flex-shrink-0`}
+    />
+  ) : (
+    <div
+      className={`${size} rounded-full bg-beauty-100 text-beauty-700 font-semibold flex items-center justify-center flex-shrink-0`}
+    >
+      {getInitials(profesional.nombre || "?")}
+    </div>
+  );
+
+/**
+ * Tarjeta de un profesional: habilidades, días que trabaja y acciones
+ */
+const ProfesionalCard = ({
+  profesional,
+  nombreServicio,
+  onEdit,
+  onToggle,
+  onDelete,
+}) => (
+  <div
+    className={`bg-white rounded-lg shadow-md p-5 flex flex-col ${
+      profesional.activo ? "" : "opacity-60"
+    }`}
+  >
+    <div className="flex items-center gap-4 mb-4">
+      <Avatar profesional={profesional} />
+      <div className="min-w-0">
+        <h3 className="font-bold text-gray-900 truncate">
+          {profesional.nombre}
+        </h3>
+        <span
+          className={`badge ${
+            profesional.activo ? "badge-success" : "badge-danger"
+          }`}
+        >
+          {profesional.activo ? "Activo" : "Inactivo"}
+        </span>
+      </div>
+    </div>
+
+    <div className="flex flex-wrap gap-1 mb-4">
+      {profesional.servicioIds.map((id) => (
+        <span
+          key={id}
+          className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700"
+        >
+          {nombreServicio(id)}
+        </span>
+      ))}
+    </div>
+
+    <div className="flex gap-1 mb-2">
+      {DIAS_RESUMEN.map(({ value, label }) => {
+        const tramos = profesional.horario[value] || [];
+        return (
+          <span
+            key={value}
+            title={
+              tramos.map((t) => `${t.desde} - ${t.hasta}`).join(", ") ||
+              "No trabaja"
+            }
+            className={`w-7 h-7 rounded text-xs font-semibold flex items-center justify-center ${
+              tramos.length > 0
+                ? "bg-beauty-100 text-beauty-700"
+                : "bg-gray-100 text-gray-400"
+            }`}
+          >
+            {label}
+          </span>
+        );
+      })}
+    </div>
+    <p className="text-xs text-gray-500 mb-4">
+      {profesional.franjasFuturas} franjas asignadas a partir de hoy
+    </p>
+
+    <div className="mt-auto flex justify-end gap-2 pt-3 border-t">
+      <button
+        onClick={onToggle}
+        className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+        title={profesional.activo ? "Desactivar" : "Activar"}
+      >
+        {profesional.activo ? (
+          <PowerOff className="w-5 h-5" />
+        ) : (
+          <Power className="w-5 h-5" />
+        )}
+      </button>
+      <button
+        onClick={onEdit}
+        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+        title="Editar"
+      >
+        <Edit className="w-5 h-5" />
+      </button>
+      <button
+        onClick={onDelete}
+        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+        title="Eliminar"
+      >
+        <Trash2 className="w-5 h-5" />
+      </button>
+    </div>
+  </div>
+);
+
+/**
+ * Modal para crear o editar un profesional
+ */
+const StaffModal = ({ profesional, servicios, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(() =>
+    profesional
+      ? {
+          nombre: profesional.nombre,
+          foto: profesional.foto,
+          servicioIds: profesional.servicioIds,
+          horario: profesional.horario,
+        }
+      : profesionalVacio()
+  );
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (campo, valor) =>
+    setFormData((prev) => ({ ...prev, [campo]: valor }));
+
+  const toggleServicio = (id) =>
+    handleChange(
+      "servicioIds",
+      formData.servicioIds.includes(id)
+        ? formData.servicioIds.filter((s) => s !== id)
+        : [...formData.servicioIds, id]
+    );
+
+  const handleFoto = async (e) => {
+    const archivo = e.target.files[0];
+    e.target.value = "";
+    if (!archivo) return;
+    try {
+      setError("");
+      handleChange("foto", await reducirImagen(archivo));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError("");
+      const guardado = profesional
+        ? await adminService.actualizarProfesional(profesional.id, formData)
+        : await adminService.crearProfesional(formData);
+      onSaved(guardado);
+    } catch (err) {
+      setError(err.message || "Error al guardar el profesional");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={profesional ? "Editar profesional" : "Nuevo profesional"}
+      size="lg"
+      footer={
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancelar
+          </button>
+          <LoadingButton
+            type="submit"
+            form="profesional-form"
+            loading={isSubmitting}
+            disabled={
+              isSubmitting ||
+              !formData.nombre.trim() ||
+              formData.servicioIds.length === 0
+            }
+          >
+            {profesional ? "Guardar cambios" : "Crear profesional"}
+          </LoadingButton>
+        </div>
+      }
+    >
+      <form id="profesional-form" onSubmit={handleSubmit} className="space-y-6">
+        {error && <InlineAlert type="error" message={error} />}
+
+        <div className="flex items-center gap-4">
+          <Avatar profesional={formData} size="w-20 h-20 text-2xl" />
+          <div className="flex flex-col gap-2">
+            <label className="btn-secondary text-sm flex items-center gap-2 cursor-pointer">
+              <Camera className="w-4 h-4" />
+              {formData.foto ? "Cambiar foto" : "Subir foto"}
+              <input
+                type="file"
+                accept={TIPOS_IMAGEN.join(",")}
+                onChange={handleFoto}
+                className="hidden"
+              />
+            </label>
+            {formData.foto && (
+              <button
+                type="button"
+                onClick={() => handleChange("foto", null)}
+                className="text-sm text-red-600 hover:underline flex items-center gap-1"
+              >
+                <X className="w-4 h-4" />
+                Quitar foto
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <label className="form-label">Nombre *</label>
+          <input
+            type="text"
+            value={formData.nombre}
+            onChange={(e) => handleChange("nombre", e.target.value)}
+            placeholder="Ej: Lucía Martín"
+            className="form-input w-full"
+            required
+          />
+        </div>
+
+        <div>
+          <label className="form-label">Servicios que realiza *</label>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {servicios.map((servicio) => (
+              <label
+                key={servicio.id}
+                className="flex items-center gap-2 text-sm text-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={formData.servicioIds.includes(servicio.id)}
+                  onChange={() => toggleServicio(servicio.id)}
+                  className="rounded text-beauty-600"
+                />
+                {servicio.nombre}
+                {!servicio.activo && (
+                  <span className="text-xs text-gray-400">(inactivo)</span>
+                )}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="form-label">Horario de trabajo *</label>
+          <WeeklyHoursEditor
+            horario={formData.horario}
+            onChange={(horario) => handleChange("horario", horario)}
+            sinTramos="No trabaja"
+          />
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default StaffManagement;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import {
   Calendar,
   Clock,
@@ -9,12 +10,36 @@ import {
   ChevronRight,
   AlertCircle,
   X,
+  List,
+  CalendarRange,
+  CalendarDays,
+  Repeat,
+  CalendarX,
 } from "lucide-react";
-import { format, addDays, subDays, isToday, isTomorrow } from "date-fns";
+import {
+  format,
+  addDays,
+  subDays,
+  addWeeks,
+  subWeeks,
+  addMonths,
+  subMonths,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  eachDayOfInterval,
+  parseISO,
+  isToday,
+  isTomorrow,
+} from "date-fns";
 import { es } from "date-fns/locale";
 import adminService from "../../services/adminService";
 import { useProtectedRoute, useLoading, useError } from "../../hooks";
+import { PERMISOS } from "../../utils/permisos";
 import Loading from "../../components/common/Loading";
+import TimeSlotGrid from "../../components/admin/TimeSlotGrid";
+import ScheduleTemplateModal from "../../components/admin/ScheduleTemplateModal";
 import { InlineAlert, ConfirmDialog } from "../../components/common/Alert";
 import { AdminSidebar } from "./Dashboard";
 
@@ -23,26 +48,63 @@ import { AdminSidebar } from "./Dashboard";
  *
  * Página de administración de franjas horarias con:
  * - Vista por día (navegación día a día)
+ * - Vistas semana y mes en rejilla (servicio x día) con la ocupación
+ *   de cada franja, arrastrar para crear y para mover franjas
  * - Filtro por servicio
- * - Creación/edición/eliminación de franjas
+ * - Creación/edición/eliminación de franjas, asignadas o no a un
+ *   profesional (se gestionan en /admin/profesionales)
+ * - Generación en lote desde plantillas de horario semanal
+ * - Días cerrados y festivos marcados (se gestionan en /admin/cierres)
  * - Navegación rápida: Hoy, Mañana, Anterior, Siguiente
  */
 
+// Vistas disponibles y cuánto avanzan las flechas en cada una
+const VISTAS = [
+  {
+    value: "dia",
+    label: "Día",
+    icon: List,
+    anterior: subDays,
+    siguiente: addDays,
+  },
+  {
+    value: "semana",
+    label: "Semana",
+    icon: CalendarRange,
+    anterior: subWeeks,
+    siguiente: addWeeks,
+  },
+  {
+    value: "mes",
+    label: "Mes",
+    icon: CalendarDays,
+    anterior: subMonths,
+    siguiente: addMonths,
+  },
+];
+
 const TimeSlotManagement = () => {
-  const { user } = useProtectedRoute("ADMIN");
+  const { user } = useProtectedRoute(null, PERMISOS.HORARIOS);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError, clearError } = useError();
+  const navigate = useNavigate();
 
   // Estados principales
   const [franjas, setFranjas] = useState([]);
+  const [cierres, setCierres] = useState([]);
   const [servicios, setServicios] = useState([]);
+  const [profesionales, setProfesionales] = useState([]);
   const [selectedServicio, setSelectedServicio] = useState("todos");
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [vista, setVista] = useState("dia");
 
   // Modales
   const [showCreateModal, setShowCreateModal] = useState(false);
+  // Servicio y días elegidos arrastrando en la rejilla
+  const [createInicial, setCreateInicial] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
   const [selectedFranja, setSelectedFranja] = useState(null);
 
   /**
@@ -53,21 +115,46 @@ const TimeSlotManagement = () => {
   }, []);
 
   /**
-   * Cargar franjas cuando cambia la fecha
+   * Cargar franjas cuando cambia la fecha o la vista
    */
   useEffect(() => {
     if (servicios.length > 0) {
       loadFranjas();
     }
-  }, [selectedDate, servicios]);
+  }, [selectedDate, vista, servicios]);
+
+  /**
+   * Días visibles según la vista (la semana empieza en lunes)
+   */
+  const getDiasVisibles = () => {
+    if (vista === "semana") {
+      return eachDayOfInterval({
+        start: startOfWeek(selectedDate, { weekStartsOn: 1 }),
+        end: endOfWeek(selectedDate, { weekStartsOn: 1 }),
+      });
+    }
+    if (vista === "mes") {
+      return eachDayOfInterval({
+        start: startOfMonth(selectedDate),
+        end: endOfMonth(selectedDate),
+      });
+    }
+    return [selectedDate];
+  };
+
+  const diasVisibles = getDiasVisibles();
 
   /**
-   * Carga servicios para el filtro
+   * Carga servicios para el filtro y profesionales para asignar franjas
    */
   const loadServicios = async () => {
     try {
       setIsLoading(true);
-      const serviciosData = await adminService.getAllServicios();
+      const [serviciosData, profesionalesData] = await Promise.all([
+        adminService.getAllServicios(),
+        adminService.getProfesionales(),
+      ]);
+      setProfesionales(profesionalesData);
       setServicios(serviciosData);
     } catch (err) {
       console.error("Error cargando servicios:", err);
@@ -78,19 +165,20 @@ const TimeSlotManagement = () => {
   };
 
   /**
-   * Carga franjas del día seleccionado
+   * Carga franjas y cierres de los días visibles
    */
   const loadFranjas = async () => {
     try {
       setIsLoading(true);
-      const fechaStr = format(selectedDate, "yyyy-MM-dd");
 
-      // Cargar franjas del día (usamos el rango de un solo día)
-      const franjasData = await adminService.getFranjasPorRango(
-        fechaStr,
-        fechaStr
-      );
+      const desde = format(diasVisibles[0], "yyyy-MM-dd");
+      const hasta = format(diasVisibles[diasVisibles.length - 1], "yyyy-MM-dd");
+      const [franjasData, cierresData] = await Promise.all([
+        adminService.getFranjasPorRango(desde, hasta),
+        adminService.getCierres(desde, hasta),
+      ]);
       setFranjas(franjasData);
+      setCierres(cierresData);
     } catch (err) {
       console.error("Error cargando franjas:", err);
       setError("Error al cargar las franjas horarias");
@@ -108,14 +196,48 @@ const TimeSlotManagement = () => {
       : franjas.filter((f) => f.servicioId === parseInt(selectedServicio));
 
   /**
-   * Navegación de fechas
+   * Cierres del día en la vista por día (del servicio filtrado o de todo
+   * el salón)
+   */
+  const fechaSeleccionada = format(selectedDate, "yyyy-MM-dd");
+  const cierresDelDia = cierres.filter(
+    (c) =>
+      fechaSeleccionada >= c.fechaInicio &&
+      fechaSeleccionada <= c.fechaFin &&
+      (selectedServicio === "todos" ||
+        c.servicioId == null ||
+        c.servicioId === parseInt(selectedServicio))
+  );
+
+  /**
+   * Servicios que forman las filas de la rejilla: los activos y los que
+   * tienen franjas en el rango aunque ya no estén activos
    */
+  const serviciosRejilla = servicios.filter(
+    (s) =>
+      (selectedServicio === "todos" || s.id === parseInt(selectedServicio)) &&
+      (s.activo || franjas.some((f) => f.servicioId === s.id))
+  );
+
+  /**
+   * Navegación de fechas (día, semana o mes según la vista)
+   */
+  const vistaActual = VISTAS.find((v) => v.value === vista);
+
   const goToPreviousDay = () => {
-    setSelectedDate(subDays(selectedDate, 1));
+    setSelectedDate(vistaActual.anterior(selectedDate, 1));
   };
 
   const goToNextDay = () => {
-    setSelectedDate(addDays(selectedDate, 1));
+    setSelectedDate(vistaActual.siguiente(selectedDate, 1));
+  };
+
+  /**
+   * Abrir el día pulsado en la cabecera de la rejilla
+   */
+  const goToDay = (dia) => {
+    setSelectedDate(dia);
+    setVista("dia");
   };
 
   const goToToday = () => {
@@ -143,9 +265,70 @@ const TimeSlotManagement = () => {
   };
 
   /**
-   * Obtener etiqueta del día
+   * Crear franjas en los días seleccionados arrastrando en la rejilla
+   */
+  const handleCreateFromGrid = (servicio, fechas) => {
+    if (!servicio || fechas.length === 0) return;
+    setCreateInicial({ servicioId: String(servicio.id), fechas });
+    setShowCreateModal(true);
+  };
+
+  /**
+   * Mover una franja a otro día y/o servicio soltándola en la rejilla
+   * Se mantiene la hora, la capacidad y el profesional
+   */
+  const handleMove = async (franja, servicioId, fecha) => {
+    const ocupada = franjas.some(
+      (f) =>
+        f.id !== franja.id &&
+        (f.profesionalId || null) === (franja.profesionalId || null) &&
+        f.servicioId === servicioId &&
+        f.fecha === fecha &&
+        f.horaInicio === franja.horaInicio
+    );
+    if (ocupada) {
+      setError(
+        `Ya hay una franja a las ${franja.horaInicio.substring(0, 5)} ese día`
+      );
+      return;
+    }
+
+    try {
+      const actualizada = await adminService.actualizarFranja(franja.id, {
+        servicioId,
+        fecha,
+        horaInicio: franja.horaInicio,
+        plazasDisponibles: franja.plazasTotales,
+        profesionalId: franja.profesionalId || null,
+      });
+      setFranjas((prev) =>
+        prev.map((f) => (f.id === franja.id ? actualizada : f))
+      );
+    } catch (err) {
+      setError(err.message || "Error al mover la franja");
+    }
+  };
+
+  /**
+   * Obtener etiqueta del día (o del rango en las vistas semana y mes)
    */
   const getDayLabel = () => {
+    if (vista === "mes") {
+      return format(selectedDate, "MMMM yyyy", { locale: es });
+    }
+    if (vista === "semana") {
+      const inicio = diasVisibles[0];
+      const fin = diasVisibles[diasVisibles.length - 1];
+      return inicio.getMonth() === fin.getMonth()
+        ? `${format(inicio, "d")} - ${format(fin, "d 'de' MMMM yyyy", {
+            locale: es,
+          })}`
+        : `${format(inicio, "d MMM", { locale: es })} - ${format(
+            fin,
+            "d MMM yyyy",
+            { locale: es }
+          )}`;
+    }
     if (isToday(selectedDate)) return "Hoy";
     if (isTomorrow(selectedDate)) return "Mañana";
     return format(selectedDate, "EEEE, d 'de' MMMM yyyy", { locale: es });
@@ -225,6 +408,24 @@ const TimeSlotManagement = () => {
                 title="Seleccionar fecha específica"
               />
             </div>
+
+            {/* Selector de vista */}
+            <div className="flex rounded-lg bg-gray-100 p-1 sm:ml-auto">
+              {VISTAS.map(({ value, label, icon: Icon }) => (
+                <button
+                  key={value}
+                  onClick={() => setVista(value)}
+                  className={`px-3 py-1 text-sm font-medium rounded-md flex items-center gap-1 transition-colors ${
+                    vista === value
+                      ? "bg-white text-beauty-700 shadow-sm"
+                      : "text-gray-600 hover:text-gray-900"
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
 
           {/* Navegación día anterior/siguiente */}
@@ -232,7 +433,7 @@ const TimeSlotManagement = () => {
             <button
               onClick={goToPreviousDay}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              title="Día anterior"
+              title={`${vistaActual.label} anterior`}
             >
               <ChevronLeft className="w-5 h-5" />
             </button>
@@ -245,14 +446,19 @@ const TimeSlotManagement = () => {
                 </h2>
               </div>
               <p className="text-sm text-gray-600">
-                {format(selectedDate, "dd/MM/yyyy")}
+                {vista === "dia"
+                  ? format(selectedDate, "dd/MM/yyyy")
+                  : `${format(diasVisibles[0], "dd/MM/yyyy")} - ${format(
+                      diasVisibles[diasVisibles.length - 1],
+                      "dd/MM/yyyy"
+                    )}`}
               </p>
             </div>
 
             <button
               onClick={goToNextDay}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              title="Día siguiente"
+              title={`${vistaActual.label} siguiente`}
             >
               <ChevronRight className="w-5 h-5" />
             </button>
@@ -281,8 +487,22 @@ const TimeSlotManagement = () => {
               </select>
             </div>
 
-            {/* Botón crear franja */}
-            <div className="sm:self-end">
+            {/* Botones crear franja */}
+            <div className="sm:self-end flex flex-col sm:flex-row gap-2">
+              <button
+                onClick={() => navigate("/admin/cierres")}
+                className="btn-secondary w-full sm:w-auto flex items-center justify-center gap-2"
+              >
+                <CalendarX className="w-5 h-5" />
+                <span>Cierres</span>
+              </button>
+              <button
+                onClick={() => setShowTemplateModal(true)}
+                className="btn-secondary w-full sm:w-auto flex items-center justify-center gap-2"
+              >
+                <Repeat className="w-5 h-5" />
+                <span>Desde plantilla</span>
+              </button>
               <button
                 onClick={() => setShowCreateModal(true)}
                 className="btn-primary w-full sm:w-auto flex items-center justify-center gap-2"
@@ -329,8 +549,46 @@ const TimeSlotManagement = () => {
           )}
         </div>
 
+        {/* Cierres del día */}
+        {vista === "dia" &&
+          cierresDelDia.map((cierre) => (
+            <InlineAlert
+              key={cierre.id}
+              type="warning"
+              message={`${
+                cierre.desde
+                  ? `Cerrado de ${cierre.desde} a ${cierre.hasta}`
+                  : "Día cerrado"
+              }${
+                cierre.servicioNombre ? ` para ${cierre.servicioNombre}` : ""
+              }: ${cierre.motivo}. No se pueden crear franjas${
+                cierre.reservasAfectadas.length > 0
+                  ? ` y hay ${cierre.reservasAfectadas.length} reservas activas que atender`
+                  : ""
+              }.`}
+              className="mb-4"
+            />
+          ))}
+
         {/* Lista de franjas */}
-        {isLoading ? (
+        {vista !== "dia" ? (
+          <div className={isLoading ? "opacity-60 pointer-events-none" : ""}>
+            <TimeSlotGrid
+              vista={vista}
+              dias={diasVisibles}
+              servicios={serviciosRejilla}
+              franjas={franjasFiltradas}
+              cierres={cierres}
+              onCreate={handleCreateFromGrid}
+              onMove={handleMove}
+              onEdit={(franja) => {
+                setSelectedFranja(franja);
+                setShowEditModal(true);
+              }}
+              onSelectDay={goToDay}
+            />
+          </div>
+        ) : isLoading ? (
           <div className="bg-white rounded-lg shadow-md p-12 text-center">
             <Loading />
           </div>
@@ -379,20 +637,38 @@ const TimeSlotManagement = () => {
       {showCreateModal && (
         <CreateTimeSlotModal
           servicios={servicios}
+          profesionales={profesionales}
           initialDate={format(selectedDate, "yyyy-MM-dd")}
-          onClose={() => setShowCreateModal(false)}
+          initialServicioId={createInicial?.servicioId}
+          initialFechas={createInicial?.fechas}
+          onClose={() => {
+            setShowCreateModal(false);
+            setCreateInicial(null);
+          }}
           onSuccess={() => {
             setShowCreateModal(false);
+            setCreateInicial(null);
             loadFranjas();
           }}
           onError={setError}
         />
       )}
 
+      {showTemplateModal && (
+        <ScheduleTemplateModal
+          isOpen={showTemplateModal}
+          servicios={servicios}
+          profesionales={profesionales}
+          onClose={() => setShowTemplateModal(false)}
+          onGenerated={loadFranjas}
+        />
+      )}
+
       {showEditModal && selectedFranja && (
         <EditTimeSlotModal
           franja={selectedFranja}
           servicios={servicios}
+          profesionales={profesionales}
           onClose={() => {
             setShowEditModal(false);
             setSelectedFranja(null);
@@ -454,6 +730,12 @@ const TimeSlotCard = ({ franja, onEdit, onDelete }) => {
 
           <p className="text-sm font-medium text-gray-700 mb-1">
             {franja.servicioNombre}
+            {franja.profesionalNombre && (
+              <span className="font-normal text-gray-500">
+                {" · "}
+                {franja.profesionalNombre}
+              </span>
+            )}
           </p>
 
           <div className="flex items-center gap-4 text-sm text-gray-600">
@@ -488,40 +770,92 @@ const TimeSlotCard = ({ franja, onEdit, onDelete }) => {
   );
 };
 
+/**
+ * Selector de profesional de una franja: los activos que realizan el
+ * servicio (y el que ya tuviera asignado, aunque no cumpla)
+ */
+const ProfesionalSelect = ({ profesionales, servicioId, value, onChange }) => {
+  const opciones = profesionales.filter(
+    (p) =>
+      String(p.id) === value ||
+      (p.activo && p.servicioIds.includes(parseInt(servicioId)))
+  );
+
+  return (
+    <div>
+      <label className="form-label">Profesional</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="form-input"
+        disabled={!servicioId}
+      >
+        <option value="">Sin asignar</option>
+        {opciones.map((profesional) => (
+          <option key={profesional.id} value={profesional.id}>
+            {profesional.nombre}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
 /**
  * Modal para crear franja
+ * @param {string[]} initialFechas - Días elegidos en la rejilla; si son
+ *                                   varios se crea una franja en cada uno
  */
 const CreateTimeSlotModal = ({
   servicios,
+  profesionales,
   initialDate,
+  initialServicioId = "",
+  initialFechas = null,
   onClose,
   onSuccess,
   onError,
 }) => {
   const [formData, setFormData] = useState({
-    servicioId: "",
-    fecha: initialDate,
+    servicioId: initialServicioId,
+    fecha: initialFechas?.[0] || initialDate,
     horaInicio: "",
     plazasDisponibles: 1,
+    profesionalId: "",
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  const variosDias = initialFechas?.length > 1;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
 
-    try {
-      const data = {
-        servicioId: parseInt(formData.servicioId),
-        fecha: formData.fecha,
-        horaInicio: formData.horaInicio + ":00",
-        plazasDisponibles: parseInt(formData.plazasDisponibles),
-      };
+    const fechas = variosDias ? initialFechas : [formData.fecha];
+    let creadas = 0;
 
-      await adminService.crearFranja(data);
+    try {
+      // Una a una: si falla alguna, las anteriores ya quedan creadas
+      for (const fecha of fechas) {
+        await adminService.crearFranja({
+          servicioId: parseInt(formData.servicioId),
+          fecha,
+          horaInicio: formData.horaInicio + ":00",
+          plazasDisponibles: parseInt(formData.plazasDisponibles),
+          profesionalId: parseInt(formData.profesionalId) || null,
+        });
+        creadas++;
+      }
       onSuccess();
     } catch (err) {
-      onError(err.message || "Error al crear la franja");
+      const mensaje = err.message || "Error al crear la franja";
+      if (creadas > 0) {
+        // Cerrar y recargar para que se vean las que sí se crearon
+        onSuccess();
+        onError(`Creadas ${creadas} de ${fechas.length} franjas: ${mensaje}`);
+      } else {
+        onError(mensaje);
+      }
     } finally {
       setIsSubmitting(false);
     }
@@ -546,7 +880,11 @@ const CreateTimeSlotModal = ({
             <select
               value={formData.servicioId}
               onChange={(e) =>
-                setFormData({ ...formData, servicioId: e.target.value })
+                setFormData({
+                  ...formData,
+                  servicioId: e.target.value,
+                  profesionalId: "",
+                })
               }
               className="form-input"
               required
@@ -562,20 +900,47 @@ const CreateTimeSlotModal = ({
             </select>
           </div>
 
+          <ProfesionalSelect
+            profesionales={profesionales}
+            servicioId={formData.servicioId}
+            value={formData.profesionalId}
+            onChange={(profesionalId) =>
+              setFormData({ ...formData, profesionalId })
+            }
+          />
+
           {/* Fecha */}
-          <div>
-            <label className="form-label">Fecha *</label>
-            <input
-              type="date"
-              value={formData.fecha}
-              onChange={(e) =>
-                setFormData({ ...formData, fecha: e.target.value })
-              }
-              min={format(new Date(), "yyyy-MM-dd")}
-              className="form-input"
-              required
-            />
-          </div>
+          {variosDias ? (
+            <div>
+              <label className="form-label">
+                Días ({initialFechas.length} franjas)
+              </label>
+              <div className="flex flex-wrap gap-1">
+                {initialFechas.map((fecha) => (
+                  <span
+                    key={fecha}
+                    className="px-2 py-1 text-xs rounded bg-beauty-50 text-beauty-700 capitalize"
+                  >
+                    {format(parseISO(fecha), "EEE d MMM", { locale: es })}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="form-label">Fecha *</label>
+              <input
+                type="date"
+                value={formData.fecha}
+                onChange={(e) =>
+                  setFormData({ ...formData, fecha: e.target.value })
+                }
+                min={format(new Date(), "yyyy-MM-dd")}
+                className="form-input"
+                required
+              />
+            </div>
+          )}
 
           {/* Hora */}
           <div>
@@ -626,7 +991,11 @@ const CreateTimeSlotModal = ({
               className="flex-1 btn-primary"
               disabled={isSubmitting}
             >
-              {isSubmitting ? "Creando..." : "Crear Franja"}
+              {isSubmitting
+                ? "Creando..."
+                : variosDias
+                ? `Crear ${initialFechas.length} Franjas`
+                : "Crear Franja"}
             </button>
           </div>
         </form>
@@ -641,6 +1010,7 @@ const CreateTimeSlotModal = ({
 const EditTimeSlotModal = ({
   franja,
   servicios,
+  profesionales,
   onClose,
   onSuccess,
   onError,
@@ -650,6 +1020,7 @@ const EditTimeSlotModal = ({
     fecha: franja.fecha,
     horaInicio: franja.horaInicio.substring(0, 5),
     plazasDisponibles: franja.plazasDisponibles,
+    profesionalId: franja.profesionalId ? String(franja.profesionalId) : "",
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -665,6 +1036,7 @@ const EditTimeSlotModal = ({
         fecha: formData.fecha,
         horaInicio: formData.horaInicio + ":00",
         plazasDisponibles: parseInt(formData.plazasDisponibles),
+        profesionalId: parseInt(formData.profesionalId) || null,
       };
 
       await adminService.actualizarFranja(franja.id, data);
@@ -706,7 +1078,11 @@ const EditTimeSlotModal = ({
             <select
               value={formData.servicioId}
               onChange={(e) =>
-                setFormData({ ...formData, servicioId: e.target.value })
+                setFormData({
+                  ...formData,
+                  servicioId: e.target.value,
+                  profesionalId: "",
+                })
               }
               className="form-input"
               disabled={tieneReservas}
@@ -720,6 +1096,15 @@ const EditTimeSlotModal = ({
             </select>
           </div>
 
+          <ProfesionalSelect
+            profesionales={profesionales}
+            servicioId={formData.servicioId}
+            value={formData.profesionalId}
+            onChange={(profesionalId) =>
+              setFormData({ ...formData, profesionalId })
+            }
+          />
+
           <div>
             <label className="form-label">Fecha</label>
             <input
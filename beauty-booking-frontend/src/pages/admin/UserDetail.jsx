@@ -0,0 +1,455 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  Mail,
+  Phone,
+  Calendar,
+  Shield,
+  User,
+  Euro,
+  XCircle,
+  UserX,
+  ClipboardList,
+  Save,
+  AlertTriangle,
+} from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { es } from "date-fns/locale";
+import adminService from "../../services/adminService";
+import bookingService from "../../services/bookingService";
+import { useProtectedRoute, useLoading, useError } from "../../hooks";
+import { PERMISOS, esPersonal } from "../../utils/permisos";
+import { formatPrice } from "../../utils/helpers";
+import Loading, { LoadingButton } from "../../components/common/Loading";
+import { InlineAlert, Toast } from "../../components/common/Alert";
+import { AdminSidebar } from "./Dashboard";
+
+/**
+ * User Detail - Ficha de un cliente
+ *
+ * Página de administración con:
+ * - Datos de contacto
+ * - Resumen: reservas, gasto total, cancelaciones y ausencias
+ * - Ficha interna: alergias, preferencias y notas privadas del personal
+ * - Historial completo de reservas
+ */
+
+const UserDetail = () => {
+  const { id } = useParams();
+  useProtectedRoute(null, PERMISOS.CLIENTES);
+  const { isLoading, setIsLoading } = useLoading(true);
+  const { error, setError } = useError();
+
+  const [usuario, setUsuario] = useState(null);
+  const [reservas, setReservas] = useState([]);
+  const [ficha, setFicha] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showToast, setShowToast] = useState(false);
+
+  /**
+   * Cargar el usuario, su historial y su ficha
+   */
+  useEffect(() => {
+    const loadUsuario = async () => {
+      try {
+        setIsLoading(true);
+        const [datos, historial, fichaCliente] = await Promise.all([
+          adminService.getUsuarioById(id),
+          adminService.getReservasUsuario(id),
+          adminService.getFichaCliente(id),
+        ]);
+        setUsuario(datos);
+        setReservas(historial);
+        setFicha(fichaCliente);
+      } catch (err) {
+        console.error("Error cargando usuario:", err);
+        setError(
+          err.status === 404
+            ? "El usuario no existe o ha eliminado su cuenta"
+            : "Error al cargar el usuario"
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadUsuario();
+  }, [id, setError, setIsLoading]);
+
+  const handleFichaChange = (campo, valor) =>
+    setFicha((prev) => ({ ...prev, [campo]: valor }));
+
+  /**
+   * Guardar la ficha interna
+   */
+  const handleGuardarFicha = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setError(null);
+      setFicha(await adminService.guardarFichaCliente(id, ficha));
+      setShowToast(true);
+    } catch (err) {
+      setError(err.message || "Error al guardar la ficha");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Formatear fecha
+   */
+  const formatearFecha = (fecha, formato = "dd/MM/yyyy") => {
+    if (!fecha) return "N/A";
+    try {
+      return format(parseISO(fecha), formato, { locale: es });
+    } catch {
+      return fecha;
+    }
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen message="Cargando cliente..." />;
+  }
+
+  const resumen = adminService.getResumenCliente(reservas);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Sidebar */}
+      <AdminSidebar activePage="usuarios" />
+
+      {/* Contenido principal */}
+      <div className="lg:pl-64">
+        <div className="p-8">
+          <Link
+            to="/admin/usuarios"
+            className="inline-flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+          >
+            <ArrowLeft className="w-5 h-5" />
+            Volver a usuarios
+          </Link>
+
+          {error && (
+            <InlineAlert type="error" message={error} className="mb-6" />
+          )}
+
+          {usuario && (
+            <>
+              {/* Cabecera */}
+              <div className="flex items-center gap-4 mb-8">
+                <div className="w-16 h-16 bg-gradient-to-br from-beauty-400 to-beauty-600 rounded-full flex items-center justify-center text-white text-2xl font-semibold">
+                  {usuario.nombre?.charAt(0).toUpperCase() || "U"}
+                </div>
+                <div>
+                  <h1 className="text-3xl font-bold text-gray-900">
+                    {usuario.nombre}
+                  </h1>
+                  <p className="text-gray-600 flex items-center gap-2">
+                    {esPersonal(usuario.rol) ? (
+                      <Shield className="w-4 h-4" />
+                    ) : (
+                      <User className="w-4 h-4" />
+                    )}
+                    {usuario.rol} · #{usuario.id}
+                  </p>
+                </div>
+              </div>
+
+              {/* Estado de la cuenta */}
+              {usuario.suspension && (
+                <InlineAlert
+                  type="error"
+                  className="mb-6"
+                  message={`Cuenta suspendida ${
+                    usuario.suspension.hasta
+                      ? `hasta el ${formatearFecha(usuario.suspension.hasta)}`
+                      : "sin fecha de fin"
+                  } por ${usuario.suspension.por}: ${usuario.suspension.motivo}`}
+                />
+              )}
+              {usuario.invitacionPendiente && (
+                <InlineAlert
+                  type="warning"
+                  className="mb-6"
+                  message="Invitación pendiente: todavía no ha elegido su contraseña"
+                />
+              )}
+
+              {/* Estadísticas */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+                <StatCard
+                  label="Reservas"
+                  value={resumen.total}
+                  detalle={`${resumen.completadas} completadas`}
+                  icon={ClipboardList}
+                  color="blue"
+                />
+                <StatCard
+                  label="Gasto total"
+                  value={formatPrice(resumen.gastoTotal)}
+                  detalle="En citas completadas"
+                  icon={Euro}
+                  color="green"
+                />
+                <StatCard
+                  label="Cancelaciones"
+                  value={resumen.canceladas}
+                  icon={XCircle}
+                  color="orange"
+                />
+                <StatCard
+                  label="No presentado"
+                  value={resumen.noPresentadas}
+                  icon={UserX}
+                  color="red"
+                />
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+                {/* Contacto */}
+                <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    Contacto
+                  </h2>
+                  <p className="flex items-center gap-2 text-sm text-gray-700">
+                    <Mail className="w-4 h-4 text-gray-400" />
+                    <a
+                      href={`mailto:${usuario.email}`}
+                      className="hover:text-beauty-600"
+                    >
+                      {usuario.email}
+                    </a>
+                  </p>
+                  <p className="flex items-center gap-2 text-sm text-gray-700">
+                    <Phone className="w-4 h-4 text-gray-400" />
+                    {usuario.telefono ? (
+                      <a
+                        href={`tel:${usuario.telefono}`}
+                        className="hover:text-beauty-600"
+                      >
+                        {usuario.telefono}
+                      </a>
+                    ) : (
+                      "Sin teléfono"
+                    )}
+                  </p>
+                  <p className="flex items-center gap-2 text-sm text-gray-700">
+                    <Calendar className="w-4 h-4 text-gray-400" />
+                    Cliente desde {formatearFecha(usuario.creadoEn)}
+                  </p>
+                  {resumen.proxima && (
+                    <div className="pt-4 border-t text-sm">
+                      <p className="text-gray-500">Próxima cita</p>
+                      <p className="font-medium text-gray-900">
+                        {resumen.proxima.servicioNombre} ·{" "}
+                        {formatearFecha(
+                          resumen.proxima.fecha,
+                          "EEEE d 'de' MMMM"
+                        )}{" "}
+                        a las{" "}
+                        {bookingService.formatearHora(
+                          resumen.proxima.horaInicio
+                        )}
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Ficha interna */}
+                <form
+                  onSubmit={handleGuardarFicha}
+                  className="bg-white rounded-lg shadow-md p-6 space-y-4 lg:col-span-2"
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h2 className="text-lg font-semibold text-gray-900">
+                        Ficha interna
+                      </h2>
+                      <p className="text-xs text-gray-500">
+                        Solo la ve el personal del salón
+                        {ficha.actualizadoEn &&
+                          ` · Actualizada el ${formatearFecha(
+                            ficha.actualizadoEn,
+                            "dd/MM/yyyy HH:mm"
+                          )} por ${ficha.actualizadoPor}`}
+                      </p>
+                    </div>
+                    <LoadingButton
+                      type="submit"
+                      loading={isSaving}
+                      disabled={isSaving}
+                      className="text-sm"
+                    >
+                      <Save className="w-4 h-4" />
+                      Guardar
+                    </LoadingButton>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="form-label flex items-center gap-1">
+                        <AlertTriangle className="w-4 h-4 text-orange-500" />
+                        Alergias y sensibilidades
+                      </label>
+                      <textarea
+                        rows={3}
+                        value={ficha.alergias}
+                        onChange={(e) =>
+                          handleFichaChange("alergias", e.target.value)
+                        }
+                        className="form-input"
+                        placeholder="Ej: alergia al látex"
+                      />
+                    </div>
+                    <div>
+                      <label className="form-label">Preferencias</label>
+                      <textarea
+                        rows={3}
+                        value={ficha.preferencias}
+                        onChange={(e) =>
+                          handleFichaChange("preferencias", e.target.value)
+                        }
+                        className="form-input"
+                        placeholder="Ej: prefiere citas por la tarde"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="form-label">Notas privadas</label>
+                    <textarea
+                      rows={3}
+                      value={ficha.notas}
+                      onChange={(e) =>
+                        handleFichaChange("notas", e.target.value)
+                      }
+                      className="form-input"
+                      placeholder="Observaciones del personal"
+                    />
+                  </div>
+                </form>
+              </div>
+
+              {/* Historial */}
+              <div className="bg-white rounded-lg shadow-md overflow-hidden">
+                <div className="px-6 py-4 border-b">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    Historial de reservas
+                  </h2>
+                </div>
+                {reservas.length === 0 ? (
+                  <div className="text-center py-12">
+                    <ClipboardList className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                    <p className="text-gray-600">Todavía no tiene reservas</p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-gray-50 border-b">
+                        <tr>
+                          <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                            Fecha
+                          </th>
+                          <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                            Servicio
+                          </th>
+                          <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                            Profesional
+                          </th>
+                          <th className="text-right py-3 px-6 text-sm font-semibold text-gray-700">
+                            Precio
+                          </th>
+                          <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                            Estado
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {reservas.map((reserva) => (
+                          <tr key={reserva.id} className="hover:bg-gray-50">
+                            <td className="py-4 px-6 text-sm text-gray-900">
+                              {formatearFecha(reserva.fecha)}{" "}
+                              <span className="text-gray-500">
+                                {bookingService.formatearHora(
+                                  reserva.horaInicio
+                                )}
+                              </span>
+                            </td>
+                            <td className="py-4 px-6 text-sm text-gray-900">
+                              {reserva.servicioNombre}
+                              {reserva.notas && (
+                                <p className="text-xs text-gray-500">
+                                  {reserva.notas}
+                                </p>
+                              )}
+                            </td>
+                            <td className="py-4 px-6 text-sm text-gray-600">
+                              {reserva.profesionalNombre || "-"}
+                            </td>
+                            <td className="py-4 px-6 text-sm text-gray-900 text-right">
+                              {formatPrice(reserva.precioFinal)}
+                            </td>
+                            <td className="py-4 px-6">
+                              <span
+                                className={`badge ${bookingService.getEstadoColor(
+                                  reserva.estado
+                                )}`}
+                              >
+                                {bookingService.getEstadoEspanol(
+                                  reserva.estado
+                                )}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {showToast && (
+        <Toast
+          type="success"
+          message="Ficha guardada"
+          duration={3000}
+          onClose={() => setShowToast(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tarjeta de estadística del cliente
+ */
+const StatCard = ({ label, value, detalle, icon: Icon, color }) => {
+  const colores = {
+    blue: "bg-blue-100 text-blue-600",
+    green: "bg-green-100 text-green-600",
+    orange: "bg-orange-100 text-orange-600",
+    red: "bg-red-100 text-red-600",
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm text-gray-600">{label}</p>
+          <p className="text-3xl font-bold text-gray-900 mt-1">{value}</p>
+          {detalle && <p className="text-xs text-gray-500 mt-1">{detalle}</p>}
+        </div>
+        <div className={`p-3 rounded-lg ${colores[color]}`}>
+          <Icon className="w-8 h-8" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UserDetail;
@@ -1,5 +1,17 @@
 import React, { useState, useEffect } from "react";
-import { Search, User, Mail, Calendar, Shield, Filter } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import {
+  Search,
+  User,
+  Mail,
+  Calendar,
+  Shield,
+  Filter,
+  UserPlus,
+  Ban,
+  CheckCircle,
+  Send,
+} from "lucide-react";
 import { format, parseISO } from "date-fns";
 import { es } from "date-fns/locale";
 import adminService from "../../services/adminService";
@@ -8,9 +20,16 @@ import {
   useLoading,
   useError,
   useDebounce,
+  usePermission,
 } from "../../hooks";
-import Loading from "../../components/common/Loading";
-import { InlineAlert } from "../../components/common/Alert";
+import { PERMISOS, ROLES, esPersonal } from "../../utils/permisos";
+import Loading, { LoadingButton } from "../../components/common/Loading";
+import Modal from "../../components/common/Modal";
+import {
+  InlineAlert,
+  ConfirmDialog,
+  Toast,
+} from "../../components/common/Alert";
 import { AdminSidebar } from "./Dashboard";
 
 /**
@@ -20,11 +39,28 @@ import { AdminSidebar } from "./Dashboard";
  * - Lista de todos los usuarios
  * - Búsqueda por nombre, email
  * - Filtros por rol
- * - Vista de información detallada
+ * - Acceso a la ficha de cada usuario (/admin/usuarios/:id)
+ * - Cambio de rol, suspensión de cuentas e invitación de usuarios nuevos
+ *   (solo con el permiso de gestión de usuarios; recepción solo consulta)
  */
 
+/**
+ * Aviso del diálogo de cambio de rol según el rol de destino
+ */
+const mensajeCambioRol = ({ usuario, rol }) => {
+  if (rol === "ADMIN") {
+    return `${usuario.nombre} tendrá acceso completo al panel de administración.`;
+  }
+  if (rol === "CLIENTE") {
+    return `${usuario.nombre} dejará de tener acceso al panel de administración.`;
+  }
+  return `${usuario.nombre} tendrá acceso al panel con los permisos de ${ROLES[rol]}.`;
+};
+
 const UsersManagement = () => {
-  const { user } = useProtectedRoute("ADMIN");
+  const navigate = useNavigate();
+  const { user } = useProtectedRoute(null, PERMISOS.CLIENTES);
+  const puedeGestionarUsuarios = usePermission(PERMISOS.USUARIOS);
   const { isLoading, setIsLoading } = useLoading(true);
   const { error, setError } = useError();
 
@@ -32,7 +68,12 @@ const UsersManagement = () => {
   const [usuarios, setUsuarios] = useState([]);
   const [usuariosFiltrados, setUsuariosFiltrados] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
-  const [filterRol, setFilterRol] = useState("todos"); // todos, ADMIN, CLIENTE
+  const [filterRol, setFilterRol] = useState("todos"); // todos o un rol
+  const [cambioRol, setCambioRol] = useState(null); // { usuario, rol }
+  const [usuarioASuspender, setUsuarioASuspender] = useState(null);
+  const [usuarioAReactivar, setUsuarioAReactivar] = useState(null);
+  const [showInvitar, setShowInvitar] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
 
   // Debounce para búsqueda
   const debouncedSearch = useDebounce(searchTerm, 300);
@@ -101,6 +142,56 @@ const UsersManagement = () => {
     setUsuariosFiltrados(filtered);
   };
 
+  /**
+   * Sustituir un usuario de la lista tras una acción
+   */
+  const actualizarUsuario = (actualizado) =>
+    setUsuarios((prev) =>
+      prev.map((u) => (u.id === actualizado.id ? actualizado : u))
+    );
+
+  /**
+   * Ejecutar una acción sobre un usuario mostrando el resultado
+   */
+  const ejecutarAccion = async (accion, mensaje) => {
+    try {
+      setError(null);
+      const actualizado = await accion();
+      if (actualizado?.id) actualizarUsuario(actualizado);
+      setToastMessage(mensaje);
+    } catch (err) {
+      setError(err.message || "No se ha podido completar la acción");
+    }
+  };
+
+  const handleCambiarRol = () => {
+    const { usuario, rol } = cambioRol;
+    ejecutarAccion(
+      () => adminService.cambiarRolUsuario(usuario.id, rol),
+      `${usuario.nombre} ahora es ${rol}`
+    );
+  };
+
+  const handleReactivar = () => {
+    const usuario = usuarioAReactivar;
+    ejecutarAccion(
+      () => adminService.reactivarUsuario(usuario.id),
+      `Cuenta de ${usuario.nombre} reactivada`
+    );
+  };
+
+  const handleReenviarInvitacion = (usuario) =>
+    ejecutarAccion(
+      () => adminService.reenviarInvitacion(usuario.id),
+      `Invitación reenviada a ${usuario.email}`
+    );
+
+  /**
+   * Las acciones de cuenta requieren permiso y nunca se aplican a uno mismo
+   */
+  const puedeEditar = (usuario) =>
+    puedeGestionarUsuarios && usuario.id !== user?.id;
+
   /**
    * Obtener badge de rol
    */
@@ -108,6 +199,12 @@ const UsersManagement = () => {
     if (rol === "ADMIN") {
       return "bg-purple-100 text-purple-800 border-purple-200";
     }
+    if (rol === "RECEPCION") {
+      return "bg-teal-100 text-teal-800 border-teal-200";
+    }
+    if (rol === "ESTILISTA") {
+      return "bg-pink-100 text-pink-800 border-pink-200";
+    }
     return "bg-blue-100 text-blue-800 border-blue-200";
   };
 
@@ -130,7 +227,7 @@ const UsersManagement = () => {
 
   // Calcular estadísticas
   const totalUsuarios = usuarios.length;
-  const totalAdmins = usuarios.filter((u) => u.rol === "ADMIN").length;
+  const totalPersonal = usuarios.filter((u) => esPersonal(u.rol)).length;
   const totalClientes = usuarios.filter((u) => u.rol === "CLIENTE").length;
 
   return (
@@ -142,13 +239,24 @@ const UsersManagement = () => {
       <div className="lg:pl-64">
         <div className="p-8">
           {/* Header */}
-          <div className="mb-8">
-            <h1 className="text-3xl font-bold text-gray-900">
-              Gestión de Usuarios
-            </h1>
-            <p className="text-gray-600 mt-1">
-              Administra todos los usuarios del sistema
-            </p>
+          <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">
+                Gestión de Usuarios
+              </h1>
+              <p className="text-gray-600 mt-1">
+                Administra todos los usuarios del sistema
+              </p>
+            </div>
+            {puedeGestionarUsuarios && (
+              <button
+                onClick={() => setShowInvitar(true)}
+                className="btn-primary flex items-center gap-2"
+              >
+                <UserPlus className="w-5 h-5" />
+                Invitar usuario
+              </button>
+            )}
           </div>
 
           {/* Mensajes de error */}
@@ -175,9 +283,9 @@ const UsersManagement = () => {
             <div className="bg-white rounded-lg shadow-md p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm text-gray-600">Administradores</p>
+                  <p className="text-sm text-gray-600">Personal</p>
                   <p className="text-3xl font-bold text-purple-600 mt-1">
-                    {totalAdmins}
+                    {totalPersonal}
                   </p>
                 </div>
                 <div className="p-3 bg-purple-100 rounded-lg">
@@ -225,8 +333,11 @@ const UsersManagement = () => {
                   className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-beauty-500 focus:border-transparent"
                 >
                   <option value="todos">Todos los roles</option>
-                  <option value="ADMIN">Administradores</option>
-                  <option value="CLIENTE">Clientes</option>
+                  {Object.entries(ROLES).map(([rol, nombre]) => (
+                    <option key={rol} value={rol}>
+                      {nombre}
+                    </option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -264,13 +375,23 @@ const UsersManagement = () => {
                       <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
                         Fecha Registro
                       </th>
+                      <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700">
+                        Estado
+                      </th>
+                      <th className="text-right py-3 px-6 text-sm font-semibold text-gray-700">
+                        Acciones
+                      </th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
                     {usuariosFiltrados.map((usuario) => (
                       <tr
                         key={usuario.id}
-                        className="hover:bg-gray-50 transition-colors"
+                        onClick={() =>
+                          navigate(`/admin/usuarios/${usuario.id}`)
+                        }
+                        className="hover:bg-gray-50 transition-colors cursor-pointer"
+                        title="Ver ficha del usuario"
                       >
                         <td className="py-4 px-6">
                           <span className="text-sm font-medium text-gray-900">
@@ -301,7 +422,7 @@ const UsersManagement = () => {
                               usuario.rol
                             )}`}
                           >
-                            {usuario.rol === "ADMIN" ? (
+                            {esPersonal(usuario.rol) ? (
                               <Shield className="w-3 h-3" />
                             ) : (
                               <User className="w-3 h-3" />
@@ -317,6 +438,60 @@ const UsersManagement = () => {
                             </span>
                           </div>
                         </td>
+                        <td className="py-4 px-6">
+                          <EstadoUsuario usuario={usuario} />
+                        </td>
+                        <td
+                          className="py-4 px-6"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          {puedeEditar(usuario) && (
+                            <div className="flex justify-end gap-1">
+                              <select
+                                value={usuario.rol}
+                                onChange={(e) =>
+                                  setCambioRol({ usuario, rol: e.target.value })
+                                }
+                                className="text-sm px-2 py-1 border border-gray-300 rounded-lg"
+                                title="Cambiar rol"
+                              >
+                                {Object.keys(ROLES).map((rol) => (
+                                  <option key={rol} value={rol}>
+                                    {rol}
+                                  </option>
+                                ))}
+                              </select>
+                              {usuario.invitacionPendiente && (
+                                <button
+                                  onClick={() =>
+                                    handleReenviarInvitacion(usuario)
+                                  }
+                                  className="p-2 hover:bg-gray-100 rounded-lg"
+                                  title="Reenviar invitación"
+                                >
+                                  <Send className="w-4 h-4 text-gray-600" />
+                                </button>
+                              )}
+                              {usuario.suspension ? (
+                                <button
+                                  onClick={() => setUsuarioAReactivar(usuario)}
+                                  className="p-2 hover:bg-green-50 rounded-lg"
+                                  title="Levantar suspensión"
+                                >
+                                  <CheckCircle className="w-4 h-4 text-green-600" />
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => setUsuarioASuspender(usuario)}
+                                  className="p-2 hover:bg-red-50 rounded-lg"
+                                  title="Suspender cuenta"
+                                >
+                                  <Ban className="w-4 h-4 text-red-600" />
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -326,8 +501,276 @@ const UsersManagement = () => {
           </div>
         </div>
       </div>
+
+      {/* Confirmación de cambio de rol */}
+      <ConfirmDialog
+        isOpen={!!cambioRol}
+        onClose={() => setCambioRol(null)}
+        onConfirm={handleCambiarRol}
+        title="¿Cambiar rol?"
+        message={cambioRol ? mensajeCambioRol(cambioRol) : ""}
+        confirmText={`Sí, hacer ${cambioRol?.rol}`}
+        cancelText="Cancelar"
+        type={cambioRol?.rol === "CLIENTE" ? "danger" : "warning"}
+      />
+
+      {/* Confirmación de reactivación */}
+      <ConfirmDialog
+        isOpen={!!usuarioAReactivar}
+        onClose={() => setUsuarioAReactivar(null)}
+        onConfirm={handleReactivar}
+        title="¿Levantar suspensión?"
+        message={`${usuarioAReactivar?.nombre} podrá volver a iniciar sesión y reservar.`}
+        confirmText="Sí, reactivar"
+        cancelText="Cancelar"
+      />
+
+      {/* Suspender cuenta */}
+      {usuarioASuspender && (
+        <SuspendUserModal
+          usuario={usuarioASuspender}
+          onClose={() => setUsuarioASuspender(null)}
+          onSaved={(actualizado) => {
+            actualizarUsuario(actualizado);
+            setUsuarioASuspender(null);
+            setToastMessage(`Cuenta de ${actualizado.nombre} suspendida`);
+          }}
+        />
+      )}
+
+      {/* Invitar usuario */}
+      {showInvitar && (
+        <InviteUserModal
+          onClose={() => setShowInvitar(false)}
+          onSaved={(nuevo) => {
+            setUsuarios((prev) => [nuevo, ...prev]);
+            setShowInvitar(false);
+            setToastMessage(`Invitación enviada a ${nuevo.email}`);
+          }}
+        />
+      )}
+
+      {/* Toast */}
+      {toastMessage && (
+        <Toast
+          type="success"
+          message={toastMessage}
+          duration={3000}
+          onClose={() => setToastMessage("")}
+        />
+      )}
     </div>
   );
 };
 
+/**
+ * Estado de la cuenta: suspendida, invitación pendiente o activa
+ */
+const EstadoUsuario = ({ usuario }) => {
+  if (usuario.suspension) {
+    return (
+      <span className="badge badge-danger" title={usuario.suspension.motivo}>
+        {usuario.suspension.hasta
+          ? `Suspendido hasta ${format(
+              parseISO(usuario.suspension.hasta),
+              "dd/MM/yyyy"
+            )}`
+          : "Suspendido"}
+      </span>
+    );
+  }
+  if (usuario.invitacionPendiente) {
+    return <span className="badge badge-warning">Invitación pendiente</span>;
+  }
+  return <span className="badge badge-success">Activo</span>;
+};
+
+/**
+ * Modal para suspender una cuenta con motivo y fecha de fin opcional
+ */
+const SuspendUserModal = ({ usuario, onClose, onSaved }) => {
+  const [motivo, setMotivo] = useState("");
+  const [hasta, setHasta] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError("");
+      onSaved(
+        await adminService.suspenderUsuario(usuario.id, {
+          motivo,
+          hasta: hasta || null,
+        })
+      );
+    } catch (err) {
+      setError(err.message || "Error al suspender la cuenta");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Suspender a ${usuario.nombre}`}
+      footer={
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancelar
+          </button>
+          <LoadingButton
+            type="submit"
+            form="suspension-form"
+            loading={isSubmitting}
+            disabled={isSubmitting || !motivo.trim()}
+            className="bg-red-600 hover:bg-red-700"
+          >
+            Suspender cuenta
+          </LoadingButton>
+        </div>
+      }
+    >
+      <form id="suspension-form" onSubmit={handleSubmit} className="space-y-4">
+        {error && <InlineAlert type="error" message={error} />}
+        <p className="text-sm text-gray-600">
+          No podrá iniciar sesión mientras dure la suspensión y se cerrarán sus
+          sesiones abiertas. Sus reservas no se cancelan.
+        </p>
+        <div>
+          <label className="form-label">Motivo *</label>
+          <textarea
+            rows={3}
+            value={motivo}
+            onChange={(e) => setMotivo(e.target.value)}
+            className="form-input"
+            placeholder="Se mostrará al usuario al intentar entrar"
+          />
+        </div>
+        <div>
+          <label className="form-label">Hasta</label>
+          <input
+            type="date"
+            value={hasta}
+            min={format(new Date(), "yyyy-MM-dd")}
+            onChange={(e) => setHasta(e.target.value)}
+            className="form-input"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Déjalo vacío para suspenderla hasta que la reactives a mano
+          </p>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * Modal para crear una cuenta e invitar al usuario por email
+ */
+const InviteUserModal = ({ onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    nombre: "",
+    email: "",
+    telefono: "",
+    rol: "CLIENTE",
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (campo, valor) =>
+    setFormData((prev) => ({ ...prev, [campo]: valor }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError("");
+      onSaved(await adminService.invitarUsuario(formData));
+    } catch (err) {
+      setError(err.message || "Error al enviar la invitación");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Invitar usuario"
+      footer={
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancelar
+          </button>
+          <LoadingButton
+            type="submit"
+            form="invitacion-form"
+            loading={isSubmitting}
+            disabled={
+              isSubmitting || !formData.nombre.trim() || !formData.email.trim()
+            }
+          >
+            <Send className="w-4 h-4" />
+            Enviar invitación
+          </LoadingButton>
+        </div>
+      }
+    >
+      <form id="invitacion-form" onSubmit={handleSubmit} className="space-y-4">
+        {error && <InlineAlert type="error" message={error} />}
+        <p className="text-sm text-gray-600">
+          Se crea la cuenta y le enviamos un enlace para elegir su contraseña
+          (válido 7 días).
+        </p>
+        <div>
+          <label className="form-label">Nombre *</label>
+          <input
+            type="text"
+            value={formData.nombre}
+            onChange={(e) => handleChange("nombre", e.target.value)}
+            className="form-input"
+          />
+        </div>
+        <div>
+          <label className="form-label">Email *</label>
+          <input
+            type="email"
+            value={formData.email}
+            onChange={(e) => handleChange("email", e.target.value)}
+            className="form-input"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Teléfono</label>
+            <input
+              type="tel"
+              value={formData.telefono}
+              onChange={(e) => handleChange("telefono", e.target.value)}
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">Rol</label>
+            <select
+              value={formData.rol}
+              onChange={(e) => handleChange("rol", e.target.value)}
+              className="form-input"
+            >
+              {Object.entries(ROLES).map(([rol, nombre]) => (
+                <option key={rol} value={rol}>
+                  {nombre}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
 export default UsersManagement;
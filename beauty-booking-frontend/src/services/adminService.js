@@ -1,4 +1,6 @@
+import { format, parseISO, addDays, getDay } from "date-fns";
 import { apiGet, apiPost, apiPut, apiPatch, apiDelete } from "./api";
+import { normalizarEmail } from "../utils/helpers";
 
 /**
  * adminService - Servicio para funciones administrativas
@@ -8,11 +10,27 @@ import { apiGet, apiPost, apiPut, apiPatch, apiDelete } from "./api";
  *
  * Maneja:
  * - CRUD completo de servicios
- * - Gestión de franjas horarias
+ * - Gestión de franjas horarias, plantillas de horario y cierres
+ * - Gestión de profesionales (habilidades y horario)
  * - Gestión de todas las reservas
  * - Estadísticas y reportes
  */
 
+// Franjas por petición al crear en lote (para informar del progreso)
+const LOTE_FRANJAS = 50;
+
+// "9:30", "09:30" o "09:30:00" -> minutos desde medianoche
+const aMinutos = (hora) => {
+  const [h, m] = String(hora).split(":").map(Number);
+  return h * 60 + (m || 0);
+};
+
+// Minutos desde medianoche -> "HH:mm:00"
+const aHora = (minutos) =>
+  `${String(Math.floor(minutos / 60)).padStart(2, "0")}:${String(
+    minutos % 60
+  ).padStart(2, "0")}:00`;
+
 class AdminService {
   // ========== GESTIÓN DE SERVICIOS ==========
 
@@ -55,6 +73,9 @@ class AdminService {
         precio: parseFloat(servicioData.precio),
         aforoMaximo: parseInt(servicioData.aforoMaximo) || 1,
         activo: servicioData.activo !== false, // Por defecto activo
+        categoriaId: servicioData.categoriaId || null,
+        imagenes: servicioData.imagenes || [],
+        faqs: servicioData.faqs || [],
       };
 
       const response = await apiPost("/admin/servicios", dataToSend);
@@ -83,6 +104,45 @@ class AdminService {
     }
   }
 
+  /**
+   * Sube una imagen de la galería de un servicio
+   * El servicio guarda solo la URL devuelta, no la imagen
+   * @param {Blob} imagen - JPEG ya recortado (ver recortarImagen)
+   * @returns {Promise<string>} URL pública de la imagen
+   */
+  async subirImagenServicio(imagen) {
+    try {
+      const formData = new FormData();
+      formData.append("imagen", imagen, "imagen.jpg");
+
+      // Sin el Content-Type JSON por defecto (ver crearIncidencia)
+      const response = await apiPost("/admin/servicios/imagenes", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      console.log("🖼️ Imagen subida:", response.data.url);
+      return response.data.url;
+    } catch (error) {
+      console.error("❌ Error subiendo imagen:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una categoría de servicios
+   * @param {Object} categoria - { nombre, icono }
+   * @returns {Promise<Object>} Categoría creada
+   */
+  async crearCategoria(categoria) {
+    try {
+      const response = await apiPost("/admin/categorias", categoria);
+      console.log(`✅ Categoría "${response.data.nombre}" creada`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error creando categoría:", error);
+      throw error;
+    }
+  }
+
   /**
    * Elimina un servicio (eliminación lógica o física según backend)
    * @param {number} id - ID del servicio
@@ -157,68 +217,464 @@ class AdminService {
   }
 
   /**
-   * Genera múltiples franjas horarias automáticamente
-   * @param {Object} config - Configuración para generar franjas
-   * @returns {Promise<Array>} Franjas creadas
-   */
-  async generarFranjasMultiples(config) {
-    try {
-      const {
-        servicioId,
-        fechaInicio,
-        fechaFin,
-        horaInicio,
-        horaFin,
-        intervaloMinutos,
-        diasSemana = [1, 2, 3, 4, 5], // Lun-Vie por defecto
-        plazasDisponibles,
-      } = config;
-
-      // Esta función generaría múltiples franjas
-      // El backend debería tener un endpoint para esto
-      // Por ahora, lo simulamos con múltiples llamadas
-
-      const franjas = [];
-      const fechaActual = new Date(fechaInicio);
-      const fechaLimite = new Date(fechaFin);
-
-      while (fechaActual <= fechaLimite) {
-        // Verificar si es un día válido
-        if (diasSemana.includes(fechaActual.getDay())) {
-          // Generar franjas para este día
-          let horaActual = horaInicio;
-          while (horaActual < horaFin) {
-            const franja = await this.crearFranjaHoraria({
-              servicioId,
-              fecha: fechaActual.toISOString().split("T")[0],
-              horaInicio: `${horaActual}:00`,
-              plazasDisponibles,
-            });
-            franjas.push(franja);
-
-            // Siguiente franja
-            const [h, m] = horaActual.split(":").map(Number);
-            const nuevosMinutos = m + intervaloMinutos;
-            horaActual = `${h + Math.floor(nuevosMinutos / 60)}:${(
-              nuevosMinutos % 60
-            )
-              .toString()
-              .padStart(2, "0")}`;
-          }
+   * Crea muchas franjas con el endpoint de lote, en bloques de
+   * LOTE_FRANJAS para poder informar del progreso
+   * Un bloque que falla entero no detiene los siguientes
+   * @param {Array} franjas - { servicioId, fecha, horaInicio, plazasDisponibles }
+   * @param {Function} onProgreso - Callback ({ procesadas, total }) tras cada bloque
+   * @returns {Promise<Object>} { creadas, errores: [{ franja, motivo }] }
+   */
+  async crearFranjasLote(franjas, onProgreso = () => {}) {
+    const creadas = [];
+    const errores = [];
+
+    for (let i = 0; i < franjas.length; i += LOTE_FRANJAS) {
+      const bloque = franjas.slice(i, i + LOTE_FRANJAS);
+      try {
+        const response = await apiPost("/admin/franjas/lote", {
+          franjas: bloque,
+        });
+        creadas.push(...response.data.creadas);
+        errores.push(
+          ...response.data.errores.map(({ franja, motivo }) => ({
+            franja,
+            motivo,
+          }))
+        );
+      } catch (error) {
+        console.error("❌ Error creando bloque de franjas:", error);
+        errores.push(
+          ...bloque.map((franja) => ({ franja, motivo: error.message }))
+        );
+      }
+      onProgreso({
+        procesadas: Math.min(i + LOTE_FRANJAS, franjas.length),
+        total: franjas.length,
+      });
+    }
+
+    console.log(
+      `✅ Lote de franjas: ${creadas.length} creadas, ${errores.length} con error`
+    );
+    return { creadas, errores };
+  }
+
+  // ========== PLANTILLAS DE HORARIO ==========
+
+  /**
+   * Obtiene las plantillas de horario semanal
+   * @returns {Promise<Array>} Plantillas
+   */
+  async getPlantillasHorario() {
+    try {
+      const response = await apiGet("/admin/plantillas-horario");
+      console.log(`🗓️ ${response.data.length} plantillas de horario`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo plantillas de horario:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una plantilla de horario semanal
+   * @param {Object} plantilla - { nombre, servicioId, horario, intervaloMinutos, plazas }
+   *                             horario: { [0-6]: [{ desde: "HH:mm", hasta: "HH:mm" }] }
+   * @returns {Promise<Object>} Plantilla creada
+   */
+  async crearPlantillaHorario(plantilla) {
+    try {
+      const response = await apiPost("/admin/plantillas-horario", plantilla);
+      console.log(`✅ Plantilla "${response.data.nombre}" creada`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error creando plantilla de horario:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza una plantilla de horario
+   * @param {number} plantillaId - ID de la plantilla
+   * @param {Object} plantilla - Datos completos de la plantilla
+   * @returns {Promise<Object>} Plantilla actualizada
+   */
+  async actualizarPlantillaHorario(plantillaId, plantilla) {
+    try {
+      const response = await apiPut(
+        `/admin/plantillas-horario/${plantillaId}`,
+        plantilla
+      );
+      console.log(`✅ Plantilla ${plantillaId} actualizada`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error actualizando plantilla ${plantillaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una plantilla de horario (las franjas ya generadas se quedan)
+   * @param {number} plantillaId - ID de la plantilla
+   * @returns {Promise<Object>} Confirmación
+   */
+  async eliminarPlantillaHorario(plantillaId) {
+    try {
+      const response = await apiDelete(
+        `/admin/plantillas-horario/${plantillaId}`
+      );
+      console.log(`🗑️ Plantilla ${plantillaId} eliminada`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error eliminando plantilla ${plantillaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcula las franjas que genera una plantilla entre dos fechas
+   * (no crea nada: sirve para la previsualización y para el lote)
+   * Las horas se calculan en minutos, así que 9:30 o 09:30 dan igual
+   * @param {Object} plantilla - { servicioId, profesionalId, horario,
+   *                             intervaloMinutos, plazas }
+   * @param {string} fechaInicio - YYYY-MM-DD
+   * @param {string} fechaFin - YYYY-MM-DD (incluida)
+   * @param {number} duracionMinutos - Duración del servicio: la última
+   *                                   franja de cada tramo debe acabar dentro
+   * @returns {Array} Franjas { servicioId, profesionalId, fecha, horaInicio,
+   *                   plazasDisponibles }
+   */
+  generarFranjasDesdePlantilla(
+    plantilla,
+    fechaInicio,
+    fechaFin,
+    duracionMinutos = 0
+  ) {
+    const intervalo = parseInt(plantilla.intervaloMinutos);
+    if (!(intervalo > 0)) {
+      throw new Error("El intervalo debe ser mayor que 0");
+    }
+
+    const franjas = [];
+    const fin = parseISO(fechaFin);
+
+    for (let dia = parseISO(fechaInicio); dia <= fin; dia = addDays(dia, 1)) {
+      const tramos = plantilla.horario[getDay(dia)] || [];
+
+      tramos.forEach(({ desde, hasta }) => {
+        const cierre = aMinutos(hasta);
+        for (
+          let inicio = aMinutos(desde);
+          inicio < cierre && inicio + duracionMinutos <= cierre;
+          inicio += intervalo
+        ) {
+          franjas.push({
+            servicioId: Number(plantilla.servicioId),
+            profesionalId: plantilla.profesionalId || null,
+            fecha: format(dia, "yyyy-MM-dd"),
+            horaInicio: aHora(inicio),
+            plazasDisponibles: parseInt(plantilla.plazas),
+          });
         }
+      });
+    }
 
-        // Siguiente día
-        fechaActual.setDate(fechaActual.getDate() + 1);
+    return franjas;
+  }
+
+  /**
+   * Marca las franjas propuestas que no se podrán crear o que chocan con
+   * otras: solape con una franja existente (o con otra propuesta), fecha
+   * pasada, horario fuera de 07:00 - 22:00 o día cerrado. Con profesional
+   * chocan sus franjas de cualquier servicio que se solapen; sin él, solo
+   * las franjas sin asignar del mismo servicio a la misma hora (un servicio
+   * de 60 minutos cada 30 es válido: son plazas en paralelo)
+   * @param {Array} propuestas - Resultado de generarFranjasDesdePlantilla
+   * @param {Array} existentes - Franjas ya creadas en el rango
+   * @param {number} duracionMinutos - Duración del servicio
+   * @param {Array} cierres - Cierres y festivos del rango
+   * @returns {Array} Propuestas con `conflicto` (motivo o null)
+   */
+  detectarConflictosFranjas(
+    propuestas,
+    existentes,
+    duracionMinutos,
+    cierres = []
+  ) {
+    const ahora = new Date();
+    const hoy = format(ahora, "yyyy-MM-dd");
+    const minutosAhora = ahora.getHours() * 60 + ahora.getMinutes();
+    const duracion = Math.max(duracionMinutos, 1);
+
+    // Las propuestas no traen horaFin: ocupan la duración del servicio
+    const finDe = (f) =>
+      f.horaFin ? aMinutos(f.horaFin) : aMinutos(f.horaInicio) + duracion;
+
+    const resultado = [];
+    propuestas.forEach((propuesta) => {
+      const inicio = aMinutos(propuesta.horaInicio);
+      const solapa = (f) =>
+        inicio < finDe(f) && aMinutos(f.horaInicio) < inicio + duracion;
+      const choca = (f) =>
+        f.fecha === propuesta.fecha &&
+        (propuesta.profesionalId
+          ? f.profesionalId === propuesta.profesionalId && solapa(f)
+          : !f.profesionalId &&
+            f.servicioId === propuesta.servicioId &&
+            aMinutos(f.horaInicio) === inicio);
+
+      // Solo cuentan las propuestas anteriores que sí se van a crear
+      const existente = existentes.find(choca);
+      const anterior = resultado.find((f) => !f.conflicto && choca(f));
+      const cierre = this.getCierreDe(cierres, {
+        ...propuesta,
+        horaFin: aHora(inicio + duracion),
+      });
+
+      let conflicto = null;
+      if (
+        propuesta.fecha < hoy ||
+        (propuesta.fecha === hoy && inicio <= minutosAhora)
+      ) {
+        conflicto = "Ya ha pasado";
+      } else if (inicio < 7 * 60 || inicio >= 22 * 60) {
+        conflicto = "Fuera del horario 07:00 - 22:00";
+      } else if (cierre) {
+        conflicto = `Cerrado: ${cierre.motivo}`;
+      } else if (existente || anterior) {
+        const hora = (existente || anterior).horaInicio.slice(0, 5);
+        conflicto = existente
+          ? `Solapa con la franja existente de las ${hora}`
+          : `Solapa con la de las ${hora} de esta plantilla`;
       }
 
-      console.log(`✅ ${franjas.length} franjas creadas`);
-      return franjas;
+      resultado.push({ ...propuesta, conflicto });
+    });
+
+    return resultado;
+  }
+
+  // ========== PROFESIONALES ==========
+
+  /**
+   * Obtiene todos los profesionales (también los inactivos), cada uno con
+   * cuántas franjas futuras tiene asignadas (franjasFuturas)
+   * @returns {Promise<Array>} Lista de profesionales
+   */
+  async getProfesionales() {
+    try {
+      const response = await apiGet("/admin/profesionales");
+      console.log(`💇 ${response.data.length} profesionales`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo profesionales:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea un profesional
+   * @param {Object} profesional - { nombre, foto, servicioIds, horario }
+   *                               foto: data URL (ver reducirImagen)
+   *                               horario: como en las plantillas
+   * @returns {Promise<Object>} Profesional creado
+   */
+  async crearProfesional(profesional) {
+    try {
+      const response = await apiPost("/admin/profesionales", profesional);
+      console.log(`✅ Profesional "${response.data.nombre}" creado`);
+      return response.data;
     } catch (error) {
-      console.error("❌ Error generando franjas múltiples:", error);
+      console.error("❌ Error creando profesional:", error);
       throw error;
     }
   }
 
+  /**
+   * Actualiza un profesional (el nombre se propaga a sus franjas y reservas)
+   * @param {number} profesionalId - ID del profesional
+   * @param {Object} profesional - Datos actualizados
+   * @returns {Promise<Object>} Profesional actualizado
+   */
+  async actualizarProfesional(profesionalId, profesional) {
+    try {
+      const response = await apiPut(
+        `/admin/profesionales/${profesionalId}`,
+        profesional
+      );
+      console.log(`✅ Profesional ${profesionalId} actualizado`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error actualizando profesional ${profesionalId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Activa o desactiva un profesional: los inactivos no se ofrecen al
+   * reservar ni se les pueden asignar franjas nuevas
+   * @param {number} profesionalId - ID del profesional
+   * @param {boolean} activo - Nuevo estado
+   * @returns {Promise<Object>} Profesional actualizado
+   */
+  async toggleProfesionalActivo(profesionalId, activo) {
+    try {
+      const response = await apiPatch(
+        `/admin/profesionales/${profesionalId}/activo`,
+        { activo }
+      );
+      console.log(
+        `🔄 Profesional ${profesionalId} ${activo ? "activado" : "desactivado"}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error cambiando estado del profesional ${profesionalId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un profesional (falla si tiene franjas futuras asignadas)
+   * @param {number} profesionalId - ID del profesional
+   * @returns {Promise<Object>} Confirmación
+   */
+  async eliminarProfesional(profesionalId) {
+    try {
+      const response = await apiDelete(`/admin/profesionales/${profesionalId}`);
+      console.log(`🗑️ Profesional ${profesionalId} eliminado`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error eliminando profesional ${profesionalId}:`, error);
+      throw error;
+    }
+  }
+
+  // ========== CIERRES Y FESTIVOS ==========
+
+  /**
+   * Obtiene los cierres que tocan un rango de fechas, cada uno con las
+   * reservas activas que caen dentro (reservasAfectadas)
+   * @param {string} desde - YYYY-MM-DD (opcional)
+   * @param {string} hasta - YYYY-MM-DD (opcional)
+   * @returns {Promise<Array>} Cierres por fecha de inicio
+   */
+  async getCierres(desde, hasta) {
+    try {
+      const response = await apiGet("/admin/cierres", {
+        params: { desde, hasta },
+      });
+      console.log(`🚫 ${response.data.length} cierres`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo cierres:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Comprueba qué reservas y franjas quedarían dentro de un cierre
+   * antes de crearlo
+   * @param {Object} cierre - Datos del cierre (como en crearCierre)
+   * @returns {Promise<Object>} { reservas, franjasLibres, franjasConReservas }
+   */
+  async comprobarImpactoCierre(cierre) {
+    try {
+      const response = await apiPost("/admin/cierres/impacto", cierre);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error comprobando el cierre:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea un cierre. Las reservas que caen dentro no se cancelan: vuelven
+   * en reservasAfectadas para avisar a los clientes o reprogramarlas
+   * @param {Object} cierre - { fechaInicio, fechaFin, desde, hasta,
+   *                          servicioId, motivo, tipo }
+   *                          Sin desde/hasta cierra los días completos;
+   *                          sin servicioId cierra todo el salón
+   * @param {boolean} eliminarFranjas - Borrar las franjas libres que cubre
+   * @returns {Promise<Object>} Cierre con reservasAfectadas y franjasEliminadas
+   */
+  async crearCierre(cierre, eliminarFranjas = false) {
+    try {
+      const response = await apiPost("/admin/cierres", {
+        ...cierre,
+        eliminarFranjas,
+      });
+      console.log(`🚫 Cierre "${response.data.motivo}" creado`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error creando cierre:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Importa varios cierres de una vez (festivos leídos de un .ics)
+   * Los repetidos o no válidos vuelven en errores sin frenar al resto
+   * @param {Array} cierres - Cierres a crear
+   * @param {boolean} eliminarFranjas - Borrar las franjas libres que cubren
+   * @returns {Promise<Object>} { creados, errores: [{ indice, cierre, motivo }] }
+   */
+  async importarCierres(cierres, eliminarFranjas = false) {
+    try {
+      const response = await apiPost("/admin/cierres/importar", {
+        cierres: cierres.map((c) => ({ ...c, origen: "ics" })),
+        eliminarFranjas,
+      });
+      const { creados, errores } = response.data;
+      console.log(
+        `📥 ${creados.length} cierres importados (${errores.length} omitidos)`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error importando cierres:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un cierre (las franjas que se borraron al crearlo no vuelven)
+   * @param {number} cierreId - ID del cierre
+   * @returns {Promise<Object>} Confirmación
+   */
+  async eliminarCierre(cierreId) {
+    try {
+      const response = await apiDelete(`/admin/cierres/${cierreId}`);
+      console.log(`🗑️ Cierre ${cierreId} eliminado`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error eliminando cierre ${cierreId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca el cierre que afecta a una franja (mismo criterio que el backend)
+   * @param {Array} cierres - Cierres
+   * @param {Object} franja - { servicioId, fecha, horaInicio, horaFin }
+   * @returns {Object|undefined} Cierre que la cubre
+   */
+  getCierreDe(cierres, { servicioId, fecha, horaInicio, horaFin }) {
+    return cierres.find(
+      (c) =>
+        fecha >= c.fechaInicio &&
+        fecha <= c.fechaFin &&
+        (c.servicioId == null || c.servicioId === Number(servicioId)) &&
+        (!c.desde ||
+          (aMinutos(horaInicio) < aMinutos(c.hasta) &&
+            aMinutos(horaFin) > aMinutos(c.desde)))
+    );
+  }
+
   // ========== GESTIÓN DE RESERVAS ==========
 
   /**
@@ -236,6 +692,74 @@ class AdminService {
     }
   }
 
+  /**
+   * Busca reservas paginadas; el filtrado y la ordenación se hacen en el
+   * backend, así que nunca se descarga el histórico completo
+   * @param {Object} opciones - Página y filtros
+   * @param {number} opciones.page - Página (empieza en 0)
+   * @param {number} opciones.size - Reservas por página
+   * @param {string} opciones.sort - Campo y dirección ("fecha,desc")
+   * @param {Object} opciones.filtros - { q, fecha, desde, hasta, estado,
+   *                                      servicioId, cliente }
+   * @returns {Promise<Object>} Página { content, number, size,
+   *                            totalElements, totalPages }
+   */
+  async buscarReservas({
+    page = 0,
+    size = 10,
+    sort = "fecha,desc",
+    ...filtros
+  } = {}) {
+    try {
+      // Los filtros vacíos no se envían
+      const params = Object.fromEntries(
+        Object.entries(filtros).filter(
+          ([, valor]) => valor !== "" && valor !== null && valor !== undefined
+        )
+      );
+
+      const response = await apiGet("/admin/reservas/buscar", {
+        params: { ...params, page, size, sort },
+      });
+      console.log(
+        `👑 Admin: página ${page + 1}/${response.data.totalPages || 1} (${
+          response.data.totalElements
+        } reservas)`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error buscando reservas:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todas las reservas que cumplen unos filtros, página a página
+   * (exportaciones y listados de un día)
+   * @param {Object} filtros - Los mismos filtros que buscarReservas
+   * @param {string} sort - Campo y dirección ("fecha,desc")
+   * @returns {Promise<Array>} Reservas filtradas
+   */
+  async getReservasFiltradas(filtros = {}, sort = "fecha,desc") {
+    const reservas = [];
+    let page = 0;
+    let totalPages = 1;
+
+    while (page < totalPages) {
+      const pagina = await this.buscarReservas({
+        ...filtros,
+        page,
+        size: 100,
+        sort,
+      });
+      reservas.push(...pagina.content);
+      totalPages = pagina.totalPages;
+      page++;
+    }
+
+    return reservas;
+  }
+
   /**
    * Obtiene las reservas de una fecha específica
    * @param {string} fecha - Fecha en formato YYYY-MM-DD
@@ -243,22 +767,10 @@ class AdminService {
    */
   async getReservasPorFecha(fecha) {
     try {
-      // El backend no tiene endpoint por fecha, obtenemos todas y filtramos
-      const response = await apiGet("/admin/reservas");
-
-      // Filtrar por fecha en el frontend
-      const reservasFecha = response.data.filter((r) => {
-        // La fecha puede venir como string "2025-10-21" o array [2025,10,21]
-        if (Array.isArray(r.fecha)) {
-          const [year, month, day] = r.fecha;
-          const fechaStr = `${year}-${String(month).padStart(2, "0")}-${String(
-            day
-          ).padStart(2, "0")}`;
-          return fechaStr === fecha;
-        }
-        return r.fecha === fecha;
-      });
-
+      const reservasFecha = await this.getReservasFiltradas(
+        { fecha },
+        "fecha,asc"
+      );
       console.log(`📅 ${reservasFecha.length} reservas para ${fecha}`);
       return reservasFecha;
     } catch (error) {
@@ -314,6 +826,62 @@ class AdminService {
     }
   }
 
+  /**
+   * Registra la llegada del cliente al salón (pasa a EN_ESPERA)
+   * @param {number} reservaId - ID de la reserva
+   * @returns {Promise<Object>} Reserva actualizada
+   */
+  async registrarLlegada(reservaId) {
+    try {
+      const response = await apiPatch(`/admin/reservas/${reservaId}/llegada`);
+      console.log(`🛎️ Reserva ${reservaId} en espera`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error registrando llegada de la reserva ${reservaId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Marca el inicio del servicio (pasa a EN_CURSO)
+   * @param {number} reservaId - ID de la reserva
+   * @returns {Promise<Object>} Reserva actualizada
+   */
+  async iniciarReserva(reservaId) {
+    try {
+      const response = await apiPatch(`/admin/reservas/${reservaId}/iniciar`);
+      console.log(`▶️ Reserva ${reservaId} en curso`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error iniciando reserva ${reservaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca la reserva como no presentada (cuenta como ausencia del cliente)
+   * @param {number} reservaId - ID de la reserva
+   * @returns {Promise<Object>} Reserva actualizada
+   */
+  async marcarNoPresentado(reservaId) {
+    try {
+      const response = await apiPatch(
+        `/admin/reservas/${reservaId}/no-presentado`
+      );
+      console.log(`🚫 Reserva ${reservaId} marcada como no presentada`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error marcando ausencia en reserva ${reservaId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
   /**
    * Cancela una reserva (admin puede cancelar cualquier reserva)
    * @param {number} reservaId - ID de la reserva
@@ -334,7 +902,8 @@ class AdminService {
    * Crea una reserva manual desde el panel de administración
    * @param {Object} reservaData - Datos de la reserva
    * @param {number} reservaData.franjaId - ID de la franja horaria
-   * @param {string} reservaData.usuarioEmail - Email del cliente
+   * @param {number} reservaData.usuarioId - ID de un cliente existente (o email)
+   * @param {string} reservaData.usuarioEmail - Email del cliente (sin usuarioId)
    * @param {string} reservaData.notas - Notas adicionales (opcional)
    * @returns {Promise<Object>} Reserva creada
    */
@@ -345,14 +914,17 @@ class AdminService {
         throw new Error("La franja horaria es obligatoria");
       }
 
-      if (!reservaData.usuarioEmail) {
-        throw new Error("El email del cliente es obligatorio");
-      }
+      // Con un cliente ya elegido (consola de recepción) no hace falta email
+      if (!reservaData.usuarioId) {
+        if (!reservaData.usuarioEmail) {
+          throw new Error("El email del cliente es obligatorio");
+        }
 
-      // Validar formato de email
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(reservaData.usuarioEmail)) {
-        throw new Error("El formato del email no es válido");
+        // Validar formato de email
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(reservaData.usuarioEmail)) {
+          throw new Error("El formato del email no es válido");
+        }
       }
 
       const response = await apiPost("/admin/reservas/manual", reservaData);
@@ -558,6 +1130,23 @@ class AdminService {
     }
   }
 
+  /**
+   * Obtiene las franjas con plaza de un día en todos los servicios
+   * (consola de recepción)
+   * @param {string} fecha - Fecha (YYYY-MM-DD)
+   * @returns {Promise<Array>} Franjas libres ordenadas por hora
+   */
+  async getFranjasLibres(fecha) {
+    try {
+      const response = await apiGet(`/admin/franjas/libres?fecha=${fecha}`);
+      console.log(`📅 ${response.data.length} franjas libres el ${fecha}`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error obteniendo franjas libres:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene franjas por rango de fechas (para vista calendario)
    * @param {string} desde - Fecha inicio (YYYY-MM-DD)
@@ -688,6 +1277,46 @@ class AdminService {
     }
   }
 
+  /**
+   * Búsqueda rápida de clientes por teléfono, nombre o email
+   * @param {string} q - Texto a buscar (mínimo 2 caracteres)
+   * @returns {Promise<Array>} Clientes que coinciden (máximo 8)
+   */
+  async buscarClientes(q) {
+    try {
+      const response = await apiGet(
+        `/admin/usuarios/buscar?q=${encodeURIComponent(q)}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error buscando clientes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Da de alta a un cliente sin cuenta (llamada o cliente que entra)
+   * @param {Object} cliente - { nombre, telefono, email (opcional) }
+   * @returns {Promise<Object>} Cliente creado
+   */
+  async crearClienteInvitado(cliente) {
+    try {
+      if (!cliente.nombre?.trim()) {
+        throw new Error("El nombre del cliente es obligatorio");
+      }
+      if (!/^[679]\d{8}$/.test((cliente.telefono || "").replace(/\s/g, ""))) {
+        throw new Error("El teléfono debe tener 9 dígitos");
+      }
+
+      const response = await apiPost("/admin/usuarios/invitado", cliente);
+      console.log("✅ Cliente creado:", response.data.nombre);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error creando cliente:", error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene un usuario por ID
    * @param {number} usuarioId - ID del usuario
@@ -703,6 +1332,193 @@ class AdminService {
       throw error;
     }
   }
+
+  /**
+   * Cambia el rol de un usuario (no se puede cambiar el propio)
+   * @param {number} usuarioId - ID del usuario
+   * @param {string} rol - CLIENTE o ADMIN
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  async cambiarRolUsuario(usuarioId, rol) {
+    try {
+      const response = await apiPatch(`/admin/usuarios/${usuarioId}/rol`, {
+        rol,
+      });
+      console.log(`✅ Usuario ${usuarioId} ahora es ${rol}`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error cambiando rol del usuario ${usuarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suspende una cuenta: no podrá iniciar sesión y se cierran sus sesiones
+   * @param {number} usuarioId - ID del usuario
+   * @param {Object} suspension - { motivo, hasta } (hasta YYYY-MM-DD o null = sin fecha de fin)
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  async suspenderUsuario(usuarioId, { motivo, hasta = null }) {
+    try {
+      const response = await apiPut(`/admin/usuarios/${usuarioId}/suspension`, {
+        motivo,
+        hasta,
+      });
+      console.log(`⛔ Usuario ${usuarioId} suspendido`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error suspendiendo usuario ${usuarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Levanta la suspensión de una cuenta
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  async reactivarUsuario(usuarioId) {
+    try {
+      const response = await apiDelete(
+        `/admin/usuarios/${usuarioId}/suspension`
+      );
+      console.log(`✅ Usuario ${usuarioId} reactivado`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error reactivando usuario ${usuarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una cuenta y envía al usuario un enlace para elegir su contraseña
+   * (p. ej. clientes que reservan por teléfono)
+   * @param {Object} datos - { nombre, email, telefono, rol }
+   * @returns {Promise<Object>} Usuario creado (con invitacionPendiente)
+   */
+  async invitarUsuario(datos) {
+    try {
+      const response = await apiPost("/admin/usuarios/invitar", {
+        ...datos,
+        email: normalizarEmail(datos.email),
+      });
+      console.log(`📧 Invitación enviada a ${response.data.email}`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error invitando usuario:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reenvía la invitación de un usuario que aún no ha elegido contraseña
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Object>} Mensaje de confirmación
+   */
+  async reenviarInvitacion(usuarioId) {
+    try {
+      const response = await apiPost(`/admin/usuarios/${usuarioId}/invitacion`);
+      console.log(`📧 Invitación reenviada al usuario ${usuarioId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error reenviando invitación ${usuarioId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el historial de reservas de un usuario (más recientes primero)
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Array>} Reservas del usuario
+   */
+  async getReservasUsuario(usuarioId) {
+    try {
+      const response = await apiGet(`/admin/usuarios/${usuarioId}/reservas`);
+      console.log(
+        `📋 ${response.data.length} reservas del usuario ${usuarioId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error obteniendo reservas del usuario ${usuarioId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la ficha interna de un cliente (alergias, preferencias y
+   * notas privadas del personal)
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Object>} Ficha del cliente
+   */
+  async getFichaCliente(usuarioId) {
+    try {
+      const response = await apiGet(`/admin/usuarios/${usuarioId}/ficha`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error obteniendo ficha del usuario ${usuarioId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda la ficha interna de un cliente
+   * @param {number} usuarioId - ID del usuario
+   * @param {Object} ficha - { alergias, preferencias, notas }
+   * @returns {Promise<Object>} Ficha guardada
+   */
+  async guardarFichaCliente(usuarioId, ficha) {
+    try {
+      const response = await apiPut(
+        `/admin/usuarios/${usuarioId}/ficha`,
+        ficha
+      );
+      console.log(`✅ Ficha del usuario ${usuarioId} guardada`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        `❌ Error guardando ficha del usuario ${usuarioId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Resume el historial de un cliente: reservas, gasto (solo las
+   * completadas), cancelaciones y ausencias
+   * @param {Array} reservas - Reservas del cliente
+   * @returns {Object} { total, completadas, canceladas, noPresentadas, gastoTotal, proxima }
+   */
+  getResumenCliente(reservas) {
+    const contar = (estado) =>
+      reservas.filter((r) => r.estado === estado).length;
+    const hoy = new Date().toISOString().split("T")[0];
+
+    return {
+      total: reservas.length,
+      completadas: contar("COMPLETADA"),
+      canceladas: contar("CANCELADA"),
+      noPresentadas: contar("NO_PRESENTADO"),
+      gastoTotal: reservas
+        .filter((r) => r.estado === "COMPLETADA")
+        .reduce((total, r) => total + (r.precioFinal || 0), 0),
+      // Las reservas llegan de la más reciente a la más antigua
+      proxima:
+        [...reservas]
+          .reverse()
+          .find(
+            (r) =>
+              r.fecha >= hoy &&
+              (r.estado === "PENDIENTE" || r.estado === "CONFIRMADA")
+          ) || null,
+    };
+  }
 }
 
 export default new AdminService();
@@ -1,31 +1,101 @@
 // Import axios para hacer peticiones HTTP
 import axios from "axios";
+import configService from "./configService";
+import authService from "./authService";
 
-// URL base del backend
-const API_URL = "https://beautybooking-backend-production.up.railway.app";
+// Configuración de build (se completa con config.json en applyConfig)
+const { apiUrl, timeout } = configService.get();
 
 // Creamos una instancia personalizada de axios
 // Esto nos permite configurar opciones por defecto para todas las peticiones
 const api = axios.create({
-  baseURL: API_URL,
+  baseURL: apiUrl,
   headers: {
     "Content-Type": "application/json", // Indicamos que enviamos JSON
   },
-  timeout: 10000, // 10 segundos de timeout
+  timeout, // 10 segundos por defecto (VITE_API_TIMEOUT)
 });
 
+/**
+ * Aplica la configuración de entorno a la instancia de axios
+ * Se llama al arrancar, después de cargar el config.json de runtime
+ * @param {Object} config - Configuración resuelta por configService
+ */
+export const applyConfig = async (config) => {
+  api.defaults.baseURL = config.apiUrl;
+  api.defaults.timeout = config.timeout;
+
+  // Backend simulado: se importa bajo demanda para no cargarlo en producción
+  if (config.useMock) {
+    const { default: mockAdapter } = await import("./mock/mockAdapter");
+    api.defaults.adapter = mockAdapter;
+    console.log("🧪 Backend simulado activo (datos en localStorage)");
+  }
+};
+
+// Logger que respeta el nivel de verbosidad configurado (VITE_LOG_LEVEL)
+const logger = {
+  debug: (...args) => configService.shouldLog("debug") && console.log(...args),
+  error: (...args) =>
+    configService.shouldLog("error") && console.error(...args),
+  info: (...args) => configService.shouldLog("info") && console.log(...args),
+};
+
+// Rutas de autenticación (login, registro, refresh...)
+const isAuthRoute = (config) => !!config?.url?.startsWith("/auth/");
+
+/**
+ * Indica si una petición puede intentar renovar la sesión ante un 401
+ * Las rutas de /auth nunca lo hacen
+ */
+const canRefresh = (config) =>
+  !!config &&
+  !config.skipAuthRefresh &&
+  !config._retry &&
+  !isAuthRoute(config) &&
+  !!authService.getRefreshToken();
+
+/**
+ * Convierte un error de axios en un Error legible para la UI
+ */
+const toApiError = (error) => {
+  // Si el servidor devuelve un mensaje de error
+  const message =
+    error.response?.data?.message ||
+    error.response?.data?.error ||
+    "Error al procesar la solicitud";
+
+  // Creamos un error más legible
+  const customError = new Error(message);
+  customError.status = error.response?.status;
+  customError.data = error.response?.data;
+
+  return customError;
+};
+
 // INTERCEPTOR DE REQUEST (antes de enviar la petición)
 // Se ejecuta automáticamente antes de cada petición
 api.interceptors.request.use(
-  (config) => {
-    // Obtenemos el token del localStorage (si existe)
-    const token = localStorage.getItem("token");
+  async (config) => {
+    // Si el token ya ha caducado, lo renovamos antes de enviar
+    if (authService.getToken() && !authService.isTokenValid()) {
+      if (canRefresh(config)) {
+        try {
+          await authService.refreshSession();
+        } catch {
+          // Si falla, el 401 del backend terminará la sesión
+        }
+      }
+    }
+
+    // Obtenemos el token del almacenamiento (si existe)
+    const token = authService.getToken();
 
     // Si hay token, lo añadimos al header Authorization
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
-    console.log(
+    logger.debug(
       `📤 ${config.method.toUpperCase()} ${config.url}`,
       config.data || ""
     );
@@ -34,7 +104,7 @@ api.interceptors.request.use(
   },
   (error) => {
     // Si hay error antes de enviar la petición
-    console.error("❌ Error en request:", error);
+    logger.error("❌ Error en request:", error);
     return Promise.reject(error);
   }
 );
@@ -44,43 +114,44 @@ api.interceptors.request.use(
 api.interceptors.response.use(
   (response) => {
     // Si la respuesta es exitosa (status 2xx)
-    console.log(`📥 Response de ${response.config.url}:`, response.data);
+    logger.debug(`📥 Response de ${response.config.url}:`, response.data);
     return response;
   },
-  (error) => {
+  async (error) => {
     // Si hay error en la respuesta
-    console.error(
+    logger.error(
       "❌ Error en response:",
       error.response?.data || error.message
     );
 
+    const originalRequest = error.config;
+
     // Manejo especial para errores de autenticación
     if (error.response?.status === 401) {
-      // Token expirado o inválido
-      console.log("🔒 No autorizado - redirigiendo a login");
-
-      // Limpiamos el localStorage
-      localStorage.removeItem("token");
-      localStorage.removeItem("user");
+      // Token expirado: intentamos renovarlo y repetir la petición.
+      // Las peticiones que fallen mientras se renueva esperan a la misma
+      // renovación (refreshSession comparte la promesa) y se reenvían después
+      if (canRefresh(originalRequest)) {
+        try {
+          const token = await authService.refreshSession();
+          originalRequest._retry = true;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          logger.info(`🔁 Reintentando ${originalRequest.url}`);
+          return api(originalRequest);
+        } catch {
+          logger.info("🔒 No se pudo renovar la sesión");
+        }
+      }
 
-      // Redirigimos a login (si no estamos ya ahí)
-      if (window.location.pathname !== "/login") {
-        window.location.href = "/login";
+      // Token inválido y sin renovación posible: cerramos la sesión.
+      // AuthContext redirige a login conservando la ruta actual
+      if (authService.getToken() && !isAuthRoute(originalRequest)) {
+        logger.info("🔒 No autorizado - redirigiendo a login");
+        authService.expireSession();
       }
     }
 
-    // Si el servidor devuelve un mensaje de error
-    const message =
-      error.response?.data?.message ||
-      error.response?.data?.error ||
-      "Error al procesar la solicitud";
-
-    // Creamos un error más legible
-    const customError = new Error(message);
-    customError.status = error.response?.status;
-    customError.data = error.response?.data;
-
-    return Promise.reject(customError);
+    return Promise.reject(toApiError(error));
   }
 );
 
@@ -1,4 +1,7 @@
 import { apiPost } from "./api";
+import configService from "./configService";
+import { isValidPassword, normalizarEmail } from "../utils/helpers";
+import { tienePermiso } from "../utils/permisos";
 
 /**
  * authService - Servicio centralizado para autenticación
@@ -6,33 +9,59 @@ import { apiPost } from "./api";
  * Este servicio maneja:
  * - Login de usuarios
  * - Registro de nuevos usuarios
- * - Gestión del token JWT
+ * - Gestión del token JWT (expiración y renovación)
  * - Información del usuario actual
+ * - Política "Recordarme": sessionStorage por defecto o localStorage
+ *   con caducidad configurable si el usuario marca la casilla
+ * - Cierre de sesión sincronizado entre pestañas
  */
 
 class AuthService {
   constructor() {
-    // Clave para guardar el token en localStorage
+    // Clave para guardar el token
     this.tokenKey = "token";
     // Clave para guardar los datos del usuario
     this.userKey = "user";
+    // Clave para guardar el refresh token
+    this.refreshTokenKey = "refreshToken";
+    // Clave con la fecha límite de una sesión recordada (localStorage)
+    this.sessionExpiresKey = "sessionExpiresAt";
+    // Clave usada para avisar a otras pestañas de un logout
+    this.logoutEventKey = "logoutEvent";
+
+    // Renovación en curso (para no pedir varios tokens a la vez)
+    this.refreshPromise = null;
+
+    // Suscriptores a eventos de sesión ("refreshed", "expired", "logout")
+    this.listeners = { refreshed: [], expired: [], logout: [] };
+
+    // Escuchamos los logouts hechos en otras pestañas
+    if (typeof window !== "undefined") {
+      window.addEventListener("storage", (e) => this.handleStorageEvent(e));
+    }
   }
 
   /**
    * Login - Autentica un usuario
    * @param {string} email - Email del usuario
    * @param {string} password - Contraseña
+   * @param {boolean} rememberMe - Mantener la sesión al cerrar el navegador
    * @returns {Promise} Promesa con los datos del usuario y token
    */
-  async login(email, password) {
+  async login(email, password, rememberMe = false) {
     try {
       // Llamada al endpoint de login
-      const response = await apiPost("/auth/login", { email, password });
+      const response = await apiPost("/auth/login", {
+        email: normalizarEmail(email),
+        password,
+      });
       const data = response.data;
 
       if (data.token) {
-        // Guardamos el token en localStorage
+        // Elegimos dónde guardar la sesión y guardamos el token
+        this.startSession(rememberMe);
         this.setToken(data.token);
+        this.setRefreshToken(data.refreshToken);
 
         // Se manejan las respuestas
         const usuario = data.usuario || {
@@ -78,7 +107,7 @@ class AuthService {
 
       // Llamada al endpoint de registro
       const response = await apiPost("/auth/register", {
-        email: userData.email,
+        email: normalizarEmail(userData.email),
         password: userData.password,
         nombre: userData.nombre,
         telefono: userData.telefono,
@@ -89,7 +118,10 @@ class AuthService {
 
       // Si el registro devuelve token, hacemos login automático
       if (data.token) {
+        // Sesión no recordada: dura lo que la pestaña
+        this.startSession(false);
         this.setToken(data.token);
+        this.setRefreshToken(data.refreshToken);
 
         // Manejar ambas estructuras de respuesta
         const usuario = data.usuario || {
@@ -110,19 +142,167 @@ class AuthService {
     }
   }
 
+  /**
+   * Solicita un enlace de recuperación de contraseña
+   * El backend responde igual exista o no el email
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise} Promesa con la respuesta del servidor
+   */
+  async requestPasswordReset(email) {
+    try {
+      if (!email) {
+        throw new Error("El email es obligatorio");
+      }
+
+      const response = await apiPost("/auth/forgot-password", {
+        email: normalizarEmail(email),
+      });
+      console.log("📧 Solicitud de recuperación enviada");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error solicitando recuperación:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Establece una nueva contraseña con el token del enlace de recuperación
+   * @param {string} token - Token recibido por email
+   * @param {string} password - Nueva contraseña
+   * @returns {Promise} Promesa con la respuesta del servidor
+   */
+  async resetPassword(token, password) {
+    try {
+      if (!token) {
+        throw new Error("El enlace de recuperación no es válido");
+      }
+
+      // Mismas reglas que en el registro
+      if (!isValidPassword(password)) {
+        throw new Error(
+          "La contraseña debe tener mínimo 8 caracteres, una mayúscula, una minúscula y un número"
+        );
+      }
+
+      const response = await apiPost("/auth/reset-password", {
+        token,
+        password,
+      });
+
+      // Cualquier sesión guardada deja de ser válida
+      this.clearSession();
+      console.log("✅ Contraseña restablecida");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error restableciendo contraseña:", error);
+      throw error;
+    }
+  }
+
   /**
    * Logout - Cierra la sesión del usuario
-   * Limpia el localStorage y redirige a login
+   * Limpia el almacenamiento y avisa a las demás pestañas;
+   * la navegación a login la hace el router
    */
   logout() {
-    // Limpiamos todo el localStorage relacionado con la sesión
-    localStorage.removeItem(this.tokenKey);
-    localStorage.removeItem(this.userKey);
-
+    this.clearSession();
+    this.broadcastLogout();
     console.log("👋 Logout exitoso");
+  }
+
+  /**
+   * Prepara el almacenamiento para una nueva sesión
+   * @param {boolean} rememberMe - true = localStorage con caducidad,
+   *                               false = sessionStorage (solo esta pestaña)
+   */
+  startSession(rememberMe) {
+    // La sesión de esta pestaña siempre se descarta; la recordada solo si
+    // la sustituimos: una sesión sin "Recordarme" no debe cerrar las demás
+    // pestañas (para eso está broadcastLogout)
+    this.clearStorage(sessionStorage);
+
+    if (rememberMe) {
+      this.clearStorage(localStorage);
+      const days = configService.get().rememberMeDays;
+      const expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+      localStorage.setItem(this.sessionExpiresKey, String(expiresAt));
+    }
+    this.storage = rememberMe ? localStorage : sessionStorage;
+  }
+
+  /**
+   * Devuelve el almacenamiento donde vive la sesión actual
+   * La de esta pestaña tiene prioridad sobre la recordada, y una sesión
+   * recordada cuya caducidad ya pasó se descarta
+   * @returns {Storage} localStorage o sessionStorage
+   */
+  getStorage() {
+    if (
+      this.storage === sessionStorage ||
+      sessionStorage.getItem(this.tokenKey)
+    ) {
+      return sessionStorage;
+    }
+    if (localStorage.getItem(this.tokenKey)) {
+      const expiresAt = Number(localStorage.getItem(this.sessionExpiresKey));
+      if (expiresAt && Date.now() > expiresAt) {
+        console.log("⌛ La sesión recordada ha caducado");
+        this.clearStorage(localStorage);
+        return sessionStorage;
+      }
+      return localStorage;
+    }
+    return this.storage || sessionStorage;
+  }
+
+  /**
+   * Indica si la sesión actual es recordada (persistente)
+   * @returns {boolean} true si vive en localStorage
+   */
+  isRemembered() {
+    return this.getStorage() === localStorage;
+  }
+
+  /**
+   * Elimina token, refresh token y usuario de los dos almacenamientos
+   */
+  clearSession() {
+    this.clearStorage(localStorage);
+    this.clearStorage(sessionStorage);
+    this.storage = null;
+  }
+
+  /**
+   * Elimina las claves de sesión de un almacenamiento concreto
+   * @param {Storage} storage - localStorage o sessionStorage
+   */
+  clearStorage(storage) {
+    storage.removeItem(this.tokenKey);
+    storage.removeItem(this.refreshTokenKey);
+    storage.removeItem(this.userKey);
+    storage.removeItem(this.sessionExpiresKey);
+  }
+
+  /**
+   * Avisa a las demás pestañas de que se ha cerrado la sesión
+   * (el evento storage solo se dispara en las otras pestañas)
+   */
+  broadcastLogout() {
+    localStorage.setItem(this.logoutEventKey, String(Date.now()));
+    localStorage.removeItem(this.logoutEventKey);
+  }
+
+  /**
+   * Reacciona a cambios de localStorage hechos en otra pestaña
+   * @param {StorageEvent} e - Evento storage
+   */
+  handleStorageEvent(e) {
+    if (e.key !== this.logoutEventKey || !e.newValue) return;
 
-    // Redirigimos a la página de login
-    window.location.href = "/login";
+    // La sesión de esta pestaña puede estar en sessionStorage: la limpiamos
+    this.clearSession();
+    console.log("👋 Sesión cerrada desde otra pestaña");
+    this.emit("logout");
   }
 
   /**
@@ -130,15 +310,33 @@ class AuthService {
    * @returns {string|null} Token JWT o null si no existe
    */
   getToken() {
-    return localStorage.getItem(this.tokenKey);
+    return this.getStorage().getItem(this.tokenKey);
   }
 
   /**
-   * Guarda el token en localStorage
+   * Guarda el token en el almacenamiento de la sesión
    * @param {string} token - Token JWT
    */
   setToken(token) {
-    localStorage.setItem(this.tokenKey, token);
+    this.getStorage().setItem(this.tokenKey, token);
+  }
+
+  /**
+   * Obtiene el refresh token almacenado
+   * @returns {string|null} Refresh token o null si no existe
+   */
+  getRefreshToken() {
+    return this.getStorage().getItem(this.refreshTokenKey);
+  }
+
+  /**
+   * Guarda el refresh token (si el backend lo envía)
+   * @param {string} refreshToken - Refresh token
+   */
+  setRefreshToken(refreshToken) {
+    if (refreshToken) {
+      this.getStorage().setItem(this.refreshTokenKey, refreshToken);
+    }
   }
 
   /**
@@ -146,7 +344,7 @@ class AuthService {
    * @returns {Object|null} Datos del usuario o null
    */
   getUser() {
-    const userStr = localStorage.getItem(this.userKey);
+    const userStr = this.getStorage().getItem(this.userKey);
     if (userStr) {
       try {
         return JSON.parse(userStr);
@@ -159,11 +357,11 @@ class AuthService {
   }
 
   /**
-   * Guarda los datos del usuario en localStorage
+   * Guarda los datos del usuario en el almacenamiento de la sesión
    * @param {Object} user - Datos del usuario
    */
   setUser(user) {
-    localStorage.setItem(this.userKey, JSON.stringify(user));
+    this.getStorage().setItem(this.userKey, JSON.stringify(user));
   }
 
   /**
@@ -187,7 +385,7 @@ class AuthService {
 
   /**
    * Obtiene el rol del usuario actual
-   * @returns {string|null} Rol del usuario (CLIENTE/ADMIN) o null
+   * @returns {string|null} Rol del usuario (CLIENTE/RECEPCION/ESTILISTA/ADMIN) o null
    */
   getUserRole() {
     const user = this.getUser();
@@ -195,7 +393,16 @@ class AuthService {
   }
 
   /**
-   * Actualiza los datos del usuario en localStorage
+   * Verifica si el rol del usuario actual tiene uno o varios permisos
+   * @param {string|Array<string>} permisos - Permisos requeridos (todos)
+   * @returns {boolean} true si los tiene todos
+   */
+  hasPermission(permisos) {
+    return tienePermiso(this.getUserRole(), permisos);
+  }
+
+  /**
+   * Actualiza los datos del usuario guardados
    * Útil después de editar perfil
    * @param {Object} updatedUser - Datos actualizados
    */
@@ -208,15 +415,126 @@ class AuthService {
     }
   }
 
+  /**
+   * Decodifica el payload de un JWT (sin verificar la firma)
+   * @param {string} token - Token JWT
+   * @returns {Object|null} Claims del token o null si no es un JWT válido
+   */
+  decodeToken(token) {
+    try {
+      const payload = token.split(".")[1];
+      // base64url → base64
+      const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+      const json = decodeURIComponent(
+        atob(base64)
+          .split("")
+          .map((c) => "%" + c.charCodeAt(0).toString(16).padStart(2, "0"))
+          .join("")
+      );
+      return JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene la fecha de expiración del token actual (claim exp)
+   * @returns {number|null} Timestamp en ms o null si no tiene exp
+   */
+  getTokenExpiration() {
+    const token = this.getToken();
+    if (!token) return null;
+
+    const payload = this.decodeToken(token);
+    return payload?.exp ? payload.exp * 1000 : null;
+  }
+
+  /**
+   * Milisegundos que quedan hasta que expire el token
+   * @returns {number|null} Tiempo restante o null si no se puede saber
+   */
+  getTimeUntilExpiration() {
+    const expiration = this.getTokenExpiration();
+    return expiration ? expiration - Date.now() : null;
+  }
+
   /**
    * Verificar si el token ha expirado
-   * @returns {boolean} true si el token parece válido
+   * @returns {boolean} true si hay token y no ha expirado
    */
   isTokenValid() {
     const token = this.getToken();
     if (!token) return false;
 
-    return true;
+    // Si el token no trae exp, lo damos por válido y decide el backend
+    const remaining = this.getTimeUntilExpiration();
+    return remaining === null || remaining > 0;
+  }
+
+  /**
+   * Renueva el token de acceso usando el refresh token
+   * Si ya hay una renovación en curso, devuelve la misma promesa
+   * @returns {Promise<string>} Nuevo token de acceso
+   */
+  refreshSession() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return Promise.reject(new Error("No hay refresh token disponible"));
+    }
+
+    this.refreshPromise = apiPost(
+      "/auth/refresh",
+      { refreshToken },
+      { skipAuthRefresh: true }
+    )
+      .then((response) => {
+        const data = response.data;
+        this.setToken(data.token);
+        this.setRefreshToken(data.refreshToken);
+        console.log("🔄 Sesión renovada");
+        this.emit("refreshed");
+        return data.token;
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Marca la sesión como expirada: limpia datos y avisa a los suscriptores
+   * (AuthContext redirige a login conservando la ruta actual)
+   */
+  expireSession() {
+    this.clearSession();
+    console.log("🔒 Sesión expirada");
+    this.emit("expired");
+  }
+
+  /**
+   * Suscribe a eventos de sesión
+   * @param {string} event - "refreshed" o "expired"
+   * @param {Function} listener - Función a ejecutar
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  on(event, listener) {
+    this.listeners[event].push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(
+        (l) => l !== listener
+      );
+    };
+  }
+
+  /**
+   * Notifica un evento de sesión a los suscriptores
+   * @param {string} event - Nombre del evento
+   */
+  emit(event) {
+    this.listeners[event].forEach((listener) => listener());
   }
 }
 
@@ -1,17 +1,36 @@
+import { format, parseISO, subHours } from "date-fns";
 import { apiGet, apiPost, apiPut, apiDelete } from "./api";
 import authService from "./authService";
+import configService from "./configService";
+
+// Tiempo que se reutiliza la disponibilidad de un mes ya consultado
+const DISPONIBILIDAD_TTL_MS = 5 * 60 * 1000; // 5 minutos
+
+// A partir de cuántas franjas libres un día deja de tener "pocas"
+const POCAS_FRANJAS = 2;
+
+// Espera máxima entre dos servicios seguidos de una misma cita
+const MAX_ESPERA_ENTRE_SERVICIOS = 30; // minutos
 
 /**
  * bookingService - Servicio para gestionar reservas y servicios
  *
  * Maneja:
- * - Consulta de servicios disponibles
- * - Franjas horarias disponibles
- * - Creación de reservas
- * - Consulta y cancelación de reservas del usuario
+ * - Consulta de servicios disponibles y de sus profesionales
+ * - Franjas horarias disponibles (de un profesional o de cualquiera)
+ * - Creación de reservas (sueltas o agrupadas en una cita de varios servicios)
+ * - Consulta, cambio de fecha y cancelación de reservas del usuario
+ * - Lista de espera de franjas completas
+ * - Disponibilidad por día para el calendario (con caché por mes)
  */
 
 class BookingService {
+  constructor() {
+    // Caché de disponibilidad: "servicioId:yyyy-MM:profesional" ->
+    // { promise, timestamp }
+    this.disponibilidadCache = new Map();
+  }
+
   // ========== SERVICIOS ==========
 
   /**
@@ -45,15 +64,56 @@ class BookingService {
     }
   }
 
+  /**
+   * Obtiene las categorías del catálogo, con su número de servicios activos
+   * @returns {Promise<Array>} Lista de categorías ordenadas
+   */
+  async getCategorias() {
+    try {
+      const response = await apiGet("/categorias");
+      console.log(`🗂️ Categorías obtenidas: ${response.data.length}`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo categorías:", error);
+      throw error;
+    }
+  }
+
+  // ========== PROFESIONALES ==========
+
+  /**
+   * Obtiene los profesionales que realizan un servicio
+   * @param {number} servicioId - ID del servicio
+   * @returns {Promise<Array>} Lista de profesionales ({ id, nombre, foto })
+   */
+  async getProfesionales(servicioId) {
+    try {
+      const response = await apiGet("/profesionales", {
+        params: { servicioId },
+      });
+      console.log(
+        `💇 Profesionales del servicio ${servicioId}:`,
+        response.data.length
+      );
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo profesionales:", error);
+      throw error;
+    }
+  }
+
   // ========== FRANJAS HORARIAS ==========
 
   /**
    * Obtiene las franjas horarias disponibles para un servicio en una fecha
+   * Sin profesional, las franjas a la misma hora se agrupan en una sola
+   * (la que tiene más plazas libres): al cliente le da igual quién le atienda
    * @param {number} servicioId - ID del servicio
    * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @param {number|null} profesionalId - Profesional elegido (null = cualquiera)
    * @returns {Promise<Array>} Lista de franjas horarias disponibles
    */
-  async getFranjasDisponibles(servicioId, fecha) {
+  async getFranjasDisponibles(servicioId, fecha, profesionalId = null) {
     try {
       // Validación de formato de fecha
       if (!fecha.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -61,7 +121,11 @@ class BookingService {
       }
 
       const response = await apiGet("/franjas/disponibles", {
-        params: { servicioId, fecha },
+        params: {
+          servicioId,
+          fecha,
+          profesionalId: profesionalId || undefined,
+        },
       });
 
       console.log(
@@ -69,8 +133,20 @@ class BookingService {
         response.data.length
       );
 
+      let franjas = response.data;
+      if (!profesionalId) {
+        const porHora = new Map();
+        franjas.forEach((franja) => {
+          const actual = porHora.get(franja.horaInicio);
+          if (!actual || franja.plazasDisponibles > actual.plazasDisponibles) {
+            porHora.set(franja.horaInicio, franja);
+          }
+        });
+        franjas = [...porHora.values()];
+      }
+
       // Procesamos las franjas para añadir información útil
-      const franjasConInfo = response.data.map((franja) => ({
+      const franjasConInfo = franjas.map((franja) => ({
         ...franja,
         // Añadimos propiedades útiles para el frontend
         horaFormateada: this.formatearHora(franja.horaInicio),
@@ -86,6 +162,92 @@ class BookingService {
     }
   }
 
+  /**
+   * Obtiene cuántas franjas libres tiene cada día de un mes
+   * Los meses ya consultados se sirven desde caché durante unos minutos
+   * @param {number} servicioId - ID del servicio
+   * @param {Date|string} month - Cualquier fecha del mes o "yyyy-MM"
+   * @param {Object} options - { forzar: true } para ignorar la caché,
+   *                           { profesionalId } para un solo profesional
+   * @returns {Promise<Object>} Mapa "yyyy-MM-dd" -> { franjasTotales,
+   *                            franjasLibres, plazasLibres, nivel }
+   */
+  async getDisponibilidadMensual(
+    servicioId,
+    month,
+    { forzar = false, profesionalId = null } = {}
+  ) {
+    const mes = typeof month === "string" ? month : format(month, "yyyy-MM");
+    if (!/^\d{4}-\d{2}$/.test(mes)) {
+      throw new Error("Formato de mes inválido. Use YYYY-MM");
+    }
+
+    const key = `${servicioId}:${mes}:${profesionalId || "cualquiera"}`;
+    const cached = this.disponibilidadCache.get(key);
+    if (
+      !forzar &&
+      cached &&
+      Date.now() - cached.timestamp < DISPONIBILIDAD_TTL_MS
+    ) {
+      return cached.promise;
+    }
+
+    // Guardamos la promesa para que una precarga y una consulta
+    // simultáneas del mismo mes compartan la petición
+    const promise = apiGet("/franjas/disponibilidad", {
+      params: { servicioId, mes, profesionalId: profesionalId || undefined },
+    })
+      .then((response) => {
+        console.log(
+          `📅 Disponibilidad de ${mes} para servicio ${servicioId}:`,
+          `${response.data.length} días con franjas`
+        );
+
+        return Object.fromEntries(
+          response.data.map((dia) => [
+            dia.fecha,
+            { ...dia, nivel: this.getNivelDisponibilidad(dia) },
+          ])
+        );
+      })
+      .catch((error) => {
+        this.disponibilidadCache.delete(key);
+        console.error("❌ Error obteniendo disponibilidad:", error);
+        throw error;
+      });
+
+    this.disponibilidadCache.set(key, { promise, timestamp: Date.now() });
+    return promise;
+  }
+
+  /**
+   * Clasifica un día según las franjas que le quedan libres
+   * @param {Object} dia - Disponibilidad del día (puede ser undefined)
+   * @returns {string} "sin-franjas", "completo", "pocas" o "muchas"
+   */
+  getNivelDisponibilidad(dia) {
+    if (!dia || dia.franjasTotales === 0) return "sin-franjas";
+    if (dia.franjasLibres === 0) return "completo";
+    if (dia.franjasLibres <= POCAS_FRANJAS) return "pocas";
+    return "muchas";
+  }
+
+  /**
+   * Descarta la disponibilidad cacheada (tras reservar o cancelar)
+   * @param {number} servicioId - Solo la de este servicio (opcional)
+   */
+  invalidarDisponibilidad(servicioId = null) {
+    if (servicioId === null) {
+      this.disponibilidadCache.clear();
+      return;
+    }
+    for (const key of this.disponibilidadCache.keys()) {
+      if (key.startsWith(`${servicioId}:`)) {
+        this.disponibilidadCache.delete(key);
+      }
+    }
+  }
+
   // ========== RESERVAS ==========
 
   /**
@@ -113,6 +275,9 @@ class BookingService {
       const response = await apiPost("/reservas", dataToSend);
       console.log("✅ Reserva creada:", response.data);
 
+      // La franja tiene una plaza menos
+      this.invalidarDisponibilidad();
+
       return response.data;
     } catch (error) {
       console.error("❌ Error creando reserva:", error);
@@ -121,6 +286,99 @@ class BookingService {
     }
   }
 
+  /**
+   * Crea de una vez las reservas de una cita con varios servicios
+   * El backend las reserva todas o ninguna y les asigna el mismo grupoId
+   * @param {Object} citaData - { franjaIds: [ids en orden], notas }
+   * @returns {Promise<Object>} { grupoId, reservas, precioTotal }
+   */
+  async crearReservaAgrupada({ franjaIds, notas }) {
+    try {
+      if (!authService.getUser()) {
+        throw new Error("Debes iniciar sesión para hacer una reserva");
+      }
+      if (!franjaIds?.length) {
+        throw new Error("La cita no tiene ningún servicio");
+      }
+
+      const response = await apiPost("/reservas/grupo", {
+        franjaIds,
+        notas: notas || "",
+      });
+      console.log("✅ Cita agrupada creada:", response.data);
+
+      this.invalidarDisponibilidad();
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error creando la cita agrupada:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca en un día las combinaciones de franjas que permiten hacer varios
+   * servicios seguidos: cada uno empieza cuando termina el anterior (según
+   * su duracionMinutos), con una espera máxima de MAX_ESPERA_ENTRE_SERVICIOS
+   * @param {Array} servicios - Servicios en el orden en que se harán
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Array>} Citas posibles { horaInicio, horaFin, lineas }
+   *                           donde cada línea es { servicio, franja,
+   *                           horaInicio, horaFin }
+   */
+  async buscarCitasEncadenadas(servicios, fecha) {
+    try {
+      const franjasPorServicio = await Promise.all(
+        servicios.map((servicio) =>
+          this.getFranjasDisponibles(servicio.id, fecha).then((franjas) =>
+            franjas
+              .filter((f) => f.disponible)
+              .sort((a, b) => a.horaInicio.localeCompare(b.horaInicio))
+          )
+        )
+      );
+
+      const crearLinea = (servicio, franja) => ({
+        servicio,
+        franja,
+        horaInicio: franja.horaInicio,
+        horaFin: this.calcularHoraFin(
+          franja.horaInicio,
+          servicio.duracionMinutos
+        ),
+      });
+
+      const citas = [];
+      franjasPorServicio[0].forEach((primera) => {
+        const lineas = [crearLinea(servicios[0], primera)];
+
+        // Para cada servicio siguiente, la primera franja libre tras el anterior
+        for (let i = 1; i < servicios.length; i++) {
+          const finAnterior = this.horaAMinutos(lineas[i - 1].horaFin);
+          const siguiente = franjasPorServicio[i].find((franja) => {
+            const espera = this.horaAMinutos(franja.horaInicio) - finAnterior;
+            return espera >= 0 && espera <= MAX_ESPERA_ENTRE_SERVICIOS;
+          });
+          if (!siguiente) return;
+          lineas.push(crearLinea(servicios[i], siguiente));
+        }
+
+        citas.push({
+          horaInicio: primera.horaInicio,
+          horaFin: lineas[lineas.length - 1].horaFin,
+          lineas,
+        });
+      });
+
+      console.log(
+        `🧩 ${citas.length} citas posibles para ${servicios.length} servicios el ${fecha}`
+      );
+      return citas;
+    } catch (error) {
+      console.error("❌ Error buscando citas encadenadas:", error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene las reservas del usuario actual
    * @returns {Promise<Array>} Lista de reservas del usuario
@@ -147,6 +405,21 @@ class BookingService {
     }
   }
 
+  /**
+   * Obtiene las ausencias recientes del usuario actual y si superan el
+   * límite de la política del salón
+   * @returns {Promise<Object>} { ausencias, limite, ventanaDias, marcado }
+   */
+  async getMisAusencias() {
+    try {
+      const response = await apiGet("/usuarios/me/ausencias");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo mis ausencias:", error);
+      throw error;
+    }
+  }
+
   /**
    * Cancela una reserva
    * @param {number} reservaId - ID de la reserva a cancelar
@@ -156,6 +429,9 @@ class BookingService {
     try {
       const response = await apiDelete(`/reservas/${reservaId}`);
       console.log("✅ Reserva cancelada:", response.data);
+
+      // Se libera una plaza
+      this.invalidarDisponibilidad();
       return response.data;
     } catch (error) {
       console.error(`❌ Error cancelando reserva ${reservaId}:`, error);
@@ -163,6 +439,164 @@ class BookingService {
     }
   }
 
+  /**
+   * Pide al backend que vuelva a enviar el email de confirmación
+   * @param {number} reservaId - ID de la reserva
+   * @returns {Promise<Object>} { enviadoA, enviadoEn }
+   */
+  async reenviarConfirmacion(reservaId) {
+    try {
+      const response = await apiPost(
+        `/reservas/${reservaId}/reenviar-confirmacion`
+      );
+      console.log("📧 Confirmación reenviada:", response.data);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error reenviando confirmación ${reservaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambia una reserva a otra franja del mismo servicio
+   * El backend ocupa la nueva plaza y libera la anterior en una sola
+   * operación: si la nueva franja se llena, la reserva original se mantiene
+   * @param {Object} reserva - Reserva actual
+   * @param {number} franjaId - ID de la nueva franja
+   * @returns {Promise<Object>} Reserva actualizada
+   */
+  async reprogramarReserva(reserva, franjaId) {
+    try {
+      if (!this.puedeModificarse(reserva)) {
+        throw new Error(
+          `Solo puedes cambiar la cita hasta ${
+            configService.get().cancellationDeadlineHours
+          } horas antes`
+        );
+      }
+      if (franjaId === reserva.franjaId) {
+        throw new Error("Elige un horario distinto al actual");
+      }
+
+      const response = await apiPut(`/reservas/${reserva.id}/reprogramar`, {
+        franjaId,
+      });
+      console.log("🔄 Reserva reprogramada:", response.data);
+
+      // Cambian las plazas libres de las dos franjas
+      this.invalidarDisponibilidad();
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error reprogramando reserva ${reserva.id}:`, error);
+      throw error;
+    }
+  }
+
+  // ========== LISTA DE ESPERA ==========
+
+  /**
+   * Apunta al usuario a la lista de espera de una franja completa
+   * @param {number} franjaId - ID de la franja
+   * @returns {Promise<Object>} Entrada creada (con su posición en la cola)
+   */
+  async unirseListaEspera(franjaId) {
+    try {
+      const response = await apiPost("/lista-espera", { franjaId });
+      console.log("⏳ Apuntado a la lista de espera:", response.data);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error apuntando a la franja ${franjaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las entradas de lista de espera del usuario actual
+   * Estados: ESPERANDO, PLAZA_DISPONIBLE (hay que reclamarla antes de
+   * plazaDisponibleHasta), RESERVADA y EXPIRADA
+   * @returns {Promise<Array>} Entradas, las más próximas primero
+   */
+  async getMiListaEspera() {
+    try {
+      const response = await apiGet("/lista-espera/mis");
+      console.log(`⏳ Lista de espera: ${response.data.length} entradas`);
+
+      return response.data.sort((a, b) =>
+        `${a.fecha}T${a.horaInicio}`.localeCompare(`${b.fecha}T${b.horaInicio}`)
+      );
+    } catch (error) {
+      console.error("❌ Error obteniendo la lista de espera:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sale de la lista de espera (si tenía plaza ofrecida, pasa al siguiente)
+   * @param {number} entradaId - ID de la entrada
+   */
+  async salirListaEspera(entradaId) {
+    try {
+      await apiDelete(`/lista-espera/${entradaId}`);
+      console.log(`✅ Salida de la lista de espera ${entradaId}`);
+    } catch (error) {
+      console.error(`❌ Error saliendo de la lista ${entradaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte en reserva la plaza ofrecida desde la lista de espera
+   * @param {number} entradaId - ID de la entrada con estado PLAZA_DISPONIBLE
+   * @returns {Promise<Object>} Reserva creada
+   */
+  async reclamarPlaza(entradaId) {
+    try {
+      const response = await apiPost(`/lista-espera/${entradaId}/reclamar`);
+      console.log("✅ Plaza reclamada:", response.data);
+
+      this.invalidarDisponibilidad(response.data.servicioId);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error reclamando la plaza ${entradaId}:`, error);
+      throw error;
+    }
+  }
+
+  // ========== POLÍTICA DE CAMBIOS ==========
+
+  /**
+   * Fecha y hora de inicio de la cita
+   * @param {Object} reserva - Reserva con fecha y horaInicio
+   * @returns {Date} Inicio de la cita
+   */
+  getInicioReserva(reserva) {
+    return parseISO(`${reserva.fecha}T${reserva.horaInicio || "00:00:00"}`);
+  }
+
+  /**
+   * Momento a partir del cual la reserva ya no se puede cambiar ni cancelar
+   * (cancellationDeadlineHours antes del inicio, según la configuración)
+   * @param {Object} reserva - Reserva
+   * @returns {Date} Fecha límite
+   */
+  getLimiteCambios(reserva) {
+    return subHours(
+      this.getInicioReserva(reserva),
+      configService.get().cancellationDeadlineHours
+    );
+  }
+
+  /**
+   * Indica si el cliente aún puede cambiar o cancelar la reserva
+   * @param {Object} reserva - Reserva
+   * @returns {boolean} true si está activa y no ha pasado el plazo
+   */
+  puedeModificarse(reserva) {
+    const activa =
+      reserva.estado === "PENDIENTE" || reserva.estado === "CONFIRMADA";
+    return activa && new Date() < this.getLimiteCambios(reserva);
+  }
+
   // ========== UTILIDADES ==========
 
   /**
@@ -200,6 +634,16 @@ class BookingService {
     return `${horasFin}:${minutosFin}`;
   }
 
+  /**
+   * Convierte una hora (HH:mm o HH:mm:ss) en minutos desde medianoche
+   * @param {string} hora - Hora
+   * @returns {number} Minutos
+   */
+  horaAMinutos(hora) {
+    const [horas, minutos] = hora.split(":").map(Number);
+    return horas * 60 + minutos;
+  }
+
   /**
    * Agrupa las franjas horarias por periodo (mañana/tarde)
    * @param {Array} franjas - Lista de franjas horarias
@@ -252,12 +696,31 @@ class BookingService {
     const estados = {
       PENDIENTE: "Pendiente",
       CONFIRMADA: "Confirmada",
+      EN_ESPERA: "En espera",
+      EN_CURSO: "En curso",
       COMPLETADA: "Completada",
       CANCELADA: "Cancelada",
+      NO_PRESENTADO: "No presentado",
     };
     return estados[estado] || estado;
   }
 
+  /**
+   * Indica si una reserva en ese estado aún se puede cancelar (no si el
+   * cliente ya está en el centro, ya se le atendió o no vino)
+   * @param {string} estado - Estado de la reserva
+   * @returns {boolean}
+   */
+  esCancelable(estado) {
+    return ![
+      "CANCELADA",
+      "EN_ESPERA",
+      "EN_CURSO",
+      "COMPLETADA",
+      "NO_PRESENTADO",
+    ].includes(estado);
+  }
+
   /**
    * Obtiene el color del badge según el estado
    * @param {string} estado - Estado de la reserva
@@ -267,8 +730,11 @@ class BookingService {
     const colores = {
       PENDIENTE: "badge-warning",
       CONFIRMADA: "badge-success",
+      EN_ESPERA: "badge-warning",
+      EN_CURSO: "badge-info",
       COMPLETADA: "badge-info",
       CANCELADA: "badge-danger",
+      NO_PRESENTADO: "badge-danger",
     };
     return colores[estado] || "badge";
   }
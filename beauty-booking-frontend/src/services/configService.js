@@ -0,0 +1,169 @@
+/**
+ * configService - Configuración de entorno de la aplicación
+ *
+ * Resuelve la configuración en tres capas (de menor a mayor prioridad):
+ * 1. Valores por defecto (backend de producción en Railway)
+ * 2. Variables de Vite en tiempo de build (VITE_API_URL, VITE_API_TIMEOUT...)
+ * 3. Fichero config.json servido junto a la app en tiempo de ejecución
+ *
+ * Así un mismo build puede desplegarse en QA, staging y producción
+ * cambiando solo el config.json del servidor.
+ *
+ * Con useMock (VITE_USE_MOCK=true) la app usa el backend simulado
+ * de services/mock en lugar de la API real.
+ */
+
+// URL del backend de producción
+const PRODUCTION_API_URL =
+  "https://beautybooking-backend-production.up.railway.app";
+
+// Niveles de log ordenados de más a menos detallado
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+// Entornos reconocidos
+export const ENVIRONMENTS = ["production", "staging", "qa", "development"];
+
+const env = import.meta.env;
+
+const DEFAULT_CONFIG = {
+  environment: "production",
+  apiUrl: PRODUCTION_API_URL,
+  timeout: 10000, // 10 segundos
+  logLevel: "info",
+  useMock: false, // Backend simulado en memoria (sin red)
+  rememberMeDays: 30, // Duración de la sesión con "Recordarme"
+  cancellationDeadlineHours: 24, // Antelación mínima para cambiar o cancelar
+};
+
+class ConfigService {
+  constructor() {
+    // Ruta del fichero de configuración en tiempo de ejecución
+    this.runtimeConfigUrl = "/config.json";
+
+    // Configuración de build (defaults + variables VITE_*)
+    this.config = this.normalize({
+      ...DEFAULT_CONFIG,
+      environment:
+        env.VITE_APP_ENV || (env.PROD ? "production" : "development"),
+      apiUrl: env.VITE_API_URL || DEFAULT_CONFIG.apiUrl,
+      timeout: env.VITE_API_TIMEOUT || DEFAULT_CONFIG.timeout,
+      logLevel: env.VITE_LOG_LEVEL || (env.PROD ? "info" : "debug"),
+      useMock: env.VITE_USE_MOCK === "true",
+      rememberMeDays:
+        env.VITE_REMEMBER_ME_DAYS || DEFAULT_CONFIG.rememberMeDays,
+      cancellationDeadlineHours:
+        env.VITE_CANCELLATION_DEADLINE_HOURS ??
+        DEFAULT_CONFIG.cancellationDeadlineHours,
+    });
+  }
+
+  /**
+   * Carga el config.json de tiempo de ejecución y lo combina con la
+   * configuración de build. Si no existe o no es JSON válido se ignora.
+   * @returns {Promise<Object>} Configuración final
+   */
+  async load() {
+    try {
+      const response = await fetch(this.runtimeConfigUrl, {
+        cache: "no-store",
+      });
+
+      // En Vercel una ruta inexistente devuelve index.html con status 200
+      const contentType = response.headers.get("content-type") || "";
+      if (response.ok && contentType.includes("application/json")) {
+        const runtimeConfig = await response.json();
+        this.config = this.normalize({ ...this.config, ...runtimeConfig });
+        if (this.shouldLog("info")) {
+          console.log("⚙️ Configuración en tiempo de ejecución cargada");
+        }
+      }
+    } catch (error) {
+      if (this.shouldLog("warn")) {
+        console.warn("⚠️ No se pudo cargar config.json:", error.message);
+      }
+    }
+
+    if (this.shouldLog("info")) {
+      console.log(
+        `⚙️ Entorno: ${this.config.environment} → ${this.config.apiUrl}`
+      );
+    }
+    return this.config;
+  }
+
+  /**
+   * Valida y normaliza los valores de configuración
+   * @param {Object} config - Configuración sin normalizar
+   * @returns {Object} Configuración normalizada
+   */
+  normalize(config) {
+    const timeout = parseInt(config.timeout);
+    const rememberMeDays = parseInt(config.rememberMeDays);
+    const deadlineHours = parseInt(config.cancellationDeadlineHours);
+    const environment = String(config.environment ?? "")
+      .trim()
+      .toLowerCase();
+    const logLevel = String(config.logLevel).toLowerCase();
+    const finalLogLevel = LOG_LEVELS.includes(logLevel)
+      ? logLevel
+      : DEFAULT_CONFIG.logLevel;
+
+    // Un entorno mal escrito no se toma por producción: se conserva (el
+    // badge del header lo muestra) y se avisa
+    if (
+      environment &&
+      !ENVIRONMENTS.includes(environment) &&
+      this.shouldLog("warn", finalLogLevel)
+    ) {
+      console.warn(
+        `⚠️ Entorno desconocido "${environment}" (válidos: ${ENVIRONMENTS.join(", ")})`
+      );
+    }
+
+    return {
+      ...config,
+      environment: environment || DEFAULT_CONFIG.environment,
+      // Quitamos la barra final para no duplicarla al concatenar rutas
+      apiUrl: String(config.apiUrl).replace(/\/+$/, ""),
+      timeout: timeout > 0 ? timeout : DEFAULT_CONFIG.timeout,
+      logLevel: finalLogLevel,
+      useMock: config.useMock === true || config.useMock === "true",
+      rememberMeDays:
+        rememberMeDays > 0 ? rememberMeDays : DEFAULT_CONFIG.rememberMeDays,
+      // 0 = se puede cambiar o cancelar hasta la hora de la cita
+      cancellationDeadlineHours:
+        deadlineHours >= 0
+          ? deadlineHours
+          : DEFAULT_CONFIG.cancellationDeadlineHours,
+    };
+  }
+
+  /**
+   * Obtiene la configuración actual
+   * @returns {Object} Configuración
+   */
+  get() {
+    return this.config;
+  }
+
+  /**
+   * Indica si la app está apuntando al entorno de producción
+   * @returns {boolean} true si es producción
+   */
+  isProduction() {
+    return this.config.environment === "production";
+  }
+
+  /**
+   * Comprueba si un nivel de log debe mostrarse con la configuración actual
+   * @param {string} level - Nivel del mensaje (debug/info/warn/error)
+   * @param {string} logLevel - Nivel configurado (por defecto, el actual)
+   * @returns {boolean} true si debe mostrarse
+   */
+  shouldLog(level, logLevel = this.config.logLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logLevel);
+  }
+}
+
+// Exportamos una instancia única
+export default new ConfigService();
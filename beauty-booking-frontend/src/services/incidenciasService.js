@@ -0,0 +1,328 @@
+import { apiGet, apiPost, apiPut, apiPatch } from "./api";
+
+/**
+ * incidenciasService - Servicio para los reportes de incidencias
+ *
+ * Maneja:
+ * - Envío del formulario de /incidencias con capturas adjuntas (multipart)
+ * - Seguimiento de las incidencias propias ("Mis incidencias")
+ * - Triaje desde administración: estado, prioridad, respuestas,
+ *   duplicados y exportación a CSV
+ */
+
+// Límites de los adjuntos (los mismos que indica el formulario)
+const MAX_ADJUNTOS = 5;
+const MAX_TAMANO_ADJUNTO = 10 * 1024 * 1024; // 10MB
+
+export const PRIORIDADES_INCIDENCIA = [
+  { value: "critica", label: "Crítica", emoji: "🔴", respuesta: "< 4 horas" },
+  { value: "alta", label: "Alta", emoji: "🟠", respuesta: "< 24 horas" },
+  { value: "media", label: "Media", emoji: "🟡", respuesta: "< 72 horas" },
+  { value: "baja", label: "Baja", emoji: "🟢", respuesta: "< 1 semana" },
+];
+
+export const ESTADOS_INCIDENCIA = [
+  { value: "ABIERTA", label: "Abierta", badge: "badge-info" },
+  { value: "EN_REVISION", label: "En revisión", badge: "badge-warning" },
+  { value: "RESUELTA", label: "Resuelta", badge: "badge-success" },
+  { value: "CERRADA", label: "Cerrada", badge: "bg-gray-100 text-gray-700" },
+];
+
+export const TIPOS_INCIDENCIA = [
+  { value: "error_funcional", label: "Error Funcional" },
+  { value: "error_visual", label: "Error Visual" },
+  { value: "rendimiento", label: "Problema de Rendimiento" },
+  { value: "seguridad", label: "Seguridad" },
+  { value: "otro", label: "Otro" },
+];
+
+class IncidenciasService {
+  // ========== CLIENTE ==========
+
+  /**
+   * Envía una incidencia con sus archivos adjuntos
+   * No requiere sesión: si la hay, la incidencia queda vinculada a la cuenta
+   * @param {Object} datos - Campos del formulario de incidencias
+   * @param {File[]} archivos - Capturas de pantalla (imágenes o PDF)
+   * @returns {Promise<Object>} Incidencia creada (con su código INC-...)
+   */
+  async crearIncidencia(datos, archivos = []) {
+    try {
+      if (archivos.length > MAX_ADJUNTOS) {
+        throw new Error(`Puedes adjuntar como máximo ${MAX_ADJUNTOS} archivos`);
+      }
+      const demasiadoGrande = archivos.find(
+        (archivo) => archivo.size > MAX_TAMANO_ADJUNTO
+      );
+      if (demasiadoGrande) {
+        throw new Error(`${demasiadoGrande.name} supera el máximo de 10MB`);
+      }
+
+      const formData = new FormData();
+      Object.entries(datos).forEach(([campo, valor]) =>
+        formData.append(campo, valor ?? "")
+      );
+      archivos.forEach((archivo) => formData.append("archivos", archivo));
+
+      // Sin el Content-Type JSON por defecto: axios enviaría el FormData
+      // serializado como JSON en lugar de multipart
+      const response = await apiPost("/incidencias", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+
+      console.log(`📋 Incidencia ${response.data.codigo} registrada`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error enviando incidencia:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las incidencias del usuario autenticado
+   * @returns {Promise<Array>} Incidencias, las más recientes primero
+   */
+  async getMisIncidencias() {
+    try {
+      const response = await apiGet("/incidencias/mis");
+      console.log(`📋 ${response.data.length} incidencias propias`);
+      return this.ordenarPorFecha(response.data);
+    } catch (error) {
+      console.error("❌ Error obteniendo mis incidencias:", error);
+      throw error;
+    }
+  }
+
+  // ========== ADMINISTRACIÓN ==========
+
+  /**
+   * Obtiene todas las incidencias (requiere rol ADMIN)
+   * @returns {Promise<Array>} Incidencias, las más recientes primero
+   */
+  async getAllIncidencias() {
+    try {
+      const response = await apiGet("/admin/incidencias");
+      console.log(`👑 Admin: ${response.data.length} incidencias`);
+      return this.ordenarPorFecha(response.data);
+    } catch (error) {
+      console.error("❌ Error obteniendo incidencias (admin):", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambia el estado y/o la prioridad de una incidencia
+   * Cada cambio queda registrado en el historial
+   * @param {number} incidenciaId - ID de la incidencia
+   * @param {Object} cambios - { estado, prioridad }
+   * @returns {Promise<Object>} Incidencia actualizada
+   */
+  async actualizarIncidencia(incidenciaId, cambios) {
+    try {
+      const response = await apiPatch(
+        `/admin/incidencias/${incidenciaId}`,
+        cambios
+      );
+      console.log(`✅ Incidencia ${response.data.codigo} actualizada`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error actualizando incidencia ${incidenciaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Responde al reportante (se le notifica por email)
+   * @param {number} incidenciaId - ID de la incidencia
+   * @param {string} mensaje - Texto de la respuesta
+   * @returns {Promise<Object>} Incidencia actualizada
+   */
+  async responderIncidencia(incidenciaId, mensaje) {
+    try {
+      if (!mensaje?.trim()) {
+        throw new Error("La respuesta no puede estar vacía");
+      }
+
+      const response = await apiPost(
+        `/admin/incidencias/${incidenciaId}/respuestas`,
+        { mensaje: mensaje.trim() }
+      );
+      console.log(`📧 Respuesta enviada a ${response.data.email}`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error respondiendo incidencia ${incidenciaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca una incidencia como duplicada de otra (queda cerrada)
+   * Si la original ya era duplicada, se enlaza con la primera de la cadena
+   * @param {number} incidenciaId - ID de la incidencia duplicada
+   * @param {number|null} originalId - ID de la original (null = desenlazar)
+   * @returns {Promise<Object>} Incidencia actualizada
+   */
+  async marcarDuplicada(incidenciaId, originalId) {
+    try {
+      const response = await apiPut(
+        `/admin/incidencias/${incidenciaId}/duplicada`,
+        { duplicadaDe: originalId }
+      );
+      console.log(
+        originalId
+          ? `🔗 ${response.data.codigo} marcada como duplicada`
+          : `🔗 ${response.data.codigo} ya no es duplicada`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error enlazando incidencia ${incidenciaId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exporta incidencias a CSV
+   * @param {Array} incidencias - Incidencias a exportar
+   * @param {Array} todas - Todas las incidencias (para el código de la
+   *                        original de las duplicadas)
+   * @returns {string} Contenido CSV
+   */
+  exportarIncidenciasCSV(incidencias, todas = incidencias) {
+    const headers = [
+      "Código",
+      "Recibida",
+      "Estado",
+      "Prioridad",
+      "Tipo",
+      "Reportante",
+      "Email",
+      "Rol",
+      "Navegador",
+      "Descripción",
+      "Pasos",
+      "Esperado",
+      "Adjuntos",
+      "Duplicada de",
+    ];
+
+    const codigos = new Map(todas.map((i) => [i.id, i.codigo]));
+    const rows = incidencias.map((i) => [
+      i.codigo,
+      i.creadoEn,
+      this.getEstado(i.estado).label,
+      this.getPrioridad(i.prioridad).label,
+      this.getTipoLabel(i.tipo),
+      i.nombre,
+      i.email,
+      i.rol,
+      i.navegador,
+      i.descripcion,
+      i.pasos,
+      i.esperado,
+      i.adjuntos.length,
+      i.duplicadaDe ? codigos.get(i.duplicadaDe) || i.duplicadaDe : "",
+    ]);
+
+    // Los textos libres pueden llevar comillas y saltos de línea
+    const celda = (valor) => `"${String(valor ?? "").replace(/"/g, '""')}"`;
+    return [
+      headers.join(","),
+      ...rows.map((row) => row.map(celda).join(",")),
+    ].join("\n");
+  }
+
+  // ========== UTILIDADES ==========
+
+  /**
+   * Devuelve la información de un estado (etiqueta y clase del badge)
+   * @param {string} estado - ABIERTA, EN_REVISION, RESUELTA o CERRADA
+   * @returns {Object} { value, label, badge }
+   */
+  getEstado(estado) {
+    return (
+      ESTADOS_INCIDENCIA.find((e) => e.value === estado) || {
+        value: estado,
+        label: estado,
+        badge: "badge-info",
+      }
+    );
+  }
+
+  /**
+   * Devuelve la información de una prioridad (etiqueta, emoji y tiempo
+   * de respuesta estimado)
+   * @param {string} prioridad - critica, alta, media o baja
+   * @returns {Object} { value, label, emoji, respuesta }
+   */
+  getPrioridad(prioridad) {
+    return (
+      PRIORIDADES_INCIDENCIA.find((p) => p.value === prioridad) || {
+        value: prioridad,
+        label: prioridad,
+        emoji: "⚪",
+        respuesta: "",
+      }
+    );
+  }
+
+  /**
+   * Devuelve la etiqueta de un tipo de incidencia
+   * @param {string} tipo - Valor del tipo
+   * @returns {string} Etiqueta legible
+   */
+  getTipoLabel(tipo) {
+    return TIPOS_INCIDENCIA.find((t) => t.value === tipo)?.label || tipo;
+  }
+
+  /**
+   * Describe una entrada del historial en una frase
+   * @param {Object} cambio - Entrada del historial
+   * @returns {string} Descripción del cambio
+   */
+  describirCambio(cambio) {
+    switch (cambio.tipo) {
+      case "CREADA":
+        return "Incidencia enviada";
+      case "ESTADO":
+        return `Estado: ${this.getEstado(cambio.estado).label}`;
+      case "PRIORIDAD":
+        return `Prioridad: ${this.getPrioridad(cambio.prioridad).label}`;
+      case "RESPUESTA":
+        return "Respuesta del equipo";
+      case "DUPLICADA":
+        return cambio.original
+          ? `Duplicada de ${cambio.original}`
+          : "Ya no se considera duplicada";
+      default:
+        return cambio.tipo;
+    }
+  }
+
+  /**
+   * Ordena incidencias por prioridad (crítica primero) y antigüedad
+   * @param {Array} incidencias - Lista de incidencias
+   * @returns {Array} Lista ordenada
+   */
+  ordenarPorPrioridad(incidencias) {
+    const orden = PRIORIDADES_INCIDENCIA.map((p) => p.value);
+    return [...incidencias].sort(
+      (a, b) =>
+        orden.indexOf(a.prioridad) - orden.indexOf(b.prioridad) ||
+        new Date(a.creadoEn) - new Date(b.creadoEn)
+    );
+  }
+
+  /**
+   * Ordena incidencias de más reciente a más antigua
+   * @param {Array} incidencias - Lista de incidencias
+   * @returns {Array} Lista ordenada
+   */
+  ordenarPorFecha(incidencias) {
+    return [...incidencias].sort(
+      (a, b) => new Date(b.creadoEn) - new Date(a.creadoEn)
+    );
+  }
+}
+
+// Exportamos una instancia única
+export default new IncidenciasService();
@@ -0,0 +1,2410 @@
+import { AxiosError } from "axios";
+import { format, getDay, parseISO, subDays } from "date-fns";
+import mockDb from "./mockDb";
+import { calcularHoraFin } from "./mockData";
+import { normalizarEmail, slugify } from "../../utils/helpers";
+import { PERMISOS, ROLES, tienePermiso } from "../../utils/permisos";
+
+/**
+ * mockAdapter - Backend simulado para la instancia de axios
+ *
+ * Implementa los endpoints que consumen bookingService, adminService y
+ * authService contra una base de datos en memoria (mockDb), de forma que
+ * todo el flujo de cliente y administración funciona sin red.
+ *
+ * Se activa con VITE_USE_MOCK=true o con "useMock": true en config.json
+ */
+
+// Latencia simulada para que los spinners se comporten como en real
+const LATENCY_MS = 300;
+
+// Duración de los tokens simulados (1 hora)
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+// Validez de los enlaces de recuperación de contraseña (30 minutos)
+const RESET_TTL_MS = 30 * 60 * 1000;
+
+// Validez del enlace de una invitación para elegir contraseña (7 días)
+const INVITACION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Roles que se pueden asignar desde administración
+const ROLES_USUARIO = Object.keys(ROLES);
+
+// Clientes que devuelve como máximo la búsqueda rápida de recepción
+const MAX_RESULTADOS_BUSQUEDA = 8;
+
+// Política de ausencias: con 2 citas sin presentarse en los últimos 180
+// días, las reservas nuevas del cliente quedan marcadas para el salón
+const AUSENCIAS_LIMITE = 2;
+const AUSENCIAS_VENTANA_DIAS = 180;
+
+// Tiempo para reclamar una plaza ofrecida desde la lista de espera
+const LISTA_ESPERA_TTL_MS = 30 * 60 * 1000;
+
+// Tiempo mínimo entre dos reenvíos del email de confirmación
+const REENVIO_MIN_MS = 60 * 1000;
+
+// Los adjuntos mayores se guardan sin contenido (localStorage ronda los 5MB)
+const ADJUNTO_MAX_BYTES = 512 * 1024;
+
+// Máximo de franjas por petición de creación en lote
+const LOTE_MAX_FRANJAS = 200;
+
+// Foto de un profesional (data URL ya reducida en el navegador)
+const FOTO_MAX_CARACTERES = 200 * 1024;
+
+// Galería de un servicio: número de imágenes (se guardan sus URLs)
+const IMAGENES_MAX_POR_SERVICIO = 4;
+
+// Preferencias de comunicación de una cuenta nueva
+const PREFERENCIAS_POR_DEFECTO = {
+  recordatoriosEmail: true,
+  recordatoriosSms: false,
+  novedadesEmail: false,
+};
+
+/**
+ * Error con código HTTP que lanzan los handlers
+ */
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ========== UTILIDADES ==========
+
+const base64Url = (obj) =>
+  btoa(JSON.stringify(obj))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// Token opaco (refresh, recuperación, verificación...) ligado a un usuario
+const tokenAleatorio = (prefijo, usuarioId) =>
+  `${prefijo}_${usuarioId}_${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Genera un JWT con formato real (sin firma válida)
+ * @param {Object} usuario - Usuario autenticado
+ * @returns {string} Token
+ */
+const crearToken = (usuario) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = base64Url({ alg: "none", typ: "JWT" });
+  const payload = base64Url({
+    sub: String(usuario.id),
+    email: usuario.email,
+    rol: usuario.rol,
+    iat,
+    exp: iat + TOKEN_TTL_SECONDS,
+  });
+  return `${header}.${payload}.mock`;
+};
+
+/**
+ * Inicia una sesión: token de acceso + refresh token
+ * @param {Object} db - Base de datos
+ * @param {Object} usuario - Usuario autenticado
+ * @returns {Object} Respuesta de login
+ */
+const crearSesion = (db, usuario) => {
+  const refreshToken = tokenAleatorio("rt", usuario.id);
+  db.sesiones.push({ refreshToken, usuarioId: usuario.id });
+  return {
+    token: crearToken(usuario),
+    refreshToken,
+    usuario: usuarioPublico(usuario),
+  };
+};
+
+/**
+ * Obtiene el usuario a partir del header Authorization
+ * @param {Object} config - Config de axios
+ * @returns {Object|null} Usuario o null
+ */
+const getUsuarioDeToken = (config) => {
+  const auth = config.headers?.Authorization || "";
+  const token = auth.replace("Bearer ", "");
+  if (!token) return null;
+
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    if (payload.exp * 1000 < Date.now()) return null;
+    const usuario = mockDb
+      .get()
+      .usuarios.find((u) => String(u.id) === payload.sub);
+    // Una cuenta suspendida deja de valer aunque el token no haya caducado
+    return usuario && !suspensionVigente(usuario) ? usuario : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Una suspensión sin fecha de fin dura hasta que se levanta a mano; con
+ * fecha, termina sola al acabar ese día
+ */
+const suspensionVigente = (usuario) =>
+  !!usuario.suspension &&
+  (!usuario.suspension.hasta ||
+    usuario.suspension.hasta >= format(new Date(), "yyyy-MM-dd"));
+
+// Quita campos sensibles antes de devolver un usuario
+const usuarioPublico = (usuario) => {
+  const copia = { ...usuario };
+  delete copia.password;
+  delete copia.emailToken;
+  if (!suspensionVigente(usuario)) delete copia.suspension;
+  return copia;
+};
+
+/**
+ * Perfil del propio usuario: datos públicos + preferencias
+ */
+const perfilDe = (usuario) => ({
+  ...usuarioPublico(usuario),
+  preferencias: { ...PREFERENCIAS_POR_DEFECTO, ...usuario.preferencias },
+});
+
+/**
+ * Comprueba la contraseña actual en operaciones sensibles
+ * (400 y no 401: un 401 cerraría la sesión en el cliente)
+ */
+const requirePassword = (usuario, password) => {
+  if (usuario.password !== password) {
+    throw new MockHttpError(400, "La contraseña actual no es correcta");
+  }
+};
+
+/**
+ * Texto en minúsculas y sin tildes para comparar búsquedas
+ */
+const normalizarBusqueda = (texto) =>
+  String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Usuario con ese email (sin distinguir mayúsculas)
+ */
+const buscarPorEmail = (db, email) => {
+  const buscado = normalizarEmail(email);
+  return buscado
+    ? db.usuarios.find((u) => normalizarEmail(u.email) === buscado)
+    : undefined;
+};
+
+const requireUser = (ctx) => {
+  if (!ctx.user) throw new MockHttpError(401, "Token inválido o expirado");
+  return ctx.user;
+};
+
+/**
+ * Exige un usuario cuyo rol tenga el permiso indicado (ver utils/permisos)
+ */
+const requirePermiso = (ctx, permiso) => {
+  const user = requireUser(ctx);
+  if (!tienePermiso(user.rol, permiso)) {
+    throw new MockHttpError(403, "Acceso denegado");
+  }
+  return user;
+};
+
+const findOr404 = (items, id, nombre) => {
+  const item = items.find((i) => i.id === Number(id));
+  if (!item) throw new MockHttpError(404, `${nombre} no encontrado`);
+  return item;
+};
+
+/**
+ * Citas a las que el cliente no se presentó (todas o desde una fecha)
+ */
+const contarAusencias = (db, usuarioId, desde = "") =>
+  db.reservas.filter(
+    (r) =>
+      r.usuarioId === usuarioId &&
+      r.usuarioId != null &&
+      r.estado === "NO_PRESENTADO" &&
+      r.fecha >= desde
+  ).length;
+
+/**
+ * Estado del cliente respecto a la política de ausencias
+ */
+const politicaAusencias = (db, usuarioId) => {
+  const desde = format(
+    subDays(new Date(), AUSENCIAS_VENTANA_DIAS),
+    "yyyy-MM-dd"
+  );
+  const ausencias = contarAusencias(db, usuarioId, desde);
+  return {
+    ausencias,
+    limite: AUSENCIAS_LIMITE,
+    ventanaDias: AUSENCIAS_VENTANA_DIAS,
+    marcado: ausencias >= AUSENCIAS_LIMITE,
+  };
+};
+
+/**
+ * Crea una reserva sobre una franja y descuenta la plaza
+ * (si el cliente incumple la política de ausencias queda marcada)
+ */
+const reservarFranja = (db, usuario, franjaId, notas) => {
+  const franja = findOr404(db.franjas, franjaId, "Franja");
+  if (franja.plazasDisponibles <= 0) {
+    throw new MockHttpError(409, "No quedan plazas en esta franja");
+  }
+  requireAbierto(db, franja);
+
+  const servicio = db.servicios.find((s) => s.id === franja.servicioId);
+  franja.plazasDisponibles--;
+
+  const reserva = {
+    id: mockDb.nextId("reservas"),
+    usuarioId: usuario.id,
+    usuarioNombre: usuario.nombre,
+    usuarioEmail: usuario.email,
+    servicioId: servicio.id,
+    servicioNombre: servicio.nombre,
+    duracionServicio: servicio.duracionMinutos,
+    franjaId: franja.id,
+    profesionalId: franja.profesionalId || null,
+    profesionalNombre: franja.profesionalNombre || null,
+    fecha: franja.fecha,
+    horaInicio: franja.horaInicio,
+    precioFinal: servicio.precio,
+    estado: "PENDIENTE",
+    notas: notas || "",
+    creadoEn: new Date().toISOString(),
+  };
+  const politica = politicaAusencias(db, usuario.id);
+  if (politica.marcado) reserva.avisoAusencias = politica.ausencias;
+  db.reservas.push(reserva);
+  return reserva;
+};
+
+// Reservas con el cliente ya en el centro, atendidas o a las que no vino:
+// cancelarlas borraría la llegada o la ausencia y liberaría una plaza que
+// ya no se puede ofrecer
+const ESTADOS_NO_CANCELABLES = [
+  "EN_ESPERA",
+  "EN_CURSO",
+  "COMPLETADA",
+  "NO_PRESENTADO",
+];
+
+/**
+ * Cancela una reserva y libera su plaza
+ * (version cuenta los cambios de fecha y cancelaciones: es el SEQUENCE
+ * de la cita en los calendarios exportados)
+ */
+const liberarReserva = (db, reserva) => {
+  if (reserva.estado === "CANCELADA") {
+    throw new MockHttpError(409, "La reserva ya está cancelada");
+  }
+  if (ESTADOS_NO_CANCELABLES.includes(reserva.estado)) {
+    throw new MockHttpError(409, "Esta reserva ya no se puede cancelar");
+  }
+  reserva.estado = "CANCELADA";
+  reserva.version = (reserva.version || 0) + 1;
+  const franja = db.franjas.find((f) => f.id === reserva.franjaId);
+  if (franja) liberarPlaza(db, franja);
+  return reserva;
+};
+
+/**
+ * Devuelve una plaza a su franja. Si hay clientes en lista de espera,
+ * la plaza queda apartada para el primero durante LISTA_ESPERA_TTL_MS
+ */
+const liberarPlaza = (db, franja) => {
+  const siguiente = db.listaEspera
+    .filter((e) => e.franjaId === franja.id && e.estado === "ESPERANDO")
+    .sort((a, b) => a.id - b.id)[0];
+
+  if (!siguiente) {
+    franja.plazasDisponibles++;
+    return;
+  }
+  siguiente.estado = "PLAZA_DISPONIBLE";
+  siguiente.plazaDisponibleHasta = new Date(
+    Date.now() + LISTA_ESPERA_TTL_MS
+  ).toISOString();
+};
+
+/**
+ * Caduca las plazas ofrecidas que nadie ha reclamado a tiempo (pasan al
+ * siguiente de la lista) y las esperas de franjas que ya han pasado
+ */
+const procesarListaEspera = (db) => {
+  const ahora = new Date().toISOString();
+  const hoy = format(new Date(), "yyyy-MM-dd");
+
+  db.listaEspera.forEach((entrada) => {
+    if (
+      entrada.estado === "PLAZA_DISPONIBLE" &&
+      entrada.plazaDisponibleHasta < ahora
+    ) {
+      entrada.estado = "EXPIRADA";
+      const franja = db.franjas.find((f) => f.id === entrada.franjaId);
+      if (franja) liberarPlaza(db, franja);
+    } else if (entrada.estado === "ESPERANDO" && entrada.fecha < hoy) {
+      entrada.estado = "EXPIRADA";
+    }
+  });
+};
+
+/**
+ * Entrada de lista de espera con su posición en la cola
+ */
+const entradaListaEspera = (db, entrada) => ({
+  ...entrada,
+  posicion:
+    entrada.estado === "ESPERANDO"
+      ? db.listaEspera.filter(
+          (e) =>
+            e.franjaId === entrada.franjaId &&
+            e.estado === "ESPERANDO" &&
+            e.id <= entrada.id
+        ).length
+      : null,
+});
+
+const construirFranja = (db, data, franjaExistente = {}) => {
+  const servicio = findOr404(db.servicios, data.servicioId, "Servicio");
+  const plazasTotales =
+    parseInt(data.plazasDisponibles) || servicio.aforoMaximo || 1;
+  const ocupadas =
+    (franjaExistente.plazasTotales || 0) -
+    (franjaExistente.plazasDisponibles || 0);
+  // Sin profesionalId en los datos se mantiene el que tuviera
+  const profesionalId =
+    data.profesionalId !== undefined
+      ? data.profesionalId
+      : franjaExistente.profesionalId;
+  const profesional = profesionalId
+    ? findOr404(db.profesionales, profesionalId, "Profesional")
+    : null;
+
+  return {
+    ...franjaExistente,
+    servicioId: servicio.id,
+    servicioNombre: servicio.nombre,
+    profesionalId: profesional ? profesional.id : null,
+    profesionalNombre: profesional ? profesional.nombre : null,
+    fecha: data.fecha,
+    horaInicio: data.horaInicio,
+    horaFin: calcularHoraFin(data.horaInicio, servicio.duracionMinutos),
+    plazasTotales,
+    plazasDisponibles: Math.max(plazasTotales - ocupadas, 0),
+  };
+};
+
+/**
+ * Comprueba que el profesional de una franja puede atenderla: está
+ * activo, hace el servicio, trabaja a esa hora y no tiene otra franja
+ * que se solape (de cualquier servicio)
+ */
+const requireProfesionalDisponible = (db, franja) => {
+  if (!franja.profesionalId) return;
+  const profesional = findOr404(
+    db.profesionales,
+    franja.profesionalId,
+    "Profesional"
+  );
+  const { nombre } = profesional;
+
+  if (!profesional.activo) {
+    throw new MockHttpError(409, `${nombre} no está activo`);
+  }
+  if (!profesional.servicioIds.includes(franja.servicioId)) {
+    throw new MockHttpError(
+      400,
+      `${nombre} no realiza ${franja.servicioNombre}`
+    );
+  }
+  const tramos = profesional.horario[getDay(parseISO(franja.fecha))] || [];
+  const trabaja = tramos.some(
+    (t) =>
+      franja.horaInicio.slice(0, 5) >= t.desde &&
+      franja.horaFin.slice(0, 5) <= t.hasta
+  );
+  if (!trabaja) {
+    throw new MockHttpError(400, `Fuera del horario de ${nombre}`);
+  }
+  const solapada = db.franjas.find(
+    (f) =>
+      f.id !== franja.id &&
+      f.profesionalId === profesional.id &&
+      f.fecha === franja.fecha &&
+      f.horaInicio < franja.horaFin &&
+      f.horaFin > franja.horaInicio
+  );
+  if (solapada) {
+    throw new MockHttpError(
+      409,
+      `${nombre} ya tiene una franja de ${solapada.horaInicio.slice(
+        0,
+        5
+      )} a ${solapada.horaFin.slice(0, 5)}`
+    );
+  }
+};
+
+/**
+ * ¿Afecta el cierre a esta cita? El día está dentro del cierre, el cierre
+ * es de todo el salón o de su servicio y, si solo cierra unas horas,
+ * se solapan con las de la cita
+ * @param {Object} cierre - Cierre o festivo
+ * @param {Object} cita - Franja o reserva { servicioId, fecha, horaInicio, horaFin }
+ */
+const cubreCierre = (cierre, { servicioId, fecha, horaInicio, horaFin }) =>
+  fecha >= cierre.fechaInicio &&
+  fecha <= cierre.fechaFin &&
+  (cierre.servicioId == null || cierre.servicioId === servicioId) &&
+  (!cierre.desde ||
+    (horaInicio.slice(0, 5) < cierre.hasta &&
+      horaFin.slice(0, 5) > cierre.desde));
+
+/**
+ * Impide crear o mover franjas (y reservar) dentro de un cierre
+ */
+const requireAbierto = (db, franja) => {
+  const cierre = db.cierres.find((c) => cubreCierre(c, franja));
+  if (cierre) throw new MockHttpError(409, `Día cerrado: ${cierre.motivo}`);
+};
+
+/**
+ * Franjas y reservas activas que quedan dentro de un cierre
+ */
+const impactoCierre = (db, cierre) => ({
+  franjas: db.franjas.filter((f) => cubreCierre(cierre, f)),
+  reservas: db.reservas.filter(
+    (r) =>
+      (r.estado === "PENDIENTE" || r.estado === "CONFIRMADA") &&
+      cubreCierre(cierre, {
+        ...r,
+        horaFin: calcularHoraFin(r.horaInicio, r.duracionServicio || 30),
+      })
+  ),
+});
+
+// ========== RUTAS ==========
+
+const routes = [];
+
+/**
+ * Registra una ruta del backend simulado
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta con parámetros (/servicios/:id)
+ * @param {Function} handler - (ctx) => datos de respuesta
+ */
+const route = (method, path, handler) => {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  routes.push({ method, regex: new RegExp(`^${pattern}$`), keys, handler });
+};
+
+// ----- Autenticación -----
+
+route("post", "/auth/login", ({ body, db }) => {
+  const usuario = buscarPorEmail(db, body.email);
+  if (!usuario || !usuario.password || usuario.password !== body.password) {
+    throw new MockHttpError(401, "Credenciales incorrectas");
+  }
+  if (suspensionVigente(usuario)) {
+    const { motivo, hasta } = usuario.suspension;
+    throw new MockHttpError(
+      403,
+      `Tu cuenta está suspendida${
+        hasta ? ` hasta el ${format(parseISO(hasta), "dd/MM/yyyy")}` : ""
+      }: ${motivo}`
+    );
+  }
+  return crearSesion(db, usuario);
+});
+
+route("post", "/auth/refresh", ({ body, db }) => {
+  const sesion = db.sesiones.find((s) => s.refreshToken === body.refreshToken);
+  const usuario = db.usuarios.find((u) => u.id === sesion?.usuarioId);
+  if (!usuario) throw new MockHttpError(401, "Refresh token inválido");
+
+  // Rotamos el refresh token: el anterior deja de valer
+  db.sesiones = db.sesiones.filter((s) => s !== sesion);
+  return crearSesion(db, usuario);
+});
+
+route("post", "/auth/register", ({ body, db }) => {
+  if (buscarPorEmail(db, body.email)) {
+    throw new MockHttpError(409, "El email ya está registrado");
+  }
+  const usuario = {
+    id: mockDb.nextId("usuarios"),
+    nombre: body.nombre,
+    email: normalizarEmail(body.email),
+    password: body.password,
+    telefono: body.telefono,
+    rol: "CLIENTE",
+    creadoEn: new Date().toISOString(),
+  };
+  db.usuarios.push(usuario);
+  return [201, crearSesion(db, usuario)];
+});
+
+route("post", "/auth/forgot-password", ({ body, db }) => {
+  const usuario = buscarPorEmail(db, body.email);
+
+  // Respondemos igual exista o no el email, como haría el backend
+  if (usuario) {
+    const token = tokenAleatorio("reset", usuario.id);
+    db.resetTokens = db.resetTokens.filter((t) => t.usuarioId !== usuario.id);
+    db.resetTokens.push({
+      token,
+      usuarioId: usuario.id,
+      expiraEn: Date.now() + RESET_TTL_MS,
+    });
+    // No hay email en modo mock: dejamos el enlace en consola
+    console.log(
+      `📧 Enlace de recuperación para ${usuario.email}:`,
+      `${window.location.origin}/reset-password?token=${token}`
+    );
+  }
+  return { message: "Si el email existe, recibirás un enlace" };
+});
+
+route("post", "/auth/reset-password", ({ body, db }) => {
+  const reset = db.resetTokens.find((t) => t.token === body.token);
+  if (!reset || reset.expiraEn < Date.now()) {
+    throw new MockHttpError(400, "El enlace no es válido o ha caducado");
+  }
+  if (!body.password || body.password.length < 8) {
+    throw new MockHttpError(
+      400,
+      "La contraseña debe tener mínimo 8 caracteres"
+    );
+  }
+
+  const usuario = findOr404(db.usuarios, reset.usuarioId, "Usuario");
+  usuario.password = body.password;
+  // Con una invitación, elegir la contraseña activa la cuenta
+  delete usuario.invitacionPendiente;
+
+  // El enlace es de un solo uso y las sesiones abiertas dejan de valer
+  db.resetTokens = db.resetTokens.filter((t) => t !== reset);
+  db.sesiones = db.sesiones.filter((s) => s.usuarioId !== usuario.id);
+  return { message: "Contraseña actualizada" };
+});
+
+// ----- Servicios públicos -----
+
+route("get", "/servicios", ({ db }) => db.servicios.filter((s) => s.activo));
+
+// Categorías con cuántos servicios activos tiene cada una
+route("get", "/categorias", ({ db }) =>
+  [...db.categorias]
+    .sort((a, b) => a.orden - b.orden)
+    .map((c) => ({
+      ...c,
+      numServicios: db.servicios.filter(
+        (s) => s.activo && s.categoriaId === c.id
+      ).length,
+    }))
+);
+
+route("get", "/servicios/:id", ({ params, db }) =>
+  findOr404(db.servicios, params.id, "Servicio")
+);
+
+// ----- Franjas públicas -----
+
+// Las franjas que caen en un cierre no se ofrecen a los clientes
+const franjasAbiertas = (db) =>
+  db.franjas.filter((f) => !db.cierres.some((c) => cubreCierre(c, f)));
+
+// Franjas publicadas de un servicio, opcionalmente de un profesional
+const franjasOfertadas = (db, query) =>
+  franjasAbiertas(db).filter(
+    (f) =>
+      f.servicioId === Number(query.servicioId) &&
+      (!query.profesionalId || f.profesionalId === Number(query.profesionalId))
+  );
+
+route("get", "/franjas/disponibles", ({ query, db }) =>
+  franjasOfertadas(db, query)
+    .filter((f) => f.fecha === query.fecha)
+    .sort((a, b) => a.horaInicio.localeCompare(b.horaInicio))
+);
+
+route("get", "/franjas/disponibilidad", ({ query, db }) => {
+  // Varias franjas a la misma hora (una por profesional) cuentan como una
+  // sola hora al cliente; está libre si queda plaza en alguna
+  const dias = {};
+  franjasOfertadas(db, query)
+    .filter((f) => f.fecha.startsWith(`${query.mes}-`))
+    .forEach((f) => {
+      const dia = (dias[f.fecha] ||= {
+        fecha: f.fecha,
+        horas: {},
+        plazasLibres: 0,
+      });
+      dia.horas[f.horaInicio] ||= f.plazasDisponibles > 0;
+      dia.plazasLibres += f.plazasDisponibles;
+    });
+  return Object.values(dias)
+    .map(({ horas, ...dia }) => ({
+      ...dia,
+      franjasTotales: Object.keys(horas).length,
+      franjasLibres: Object.values(horas).filter(Boolean).length,
+    }))
+    .sort((a, b) => a.fecha.localeCompare(b.fecha));
+});
+
+// Profesionales activos que realizan un servicio (paso "elige profesional")
+route("get", "/profesionales", ({ query, db }) =>
+  db.profesionales
+    .filter(
+      (p) =>
+        p.activo &&
+        (!query.servicioId || p.servicioIds.includes(Number(query.servicioId)))
+    )
+    .map(({ id, nombre, foto, servicioIds }) => ({
+      id,
+      nombre,
+      foto,
+      servicioIds,
+    }))
+    .sort((a, b) => a.nombre.localeCompare(b.nombre))
+);
+
+// ----- Reservas del cliente -----
+
+route("post", "/reservas", (ctx) => {
+  const usuario = requireUser(ctx);
+  const { franjaId, notas } = ctx.body;
+  return [201, reservarFranja(ctx.db, usuario, franjaId, notas)];
+});
+
+route("post", "/reservas/grupo", (ctx) => {
+  const usuario = requireUser(ctx);
+  const { franjaIds = [], notas } = ctx.body;
+  const franjas = franjaIds.map((id) =>
+    findOr404(ctx.db.franjas, id, "Franja")
+  );
+
+  // Validamos todo antes de reservar nada: o todas las plazas o ninguna
+  if (franjas.length === 0) {
+    throw new MockHttpError(400, "La cita no tiene ningún servicio");
+  }
+  if (franjas.some((f) => f.fecha !== franjas[0].fecha)) {
+    throw new MockHttpError(400, "Todos los servicios deben ser el mismo día");
+  }
+  franjas.forEach((franja, i) => {
+    if (franja.plazasDisponibles <= 0) {
+      throw new MockHttpError(
+        409,
+        `No quedan plazas para ${franja.servicioNombre}`
+      );
+    }
+    if (i > 0 && franja.horaInicio < franjas[i - 1].horaFin) {
+      throw new MockHttpError(400, "Los servicios de la cita se solapan");
+    }
+  });
+
+  const grupoId =
+    ctx.db.reservas.reduce((max, r) => Math.max(max, r.grupoId || 0), 0) + 1;
+  const reservas = franjas.map((franja) => {
+    const reserva = reservarFranja(ctx.db, usuario, franja.id, notas);
+    reserva.grupoId = grupoId;
+    return reserva;
+  });
+
+  return [
+    201,
+    {
+      grupoId,
+      reservas,
+      precioTotal: reservas.reduce((total, r) => total + r.precioFinal, 0),
+    },
+  ];
+});
+
+route("get", "/reservas/mis", (ctx) => {
+  const usuario = requireUser(ctx);
+  return ctx.db.reservas.filter((r) => r.usuarioId === usuario.id);
+});
+
+route("delete", "/reservas/:id", (ctx) => {
+  const usuario = requireUser(ctx);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  if (reserva.usuarioId !== usuario.id) {
+    throw new MockHttpError(403, "No puedes cancelar esta reserva");
+  }
+  return liberarReserva(ctx.db, reserva);
+});
+
+route("post", "/reservas/:id/reenviar-confirmacion", (ctx) => {
+  const usuario = requireUser(ctx);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  if (reserva.usuarioId !== usuario.id) {
+    throw new MockHttpError(403, "No puedes acceder a esta reserva");
+  }
+  if (reserva.estado !== "PENDIENTE" && reserva.estado !== "CONFIRMADA") {
+    throw new MockHttpError(409, "La reserva ya no está activa");
+  }
+
+  // Evitamos que se reenvíe en bucle
+  const ultimoEnvio = Date.parse(reserva.confirmacionEnviadaEn || 0);
+  if (Date.now() - ultimoEnvio < REENVIO_MIN_MS) {
+    throw new MockHttpError(
+      429,
+      "Ya te lo hemos enviado hace un momento. Revisa tu bandeja de entrada."
+    );
+  }
+
+  reserva.confirmacionEnviadaEn = new Date().toISOString();
+  // No hay email en modo mock: lo dejamos en consola
+  console.log(`📧 Confirmación de la reserva ${reserva.id} a ${usuario.email}`);
+  return { enviadoA: usuario.email, enviadoEn: reserva.confirmacionEnviadaEn };
+});
+
+route("put", "/reservas/:id/reprogramar", (ctx) => {
+  const usuario = requireUser(ctx);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  if (reserva.usuarioId !== usuario.id) {
+    throw new MockHttpError(403, "No puedes modificar esta reserva");
+  }
+  if (reserva.estado !== "PENDIENTE" && reserva.estado !== "CONFIRMADA") {
+    throw new MockHttpError(409, "La reserva ya no está activa");
+  }
+
+  const nueva = findOr404(ctx.db.franjas, ctx.body.franjaId, "Franja");
+  if (nueva.servicioId !== reserva.servicioId) {
+    throw new MockHttpError(400, "La franja es de otro servicio");
+  }
+  if (nueva.plazasDisponibles <= 0) {
+    throw new MockHttpError(409, "No quedan plazas en esta franja");
+  }
+  requireAbierto(ctx.db, nueva);
+
+  // Todo o nada: se ocupa la nueva plaza y se libera la anterior
+  const anterior = ctx.db.franjas.find((f) => f.id === reserva.franjaId);
+  nueva.plazasDisponibles--;
+  if (anterior) liberarPlaza(ctx.db, anterior);
+
+  reserva.franjaId = nueva.id;
+  reserva.profesionalId = nueva.profesionalId || null;
+  reserva.profesionalNombre = nueva.profesionalNombre || null;
+  reserva.fecha = nueva.fecha;
+  reserva.horaInicio = nueva.horaInicio;
+  reserva.version = (reserva.version || 0) + 1;
+  return reserva;
+});
+
+// ----- Lista de espera -----
+
+/**
+ * Saca una entrada de la lista; si tenía plaza apartada pasa al siguiente
+ */
+const salirDeListaEspera = (db, entrada) => {
+  const teniaPlaza = entrada.estado === "PLAZA_DISPONIBLE";
+  db.listaEspera = db.listaEspera.filter((e) => e !== entrada);
+  if (teniaPlaza) {
+    const franja = db.franjas.find((f) => f.id === entrada.franjaId);
+    if (franja) liberarPlaza(db, franja);
+  }
+};
+
+const findEntradaPropia = (ctx) => {
+  const usuario = requireUser(ctx);
+  const entrada = findOr404(
+    ctx.db.listaEspera,
+    ctx.params.id,
+    "Entrada de lista de espera"
+  );
+  if (entrada.usuarioId !== usuario.id) {
+    throw new MockHttpError(403, "Esta entrada no es tuya");
+  }
+  return entrada;
+};
+
+route("post", "/lista-espera", (ctx) => {
+  const usuario = requireUser(ctx);
+  const franja = findOr404(ctx.db.franjas, ctx.body.franjaId, "Franja");
+
+  if (franja.plazasDisponibles > 0) {
+    throw new MockHttpError(409, "Aún quedan plazas: puedes reservar");
+  }
+  const yaReservada = ctx.db.reservas.some(
+    (r) =>
+      r.usuarioId === usuario.id &&
+      r.franjaId === franja.id &&
+      r.estado !== "CANCELADA"
+  );
+  const yaEnLista = ctx.db.listaEspera.some(
+    (e) =>
+      e.usuarioId === usuario.id &&
+      e.franjaId === franja.id &&
+      (e.estado === "ESPERANDO" || e.estado === "PLAZA_DISPONIBLE")
+  );
+  if (yaReservada || yaEnLista) {
+    throw new MockHttpError(409, "Ya estás apuntado a esta franja");
+  }
+
+  const entrada = {
+    id: mockDb.nextId("listaEspera"),
+    usuarioId: usuario.id,
+    franjaId: franja.id,
+    servicioId: franja.servicioId,
+    servicioNombre: franja.servicioNombre,
+    fecha: franja.fecha,
+    horaInicio: franja.horaInicio,
+    estado: "ESPERANDO",
+    plazaDisponibleHasta: null,
+    creadoEn: new Date().toISOString(),
+  };
+  ctx.db.listaEspera.push(entrada);
+  return [201, entradaListaEspera(ctx.db, entrada)];
+});
+
+route("get", "/lista-espera/mis", (ctx) => {
+  const usuario = requireUser(ctx);
+  return ctx.db.listaEspera
+    .filter((e) => e.usuarioId === usuario.id)
+    .map((e) => entradaListaEspera(ctx.db, e));
+});
+
+route("delete", "/lista-espera/:id", (ctx) => {
+  salirDeListaEspera(ctx.db, findEntradaPropia(ctx));
+  return [204, null];
+});
+
+route("post", "/lista-espera/:id/reclamar", (ctx) => {
+  const entrada = findEntradaPropia(ctx);
+  if (entrada.estado !== "PLAZA_DISPONIBLE") {
+    throw new MockHttpError(409, "La plaza ya no está disponible");
+  }
+
+  // La plaza estaba apartada: se devuelve a la franja y se reserva. Si la
+  // reserva falla (p. ej. el día se ha cerrado) sigue apartada
+  const franja = findOr404(ctx.db.franjas, entrada.franjaId, "Franja");
+  franja.plazasDisponibles++;
+  let reserva;
+  try {
+    reserva = reservarFranja(ctx.db, ctx.user, franja.id, "");
+  } catch (error) {
+    franja.plazasDisponibles--;
+    throw error;
+  }
+
+  entrada.estado = "RESERVADA";
+  entrada.reservaId = reserva.id;
+  return [201, reserva];
+});
+
+// ----- Incidencias -----
+
+const PRIORIDADES_INCIDENCIA = ["critica", "alta", "media", "baja"];
+const ESTADOS_INCIDENCIA = ["ABIERTA", "EN_REVISION", "RESUELTA", "CERRADA"];
+
+/**
+ * Código de ticket legible: INC-YYYYMMDD-NNN (secuencia dentro del día)
+ */
+const codigoIncidencia = (db, fecha) => {
+  const dia = format(fecha, "yyyyMMdd");
+  const delDia = db.incidencias.filter((i) =>
+    i.codigo.startsWith(`INC-${dia}-`)
+  ).length;
+  return `INC-${dia}-${String(delDia + 1).padStart(3, "0")}`;
+};
+
+/**
+ * Añade un cambio al historial de la incidencia
+ */
+const registrarCambio = (incidencia, autor, cambio) => {
+  const fecha = new Date().toISOString();
+  incidencia.historial.push({ fecha, autor, ...cambio });
+  incidencia.actualizadoEn = fecha;
+};
+
+route("post", "/incidencias", (ctx) => {
+  const { body } = ctx;
+  if (!body.nombre || !body.email || !body.tipo || !body.descripcion) {
+    throw new MockHttpError(400, "Faltan campos obligatorios");
+  }
+  if (!PRIORIDADES_INCIDENCIA.includes(body.prioridad)) {
+    throw new MockHttpError(400, "Prioridad no válida");
+  }
+
+  const ahora = new Date();
+  const incidencia = {
+    id: mockDb.nextId("incidencias"),
+    codigo: codigoIncidencia(ctx.db, ahora),
+    // El formulario es público: solo se vincula si hay sesión
+    usuarioId: ctx.user?.id ?? null,
+    nombre: body.nombre,
+    email: body.email,
+    telefono: body.telefono || "",
+    rol: body.rol || "cliente",
+    tipo: body.tipo,
+    prioridad: body.prioridad,
+    estado: "ABIERTA",
+    fechaIncidente: body.fecha || null,
+    navegador: body.navegador || "",
+    descripcion: body.descripcion,
+    pasos: body.pasos || "",
+    esperado: body.esperado || "",
+    adjuntos: [].concat(body.archivos || []).map((adjunto, index) => ({
+      id: index + 1,
+      ...adjunto,
+    })),
+    duplicadaDe: null,
+    historial: [],
+    creadoEn: ahora.toISOString(),
+  };
+  registrarCambio(incidencia, body.nombre, {
+    tipo: "CREADA",
+    estado: "ABIERTA",
+  });
+  ctx.db.incidencias.push(incidencia);
+
+  console.log(`📧 Acuse de la incidencia ${incidencia.codigo} a ${body.email}`);
+  return [201, incidencia];
+});
+
+route("get", "/incidencias/mis", (ctx) => {
+  const usuario = requireUser(ctx);
+  // También las enviadas sin sesión con el mismo email
+  return ctx.db.incidencias.filter(
+    (i) =>
+      i.usuarioId === usuario.id ||
+      i.email.toLowerCase() === usuario.email.toLowerCase()
+  );
+});
+
+// ----- Perfil del usuario autenticado -----
+
+route("get", "/usuarios/me", (ctx) => perfilDe(requireUser(ctx)));
+
+route("get", "/usuarios/me/ausencias", (ctx) =>
+  politicaAusencias(ctx.db, requireUser(ctx).id)
+);
+
+route("put", "/usuarios/me", (ctx) => {
+  const usuario = requireUser(ctx);
+  const { nombre, telefono } = ctx.body;
+  if (!nombre?.trim() || !/^[679]\d{8}$/.test(telefono || "")) {
+    throw new MockHttpError(400, "Nombre o teléfono no válidos");
+  }
+  usuario.nombre = nombre.trim();
+  usuario.telefono = telefono;
+
+  // Las reservas guardan una copia del nombre
+  ctx.db.reservas
+    .filter((r) => r.usuarioId === usuario.id)
+    .forEach((r) => (r.usuarioNombre = usuario.nombre));
+  return perfilDe(usuario);
+});
+
+route("post", "/usuarios/me/email", (ctx) => {
+  const usuario = requireUser(ctx);
+  requirePassword(usuario, ctx.body.password);
+  const email = normalizarEmail(ctx.body.email);
+  if (!email || email === normalizarEmail(usuario.email)) {
+    throw new MockHttpError(400, "Introduce un email distinto al actual");
+  }
+  if (buscarPorEmail(ctx.db, email)) {
+    throw new MockHttpError(409, "El email ya está registrado");
+  }
+
+  usuario.emailPendiente = email;
+  usuario.emailToken = tokenAleatorio("email", usuario.id);
+  // No hay email en modo mock: dejamos el enlace en consola
+  console.log(
+    `📧 Enlace de verificación para ${email}:`,
+    `${window.location.origin}/perfil?verificarEmail=${usuario.emailToken}`
+  );
+  return perfilDe(usuario);
+});
+
+route("post", "/usuarios/me/email/verificar", (ctx) => {
+  const usuario = requireUser(ctx);
+  if (!usuario.emailToken || usuario.emailToken !== ctx.body.token) {
+    throw new MockHttpError(400, "El enlace de verificación no es válido");
+  }
+  usuario.email = usuario.emailPendiente;
+  delete usuario.emailPendiente;
+  delete usuario.emailToken;
+  return perfilDe(usuario);
+});
+
+route("put", "/usuarios/me/password", (ctx) => {
+  const usuario = requireUser(ctx);
+  requirePassword(usuario, ctx.body.passwordActual);
+  if (!ctx.body.passwordNueva || ctx.body.passwordNueva.length < 8) {
+    throw new MockHttpError(
+      400,
+      "La contraseña debe tener mínimo 8 caracteres"
+    );
+  }
+  usuario.password = ctx.body.passwordNueva;
+  return { message: "Contraseña actualizada" };
+});
+
+route("put", "/usuarios/me/preferencias", (ctx) => {
+  const usuario = requireUser(ctx);
+  usuario.preferencias = {
+    ...PREFERENCIAS_POR_DEFECTO,
+    ...usuario.preferencias,
+    ...ctx.body,
+  };
+  return usuario.preferencias;
+});
+
+route("delete", "/usuarios/me", (ctx) => {
+  const usuario = requireUser(ctx);
+  requirePassword(usuario, ctx.body.password);
+
+  // Las reservas pendientes se cancelan para liberar las plazas
+  ctx.db.reservas
+    .filter(
+      (r) =>
+        r.usuarioId === usuario.id &&
+        (r.estado === "PENDIENTE" || r.estado === "CONFIRMADA")
+    )
+    .forEach((r) => liberarReserva(ctx.db, r));
+
+  // Y sale de las listas de espera, cediendo las plazas que tuviera apartadas
+  ctx.db.listaEspera
+    .filter((e) => e.usuarioId === usuario.id)
+    .forEach((e) => salirDeListaEspera(ctx.db, e));
+
+  // Las incidencias enviadas se conservan, pero sin vincular a la cuenta
+  ctx.db.incidencias
+    .filter((i) => i.usuarioId === usuario.id)
+    .forEach((i) => (i.usuarioId = null));
+
+  ctx.db.usuarios = ctx.db.usuarios.filter((u) => u !== usuario);
+  ctx.db.fichasClientes = ctx.db.fichasClientes.filter(
+    (f) => f.usuarioId !== usuario.id
+  );
+  ctx.db.sesiones = ctx.db.sesiones.filter((s) => s.usuarioId !== usuario.id);
+  return [204, null];
+});
+
+// ----- Admin: servicios -----
+
+route("get", "/admin/servicios", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PANEL);
+  return ctx.db.servicios;
+});
+
+/**
+ * Valida la categoría, la galería y las preguntas frecuentes de un
+ * servicio; el resto de campos se guardan tal cual llegan
+ */
+const construirServicio = (db, data) => {
+  const categoria = data.categoriaId
+    ? findOr404(db.categorias, data.categoriaId, "Categoría")
+    : null;
+
+  const imagenes = data.imagenes || [];
+  if (imagenes.length > IMAGENES_MAX_POR_SERVICIO) {
+    throw new MockHttpError(
+      400,
+      `Máximo ${IMAGENES_MAX_POR_SERVICIO} imágenes por servicio`
+    );
+  }
+  // Solo URLs de imágenes ya subidas (en modo mock, las data: que devuelve
+  // la subida)
+  if (imagenes.some((img) => !/^(https?:|data:image\/|\/)/.test(String(img)))) {
+    throw new MockHttpError(
+      400,
+      "Sube las imágenes antes de guardar el servicio"
+    );
+  }
+
+  const faqs = (data.faqs || [])
+    .map((f) => ({
+      pregunta: (f.pregunta || "").trim(),
+      respuesta: (f.respuesta || "").trim(),
+    }))
+    .filter((f) => f.pregunta || f.respuesta);
+  if (faqs.some((f) => !f.pregunta || !f.respuesta)) {
+    throw new MockHttpError(
+      400,
+      "Cada pregunta frecuente necesita pregunta y respuesta"
+    );
+  }
+
+  return {
+    ...data,
+    categoriaId: categoria ? categoria.id : null,
+    imagenes,
+    faqs,
+  };
+};
+
+/**
+ * Subida de una imagen de la galería (multipart, campo "imagen")
+ * No hay servidor de archivos en modo mock: la URL es la propia imagen en
+ * data:, que se guarda con el resto de la base y sobrevive a las recargas
+ */
+route("post", "/admin/servicios/imagenes", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const imagen = ctx.body.imagen;
+  if (!imagen?.tipo?.startsWith("image/")) {
+    throw new MockHttpError(400, "Sube una imagen JPG, PNG o WebP");
+  }
+  if (!imagen.url) {
+    throw new MockHttpError(413, "La imagen es demasiado grande");
+  }
+  return [201, { url: imagen.url }];
+});
+
+route("post", "/admin/servicios", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const servicio = {
+    ...construirServicio(ctx.db, ctx.body),
+    id: mockDb.nextId("servicios"),
+  };
+  ctx.db.servicios.push(servicio);
+  return [201, servicio];
+});
+
+route("put", "/admin/servicios/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const servicio = findOr404(ctx.db.servicios, ctx.params.id, "Servicio");
+  Object.assign(servicio, construirServicio(ctx.db, ctx.body), {
+    id: servicio.id,
+  });
+  return servicio;
+});
+
+route("delete", "/admin/servicios/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const servicio = findOr404(ctx.db.servicios, ctx.params.id, "Servicio");
+  ctx.db.servicios = ctx.db.servicios.filter((s) => s.id !== servicio.id);
+  return [204, null];
+});
+
+route("patch", "/admin/servicios/:id/activo", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const servicio = findOr404(ctx.db.servicios, ctx.params.id, "Servicio");
+  servicio.activo = !!ctx.body.activo;
+  return servicio;
+});
+
+route("post", "/admin/categorias", (ctx) => {
+  requirePermiso(ctx, PERMISOS.SERVICIOS);
+  const nombre = ctx.body.nombre?.trim();
+  if (!nombre) {
+    throw new MockHttpError(400, "La categoría necesita un nombre");
+  }
+  const slug = slugify(nombre);
+  if (ctx.db.categorias.some((c) => c.slug === slug)) {
+    throw new MockHttpError(409, `Ya existe la categoría ${nombre}`);
+  }
+  const categoria = {
+    id: mockDb.nextId("categorias"),
+    nombre,
+    slug,
+    icono: ctx.body.icono || "💆‍♀️",
+    orden: Math.max(0, ...ctx.db.categorias.map((c) => c.orden)) + 1,
+  };
+  ctx.db.categorias.push(categoria);
+  return [201, categoria];
+});
+
+// ----- Admin: franjas -----
+
+route("get", "/admin/franjas", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PANEL);
+  const { desde, hasta } = ctx.query;
+  return ctx.db.franjas.filter(
+    (f) => (!desde || f.fecha >= desde) && (!hasta || f.fecha <= hasta)
+  );
+});
+
+/**
+ * Franjas con plaza de un día en todos los servicios, para la consola de
+ * recepción (sin las de un cierre ni las de servicios desactivados)
+ */
+route("get", "/admin/franjas/libres", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const activos = new Set(
+    ctx.db.servicios.filter((s) => s.activo).map((s) => s.id)
+  );
+  return franjasAbiertas(ctx.db)
+    .filter(
+      (f) =>
+        f.fecha === ctx.query.fecha &&
+        f.plazasDisponibles > 0 &&
+        activos.has(f.servicioId)
+    )
+    .sort(
+      (a, b) =>
+        a.horaInicio.localeCompare(b.horaInicio) || a.servicioId - b.servicioId
+    );
+});
+
+route("post", "/admin/franjas", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const franja = construirFranja(ctx.db, ctx.body);
+  requireAbierto(ctx.db, franja);
+  requireProfesionalDisponible(ctx.db, franja);
+  franja.id = mockDb.nextId("franjas");
+  ctx.db.franjas.push(franja);
+  return [201, franja];
+});
+
+/**
+ * Crea varias franjas en una sola petición; las que no se pueden crear
+ * se devuelven con el motivo y no impiden crear el resto
+ */
+route("post", "/admin/franjas/lote", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const propuestas = ctx.body.franjas || [];
+  if (propuestas.length === 0 || propuestas.length > LOTE_MAX_FRANJAS) {
+    throw new MockHttpError(
+      400,
+      `Envía entre 1 y ${LOTE_MAX_FRANJAS} franjas por petición`
+    );
+  }
+
+  const hoy = format(new Date(), "yyyy-MM-dd");
+  const creadas = [];
+  const errores = [];
+
+  propuestas.forEach((datos, indice) => {
+    try {
+      const hora = Number(String(datos.horaInicio).split(":")[0]);
+      if (!datos.fecha || datos.fecha < hoy) {
+        throw new MockHttpError(400, "La fecha ya ha pasado");
+      }
+      if (!(hora >= 7 && hora < 22)) {
+        throw new MockHttpError(400, "Fuera del horario 07:00 - 22:00");
+      }
+      // Con profesional, el solape lo detecta su propia agenda
+      const repetida =
+        !datos.profesionalId &&
+        ctx.db.franjas.some(
+          (f) =>
+            !f.profesionalId &&
+            f.servicioId === Number(datos.servicioId) &&
+            f.fecha === datos.fecha &&
+            f.horaInicio === datos.horaInicio
+        );
+      if (repetida) {
+        throw new MockHttpError(409, "Ya existe una franja a esa hora");
+      }
+
+      const franja = construirFranja(ctx.db, datos);
+      requireAbierto(ctx.db, franja);
+      requireProfesionalDisponible(ctx.db, franja);
+      franja.id = mockDb.nextId("franjas");
+      ctx.db.franjas.push(franja);
+      creadas.push(franja);
+    } catch (error) {
+      errores.push({ indice, franja: datos, motivo: error.message });
+    }
+  });
+
+  return [creadas.length > 0 ? 201 : 200, { creadas, errores }];
+});
+
+// ----- Admin: plantillas de horario -----
+
+/**
+ * Valida un horario semanal y descarta los tramos y días vacíos
+ * horario: { [díaSemana 0-6]: [{ desde: "HH:mm", hasta: "HH:mm" }] }
+ */
+const normalizarHorario = (entrada) => {
+  const horario = {};
+  Object.entries(entrada || {}).forEach(([dia, tramos]) => {
+    const validos = (tramos || []).filter((t) => t.desde && t.hasta);
+    if (validos.some((t) => t.desde >= t.hasta)) {
+      throw new MockHttpError(400, "Cada tramo debe acabar después de empezar");
+    }
+    if (validos.length > 0) horario[dia] = validos;
+  });
+  if (Object.keys(horario).length === 0) {
+    throw new MockHttpError(400, "Indica al menos un día con horario");
+  }
+  return horario;
+};
+
+/**
+ * Valida y normaliza una plantilla de horario semanal; con profesionalId
+ * las franjas que genera quedan asignadas a ese profesional
+ */
+const construirPlantilla = (db, data) => {
+  if (!data.nombre?.trim()) {
+    throw new MockHttpError(400, "La plantilla necesita un nombre");
+  }
+  const servicio = findOr404(db.servicios, data.servicioId, "Servicio");
+  const intervaloMinutos = parseInt(data.intervaloMinutos);
+  const plazas = parseInt(data.plazas);
+  if (!(intervaloMinutos >= 5)) {
+    throw new MockHttpError(400, "El intervalo mínimo es de 5 minutos");
+  }
+  if (!(plazas >= 1)) {
+    throw new MockHttpError(400, "Cada franja necesita al menos una plaza");
+  }
+
+  const profesional = data.profesionalId
+    ? findOr404(db.profesionales, data.profesionalId, "Profesional")
+    : null;
+  if (profesional && !profesional.servicioIds.includes(servicio.id)) {
+    throw new MockHttpError(
+      400,
+      `${profesional.nombre} no realiza ${servicio.nombre}`
+    );
+  }
+
+  return {
+    nombre: data.nombre.trim(),
+    servicioId: servicio.id,
+    profesionalId: profesional ? profesional.id : null,
+    horario: normalizarHorario(data.horario),
+    intervaloMinutos,
+    plazas,
+  };
+};
+
+route("get", "/admin/plantillas-horario", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  return ctx.db.plantillasHorario;
+});
+
+route("post", "/admin/plantillas-horario", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const plantilla = {
+    id: mockDb.nextId("plantillasHorario"),
+    ...construirPlantilla(ctx.db, ctx.body),
+    creadoEn: new Date().toISOString(),
+  };
+  ctx.db.plantillasHorario.push(plantilla);
+  return [201, plantilla];
+});
+
+route("put", "/admin/plantillas-horario/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const plantilla = findOr404(
+    ctx.db.plantillasHorario,
+    ctx.params.id,
+    "Plantilla"
+  );
+  Object.assign(plantilla, construirPlantilla(ctx.db, ctx.body));
+  return plantilla;
+});
+
+route("delete", "/admin/plantillas-horario/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const plantilla = findOr404(
+    ctx.db.plantillasHorario,
+    ctx.params.id,
+    "Plantilla"
+  );
+  ctx.db.plantillasHorario = ctx.db.plantillasHorario.filter(
+    (p) => p.id !== plantilla.id
+  );
+  return { message: "Plantilla eliminada" };
+});
+
+// ----- Admin: profesionales -----
+
+/**
+ * Valida y normaliza un profesional: sus servicios (habilidades) y su
+ * horario semanal, con el mismo formato que las plantillas
+ */
+const construirProfesional = (db, data) => {
+  if (!data.nombre?.trim()) {
+    throw new MockHttpError(400, "El profesional necesita un nombre");
+  }
+  const servicioIds = [...new Set((data.servicioIds || []).map(Number))];
+  if (servicioIds.length === 0) {
+    throw new MockHttpError(400, "Indica al menos un servicio que realice");
+  }
+  servicioIds.forEach((id) => findOr404(db.servicios, id, "Servicio"));
+  if (data.foto && !String(data.foto).startsWith("data:image/")) {
+    throw new MockHttpError(400, "La foto debe ser una imagen");
+  }
+  if (data.foto && data.foto.length > FOTO_MAX_CARACTERES) {
+    throw new MockHttpError(413, "La foto es demasiado grande");
+  }
+
+  return {
+    nombre: data.nombre.trim(),
+    foto: data.foto || null,
+    servicioIds,
+    horario: normalizarHorario(data.horario),
+  };
+};
+
+// Franjas futuras asignadas a un profesional
+const franjasFuturasDe = (db, profesional) => {
+  const hoy = format(new Date(), "yyyy-MM-dd");
+  return db.franjas.filter(
+    (f) => f.profesionalId === profesional.id && f.fecha >= hoy
+  );
+};
+
+route("get", "/admin/profesionales", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PANEL);
+  return ctx.db.profesionales.map((p) => ({
+    ...p,
+    franjasFuturas: franjasFuturasDe(ctx.db, p).length,
+  }));
+});
+
+route("post", "/admin/profesionales", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PROFESIONALES);
+  const profesional = {
+    id: mockDb.nextId("profesionales"),
+    ...construirProfesional(ctx.db, ctx.body),
+    activo: true,
+    creadoEn: new Date().toISOString(),
+  };
+  ctx.db.profesionales.push(profesional);
+  return [201, profesional];
+});
+
+route("put", "/admin/profesionales/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PROFESIONALES);
+  const profesional = findOr404(
+    ctx.db.profesionales,
+    ctx.params.id,
+    "Profesional"
+  );
+  const datos = construirProfesional(ctx.db, ctx.body);
+  Object.assign(profesional, datos);
+  // Las franjas y reservas guardan el nombre para mostrarlo sin cruzar datos
+  [...ctx.db.franjas, ...ctx.db.reservas]
+    .filter((item) => item.profesionalId === profesional.id)
+    .forEach((item) => (item.profesionalNombre = profesional.nombre));
+  return profesional;
+});
+
+route("patch", "/admin/profesionales/:id/activo", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PROFESIONALES);
+  const profesional = findOr404(
+    ctx.db.profesionales,
+    ctx.params.id,
+    "Profesional"
+  );
+  profesional.activo = Boolean(ctx.body.activo);
+  return profesional;
+});
+
+route("delete", "/admin/profesionales/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PROFESIONALES);
+  const profesional = findOr404(
+    ctx.db.profesionales,
+    ctx.params.id,
+    "Profesional"
+  );
+  const pendientes = franjasFuturasDe(ctx.db, profesional).length;
+  if (pendientes > 0) {
+    throw new MockHttpError(
+      409,
+      `${profesional.nombre} tiene ${pendientes} franjas futuras; desactívalo o reasígnalas antes`
+    );
+  }
+  ctx.db.profesionales = ctx.db.profesionales.filter(
+    (p) => p.id !== profesional.id
+  );
+  ctx.db.plantillasHorario
+    .filter((p) => p.profesionalId === profesional.id)
+    .forEach((p) => (p.profesionalId = null));
+  return { message: "Profesional eliminado" };
+});
+
+// ----- Admin: cierres y festivos -----
+
+const TIPOS_CIERRE = ["FESTIVO", "VACACIONES", "CIERRE"];
+
+/**
+ * Valida y normaliza un cierre: días completos (sin desde/hasta) o un
+ * tramo horario que se aplica a cada día; servicioId null = todo el salón
+ */
+const construirCierre = (db, data) => {
+  const fechaInicio = data.fechaInicio;
+  const fechaFin = data.fechaFin || fechaInicio;
+  const desde = data.desde ? data.desde.slice(0, 5) : null;
+  const hasta = data.hasta ? data.hasta.slice(0, 5) : null;
+
+  if (!fechaInicio) {
+    throw new MockHttpError(400, "Indica el día del cierre");
+  }
+  if (fechaFin < fechaInicio) {
+    throw new MockHttpError(400, "El cierre debe acabar después de empezar");
+  }
+  if (!desde !== !hasta) {
+    throw new MockHttpError(400, "Indica el inicio y el fin del tramo");
+  }
+  if (desde && desde >= hasta) {
+    throw new MockHttpError(400, "El tramo debe acabar después de empezar");
+  }
+  const servicio = data.servicioId
+    ? findOr404(db.servicios, data.servicioId, "Servicio")
+    : null;
+
+  return {
+    fechaInicio,
+    fechaFin,
+    desde,
+    hasta,
+    servicioId: servicio ? servicio.id : null,
+    servicioNombre: servicio ? servicio.nombre : null,
+    motivo: (data.motivo || "").trim(),
+    tipo: TIPOS_CIERRE.includes(data.tipo) ? data.tipo : "CIERRE",
+    origen: data.origen === "ics" ? "ics" : "manual",
+  };
+};
+
+// Las reservas que caen en un cierre no se cancelan solas: se devuelven
+// para que el salón avise a los clientes o las reprograme
+const cierreConReservas = (db, cierre) => ({
+  ...cierre,
+  reservasAfectadas: impactoCierre(db, cierre).reservas,
+});
+
+/**
+ * Guarda un cierre y, si se pide, borra las franjas libres que cubre
+ * (las que tienen reservas se quedan hasta que se resuelvan)
+ */
+const guardarCierre = (db, datos, eliminarFranjas) => {
+  if (!datos.motivo) {
+    throw new MockHttpError(400, "Indica el motivo del cierre");
+  }
+  const cierre = {
+    id: mockDb.nextId("cierres"),
+    ...datos,
+    creadoEn: new Date().toISOString(),
+  };
+  db.cierres.push(cierre);
+
+  let franjasEliminadas = 0;
+  if (eliminarFranjas) {
+    const libres = new Set(
+      impactoCierre(db, cierre)
+        .franjas.filter((f) => f.plazasDisponibles === f.plazasTotales)
+        .map((f) => f.id)
+    );
+    db.franjas = db.franjas.filter((f) => !libres.has(f.id));
+    franjasEliminadas = libres.size;
+  }
+  return { ...cierreConReservas(db, cierre), franjasEliminadas };
+};
+
+route("get", "/admin/cierres", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const { desde, hasta } = ctx.query;
+  return ctx.db.cierres
+    .filter(
+      (c) =>
+        (!desde || c.fechaFin >= desde) && (!hasta || c.fechaInicio <= hasta)
+    )
+    .sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio))
+    .map((c) => cierreConReservas(ctx.db, c));
+});
+
+/**
+ * Qué pasaría al crear el cierre (sin guardarlo; el motivo no hace falta)
+ */
+route("post", "/admin/cierres/impacto", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const { franjas, reservas } = impactoCierre(
+    ctx.db,
+    construirCierre(ctx.db, ctx.body)
+  );
+  const franjasLibres = franjas.filter(
+    (f) => f.plazasDisponibles === f.plazasTotales
+  ).length;
+  return {
+    reservas,
+    franjasLibres,
+    franjasConReservas: franjas.length - franjasLibres,
+  };
+});
+
+route("post", "/admin/cierres", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const datos = construirCierre(ctx.db, ctx.body);
+  return [201, guardarCierre(ctx.db, datos, ctx.body.eliminarFranjas)];
+});
+
+/**
+ * Importa varios cierres (festivos de un .ics); los repetidos y los no
+ * válidos se devuelven con el motivo y no impiden importar el resto
+ */
+route("post", "/admin/cierres/importar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const creados = [];
+  const errores = [];
+
+  (ctx.body.cierres || []).forEach((propuesta, indice) => {
+    try {
+      const datos = construirCierre(ctx.db, propuesta);
+      const repetido = ctx.db.cierres.some(
+        (c) =>
+          c.fechaInicio === datos.fechaInicio &&
+          c.fechaFin === datos.fechaFin &&
+          c.desde === datos.desde &&
+          c.servicioId === datos.servicioId
+      );
+      if (repetido) {
+        throw new MockHttpError(409, "Ya existe un cierre esos días");
+      }
+      creados.push(guardarCierre(ctx.db, datos, ctx.body.eliminarFranjas));
+    } catch (error) {
+      errores.push({ indice, cierre: propuesta, motivo: error.message });
+    }
+  });
+
+  return [creados.length > 0 ? 201 : 200, { creados, errores }];
+});
+
+route("delete", "/admin/cierres/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const cierre = findOr404(ctx.db.cierres, ctx.params.id, "Cierre");
+  ctx.db.cierres = ctx.db.cierres.filter((c) => c.id !== cierre.id);
+  return { message: "Cierre eliminado" };
+});
+
+route("get", "/admin/franjas/servicio/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PANEL);
+  return ctx.db.franjas.filter((f) => f.servicioId === Number(ctx.params.id));
+});
+
+route("get", "/admin/franjas/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.PANEL);
+  return findOr404(ctx.db.franjas, ctx.params.id, "Franja");
+});
+
+route("put", "/admin/franjas/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const franja = findOr404(ctx.db.franjas, ctx.params.id, "Franja");
+  const datos = construirFranja(ctx.db, ctx.body, franja);
+  // Cambiar las plazas de una franja ya cerrada sigue permitido; moverla
+  // (o moverla dentro de un cierre) no
+  const movida =
+    datos.servicioId !== franja.servicioId ||
+    datos.fecha !== franja.fecha ||
+    datos.horaInicio !== franja.horaInicio;
+  if (movida) {
+    requireAbierto(ctx.db, datos);
+  }
+  if (movida || datos.profesionalId !== franja.profesionalId) {
+    requireProfesionalDisponible(ctx.db, datos);
+  }
+  // Las reservas de la franja pasan al nuevo profesional
+  ctx.db.reservas
+    .filter((r) => r.franjaId === franja.id)
+    .forEach((r) => {
+      r.profesionalId = datos.profesionalId;
+      r.profesionalNombre = datos.profesionalNombre;
+    });
+  Object.assign(franja, datos);
+  return franja;
+});
+
+route("delete", "/admin/franjas/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.HORARIOS);
+  const franja = findOr404(ctx.db.franjas, ctx.params.id, "Franja");
+  if (franja.plazasDisponibles < franja.plazasTotales) {
+    throw new MockHttpError(409, "La franja tiene reservas activas");
+  }
+  ctx.db.franjas = ctx.db.franjas.filter((f) => f.id !== franja.id);
+  return { message: "Franja eliminada" };
+});
+
+// ----- Admin: reservas -----
+
+route("get", "/admin/reservas", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_VER);
+  return ctx.db.reservas;
+});
+
+/**
+ * Búsqueda paginada con el formato de página de Spring Data
+ * (?page=0&size=10&sort=fecha,desc&estado=...&servicioId=...&q=...)
+ */
+route("get", "/admin/reservas/buscar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_VER);
+  const { q, fecha, desde, hasta, estado, servicioId, cliente } = ctx.query;
+  const page = Math.max(Number(ctx.query.page) || 0, 0);
+  const size = Math.min(Math.max(Number(ctx.query.size) || 10, 1), 100);
+  const [campo, direccion = "asc"] = (ctx.query.sort || "fecha,desc").split(
+    ","
+  );
+
+  const contiene = (texto, busqueda) =>
+    String(texto || "")
+      .toLowerCase()
+      .includes(busqueda.toLowerCase());
+
+  const filtradas = ctx.db.reservas.filter(
+    (r) =>
+      (!q ||
+        contiene(r.usuarioNombre, q) ||
+        contiene(r.usuarioEmail, q) ||
+        contiene(r.servicioNombre, q) ||
+        String(r.id).includes(q)) &&
+      (!fecha || r.fecha === fecha) &&
+      (!desde || r.fecha >= desde) &&
+      (!hasta || r.fecha <= hasta) &&
+      (!estado || r.estado === estado) &&
+      (!servicioId || r.servicioId === Number(servicioId)) &&
+      (!cliente ||
+        contiene(r.usuarioNombre, cliente) ||
+        contiene(r.usuarioEmail, cliente))
+  );
+
+  // La fecha ordena junto con la hora; el id deshace los empates
+  const valor = (r) =>
+    campo === "fecha" ? `${r.fecha} ${r.horaInicio}` : r[campo] ?? "";
+  const signo = direccion === "desc" ? -1 : 1;
+  filtradas.sort((a, b) => {
+    const va = valor(a);
+    const vb = valor(b);
+    const orden =
+      typeof va === "number" && typeof vb === "number"
+        ? va - vb
+        : String(va).localeCompare(String(vb), "es");
+    return signo * (orden || a.id - b.id);
+  });
+
+  return {
+    content: filtradas.slice(page * size, (page + 1) * size),
+    number: page,
+    size,
+    totalElements: filtradas.length,
+    totalPages: Math.ceil(filtradas.length / size),
+  };
+});
+
+route("get", "/admin/reservas/hoy", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_VER);
+  const hoy = format(new Date(), "yyyy-MM-dd");
+  // Con el total de ausencias de cada cliente para avisar en recepción
+  return ctx.db.reservas
+    .filter((r) => r.fecha === hoy)
+    .map((r) => ({
+      ...r,
+      ausenciasCliente: contarAusencias(ctx.db, r.usuarioId),
+    }));
+});
+
+/**
+ * Cambio de estado durante el día de la cita (llegada, inicio y ausencia):
+ * comprueba el estado de partida y guarda la hora del cambio
+ */
+const cambiarEstadoDelDia = (ctx, { desde, estado, marca }) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  const hoy = format(new Date(), "yyyy-MM-dd");
+  if (!desde.includes(reserva.estado)) {
+    throw new MockHttpError(
+      409,
+      `No se puede pasar de ${reserva.estado} a ${estado}`
+    );
+  }
+  // La ausencia puede anotarse después; la llegada y el inicio, solo hoy
+  const fuera =
+    estado === "NO_PRESENTADO" ? reserva.fecha > hoy : reserva.fecha !== hoy;
+  if (fuera) {
+    throw new MockHttpError(409, "La cita no es de hoy");
+  }
+  // Y no antes de la hora de la cita: cuenta para la política de ausencias
+  const ahora = format(new Date(), "HH:mm");
+  if (
+    estado === "NO_PRESENTADO" &&
+    reserva.fecha === hoy &&
+    reserva.horaInicio.slice(0, 5) > ahora
+  ) {
+    throw new MockHttpError(409, "La cita aún no ha empezado");
+  }
+  reserva.estado = estado;
+  reserva[marca] = new Date().toISOString();
+  return reserva;
+};
+
+route("patch", "/admin/reservas/:id/llegada", (ctx) =>
+  cambiarEstadoDelDia(ctx, {
+    desde: ["PENDIENTE", "CONFIRMADA"],
+    estado: "EN_ESPERA",
+    marca: "llegadaEn",
+  })
+);
+
+route("patch", "/admin/reservas/:id/iniciar", (ctx) => {
+  const reserva = cambiarEstadoDelDia(ctx, {
+    desde: ["PENDIENTE", "CONFIRMADA", "EN_ESPERA"],
+    estado: "EN_CURSO",
+    marca: "iniciadaEn",
+  });
+  // Si se empieza sin marcar la llegada, llegó al empezar
+  if (!reserva.llegadaEn) reserva.llegadaEn = reserva.iniciadaEn;
+  return reserva;
+});
+
+route("patch", "/admin/reservas/:id/no-presentado", (ctx) =>
+  cambiarEstadoDelDia(ctx, {
+    desde: ["PENDIENTE", "CONFIRMADA"],
+    estado: "NO_PRESENTADO",
+    marca: "noPresentadoEn",
+  })
+);
+
+route("patch", "/admin/reservas/:id/confirmar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  reserva.estado = "CONFIRMADA";
+  return reserva;
+});
+
+route("patch", "/admin/reservas/:id/completar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  reserva.estado = "COMPLETADA";
+  reserva.completadaEn = new Date().toISOString();
+  return reserva;
+});
+
+route("delete", "/admin/reservas/:id/cancelar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+  return liberarReserva(ctx.db, reserva);
+});
+
+route("post", "/admin/reservas/manual", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  // Con usuarioId (consola de recepción) se reserva a un cliente existente;
+  // si no, se busca por email y, si no existe, la reserva queda sin cuenta
+  const usuario = ctx.body.usuarioId
+    ? findOr404(ctx.db.usuarios, ctx.body.usuarioId, "Usuario")
+    : buscarPorEmail(ctx.db, ctx.body.usuarioEmail) || {
+        id: null,
+        nombre: ctx.body.usuarioNombre || ctx.body.usuarioEmail,
+        email: ctx.body.usuarioEmail,
+      };
+  const reserva = reservarFranja(
+    ctx.db,
+    usuario,
+    ctx.body.franjaId,
+    ctx.body.notas
+  );
+  reserva.estado = "CONFIRMADA";
+  return [201, reserva];
+});
+
+route("put", "/admin/reservas/:id/editar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.RESERVAS_GESTIONAR);
+  const reserva = findOr404(ctx.db.reservas, ctx.params.id, "Reserva");
+
+  // Si cambia la franja, movemos la plaza de una a otra
+  if (Number(ctx.body.franjaId) !== reserva.franjaId) {
+    const nueva = findOr404(ctx.db.franjas, ctx.body.franjaId, "Franja");
+    if (nueva.plazasDisponibles <= 0) {
+      throw new MockHttpError(409, "No quedan plazas en esta franja");
+    }
+    requireAbierto(ctx.db, nueva);
+    const anterior = ctx.db.franjas.find((f) => f.id === reserva.franjaId);
+    nueva.plazasDisponibles--;
+    if (anterior) liberarPlaza(ctx.db, anterior);
+    Object.assign(reserva, {
+      franjaId: nueva.id,
+      profesionalId: nueva.profesionalId || null,
+      profesionalNombre: nueva.profesionalNombre || null,
+      fecha: nueva.fecha,
+      horaInicio: nueva.horaInicio,
+      version: (reserva.version || 0) + 1,
+    });
+  }
+
+  Object.assign(reserva, {
+    usuarioEmail: ctx.body.usuarioEmail,
+    usuarioNombre: ctx.body.usuarioNombre,
+    notas: ctx.body.notas || "",
+  });
+  return reserva;
+});
+
+// ----- Admin: usuarios -----
+
+route("get", "/admin/usuarios", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  return ctx.db.usuarios.map(usuarioPublico);
+});
+
+/**
+ * Búsqueda rápida de clientes por teléfono, nombre o email (recepción):
+ * si la búsqueda son dígitos compara con el teléfono
+ */
+route("get", "/admin/usuarios/buscar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  const q = normalizarBusqueda(ctx.query.q);
+  if (q.length < 2) return [];
+
+  const digitos = q.replace(/[\s+-]/g, "");
+  const porTelefono = /^\d+$/.test(digitos);
+  return ctx.db.usuarios
+    .filter(
+      (u) =>
+        u.rol === "CLIENTE" &&
+        (porTelefono
+          ? (u.telefono || "").includes(digitos)
+          : normalizarBusqueda(u.nombre).includes(q) ||
+            normalizarBusqueda(u.email).includes(q))
+    )
+    .slice(0, MAX_RESULTADOS_BUSQUEDA)
+    .map(usuarioPublico);
+});
+
+/**
+ * Alta rápida de un cliente que llama o viene sin cuenta: sin contraseña
+ * y con el email opcional (podrá activarla con "olvidé mi contraseña")
+ */
+route("post", "/admin/usuarios/invitado", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  const nombre = ctx.body.nombre?.trim();
+  const telefono = (ctx.body.telefono || "").replace(/\s/g, "");
+  const email = normalizarEmail(ctx.body.email) || null;
+  if (!nombre || !/^[679]\d{8}$/.test(telefono)) {
+    throw new MockHttpError(400, "Nombre o teléfono no válidos");
+  }
+  if (ctx.db.usuarios.some((u) => u.telefono === telefono)) {
+    throw new MockHttpError(409, "Ya hay un cliente con ese teléfono");
+  }
+  if (buscarPorEmail(ctx.db, email)) {
+    throw new MockHttpError(409, "El email ya está registrado");
+  }
+
+  const usuario = {
+    id: mockDb.nextId("usuarios"),
+    nombre,
+    email,
+    password: null,
+    telefono,
+    rol: "CLIENTE",
+    invitado: true,
+    creadoEn: new Date().toISOString(),
+  };
+  ctx.db.usuarios.push(usuario);
+  return [201, usuarioPublico(usuario)];
+});
+
+route("get", "/admin/usuarios/:id", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  return usuarioPublico(findOr404(ctx.db.usuarios, ctx.params.id, "Usuario"));
+});
+
+route("patch", "/admin/usuarios/:id/rol", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.USUARIOS);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  if (!ROLES_USUARIO.includes(ctx.body.rol)) {
+    throw new MockHttpError(400, "Rol no válido");
+  }
+  if (usuario.id === admin.id) {
+    throw new MockHttpError(409, "No puedes cambiar tu propio rol");
+  }
+  usuario.rol = ctx.body.rol;
+  return usuarioPublico(usuario);
+});
+
+/**
+ * Envía (en mock, deja en consola) el enlace para que un usuario invitado
+ * elija su contraseña. Reutiliza la pantalla de recuperar contraseña
+ */
+const enviarInvitacion = (db, usuario) => {
+  const token = tokenAleatorio("invitacion", usuario.id);
+  db.resetTokens = db.resetTokens.filter((t) => t.usuarioId !== usuario.id);
+  db.resetTokens.push({
+    token,
+    usuarioId: usuario.id,
+    expiraEn: Date.now() + INVITACION_TTL_MS,
+  });
+  console.log(
+    `📧 Invitación para ${usuario.email}:`,
+    `${window.location.origin}/reset-password?token=${token}&invitacion=1`
+  );
+};
+
+route("post", "/admin/usuarios/invitar", (ctx) => {
+  requirePermiso(ctx, PERMISOS.USUARIOS);
+  const { nombre, telefono, rol = "CLIENTE" } = ctx.body;
+  const email = normalizarEmail(ctx.body.email);
+  if (!nombre?.trim() || !email) {
+    throw new MockHttpError(400, "Nombre y email son obligatorios");
+  }
+  if (!ROLES_USUARIO.includes(rol)) {
+    throw new MockHttpError(400, "Rol no válido");
+  }
+  if (buscarPorEmail(ctx.db, email)) {
+    throw new MockHttpError(409, "El email ya está registrado");
+  }
+
+  // Sin contraseña hasta que abra el enlace: no puede iniciar sesión
+  const usuario = {
+    id: mockDb.nextId("usuarios"),
+    nombre: nombre.trim(),
+    email,
+    password: null,
+    telefono: telefono || "",
+    rol,
+    invitacionPendiente: true,
+    creadoEn: new Date().toISOString(),
+  };
+  ctx.db.usuarios.push(usuario);
+  enviarInvitacion(ctx.db, usuario);
+  return [201, usuarioPublico(usuario)];
+});
+
+route("post", "/admin/usuarios/:id/invitacion", (ctx) => {
+  requirePermiso(ctx, PERMISOS.USUARIOS);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  if (!usuario.invitacionPendiente) {
+    throw new MockHttpError(409, "El usuario ya ha activado su cuenta");
+  }
+  enviarInvitacion(ctx.db, usuario);
+  return { message: "Invitación reenviada" };
+});
+
+route("put", "/admin/usuarios/:id/suspension", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.USUARIOS);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  const motivo = ctx.body.motivo?.trim();
+  const hasta = ctx.body.hasta || null;
+  if (usuario.id === admin.id) {
+    throw new MockHttpError(409, "No puedes suspender tu propia cuenta");
+  }
+  if (!motivo) {
+    throw new MockHttpError(400, "Indica el motivo de la suspensión");
+  }
+  if (hasta && hasta < format(new Date(), "yyyy-MM-dd")) {
+    throw new MockHttpError(400, "La fecha de fin ya ha pasado");
+  }
+
+  usuario.suspension = {
+    motivo,
+    hasta,
+    desde: new Date().toISOString(),
+    por: admin.nombre,
+  };
+  // Cierra las sesiones abiertas: no podrá renovar el token
+  ctx.db.sesiones = ctx.db.sesiones.filter((s) => s.usuarioId !== usuario.id);
+  return usuarioPublico(usuario);
+});
+
+route("delete", "/admin/usuarios/:id/suspension", (ctx) => {
+  requirePermiso(ctx, PERMISOS.USUARIOS);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  delete usuario.suspension;
+  return usuarioPublico(usuario);
+});
+
+// Historial completo del cliente, de la más reciente a la más antigua
+route("get", "/admin/usuarios/:id/reservas", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  return ctx.db.reservas
+    .filter((r) => r.usuarioId === usuario.id)
+    .sort((a, b) =>
+      `${b.fecha} ${b.horaInicio}`.localeCompare(`${a.fecha} ${a.horaInicio}`)
+    );
+});
+
+// Ficha interna: nunca se incluye en el perfil que ve el propio cliente
+const FICHA_VACIA = { alergias: "", preferencias: "", notas: "" };
+
+route("get", "/admin/usuarios/:id/ficha", (ctx) => {
+  requirePermiso(ctx, PERMISOS.CLIENTES);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  return (
+    ctx.db.fichasClientes.find((f) => f.usuarioId === usuario.id) || {
+      usuarioId: usuario.id,
+      ...FICHA_VACIA,
+      actualizadoEn: null,
+      actualizadoPor: null,
+    }
+  );
+});
+
+route("put", "/admin/usuarios/:id/ficha", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.CLIENTES);
+  const usuario = findOr404(ctx.db.usuarios, ctx.params.id, "Usuario");
+  let ficha = ctx.db.fichasClientes.find((f) => f.usuarioId === usuario.id);
+  if (!ficha) {
+    ficha = { usuarioId: usuario.id };
+    ctx.db.fichasClientes.push(ficha);
+  }
+  Object.keys(FICHA_VACIA).forEach((campo) => {
+    ficha[campo] = (ctx.body[campo] || "").trim();
+  });
+  ficha.actualizadoEn = new Date().toISOString();
+  ficha.actualizadoPor = admin.nombre;
+  return ficha;
+});
+
+// ----- Admin: incidencias -----
+
+route("get", "/admin/incidencias", (ctx) => {
+  requirePermiso(ctx, PERMISOS.INCIDENCIAS);
+  return ctx.db.incidencias;
+});
+
+route("patch", "/admin/incidencias/:id", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.INCIDENCIAS);
+  const incidencia = findOr404(ctx.db.incidencias, ctx.params.id, "Incidencia");
+  const { estado, prioridad } = ctx.body;
+
+  if (estado && !ESTADOS_INCIDENCIA.includes(estado)) {
+    throw new MockHttpError(400, "Estado no válido");
+  }
+  if (prioridad && !PRIORIDADES_INCIDENCIA.includes(prioridad)) {
+    throw new MockHttpError(400, "Prioridad no válida");
+  }
+
+  if (estado && estado !== incidencia.estado) {
+    registrarCambio(incidencia, admin.nombre, {
+      tipo: "ESTADO",
+      anterior: incidencia.estado,
+      estado,
+    });
+    incidencia.estado = estado;
+  }
+  if (prioridad && prioridad !== incidencia.prioridad) {
+    registrarCambio(incidencia, admin.nombre, {
+      tipo: "PRIORIDAD",
+      anterior: incidencia.prioridad,
+      prioridad,
+    });
+    incidencia.prioridad = prioridad;
+  }
+  return incidencia;
+});
+
+route("put", "/admin/incidencias/:id/duplicada", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.INCIDENCIAS);
+  const incidencia = findOr404(ctx.db.incidencias, ctx.params.id, "Incidencia");
+
+  // Sin original: se deshace el enlace (el estado no cambia)
+  if (!ctx.body.duplicadaDe) {
+    if (incidencia.duplicadaDe) {
+      incidencia.duplicadaDe = null;
+      registrarCambio(incidencia, admin.nombre, {
+        tipo: "DUPLICADA",
+        original: null,
+      });
+    }
+    return incidencia;
+  }
+
+  // Se enlaza siempre con la primera de la cadena, nunca con otra duplicada
+  let original = findOr404(
+    ctx.db.incidencias,
+    ctx.body.duplicadaDe,
+    "Incidencia original"
+  );
+  if (original.duplicadaDe) {
+    original = findOr404(
+      ctx.db.incidencias,
+      original.duplicadaDe,
+      "Incidencia"
+    );
+  }
+  if (original.id === incidencia.id) {
+    throw new MockHttpError(
+      400,
+      "Una incidencia no puede duplicarse a sí misma"
+    );
+  }
+
+  // Las que eran duplicadas de esta pasan a la original
+  ctx.db.incidencias
+    .filter((i) => i.duplicadaDe === incidencia.id)
+    .forEach((i) => (i.duplicadaDe = original.id));
+
+  incidencia.duplicadaDe = original.id;
+  registrarCambio(incidencia, admin.nombre, {
+    tipo: "DUPLICADA",
+    original: original.codigo,
+  });
+  if (incidencia.estado !== "CERRADA") {
+    registrarCambio(incidencia, admin.nombre, {
+      tipo: "ESTADO",
+      anterior: incidencia.estado,
+      estado: "CERRADA",
+    });
+    incidencia.estado = "CERRADA";
+  }
+  return incidencia;
+});
+
+route("post", "/admin/incidencias/:id/respuestas", (ctx) => {
+  const admin = requirePermiso(ctx, PERMISOS.INCIDENCIAS);
+  const incidencia = findOr404(ctx.db.incidencias, ctx.params.id, "Incidencia");
+  const mensaje = ctx.body.mensaje?.trim();
+  if (!mensaje) {
+    throw new MockHttpError(400, "La respuesta no puede estar vacía");
+  }
+
+  registrarCambio(incidencia, admin.nombre, { tipo: "RESPUESTA", mensaje });
+  // Responder a una incidencia abierta la pasa a revisión
+  if (incidencia.estado === "ABIERTA") {
+    registrarCambio(incidencia, admin.nombre, {
+      tipo: "ESTADO",
+      anterior: "ABIERTA",
+      estado: "EN_REVISION",
+    });
+    incidencia.estado = "EN_REVISION";
+  }
+
+  console.log(
+    `📧 Respuesta a la incidencia ${incidencia.codigo} para ${incidencia.email}`
+  );
+  return [201, incidencia];
+});
+
+// ========== ADAPTER ==========
+
+/**
+ * Convierte un archivo subido en adjunto, con el contenido como data URL
+ */
+const leerAdjunto = async (archivo) => {
+  let url = null;
+  if (archivo.size <= ADJUNTO_MAX_BYTES) {
+    const bytes = new Uint8Array(await archivo.arrayBuffer());
+    let binario = "";
+    bytes.forEach((byte) => (binario += String.fromCharCode(byte)));
+    url = `data:${archivo.type};base64,${btoa(binario)}`;
+  } else {
+    console.warn(
+      `🧪 ${archivo.name} es demasiado grande: se guarda sin contenido`
+    );
+  }
+  return {
+    nombre: archivo.name || "archivo",
+    tipo: archivo.type,
+    tamano: archivo.size,
+    url,
+  };
+};
+
+/**
+ * Convierte el body de la petición en objeto
+ * En un FormData los campos repetidos (varios archivos) se agrupan en arrays
+ */
+const parseBody = async (data) => {
+  if (!data) return {};
+  if (typeof FormData !== "undefined" && data instanceof FormData) {
+    const body = {};
+    for (const [key, value] of data.entries()) {
+      const valor = value instanceof Blob ? await leerAdjunto(value) : value;
+      body[key] = key in body ? [].concat(body[key], valor) : valor;
+    }
+    return body;
+  }
+  if (typeof data === "string") {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data;
+};
+
+/**
+ * Adapter de axios que resuelve las peticiones contra el backend simulado
+ * @param {Object} config - Config de la petición de axios
+ * @returns {Promise<Object>} Respuesta con el formato de axios
+ */
+const mockAdapter = async (config) => {
+  await new Promise((resolve) => setTimeout(resolve, LATENCY_MS));
+
+  const url = new URL(config.url, "http://mock.local");
+  const method = (config.method || "get").toLowerCase();
+  const query = {
+    ...Object.fromEntries(url.searchParams.entries()),
+    ...(config.params || {}),
+  };
+
+  const respond = (status, data) => {
+    const response = {
+      data,
+      status,
+      statusText: String(status),
+      headers: { "content-type": "application/json" },
+      config,
+      request: {},
+    };
+
+    if (status >= 400) {
+      return Promise.reject(
+        new AxiosError(
+          data?.message || `Request failed with status code ${status}`,
+          status >= 500
+            ? AxiosError.ERR_BAD_RESPONSE
+            : AxiosError.ERR_BAD_REQUEST,
+          config,
+          response.request,
+          response
+        )
+      );
+    }
+    return Promise.resolve(response);
+  };
+
+  for (const { method: routeMethod, regex, keys, handler } of routes) {
+    const match = url.pathname.match(regex);
+    if (routeMethod !== method || !match) continue;
+
+    const params = Object.fromEntries(keys.map((k, i) => [k, match[i + 1]]));
+    const body = await parseBody(config.data);
+    const db = mockDb.get();
+
+    try {
+      procesarListaEspera(db);
+      const result = handler({
+        params,
+        query,
+        body,
+        user: getUsuarioDeToken(config),
+        db,
+      });
+      mockDb.save();
+
+      // Los handlers devuelven los datos o una tupla [status, datos]
+      const esTupla =
+        Array.isArray(result) &&
+        result.length === 2 &&
+        typeof result[0] === "number";
+      const [status, data] = esTupla ? result : [200, result];
+      // Devolvemos copias para que la UI no mute la base de datos
+      return respond(status, data === null ? null : structuredClone(data));
+    } catch (error) {
+      if (error instanceof MockHttpError) {
+        return respond(error.status, { message: error.message });
+      }
+      console.error("🧪 Error en backend simulado:", error);
+      return respond(500, { message: "Error interno del backend simulado" });
+    }
+  }
+
+  return respond(404, {
+    message: `Endpoint simulado no encontrado: ${method.toUpperCase()} ${url.pathname}`,
+  });
+};
+
+export { MockHttpError, route };
+export default mockAdapter;
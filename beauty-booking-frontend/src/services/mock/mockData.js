@@ -0,0 +1,442 @@
+import { format, addDays, subDays, getDay } from "date-fns";
+
+/**
+ * mockData - Datos semilla del backend simulado
+ *
+ * Genera un conjunto de datos coherente y relativo a la fecha actual:
+ * categorías, servicios, profesionales, usuarios (con las credenciales de prueba del
+ * README), franjas para los próximos 30 días y algunas reservas de ejemplo.
+ */
+
+// Horas de apertura en las que se generan franjas
+const HORAS_FRANJAS = [
+  "10:00:00",
+  "11:00:00",
+  "12:00:00",
+  "16:00:00",
+  "17:00:00",
+  "18:00:00",
+];
+
+// Categorías del catálogo (slug para la URL, icono cuando no hay imagen)
+const CATEGORIAS = [
+  { id: 1, nombre: "Peluquería", slug: "peluqueria", icono: "💇‍♀️", orden: 1 },
+  { id: 2, nombre: "Uñas", slug: "unas", icono: "💅", orden: 2 },
+  { id: 3, nombre: "Estética facial", slug: "facial", icono: "✨", orden: 3 },
+];
+
+const SERVICIOS = [
+  {
+    id: 1,
+    nombre: "Corte de pelo",
+    descripcion: "Corte, lavado y peinado personalizado",
+    categoriaId: 1,
+    duracionMinutos: 30,
+    precio: 25,
+    aforoMaximo: 2,
+    activo: true,
+    imagenes: [],
+    faqs: [
+      {
+        pregunta: "¿Incluye lavado?",
+        respuesta: "Sí, el corte incluye lavado, acondicionador y peinado.",
+      },
+      {
+        pregunta: "¿Puedo traer una foto de referencia?",
+        respuesta:
+          "Claro, enséñasela a tu profesional al empezar y la adaptaremos a tu tipo de pelo.",
+      },
+    ],
+  },
+  {
+    id: 2,
+    nombre: "Coloración completa",
+    descripcion: "Tinte de raíz a puntas con productos sin amoniaco",
+    categoriaId: 1,
+    duracionMinutos: 90,
+    precio: 55,
+    aforoMaximo: 1,
+    activo: true,
+    imagenes: [],
+    faqs: [
+      {
+        pregunta: "¿Hace falta prueba de alergia?",
+        respuesta:
+          "Si es tu primera coloración con nosotros, pásate 48 horas antes para una prueba rápida.",
+      },
+    ],
+  },
+  {
+    id: 3,
+    nombre: "Manicura",
+    descripcion: "Limado, cutículas y esmaltado semipermanente",
+    categoriaId: 2,
+    duracionMinutos: 45,
+    precio: 20,
+    aforoMaximo: 3,
+    activo: true,
+    imagenes: [],
+    faqs: [
+      {
+        pregunta: "¿Cuánto dura el semipermanente?",
+        respuesta: "Entre dos y tres semanas con el cuidado habitual.",
+      },
+      {
+        pregunta: "¿Retiráis el esmalte anterior?",
+        respuesta: "Sí, la retirada está incluida en el precio.",
+      },
+    ],
+  },
+  {
+    id: 4,
+    nombre: "Limpieza facial",
+    descripcion: "Limpieza profunda con extracción e hidratación",
+    categoriaId: 3,
+    duracionMinutos: 60,
+    precio: 40,
+    aforoMaximo: 1,
+    activo: true,
+    imagenes: [],
+    faqs: [
+      {
+        pregunta: "¿Puedo maquillarme después?",
+        respuesta:
+          "Mejor espera unas horas para que la piel respire tras la extracción.",
+      },
+    ],
+  },
+  {
+    id: 5,
+    nombre: "Tratamiento de keratina",
+    descripcion: "Alisado y nutrición con keratina (temporalmente no disponible)",
+    categoriaId: 1,
+    duracionMinutos: 120,
+    precio: 90,
+    aforoMaximo: 1,
+    activo: false,
+    imagenes: [],
+    faqs: [],
+  },
+];
+
+// Tramos de mañana y tarde del horario laboral
+const MANANA = { desde: "10:00", hasta: "13:00" };
+const TARDE = { desde: "16:00", hasta: "19:00" };
+
+// Horario semanal por día (0 = domingo): { [día]: [{ desde, hasta }] }
+const horarioSemanal = (dias, tramos) =>
+  Object.fromEntries(dias.map((dia) => [dia, tramos]));
+
+const PROFESIONALES = [
+  {
+    id: 1,
+    nombre: "Lucía Martín",
+    foto: null,
+    servicioIds: [1, 2, 5],
+    horario: horarioSemanal([1, 2, 3, 4, 5, 6], [MANANA, TARDE]),
+    activo: true,
+  },
+  {
+    id: 2,
+    nombre: "Javier Ortega",
+    foto: null,
+    servicioIds: [1],
+    horario: horarioSemanal([2, 3, 4, 5, 6], [MANANA, TARDE]),
+    activo: true,
+  },
+  {
+    id: 3,
+    nombre: "Elena Ruiz",
+    foto: null,
+    servicioIds: [3, 4],
+    horario: {
+      ...horarioSemanal([1, 2, 3, 4, 5], [MANANA, TARDE]),
+      6: [MANANA],
+    },
+    activo: true,
+  },
+  {
+    id: 4,
+    nombre: "Sara Navarro",
+    foto: null,
+    servicioIds: [2, 3],
+    horario: horarioSemanal([1, 2, 3, 4, 5, 6], [MANANA, TARDE]),
+    activo: true,
+  },
+];
+
+const USUARIOS = [
+  {
+    id: 1,
+    nombre: "Administrador",
+    email: "admin@beautybooking.com",
+    password: "admin123",
+    telefono: "600000000",
+    rol: "ADMIN",
+  },
+  {
+    id: 2,
+    nombre: "María García",
+    email: "maria.garcia@example.com",
+    password: "password123",
+    telefono: "611223344",
+    rol: "CLIENTE",
+  },
+  {
+    id: 3,
+    nombre: "Carlos Rodríguez",
+    email: "carlos.rodriguez@example.com",
+    password: "password123",
+    telefono: "622334455",
+    rol: "CLIENTE",
+  },
+  {
+    id: 4,
+    nombre: "Lucía Martín",
+    email: "recepcion@beautybooking.com",
+    password: "recepcion123",
+    telefono: "633445566",
+    rol: "RECEPCION",
+  },
+  {
+    id: 5,
+    nombre: "Ana Torres",
+    email: "estilista@beautybooking.com",
+    password: "estilista123",
+    telefono: "644556677",
+    rol: "ESTILISTA",
+  },
+];
+
+/**
+ * Calcula la hora de fin de una franja
+ * @param {string} horaInicio - Hora inicio (HH:mm:ss)
+ * @param {number} duracionMinutos - Duración del servicio
+ * @returns {string} Hora fin (HH:mm:ss)
+ */
+export const calcularHoraFin = (horaInicio, duracionMinutos) => {
+  const [h, m] = horaInicio.split(":").map(Number);
+  const total = h * 60 + m + duracionMinutos;
+  const horas = String(Math.floor(total / 60) % 24).padStart(2, "0");
+  const minutos = String(total % 60).padStart(2, "0");
+  return `${horas}:${minutos}:00`;
+};
+
+/**
+ * Construye el dataset inicial
+ * @returns {Object} Base de datos simulada
+ */
+export const createSeed = () => {
+  const hoy = new Date();
+  const creadoEn = subDays(hoy, 60).toISOString();
+
+  const usuarios = USUARIOS.map((u) => ({ ...u, creadoEn }));
+  const categorias = CATEGORIAS.map((c) => ({ ...c }));
+  const servicios = SERVICIOS.map((s) => ({ ...s }));
+  const profesionales = PROFESIONALES.map((p) => ({ ...p, creadoEn }));
+
+  /**
+   * Profesional para una franja de la semilla: uno que haga el servicio,
+   * trabaje a esa hora y no tenga ya otra franja que se solape (se reparten
+   * por turnos). Si no hay ninguno libre, la franja queda sin asignar
+   */
+  const asignarProfesional = (franja, indice, asignadas) => {
+    const dia = getDay(new Date(`${franja.fecha}T00:00:00`));
+    const candidatos = profesionales.filter(
+      (p) =>
+        p.servicioIds.includes(franja.servicioId) &&
+        (p.horario[dia] || []).some(
+          (t) =>
+            franja.horaInicio.slice(0, 5) >= t.desde &&
+            franja.horaFin.slice(0, 5) <= t.hasta
+        ) &&
+        !asignadas.some(
+          (f) =>
+            f.profesionalId === p.id &&
+            f.horaInicio < franja.horaFin &&
+            f.horaFin > franja.horaInicio
+        )
+    );
+    return candidatos[indice % candidatos.length] || null;
+  };
+
+  // Franjas: de -7 a +30 días, de lunes a sábado, para servicios activos
+  const franjas = [];
+  for (let i = -7; i <= 30; i++) {
+    const dia = addDays(hoy, i);
+    if (getDay(dia) === 0) continue; // Domingo cerrado
+
+    const fecha = format(dia, "yyyy-MM-dd");
+    const delDia = [];
+    servicios
+      .filter((s) => s.activo)
+      .forEach((servicio) => {
+        HORAS_FRANJAS.forEach((horaInicio, indice) => {
+          const franja = {
+            id: franjas.length + 1,
+            servicioId: servicio.id,
+            servicioNombre: servicio.nombre,
+            fecha,
+            horaInicio,
+            horaFin: calcularHoraFin(horaInicio, servicio.duracionMinutos),
+            plazasTotales: servicio.aforoMaximo,
+            plazasDisponibles: servicio.aforoMaximo,
+          };
+          const profesional = asignarProfesional(franja, indice, delDia);
+          franja.profesionalId = profesional ? profesional.id : null;
+          franja.profesionalNombre = profesional ? profesional.nombre : null;
+          franjas.push(franja);
+          delDia.push(franja);
+        });
+      });
+  }
+
+  // Algunas reservas de ejemplo (pasadas y futuras)
+  const ejemplos = [
+    { usuarioId: 2, servicioId: 1, dias: -3, hora: 0, estado: "COMPLETADA" },
+    { usuarioId: 2, servicioId: 3, dias: 2, hora: 1, estado: "CONFIRMADA" },
+    { usuarioId: 3, servicioId: 2, dias: 0, hora: 3, estado: "PENDIENTE" },
+    { usuarioId: 3, servicioId: 4, dias: 5, hora: 2, estado: "PENDIENTE" },
+    { usuarioId: 2, servicioId: 4, dias: -5, hora: 4, estado: "CANCELADA" },
+  ];
+
+  const reservas = [];
+  ejemplos.forEach((ejemplo) => {
+    const fecha = format(addDays(hoy, ejemplo.dias), "yyyy-MM-dd");
+    const franja = franjas.find(
+      (f) =>
+        f.servicioId === ejemplo.servicioId &&
+        f.fecha === fecha &&
+        f.horaInicio === HORAS_FRANJAS[ejemplo.hora]
+    );
+    if (!franja) return; // El día cae en domingo
+
+    const usuario = usuarios.find((u) => u.id === ejemplo.usuarioId);
+    const servicio = servicios.find((s) => s.id === ejemplo.servicioId);
+
+    if (ejemplo.estado !== "CANCELADA") {
+      franja.plazasDisponibles--;
+    }
+
+    reservas.push({
+      id: reservas.length + 1,
+      usuarioId: usuario.id,
+      usuarioNombre: usuario.nombre,
+      usuarioEmail: usuario.email,
+      servicioId: servicio.id,
+      servicioNombre: servicio.nombre,
+      duracionServicio: servicio.duracionMinutos,
+      franjaId: franja.id,
+      profesionalId: franja.profesionalId,
+      profesionalNombre: franja.profesionalNombre,
+      fecha: franja.fecha,
+      horaInicio: franja.horaInicio,
+      precioFinal: servicio.precio,
+      estado: ejemplo.estado,
+      notas: "",
+      creadoEn: subDays(hoy, 10).toISOString(),
+    });
+  });
+
+  // Refresh tokens emitidos: { refreshToken, usuarioId }
+  const sesiones = [];
+
+  // Enlaces de recuperación de contraseña: { token, usuarioId, expiraEn }
+  const resetTokens = [];
+
+  // Lista de espera de franjas completas
+  const listaEspera = [];
+
+  // Incidencias reportadas desde /incidencias
+  const incidencia = subDays(hoy, 2);
+  const incidencias = [
+    {
+      id: 1,
+      codigo: `INC-${format(incidencia, "yyyyMMdd")}-001`,
+      usuarioId: 2,
+      nombre: "María García",
+      email: "maria.garcia@example.com",
+      telefono: "",
+      rol: "cliente",
+      tipo: "error_visual",
+      prioridad: "media",
+      estado: "EN_REVISION",
+      fechaIncidente: format(incidencia, "yyyy-MM-dd'T'10:30"),
+      navegador: "Safari / iOS",
+      descripcion:
+        "En el móvil el calendario de reservas se sale de la pantalla.",
+      pasos: "1. Entrar en una reserva desde el móvil\n2. Girar a vertical",
+      esperado: "Que el calendario se ajuste al ancho de la pantalla",
+      adjuntos: [],
+      duplicadaDe: null,
+      historial: [
+        {
+          fecha: incidencia.toISOString(),
+          autor: "María García",
+          tipo: "CREADA",
+          estado: "ABIERTA",
+        },
+        {
+          fecha: addDays(incidencia, 1).toISOString(),
+          autor: "Administrador",
+          tipo: "ESTADO",
+          anterior: "ABIERTA",
+          estado: "EN_REVISION",
+        },
+      ],
+      creadoEn: incidencia.toISOString(),
+      actualizadoEn: addDays(incidencia, 1).toISOString(),
+    },
+  ];
+
+  // Plantillas de horario semanal para generar franjas (0 = domingo)
+  const tramos = [
+    { desde: "10:00", hasta: "13:00" },
+    { desde: "16:00", hasta: "19:00" },
+  ];
+  const plantillasHorario = [
+    {
+      id: 1,
+      nombre: "Horario habitual",
+      servicioId: 1,
+      // De lunes a sábado, como las franjas de la semilla
+      horario: Object.fromEntries([1, 2, 3, 4, 5, 6].map((d) => [d, tramos])),
+      intervaloMinutos: 60,
+      plazas: 2,
+      creadoEn,
+    },
+  ];
+
+  // Cierres y festivos (días completos o tramos, de un servicio o de todo
+  // el salón); se crean desde administración o importando un .ics
+  const cierres = [];
+
+  // Ficha interna de cada cliente (solo la ve el personal): alergias,
+  // preferencias y notas privadas. Una por usuario, se crea al guardarla
+  const fichasClientes = [
+    {
+      usuarioId: 2,
+      alergias: "Sensibilidad al amoniaco (usar tintes sin amoniaco)",
+      preferencias: "Prefiere citas por la mañana",
+      notas: "",
+      actualizadoEn: creadoEn,
+      actualizadoPor: "Administrador",
+    },
+  ];
+
+  return {
+    usuarios,
+    categorias,
+    servicios,
+    profesionales,
+    franjas,
+    reservas,
+    sesiones,
+    resetTokens,
+    listaEspera,
+    incidencias,
+    plantillasHorario,
+    cierres,
+    fichasClientes,
+  };
+};
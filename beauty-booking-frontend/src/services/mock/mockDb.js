@@ -0,0 +1,73 @@
+import { createSeed } from "./mockData";
+
+/**
+ * mockDb - Base de datos en memoria del backend simulado
+ *
+ * Se inicializa con los datos semilla y se persiste en localStorage
+ * para que los cambios sobrevivan a recargas de la página.
+ */
+
+class MockDb {
+  constructor() {
+    // Clave de persistencia en localStorage
+    this.storageKey = "mockDb";
+    this.data = null;
+  }
+
+  /**
+   * Obtiene los datos, cargándolos de localStorage o de la semilla
+   * @returns {Object} Colecciones de la base de datos
+   */
+  get() {
+    if (!this.data) {
+      try {
+        const saved = localStorage.getItem(this.storageKey);
+        // Las colecciones nuevas que no estén en los datos guardados
+        // se completan con las de la semilla
+        this.data = { ...createSeed(), ...(saved ? JSON.parse(saved) : {}) };
+      } catch (error) {
+        console.error("Error leyendo la base de datos simulada:", error);
+        this.data = createSeed();
+      }
+      this.save();
+    }
+    return this.data;
+  }
+
+  /**
+   * Persiste el estado actual en localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (error) {
+      // Normalmente localStorage lleno: los cambios se perderán al recargar
+      console.error(
+        "🧪 No se ha podido guardar la base de datos simulada; los cambios no sobrevivirán a una recarga:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Restaura los datos semilla (útil en tests y demos)
+   */
+  reset() {
+    this.data = createSeed();
+    this.save();
+    console.log("🧪 Base de datos simulada restaurada");
+  }
+
+  /**
+   * Devuelve el siguiente ID libre de una colección
+   * @param {string} coleccion - Nombre de la colección
+   * @returns {number} Nuevo ID
+   */
+  nextId(coleccion) {
+    const items = this.get()[coleccion] || [];
+    return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+  }
+}
+
+// Exportamos una instancia única
+export default new MockDb();
@@ -0,0 +1,165 @@
+import { apiGet, apiPost, apiPut, apiDelete } from "./api";
+import { normalizarEmail } from "../utils/helpers";
+
+/**
+ * userService - Servicio para la cuenta del usuario autenticado
+ *
+ * Maneja:
+ * - Datos personales (nombre y teléfono)
+ * - Cambio de email con verificación de la nueva dirección
+ * - Cambio de contraseña
+ * - Preferencias de comunicación
+ * - Baja de la cuenta
+ */
+
+class UserService {
+  // ========== PERFIL ==========
+
+  /**
+   * Obtiene el perfil completo del usuario autenticado
+   * @returns {Promise<Object>} Perfil (incluye preferencias y email pendiente)
+   */
+  async getPerfil() {
+    try {
+      const response = await apiGet("/usuarios/me");
+      console.log("👤 Perfil obtenido");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error obteniendo perfil:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza nombre y teléfono
+   * @param {Object} datos - { nombre, telefono }
+   * @returns {Promise<Object>} Perfil actualizado
+   */
+  async actualizarPerfil(datos) {
+    try {
+      if (!datos.nombre || !datos.telefono) {
+        throw new Error("Nombre y teléfono son obligatorios");
+      }
+
+      const response = await apiPut("/usuarios/me", {
+        nombre: datos.nombre.trim(),
+        // El backend guarda el teléfono sin espacios
+        telefono: datos.telefono.replace(/\s/g, ""),
+      });
+
+      console.log("✅ Perfil actualizado");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error actualizando perfil:", error);
+      throw error;
+    }
+  }
+
+  // ========== EMAIL ==========
+
+  /**
+   * Solicita el cambio de email
+   * El email no cambia hasta que se verifica el enlace enviado a la
+   * nueva dirección
+   * @param {string} email - Nuevo email
+   * @param {string} password - Contraseña actual
+   * @returns {Promise<Object>} Perfil con emailPendiente
+   */
+  async solicitarCambioEmail(email, password) {
+    try {
+      if (!email || !password) {
+        throw new Error("Email y contraseña son obligatorios");
+      }
+
+      const response = await apiPost("/usuarios/me/email", {
+        email: normalizarEmail(email),
+        password,
+      });
+      console.log(`📧 Verificación enviada a ${email}`);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error solicitando cambio de email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma el cambio de email con el token del enlace de verificación
+   * @param {string} token - Token recibido en la nueva dirección
+   * @returns {Promise<Object>} Perfil con el email ya cambiado
+   */
+  async verificarEmail(token) {
+    try {
+      const response = await apiPost("/usuarios/me/email/verificar", {
+        token,
+      });
+
+      console.log("✅ Email verificado:", response.data.email);
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error verificando email:", error);
+      throw error;
+    }
+  }
+
+  // ========== CONTRASEÑA ==========
+
+  /**
+   * Cambia la contraseña del usuario
+   * @param {string} passwordActual - Contraseña actual
+   * @param {string} passwordNueva - Nueva contraseña
+   * @returns {Promise<Object>} Respuesta del servidor
+   */
+  async cambiarPassword(passwordActual, passwordNueva) {
+    try {
+      const response = await apiPut("/usuarios/me/password", {
+        passwordActual,
+        passwordNueva,
+      });
+      console.log("✅ Contraseña cambiada");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error cambiando contraseña:", error);
+      throw error;
+    }
+  }
+
+  // ========== PREFERENCIAS ==========
+
+  /**
+   * Guarda las preferencias de comunicación
+   * @param {Object} preferencias - { recordatoriosEmail, recordatoriosSms,
+   *                                 novedadesEmail }
+   * @returns {Promise<Object>} Preferencias guardadas
+   */
+  async actualizarPreferencias(preferencias) {
+    try {
+      const response = await apiPut("/usuarios/me/preferencias", preferencias);
+      console.log("✅ Preferencias guardadas");
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error guardando preferencias:", error);
+      throw error;
+    }
+  }
+
+  // ========== BAJA ==========
+
+  /**
+   * Elimina la cuenta del usuario (la sesión la cierra quien llama)
+   * @param {string} password - Contraseña actual como confirmación
+   * @returns {Promise<void>}
+   */
+  async eliminarCuenta(password) {
+    try {
+      await apiDelete("/usuarios/me", { data: { password } });
+      console.log("🗑️ Cuenta eliminada");
+    } catch (error) {
+      console.error("❌ Error eliminando cuenta:", error);
+      throw error;
+    }
+  }
+}
+
+// Exportamos una instancia única
+export default new UserService();
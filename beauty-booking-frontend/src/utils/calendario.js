@@ -0,0 +1,360 @@
+// Exportación de reservas a iCalendar (RFC 5545) para añadirlas a
+// Google Calendar, Outlook, Apple Calendar... e importación de
+// calendarios de festivos como cierres del salón
+import { add, format, parseISO, subDays } from "date-fns";
+import bookingService from "../services/bookingService";
+import { SALON, getCodigoReserva } from "./recibo";
+
+// Zona horaria del salón (las franjas son horas locales de Madrid)
+const TZID = "Europe/Madrid";
+
+// Antelación del aviso que se añade a cada cita
+const RECORDATORIO_MINUTOS = 60;
+
+// Definición de la zona horaria que exige el RFC al usar TZID
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// Escapar texto según el RFC (barra, punto y coma, coma y saltos de línea)
+const escaparTexto = (texto = "") =>
+  String(texto)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Las líneas de más de 75 octetos se pliegan con CRLF + espacio
+const plegarLinea = (linea) => {
+  const encoder = new TextEncoder();
+  const partes = [];
+  let actual = "";
+  let octetos = 0;
+
+  for (const caracter of linea) {
+    const tamano = encoder.encode(caracter).length;
+    // La primera línea admite 75 octetos; las siguientes 74 (+ el espacio)
+    const limite = partes.length === 0 ? 75 : 74;
+    if (octetos + tamano > limite) {
+      partes.push(actual);
+      actual = "";
+      octetos = 0;
+    }
+    actual += caracter;
+    octetos += tamano;
+  }
+  partes.push(actual);
+
+  return partes.join("\r\n ");
+};
+
+// "2025-03-14" + "10:30:00" -> "20250314T103000" (hora local)
+const fechaHoraLocal = (fecha, hora) =>
+  `${fecha.replace(/-/g, "")}T${hora.replace(/:/g, "").padEnd(6, "0")}`;
+
+// Instante actual en UTC: "20250314T093000Z"
+const marcaUtc = (date = new Date()) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * UID estable de una reserva: al reimportar el fichero tras un cambio de
+ * fecha o una cancelación, el calendario actualiza el evento existente
+ * en vez de duplicarlo (el SEQUENCE indica qué versión es más reciente:
+ * sale de reserva.version, que el backend sube en cada cambio de fecha o
+ * cancelación)
+ * @param {Object} reserva - Reserva
+ * @returns {string} UID del evento
+ */
+export const getUidReserva = (reserva) =>
+  `reserva-${reserva.id}@beautybooking.com`;
+
+/**
+ * Genera las líneas VEVENT de una reserva
+ * @param {Object} reserva - Reserva
+ * @returns {Array<string>} Líneas del evento
+ */
+const generarEvento = (reserva) => {
+  const duracion = reserva.duracionServicio || 30;
+  const horaFin = bookingService.calcularHoraFin(
+    reserva.horaInicio,
+    duracion
+  );
+  const inicio = fechaHoraLocal(reserva.fecha, reserva.horaInicio);
+  const fin = fechaHoraLocal(reserva.fecha, horaFin);
+  const cancelada = reserva.estado === "CANCELADA";
+  const codigo = getCodigoReserva(reserva.id);
+
+  const descripcion = [
+    `Reserva ${codigo} en ${SALON.nombre}`,
+    `Servicio: ${reserva.servicioNombre} (${duracion} min)`,
+    reserva.precioFinal != null ? `Precio: ${reserva.precioFinal} €` : null,
+    reserva.notas ? `Notas: ${reserva.notas}` : null,
+    `Cambios y cancelaciones: ${SALON.telefono}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const lineas = [
+    "BEGIN:VEVENT",
+    `UID:${getUidReserva(reserva)}`,
+    `SEQUENCE:${reserva.version || 0}`,
+    `DTSTAMP:${marcaUtc()}`,
+    `DTSTART;TZID=${TZID}:${inicio}`,
+    `DTEND;TZID=${TZID}:${fin}`,
+    `SUMMARY:${escaparTexto(`${reserva.servicioNombre} · ${SALON.nombre}`)}`,
+    `DESCRIPTION:${escaparTexto(descripcion)}`,
+    `LOCATION:${escaparTexto(`${SALON.nombre}, ${SALON.direccion}`)}`,
+    `STATUS:${cancelada ? "CANCELLED" : "CONFIRMED"}`,
+  ];
+
+  // Una cita cancelada no necesita aviso
+  if (!cancelada) {
+    lineas.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escaparTexto(`Cita: ${reserva.servicioNombre}`)}`,
+      `TRIGGER:-PT${RECORDATORIO_MINUTOS}M`,
+      "END:VALARM"
+    );
+  }
+
+  lineas.push("END:VEVENT");
+  return lineas;
+};
+
+/**
+ * Genera un fichero iCalendar con una o varias reservas
+ * @param {Array<Object>} reservas - Reservas a exportar
+ * @param {string} nombre - Nombre del calendario (X-WR-CALNAME)
+ * @returns {string} Contenido .ics (líneas CRLF)
+ */
+export const generarCalendarioIcs = (reservas, nombre = SALON.nombre) => {
+  const lineas = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//BeautyBooking//Reservas//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    ...VTIMEZONE,
+    ...reservas.flatMap(generarEvento),
+    "END:VCALENDAR",
+  ];
+
+  return lineas.map(plegarLinea).join("\r\n") + "\r\n";
+};
+
+/**
+ * Reservas que forman el feed "mis próximas citas": las que aún no han
+ * pasado, incluidas las canceladas para que se borren al reimportarlo
+ * @param {Array<Object>} reservas - Todas las reservas del cliente
+ * @returns {Array<Object>} Reservas a exportar, por fecha
+ */
+export const getReservasParaFeed = (reservas) => {
+  const ahora = new Date();
+  return reservas
+    .filter(
+      (r) =>
+        r.estado !== "COMPLETADA" && bookingService.getInicioReserva(r) > ahora
+    )
+    .sort((a, b) =>
+      `${a.fecha}T${a.horaInicio}`.localeCompare(`${b.fecha}T${b.horaInicio}`)
+    );
+};
+
+/**
+ * Descarga un fichero .ics
+ * @param {Array<Object>} reservas - Reservas a incluir
+ * @param {string} nombreFichero - Nombre sin extensión
+ * @param {string} nombreCalendario - Nombre visible del calendario
+ */
+export const descargarIcs = (reservas, nombreFichero, nombreCalendario) => {
+  const contenido = generarCalendarioIcs(reservas, nombreCalendario);
+  const blob = new Blob([contenido], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const enlace = document.createElement("a");
+  enlace.href = url;
+  enlace.download = `${nombreFichero}.ics`;
+  document.body.appendChild(enlace);
+  enlace.click();
+  enlace.remove();
+  URL.revokeObjectURL(url);
+};
+
+// ========== IMPORTACIÓN ==========
+
+// Deshace escaparTexto
+const desescaparTexto = (texto = "") =>
+  texto.replace(/\\([\\;,nN])/g, (_, caracter) =>
+    caracter.toLowerCase() === "n" ? "\n" : caracter
+  );
+
+/**
+ * Lee una fecha iCalendar
+ * "20251225" -> { fecha: "2025-12-25", hora: null }
+ * "20251225T100000" -> { fecha: "2025-12-25", hora: "10:00" }
+ * Las horas en UTC ("...Z") se pasan a la hora local
+ * @param {string} valor - Valor de DTSTART o DTEND
+ * @returns {Object|null} { fecha, hora } o null si no es válida
+ */
+const leerFechaIcs = (valor = "") => {
+  const partes = valor.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/
+  );
+  if (!partes) return null;
+
+  const [, anio, mes, dia, horas, minutos, utc] = partes;
+  if (utc) {
+    const instante = new Date(Date.UTC(anio, mes - 1, dia, horas, minutos));
+    return {
+      fecha: format(instante, "yyyy-MM-dd"),
+      hora: format(instante, "HH:mm"),
+    };
+  }
+  return {
+    fecha: `${anio}-${mes}-${dia}`,
+    hora: horas ? `${horas}:${minutos}` : null,
+  };
+};
+
+/**
+ * Lee una duración iCalendar ("PT1H30M", "P2D", "P1W")
+ * @param {string} valor - Valor de DURATION
+ * @returns {Object|null} Duración para add de date-fns o null si no es válida
+ */
+const leerDuracionIcs = (valor = "") => {
+  const partes = valor.match(
+    /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!partes) return null;
+
+  const [weeks, days, hours, minutes, seconds] = partes
+    .slice(1)
+    .map((n) => Number(n) || 0);
+  return { weeks, days, hours, minutes, seconds };
+};
+
+/**
+ * Fin de un evento sin DTEND a partir de su DURATION
+ * @param {Object} inicio - { fecha, hora } de DTSTART
+ * @param {string} valor - Valor de DURATION
+ * @returns {Object|null} { fecha, hora } o null si no hay duración válida
+ */
+const finPorDuracion = (inicio, valor) => {
+  const duracion = leerDuracionIcs(valor);
+  if (!duracion) return null;
+
+  const instante = add(
+    parseISO(`${inicio.fecha}T${inicio.hora || "00:00"}`),
+    duracion
+  );
+  return {
+    fecha: format(instante, "yyyy-MM-dd"),
+    hora: inicio.hora ? format(instante, "HH:mm") : null,
+  };
+};
+
+/**
+ * Convierte un VEVENT en cierre (el fin sale de DTEND o, si no lo tiene,
+ * de DTSTART + DURATION)
+ * - Día completo (DTSTART;VALUE=DATE): el fin es el día siguiente al último
+ * - Con hora y dentro del mismo día: tramo desde - hasta
+ * - Con hora y de varios días: se cierran los días completos (si acaba a
+ *   las 00:00, ese último día no cuenta)
+ * - Con hora y sin duración: no cierra nada
+ */
+const eventoACierre = (evento) => {
+  const inicio = leerFechaIcs(evento.DTSTART);
+  if (!inicio || evento.STATUS === "CANCELLED") return null;
+  const fin = evento.DTEND
+    ? leerFechaIcs(evento.DTEND)
+    : finPorDuracion(inicio, evento.DURATION);
+
+  const cierre = {
+    uid: evento.UID || null,
+    fechaInicio: inicio.fecha,
+    fechaFin: inicio.fecha,
+    desde: null,
+    hasta: null,
+    motivo: desescaparTexto(evento.SUMMARY).trim() || "Festivo",
+  };
+
+  if (!inicio.hora) {
+    if (fin && fin.fecha > inicio.fecha) {
+      cierre.fechaFin = format(subDays(parseISO(fin.fecha), 1), "yyyy-MM-dd");
+    }
+  } else if (
+    !fin ||
+    fin.fecha < inicio.fecha ||
+    (fin.fecha === inicio.fecha && fin.hora <= inicio.hora)
+  ) {
+    return null;
+  } else if (fin.fecha === inicio.fecha) {
+    cierre.desde = inicio.hora;
+    cierre.hasta = fin.hora;
+  } else {
+    // Acabar a las 00:00 no ocupa ese día: el último es el anterior
+    cierre.fechaFin =
+      fin.hora === "00:00"
+        ? format(subDays(parseISO(fin.fecha), 1), "yyyy-MM-dd")
+        : fin.fecha;
+  }
+  return cierre;
+};
+
+/**
+ * Lee los eventos de un fichero .ics (festivos nacionales o autonómicos,
+ * vacaciones del equipo...) como cierres
+ * Las repeticiones (RRULE) no se expanden: los calendarios de festivos
+ * publican un evento por año
+ * @param {string} contenido - Texto del fichero
+ * @returns {Array<Object>} Cierres { uid, fechaInicio, fechaFin, desde, hasta, motivo }, por fecha
+ */
+export const leerCalendarioIcs = (contenido) => {
+  // Deshacer el plegado de líneas (salto + espacio o tabulador)
+  const lineas = contenido.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const cierres = [];
+  let evento = null;
+  // Los VALARM van dentro del VEVENT y repiten propiedades (DESCRIPTION...)
+  let enSubcomponente = false;
+
+  lineas.forEach((linea) => {
+    if (linea === "BEGIN:VEVENT") {
+      evento = {};
+    } else if (linea === "END:VEVENT") {
+      const cierre = evento && eventoACierre(evento);
+      if (cierre) cierres.push(cierre);
+      evento = null;
+    } else if (evento && linea.startsWith("BEGIN:")) {
+      enSubcomponente = true;
+    } else if (evento && linea.startsWith("END:")) {
+      enSubcomponente = false;
+    } else if (evento && !enSubcomponente) {
+      const separador = linea.indexOf(":");
+      if (separador < 0) return;
+      // "DTSTART;VALUE=DATE:20251225" -> DTSTART = "20251225"
+      const nombre = linea.slice(0, separador).split(";")[0].toUpperCase();
+      evento[nombre] = linea.slice(separador + 1);
+    }
+  });
+
+  return cierres.sort((a, b) => a.fechaInicio.localeCompare(b.fechaInicio));
+};
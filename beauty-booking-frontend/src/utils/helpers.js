@@ -84,6 +84,10 @@ export const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Normalizar email (sin espacios y en minúsculas): los que solo cambian en
+// mayúsculas son la misma cuenta
+export const normalizarEmail = (email) => email?.trim().toLowerCase() || "";
+
 // Validar teléfono español
 export const isValidPhone = (phone) => {
   const cleaned = phone.replace(/\D/g, "");
@@ -0,0 +1,104 @@
+// Preparación de imágenes en el navegador antes de guardarlas: las fotos
+// de los profesionales se reducen a data URL y las de la galería de los
+// servicios se recortan a un JPEG que se sube como archivo
+
+// Formatos de imagen que se aceptan al subir una foto
+export const TIPOS_IMAGEN = ["image/jpeg", "image/png", "image/webp"];
+
+/**
+ * Lee un archivo de imagen como data URL y lo carga en un elemento <img>
+ * (sin URL temporal, así la imagen se puede seguir mostrando después)
+ */
+const cargarImagen = (archivo) =>
+  new Promise((resolve, reject) => {
+    const error = () => reject(new Error("No se ha podido leer la imagen"));
+    const lector = new FileReader();
+    lector.onload = () => {
+      const imagen = new Image();
+      imagen.onload = () => resolve(imagen);
+      imagen.onerror = error;
+      imagen.src = lector.result;
+    };
+    lector.onerror = error;
+    lector.readAsDataURL(archivo);
+  });
+
+/**
+ * Comprueba el formato del archivo y lo carga como imagen
+ * @param {File} archivo - Imagen elegida por el usuario
+ * @returns {Promise<HTMLImageElement>} Imagen cargada
+ */
+export const leerImagen = async (archivo) => {
+  if (!TIPOS_IMAGEN.includes(archivo.type)) {
+    throw new Error("Elige una imagen JPG, PNG o WebP");
+  }
+  return cargarImagen(archivo);
+};
+
+/**
+ * Dibuja una zona de la imagen, escalada al tamaño final, en un canvas
+ */
+const dibujarRecorte = (imagen, zona, anchoFinal, altoFinal) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = anchoFinal;
+  canvas.height = altoFinal;
+  canvas
+    .getContext("2d")
+    .drawImage(
+      imagen,
+      zona.x,
+      zona.y,
+      zona.ancho,
+      zona.alto,
+      0,
+      0,
+      anchoFinal,
+      altoFinal
+    );
+
+  return canvas;
+};
+
+/**
+ * Recorta una zona de la imagen y la escala al tamaño final
+ * @param {HTMLImageElement} imagen - Imagen ya cargada
+ * @param {Object} zona - { x, y, ancho, alto } en píxeles de la imagen
+ * @param {number} anchoFinal - Ancho del resultado
+ * @param {number} altoFinal - Alto del resultado
+ * @returns {Promise<Blob>} JPEG listo para subir
+ */
+export const recortarImagen = (imagen, zona, anchoFinal, altoFinal) =>
+  new Promise((resolve, reject) =>
+    dibujarRecorte(imagen, zona, anchoFinal, altoFinal).toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("No se ha podido recortar la imagen")),
+      "image/jpeg",
+      0.85
+    )
+  );
+
+/**
+ * Reduce una foto a un cuadrado de `lado` píxeles (recortando el centro)
+ * y la devuelve como data URL JPEG, lista para guardarla con los datos
+ * @param {File} archivo - Imagen elegida por el usuario
+ * @param {number} lado - Lado del cuadrado resultante
+ * @returns {Promise<string>} data:image/jpeg;base64,...
+ */
+export const reducirImagen = async (archivo, lado = 256) => {
+  const imagen = await leerImagen(archivo);
+  const recorte = Math.min(imagen.naturalWidth, imagen.naturalHeight);
+
+  return dibujarRecorte(
+    imagen,
+    {
+      x: (imagen.naturalWidth - recorte) / 2,
+      y: (imagen.naturalHeight - recorte) / 2,
+      ancho: recorte,
+      alto: recorte,
+    },
+    lado,
+    lado
+  ).toDataURL("image/jpeg", 0.85);
+};
@@ -0,0 +1,68 @@
+// Modelo de permisos del panel de administración: cada rol del personal
+// tiene una lista de permisos y las rutas, menús y endpoints piden
+// permisos concretos en lugar de comprobar si el usuario es ADMIN
+
+// Roles de usuario con su nombre para mostrar
+export const ROLES = {
+  CLIENTE: "Cliente",
+  RECEPCION: "Recepción",
+  ESTILISTA: "Estilista",
+  ADMIN: "Administrador",
+};
+
+// Permisos disponibles
+export const PERMISOS = {
+  // Entrar al panel y consultar servicios, franjas y profesionales
+  PANEL: "panel.ver",
+  RESERVAS_VER: "reservas.ver",
+  // Crear, editar, confirmar, completar y cancelar reservas
+  RESERVAS_GESTIONAR: "reservas.gestionar",
+  // Listado de clientes, historial y ficha
+  CLIENTES: "clientes.gestionar",
+  SERVICIOS: "servicios.gestionar",
+  // Franjas, plantillas de horario, cierres y festivos
+  HORARIOS: "horarios.gestionar",
+  PROFESIONALES: "profesionales.gestionar",
+  // Roles, invitaciones y suspensiones de cuentas
+  USUARIOS: "usuarios.gestionar",
+  INCIDENCIAS: "incidencias.gestionar",
+  // Informes e ingresos
+  REPORTES: "reportes.ver",
+};
+
+const PERMISOS_POR_ROL = {
+  CLIENTE: [],
+  RECEPCION: [
+    PERMISOS.PANEL,
+    PERMISOS.RESERVAS_VER,
+    PERMISOS.RESERVAS_GESTIONAR,
+    PERMISOS.CLIENTES,
+  ],
+  ESTILISTA: [PERMISOS.PANEL, PERMISOS.RESERVAS_VER],
+  ADMIN: Object.values(PERMISOS),
+};
+
+/**
+ * Permisos de un rol (ninguno si el rol no existe)
+ * @param {string} rol - Rol del usuario
+ * @returns {Array<string>} Permisos del rol
+ */
+export const getPermisos = (rol) => PERMISOS_POR_ROL[rol] || [];
+
+/**
+ * Comprueba si un rol tiene todos los permisos indicados
+ * @param {string} rol - Rol del usuario
+ * @param {string|Array<string>} permisos - Permiso o lista de permisos
+ * @returns {boolean} true si los tiene todos
+ */
+export const tienePermiso = (rol, permisos) => {
+  const delRol = getPermisos(rol);
+  return [].concat(permisos).every((permiso) => delRol.includes(permiso));
+};
+
+/**
+ * Indica si el rol pertenece al personal del centro (puede entrar al panel)
+ * @param {string} rol - Rol del usuario
+ * @returns {boolean} true si es personal
+ */
+export const esPersonal = (rol) => tienePermiso(rol, PERMISOS.PANEL);
@@ -0,0 +1,126 @@
+// Recibo imprimible de una reserva (se guarda como PDF desde el diálogo
+// de impresión del navegador, sin librerías externas)
+import bookingService from "../services/bookingService";
+import configService from "../services/configService";
+import { formatDate, formatDateTime, formatPrice } from "./helpers";
+
+// Datos del salón que aparecen en el recibo
+export const SALON = {
+  nombre: "BeautyBooking",
+  direccion: "Calle Belleza 123, 28001 Madrid, España",
+  telefono: "+34 900 123 456",
+  email: "info@beautybooking.com",
+};
+
+// Escapar texto del usuario antes de meterlo en el HTML
+const escapeHtml = (texto = "") =>
+  String(texto)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Código visible de una reserva (#BK00012)
+export const getCodigoReserva = (reservaId) =>
+  `#BK${String(reservaId).padStart(5, "0")}`;
+
+/**
+ * Genera el HTML del recibo de una reserva
+ * @param {Object} reserva - Reserva (servicio, fecha, hora, precio...)
+ * @param {Object} cliente - Usuario (por si la reserva no trae sus datos)
+ * @returns {string} Documento HTML completo
+ */
+export const generarReciboHtml = (reserva, cliente = {}) => {
+  const codigo = getCodigoReserva(reserva.id);
+  const duracion = reserva.duracionServicio || 30;
+  const horaInicio = bookingService.formatearHora(reserva.horaInicio);
+  const horaFin = bookingService.calcularHoraFin(reserva.horaInicio, duracion);
+
+  const filas = [
+    ["Servicio", reserva.servicioNombre],
+    ["Fecha", formatDate(reserva.fecha, "EEEE, d 'de' MMMM 'de' yyyy")],
+    ["Hora", `${horaInicio} - ${horaFin} (${duracion} min)`],
+    ["Estado", bookingService.getEstadoEspanol(reserva.estado)],
+    ["Cliente", reserva.usuarioNombre || cliente.nombre],
+    ["Email", reserva.usuarioEmail || cliente.email],
+    ["Reservado el", formatDateTime(reserva.creadoEn)],
+  ];
+  if (reserva.notas) filas.push(["Notas", reserva.notas]);
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>recibo-${codigo.slice(1)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; margin: 40px; }
+  header { display: flex; justify-content: space-between; border-bottom: 2px solid #ec4899; padding-bottom: 16px; }
+  h1 { margin: 0; color: #db2777; font-size: 24px; }
+  .salon { font-size: 12px; color: #6b7280; text-align: right; line-height: 1.5; }
+  .codigo { font-family: monospace; font-size: 18px; font-weight: bold; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  td { padding: 8px 0; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td:first-child { color: #6b7280; width: 35%; }
+  .total { display: flex; justify-content: space-between; font-size: 20px; font-weight: bold; margin-top: 24px; }
+  footer { margin-top: 40px; font-size: 11px; color: #9ca3af; }
+</style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${SALON.nombre}</h1>
+      <div>Recibo de reserva</div>
+    </div>
+    <div class="salon">
+      ${SALON.direccion}<br />
+      ${SALON.telefono}<br />
+      ${SALON.email}
+    </div>
+  </header>
+
+  <div class="codigo">Código de reserva: ${codigo}</div>
+  <table>
+    ${filas
+      .map(
+        ([etiqueta, valor]) =>
+          `<tr><td>${etiqueta}</td><td>${escapeHtml(valor)}</td></tr>`
+      )
+      .join("\n    ")}
+  </table>
+
+  <div class="total">
+    <span>Total</span>
+    <span>${formatPrice(reserva.precioFinal)}</span>
+  </div>
+
+  <footer>
+    Puedes cambiar o cancelar tu cita hasta
+    ${configService.get().cancellationDeadlineHours} horas antes desde
+    "Mis Reservas". Por favor, llega 5 minutos antes de tu cita.<br />
+    Recibo generado el ${formatDateTime(new Date())}.
+  </footer>
+
+  <script>window.onload = function () { window.print(); };</script>
+</body>
+</html>`;
+};
+
+/**
+ * Abre el recibo en una ventana nueva y lanza el diálogo de impresión
+ * (desde ahí se puede imprimir o "Guardar como PDF")
+ * @param {Object} reserva - Reserva
+ * @param {Object} cliente - Usuario actual
+ */
+export const imprimirRecibo = (reserva, cliente) => {
+  const ventana = window.open("", "_blank", "width=800,height=900");
+  if (!ventana) {
+    throw new Error(
+      "Tu navegador ha bloqueado la ventana del recibo. Permite las ventanas emergentes e inténtalo de nuevo."
+    );
+  }
+
+  ventana.document.open();
+  ventana.document.write(generarReciboHtml(reserva, cliente));
+  ventana.document.close();
+  ventana.focus();
+};